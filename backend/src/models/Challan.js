@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { gstinSchemaValidator } = require('../utils/gstin');
+const { TAX_HEADS } = require('../utils/setOff');
+const { MINOR_HEADS, PAYMENT_MODES, CPIN_REGEX } = require('../utils/challan');
+
+const minorHeadAmounts = () => ({
+    tax: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 },
+    fee: { type: Number, default: 0 },
+    others: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+});
+
+// GST challan (form GST PMT-06) paid into the electronic cash ledger
+const challanSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    gstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    reason: {
+        type: String,
+        enum: ['Monthly Payment for Quarterly Return', 'Any Other Payment', 'Return Liability'],
+        default: 'Any Other Payment'
+    },
+    gstReturn: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GSTReturn'
+    },
+    period: {
+        month: { type: Number, min: 1, max: 12 },
+        year: { type: Number, min: 2017 }
+    },
+
+    // Amounts by tax head and minor head
+    details: {
+        igst: minorHeadAmounts(),
+        cgst: minorHeadAmounts(),
+        sgst: minorHeadAmounts(),
+        cess: minorHeadAmounts()
+    },
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    paymentMode: {
+        type: String,
+        enum: PAYMENT_MODES,
+        default: 'E-Payment'
+    },
+
+    cpin: {
+        type: String,
+        unique: true,
+        sparse: true,
+        match: CPIN_REGEX
+    },
+    provider: String,
+    status: {
+        type: String,
+        enum: ['generated', 'processing', 'paid', 'expired'],
+        default: 'generated'
+    },
+    expiresAt: Date,
+
+    // Payment confirmation from the bank or portal
+    payment: {
+        cin: String,
+        brn: String,
+        bankCode: String,
+        amount: Number,
+        paidAt: Date,
+        error: String
+    },
+
+    history: [{
+        action: String,
+        timestamp: { type: Date, default: Date.now },
+        details: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+challanSchema.index({ user: 1, gstin: 1, createdAt: -1 });
+challanSchema.index({ gstReturn: 1 });
+challanSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to get amounts by minor head as ledger heads ({ tax: { igst, cgst, sgst, cess }, ... })
+challanSchema.methods.getMinorHeadAmounts = function() {
+    return MINOR_HEADS.reduce((out, minorHead) => ({
+        ...out,
+        [minorHead]: TAX_HEADS.reduce((amounts, head) => ({
+            ...amounts,
+            [head]: (this.details[head] && this.details[head][minorHead]) || 0
+        }), {})
+    }), {});
+};
+
+// Method to record the payment confirmation; the challan must still be unpaid and unexpired.
+// A failed payment leaves the challan open to be paid again.
+challanSchema.methods.confirmPayment = function(response, now = new Date()) {
+    if (!['generated', 'processing'].includes(this.status)) {
+        throw new Error(`Challan is already ${this.status}`);
+    }
+    if (this.expiresAt && this.expiresAt < now) {
+        this.status = 'expired';
+        this.history.push({ action: 'Expired', timestamp: now });
+        throw new Error('Challan has expired; generate a new challan');
+    }
+
+    if (!response.success) {
+        this.status = 'generated';
+        this.payment = { error: response.error };
+        this.history.push({ action: 'Payment Failed', timestamp: now, details: response.error });
+        return;
+    }
+
+    this.payment = {
+        cin: response.cin,
+        brn: response.brn,
+        bankCode: response.bankCode,
+        amount: response.amount,
+        paidAt: response.paidAt || now
+    };
+    this.status = 'paid';
+    this.history.push({ action: 'Paid', timestamp: now, details: `CIN ${response.cin}, BRN ${response.brn}` });
+};
+
+const Challan = mongoose.model('Challan', challanSchema);
+
+module.exports = Challan;
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { PART_B_REASONS, normalizeVehicleNo, isEWayBillActive } = require('../utils/eWayBill');
+
+// Consolidated e-way bill (CEWB / trip sheet) grouping several generated e-way bills moving in one conveyance
+const consolidatedEWayBillSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    cewbNo: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+
+    // Trip Details; all member e-way bills start from this place
+    fromPlace: {
+        type: String,
+        required: true
+    },
+    fromStateCode: {
+        type: String,
+        required: true,
+        match: /^[0-9]{2}$/
+    },
+    transMode: {
+        type: String,
+        enum: ['Road', 'Rail', 'Air', 'Ship'],
+        required: true
+    },
+    vehicleNo: String,
+    transDocNo: String,
+    transDocDate: Date,
+    currentLocation: String,
+    generatedDate: Date,
+
+    eWayBills: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EWayBill'
+    }],
+
+    // Generation and regeneration history; each vehicle change issues a new CEWB number
+    history: [{
+        action: {
+            type: String,
+            enum: ['generated', 'regenerated']
+        },
+        cewbNo: String,
+        timestamp: { type: Date, default: Date.now },
+        location: String,
+        reasonCode: Number,
+        vehicleNo: String,
+        transDocNo: String,
+        remarks: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+consolidatedEWayBillSchema.index({ user: 1, generatedDate: -1 });
+consolidatedEWayBillSchema.index({ vehicleNo: 1 });
+consolidatedEWayBillSchema.index({ eWayBills: 1 });
+
+// Static method to check that e-way bills can travel together under one CEWB; bills already in another
+// consolidated e-way bill than `consolidatedId` are rejected
+consolidatedEWayBillSchema.statics.validateMembers = function(eWayBills, now = new Date(), consolidatedId = null) {
+    const errors = [];
+
+    if (eWayBills.length === 0) {
+        errors.push({ field: 'eWayBills', message: 'At least one E-Way Bill is required', severity: 'error' });
+        return errors;
+    }
+
+    const [first] = eWayBills;
+    const samePlace = (eWayBill) => (
+        eWayBill.fromStateCode === first.fromStateCode &&
+        eWayBill.fromPlace.trim().toLowerCase() === first.fromPlace.trim().toLowerCase()
+    );
+
+    eWayBills.forEach((eWayBill, index) => {
+        if (!isEWayBillActive(eWayBill, now)) {
+            const reason = eWayBill.status === 'generated' ? 'expired' : eWayBill.status;
+            errors.push({ field: `eWayBills[${index}]`, message: `E-Way Bill ${eWayBill.ewbNo || eWayBill._id} is ${reason}`, severity: 'error' });
+        }
+        if (eWayBill.consolidatedEWayBill && String(eWayBill.consolidatedEWayBill) !== String(consolidatedId)) {
+            errors.push({ field: `eWayBills[${index}]`, message: `E-Way Bill ${eWayBill.ewbNo || eWayBill._id} is already in another consolidated E-Way Bill`, severity: 'error' });
+        }
+        if (!samePlace(eWayBill)) {
+            errors.push({
+                field: `eWayBills[${index}]`,
+                message: `E-Way Bill ${eWayBill.ewbNo || eWayBill._id} starts from ${eWayBill.fromPlace} (${eWayBill.fromStateCode}), not ${first.fromPlace} (${first.fromStateCode})`,
+                severity: 'error'
+            });
+        }
+    });
+
+    return errors;
+};
+
+// Method to assign the trip's transport details to every member e-way bill as a Part-B update
+consolidatedEWayBillSchema.methods.applyTransportToMembers = function(eWayBills, details, now = new Date()) {
+    eWayBills.forEach(eWayBill => {
+        const unchanged = eWayBill.validUpto &&
+            eWayBill.transMode === this.transMode &&
+            eWayBill.vehicleNo === this.vehicleNo &&
+            (this.transMode === 'Road' || eWayBill.transDocNo === this.transDocNo);
+        if (unchanged) return;
+
+        eWayBill.updatePartB({
+            // First-time Part-B for bills generated without one; otherwise the goods are moved to this conveyance
+            reasonCode: eWayBill.validUpto ? details.reasonCode || 2 : 4,
+            transMode: this.transMode,
+            vehicleNo: this.vehicleNo,
+            transDocNo: this.transDocNo,
+            transDocDate: this.transDocDate,
+            fromPlace: this.currentLocation,
+            remarks: `Consolidated in CEWB ${this.cewbNo}`
+        }, now);
+    });
+};
+
+// Method to generate the CEWB for a set of validated member e-way bills
+consolidatedEWayBillSchema.methods.generate = function(eWayBills, cewbNo, now = new Date()) {
+    const [first] = eWayBills;
+
+    this.cewbNo = cewbNo;
+    this.generatedDate = now;
+    this.fromPlace = first.fromPlace;
+    this.fromStateCode = first.fromStateCode;
+    this.currentLocation = first.fromPlace;
+    this.vehicleNo = this.transMode === 'Road' ? normalizeVehicleNo(this.vehicleNo) : undefined;
+    this.eWayBills = eWayBills.map(eWayBill => eWayBill._id);
+
+    this.applyTransportToMembers(eWayBills, {}, now);
+
+    this.history.push({
+        action: 'generated',
+        cewbNo,
+        timestamp: now,
+        location: this.fromPlace,
+        vehicleNo: this.vehicleNo,
+        transDocNo: this.transDocNo
+    });
+};
+
+// Method to regenerate the CEWB under a new number after a change of vehicle or transport document
+consolidatedEWayBillSchema.methods.regenerate = function(eWayBills, details, cewbNo, now = new Date()) {
+    if (!PART_B_REASONS[details.reasonCode]) {
+        throw new Error('Invalid vehicle change reason');
+    }
+
+    const previousCewbNo = this.cewbNo;
+    this.cewbNo = cewbNo;
+    this.generatedDate = now;
+    this.transMode = details.transMode || this.transMode;
+    this.vehicleNo = this.transMode === 'Road' ? normalizeVehicleNo(details.vehicleNo) : undefined;
+    this.transDocNo = details.transDocNo;
+    this.transDocDate = details.transDocDate;
+    this.currentLocation = details.fromPlace;
+
+    this.applyTransportToMembers(eWayBills, details, now);
+
+    this.history.push({
+        action: 'regenerated',
+        cewbNo,
+        timestamp: now,
+        location: details.fromPlace,
+        reasonCode: Number(details.reasonCode),
+        vehicleNo: this.vehicleNo,
+        transDocNo: this.transDocNo,
+        remarks: `${details.remarks || PART_B_REASONS[details.reasonCode]} (replaces CEWB ${previousCewbNo})`
+    });
+};
+
+const ConsolidatedEWayBill = mongoose.model('ConsolidatedEWayBill', consolidatedEWayBillSchema);
+
+module.exports = ConsolidatedEWayBill;
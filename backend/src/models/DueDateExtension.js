@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const dueDateExtensionSchema = new mongoose.Schema({
+    returnType: {
+        type: String,
+        enum: ['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C', 'CMP08'],
+        required: true
+    },
+    // Any month of the tax period; quarterly and annual periods are matched on the quarter or financial year
+    period: {
+        month: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 12
+        },
+        year: {
+            type: Number,
+            required: true,
+            min: 2017
+        }
+    },
+    filingFrequency: {
+        type: String,
+        enum: ['monthly', 'quarterly']
+    },
+    // Empty means the extension applies to all states
+    stateCodes: [{
+        type: String,
+        match: /^[0-9]{2}$/
+    }],
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    notification: {
+        type: String,
+        trim: true
+    },
+    remarks: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+dueDateExtensionSchema.index({ returnType: 1, 'period.year': -1, 'period.month': -1 });
+
+// Static method to get active extensions, optionally for some return types
+dueDateExtensionSchema.statics.findActive = function(returnTypes) {
+    const query = { isActive: true };
+    if (returnTypes) {
+        query.returnType = { $in: [].concat(returnTypes) };
+    }
+    return this.find(query).lean();
+};
+
+const DueDateExtension = mongoose.model('DueDateExtension', dueDateExtensionSchema);
+
+module.exports = DueDateExtension;
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { gstinSchemaValidator } = require('../utils/gstin');
+
+const eInvoiceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'generated', 'failed', 'cancelled'],
+        default: 'draft'
+    },
+
+    // Document identity; the IRN is unique for these four values
+    sellerGstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    financialYear: {
+        type: String,
+        required: true,
+        match: /^[0-9]{4}-[0-9]{2}$/
+    },
+    documentType: {
+        type: String,
+        enum: ['INV', 'CRN', 'DBN'],
+        required: true
+    },
+    documentNumber: {
+        type: String,
+        required: true
+    },
+    documentDate: {
+        type: Date,
+        required: true
+    },
+    supplyType: {
+        type: String,
+        enum: ['B2B', 'SEZWP', 'SEZWOP', 'EXPWP', 'EXPWOP', 'DEXP'],
+        default: 'B2B'
+    },
+    buyerGstin: String,
+    totalInvoiceValue: Number,
+
+    // Sales invoice as entered and the INV-01 JSON built from it
+    invoice: mongoose.Schema.Types.Mixed,
+    payload: mongoose.Schema.Types.Mixed,
+    irnHash: {
+        type: String,
+        required: true
+    },
+
+    // IRP acknowledgement
+    irp: {
+        provider: String,
+        irn: String,
+        ackNo: String,
+        ackDate: String,
+        signedInvoice: String,
+        signedQRCode: String,
+        ewbNo: String,
+        ewbDate: String,
+        ewbValidTill: String,
+        generatedAt: Date,
+        signatureVerified: Boolean,
+        error: String
+    },
+
+    validationErrors: [{
+        field: String,
+        message: String,
+        severity: {
+            type: String,
+            enum: ['error', 'warning'],
+            default: 'error'
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+eInvoiceSchema.index({ sellerGstin: 1, financialYear: 1, documentType: 1, documentNumber: 1 }, { unique: true });
+eInvoiceSchema.index({ user: 1, documentDate: -1 });
+eInvoiceSchema.index({ 'irp.irn': 1 }, { sparse: true });
+
+// Method to record an IRP response after checking it belongs to this document
+eInvoiceSchema.methods.applyIRPResponse = function(response, verification = {}) {
+    if (!response.success) {
+        this.status = 'failed';
+        this.irp = { ...(this.irp || {}), provider: response.provider, error: response.error };
+        return false;
+    }
+
+    if (!response.irn || response.irn.toLowerCase() !== this.irnHash) {
+        throw new Error('IRN returned by the IRP does not match the document');
+    }
+
+    this.status = 'generated';
+    this.irp = {
+        provider: response.provider,
+        irn: response.irn,
+        ackNo: response.ackNo,
+        ackDate: response.ackDate,
+        signedInvoice: response.signedInvoice,
+        signedQRCode: response.signedQRCode,
+        ewbNo: response.ewbNo,
+        ewbDate: response.ewbDate,
+        ewbValidTill: response.ewbValidTill,
+        generatedAt: new Date(),
+        signatureVerified: Boolean(verification.signatureVerified)
+    };
+    return true;
+};
+
+const EInvoice = mongoose.model('EInvoice', eInvoiceSchema);
+
+module.exports = EInvoice;
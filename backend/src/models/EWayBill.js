@@ -1,4 +1,24 @@
 const mongoose = require('mongoose');
+const HSNCode = require('./HSNCode');
+const Pincode = require('./Pincode');
+const { resolvePlaceOfSupply, splitRate } = require('../utils/placeOfSupply');
+const { decodeGSTIN, gstinSchemaValidator } = require('../utils/gstin');
+const {
+    PART_B_REASONS,
+    EXTENSION_REASONS,
+    CANCEL_REASONS,
+    VEHICLE_NO_REGEX,
+    normalizeVehicleNo,
+    calculateValidUpto,
+    isPartBComplete,
+    getExtensionWindow,
+    getCancellationDeadline
+} = require('../utils/eWayBill');
+const { STATE_CODES } = require('../utils/placeOfSupply');
+const { MAX_DISTANCE, suggestRoadDistance } = require('../utils/pincode');
+
+// Address blocks that carry their own place, pincode and state code
+const ADDRESS_BLOCKS = ['from', 'to', 'dispatchFrom', 'shipTo'];
 
 const eWayBillSchema = new mongoose.Schema({
     user: {
@@ -46,7 +66,7 @@ const eWayBillSchema = new mongoose.Schema({
     fromGstin: {
         type: String,
         required: true,
-        match: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/
+        validate: gstinSchemaValidator
     },
     fromTrdName: {
         type: String,
@@ -75,7 +95,7 @@ const eWayBillSchema = new mongoose.Schema({
     // Recipient Details
     toGstin: {
         type: String,
-        match: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/
+        validate: gstinSchemaValidator
     },
     toTrdName: {
         type: String,
@@ -239,10 +259,22 @@ const eWayBillSchema = new mongoose.Schema({
     },
     
     // E-Way Bill Specific
+    // Not set until Part-B (vehicle or transport document) is entered
     validUpto: Date,
     generatedDate: Date,
+    extensionCount: {
+        type: Number,
+        default: 0
+    },
     cancelledDate: Date,
+    cancelReasonCode: Number,
     cancelReason: String,
+    cancelRemarks: String,
+    // Consolidated e-way bill the goods travel under; a bill belongs to one at a time
+    consolidatedEWayBill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ConsolidatedEWayBill'
+    },
     
     // Additional Info
     mainHsnCode: String,
@@ -254,9 +286,17 @@ const eWayBillSchema = new mongoose.Schema({
     // Tracking
     currentLocation: String,
     trackingHistory: [{
+        action: {
+            type: String,
+            enum: ['generated', 'part_b_updated', 'extended', 'cancelled', 'expired']
+        },
         location: String,
         timestamp: { type: Date, default: Date.now },
         status: String,
+        reasonCode: Number,
+        vehicleNo: String,
+        transDocNo: String,
+        validUpto: Date,
         remarks: String
     }],
     
@@ -281,6 +321,7 @@ eWayBillSchema.index({ user: 1, status: 1 });
 eWayBillSchema.index({ ewbNo: 1 });
 eWayBillSchema.index({ fromGstin: 1, docDate: -1 });
 eWayBillSchema.index({ validUpto: 1, status: 1 });
+eWayBillSchema.index({ consolidatedEWayBill: 1 });
 
 // Virtual for expiry status
 eWayBillSchema.virtual('isExpired').get(function() {
@@ -294,6 +335,52 @@ eWayBillSchema.virtual('daysUntilExpiry').get(function() {
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Method to determine place of supply (section 10/11 of the IGST Act) for the consignment
+eWayBillSchema.methods.getPlaceOfSupply = function() {
+    const billToShipTo = ['Bill To - Ship To', 'Combination of 2 and 3'].includes(this.transactionType);
+    
+    return resolvePlaceOfSupply({
+        supplyType: 'goods',
+        supplierState: this.fromStateCode,
+        supplierGstin: this.fromGstin,
+        recipientState: this.toStateCode,
+        recipientGstin: this.toGstin,
+        deliveryState: this.shipToStateCode || this.toStateCode,
+        billToShipTo,
+        isExport: this.subType === 'Export',
+        isImport: this.subType === 'Import'
+    });
+};
+
+// Method to list the pincodes on the e-way bill for a pincode master lookup
+eWayBillSchema.methods.getPincodes = function() {
+    return ADDRESS_BLOCKS.map(prefix => this[`${prefix}Pincode`]).filter(Boolean);
+};
+
+// Method to suggest the road distance from the dispatch pincode to the delivery pincode
+eWayBillSchema.methods.getDistanceSuggestion = function(pincodes) {
+    const origin = pincodes.find(record => record.pincode === (this.dispatchFromPincode || this.fromPincode));
+    const destination = pincodes.find(record => record.pincode === (this.shipToPincode || this.toPincode));
+    return origin && destination ? suggestRoadDistance(origin, destination) : null;
+};
+
+// Method to fill missing places and state codes from the pincode master, and the distance when none is declared
+eWayBillSchema.methods.applyPincodeMaster = function(pincodes) {
+    ADDRESS_BLOCKS.forEach(prefix => {
+        const record = pincodes.find(entry => entry.pincode === this[`${prefix}Pincode`]);
+        if (!record) return;
+        if (!this[`${prefix}Place`]) this[`${prefix}Place`] = record.place;
+        if (!this[`${prefix}StateCode`]) this[`${prefix}StateCode`] = record.stateCode;
+    });
+    
+    const suggestion = this.getDistanceSuggestion(pincodes);
+    if ((this.transDistance === undefined || this.transDistance === null) && suggestion && suggestion.distance) {
+        this.transDistance = suggestion.distance;
+    }
+    
+    return suggestion;
+};
+
 // Method to calculate totals
 eWayBillSchema.methods.calculateTotals = function() {
     let totalValue = 0;
@@ -303,7 +390,19 @@ eWayBillSchema.methods.calculateTotals = function() {
     let cessValue = 0;
     let cessNonAdvolValue = 0;
     
+    const placeOfSupply = this.getPlaceOfSupply();
+    
     this.itemList.forEach(item => {
+        // Re-split each item's rate as IGST or CGST + SGST/UTGST per the place of supply; the rates
+        // are kept as entered when neither party's state is known
+        if (!placeOfSupply.assumed) {
+            const gstRate = item.igstRate || (item.cgstRate + item.sgstRate);
+            const rates = splitRate(gstRate, placeOfSupply);
+            item.igstRate = rates.igst;
+            item.cgstRate = rates.cgst;
+            item.sgstRate = rates.sgst + rates.utgst;
+        }
+        
         totalValue += item.taxableAmount;
         cgstValue += (item.taxableAmount * item.cgstRate) / 100;
         sgstValue += (item.taxableAmount * item.sgstRate) / 100;
@@ -327,27 +426,66 @@ eWayBillSchema.methods.calculateTotals = function() {
         igstValue,
         cessValue,
         cessNonAdvolValue,
-        totalInvoiceValue: this.totalInvoiceValue
+        totalInvoiceValue: this.totalInvoiceValue,
+        placeOfSupply
     };
 };
 
-// Method to validate e-way bill data
-eWayBillSchema.methods.validateEWayBillData = function() {
+// Method to validate e-way bill data; pass HSN master records to check item rates against the document date
+eWayBillSchema.methods.validateEWayBillData = function(options = {}) {
     const errors = [];
+    const { hsnCodes, pincodes } = options;
     
     // Basic validations
-    if (!this.fromGstin.match(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/)) {
-        errors.push({ field: 'fromGstin', message: 'Invalid supplier GSTIN format', severity: 'error' });
+    const fromGstin = decodeGSTIN(this.fromGstin);
+    if (!fromGstin.valid) {
+        errors.push({ field: 'fromGstin', message: `Invalid supplier GSTIN: ${fromGstin.errors[0]}`, severity: 'error' });
     }
     
-    if (this.toGstin && !this.toGstin.match(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/)) {
-        errors.push({ field: 'toGstin', message: 'Invalid recipient GSTIN format', severity: 'error' });
+    const toGstin = this.toGstin ? decodeGSTIN(this.toGstin) : null;
+    if (toGstin && !toGstin.valid) {
+        errors.push({ field: 'toGstin', message: `Invalid recipient GSTIN: ${toGstin.errors[0]}`, severity: 'error' });
     }
     
     if (this.totalInvoiceValue < 50000 && this.transDistance < 10) {
         errors.push({ field: 'totalInvoiceValue', message: 'E-Way Bill not required for consignments below ₹50,000 and distance less than 10 km', severity: 'warning' });
     }
     
+    if (this.transDistance > MAX_DISTANCE) {
+        errors.push({ field: 'transDistance', message: `Distance cannot exceed ${MAX_DISTANCE} km`, severity: 'error' });
+    }
+    
+    // Pincode validations against the pincode master
+    if (pincodes) {
+        ADDRESS_BLOCKS.forEach(prefix => {
+            const pincode = this[`${prefix}Pincode`];
+            const stateCode = this[`${prefix}StateCode`];
+            if (!pincode) return;
+            
+            const record = pincodes.find(entry => entry.pincode === pincode);
+            if (!record) {
+                errors.push({ field: `${prefix}Pincode`, message: `Pincode ${pincode} not found in pincode master`, severity: 'warning' });
+            } else if (stateCode && STATE_CODES[stateCode] && record.stateCode !== stateCode) {
+                errors.push({
+                    field: `${prefix}StateCode`,
+                    message: `Pincode ${pincode} is in ${record.stateName || STATE_CODES[record.stateCode].name} (${record.stateCode}), not state code ${stateCode}`,
+                    severity: 'error'
+                });
+            }
+        });
+        
+        const suggestion = this.getDistanceSuggestion(pincodes);
+        if (suggestion && this.transDistance > suggestion.maxAllowed) {
+            errors.push({
+                field: 'transDistance',
+                message: suggestion.samePincode
+                    ? `Distance within the same pincode cannot exceed ${suggestion.maxAllowed} km`
+                    : `Declared distance ${this.transDistance} km exceeds ${suggestion.maxAllowed} km allowed (approximate road distance ${suggestion.distance} km)`,
+                severity: 'warning'
+            });
+        }
+    }
+    
     // Item validations
     if (!this.itemList || this.itemList.length === 0) {
         errors.push({ field: 'itemList', message: 'At least one item is required', severity: 'error' });
@@ -361,12 +499,230 @@ eWayBillSchema.methods.validateEWayBillData = function() {
         if (item.quantity <= 0) {
             errors.push({ field: `itemList[${index}].quantity`, message: 'Quantity must be greater than 0', severity: 'error' });
         }
+        
+        if (hsnCodes) {
+            const hsn = hsnCodes.find(code => code.code === item.hsnCode);
+            const docDate = this.docDate || new Date();
+            const masterRate = hsn ? hsn.getEffectiveGSTRateOn(docDate) : null;
+            const itemRate = item.igstRate || (item.cgstRate + item.sgstRate);
+            
+            if (!hsn) {
+                errors.push({ field: `itemList[${index}].hsnCode`, message: `HSN code ${item.hsnCode} not found in HSN master`, severity: 'warning' });
+            } else if (!hsn.hasKnownRate()) {
+                errors.push({ field: `itemList[${index}].igstRate`, message: `HSN master has no GST rate for ${item.hsnCode}; rate not checked`, severity: 'warning' });
+            } else if (masterRate === null) {
+                errors.push({ field: `itemList[${index}].hsnCode`, message: `No GST rate in force for HSN ${item.hsnCode} on ${docDate.toDateString()}`, severity: 'error' });
+            } else if (Math.abs(masterRate - itemRate) > 0.001) {
+                const rates = hsn.getRatesOn(docDate);
+                errors.push({
+                    field: `itemList[${index}].igstRate`,
+                    message: `GST rate ${itemRate}% does not match ${masterRate}% in force for HSN ${item.hsnCode} on ${docDate.toDateString()}${rates.notificationNo ? ` (notification ${rates.notificationNo})` : ''}`,
+                    severity: 'error'
+                });
+            }
+        }
     });
     
     this.validationErrors = errors;
     return errors;
 };
 
+// Method to generate the e-way bill; validity starts once Part-B is available
+eWayBillSchema.methods.generate = function(now = new Date()) {
+    this.status = 'generated';
+    this.generatedDate = now;
+    this.validUpto = isPartBComplete(this) ? calculateValidUpto(this.transDistance, this.vehicleType, now) : undefined;
+    this.currentLocation = this.fromPlace;
+    
+    this.trackingHistory.push({
+        action: 'generated',
+        location: this.fromPlace,
+        timestamp: now,
+        status: this.status,
+        vehicleNo: this.vehicleNo,
+        transDocNo: this.transDocNo,
+        validUpto: this.validUpto,
+        remarks: this.validUpto ? undefined : 'Part-B pending'
+    });
+    
+    return this.validUpto;
+};
+
+// Method to update the vehicle or transport document (Part-B)
+eWayBillSchema.methods.updatePartB = function(details, now = new Date()) {
+    if (this.status !== 'generated') {
+        throw new Error(`Part-B cannot be updated on a ${this.status} E-Way Bill`);
+    }
+    if (this.validUpto && this.validUpto < now) {
+        throw new Error('E-Way Bill validity has expired');
+    }
+    if (!PART_B_REASONS[details.reasonCode]) {
+        throw new Error('Invalid Part-B update reason');
+    }
+    
+    const transMode = details.transMode || this.transMode;
+    const vehicleNo = normalizeVehicleNo(details.vehicleNo);
+    if (transMode === 'Road') {
+        if (!vehicleNo) {
+            throw new Error('Vehicle number is required for road transport');
+        }
+        if (!VEHICLE_NO_REGEX.test(vehicleNo)) {
+            throw new Error(`Invalid vehicle number ${vehicleNo}`);
+        }
+    } else if (!details.transDocNo) {
+        throw new Error(`Transport document number is required for ${transMode.toLowerCase()} transport`);
+    }
+    
+    const firstEntry = !this.validUpto;
+    this.transMode = transMode;
+    this.vehicleNo = transMode === 'Road' ? vehicleNo : undefined;
+    if (details.vehicleType) this.vehicleType = details.vehicleType;
+    if (details.transDocNo !== undefined) this.transDocNo = details.transDocNo;
+    if (details.transDocDate !== undefined) this.transDocDate = details.transDocDate;
+    if (details.fromPlace) this.currentLocation = details.fromPlace;
+    if (firstEntry) {
+        this.validUpto = calculateValidUpto(this.transDistance, this.vehicleType, now);
+    }
+    
+    this.trackingHistory.push({
+        action: 'part_b_updated',
+        location: details.fromPlace,
+        timestamp: now,
+        status: this.status,
+        reasonCode: Number(details.reasonCode),
+        vehicleNo: this.vehicleNo,
+        transDocNo: this.transDocNo,
+        validUpto: this.validUpto,
+        remarks: details.remarks || PART_B_REASONS[details.reasonCode]
+    });
+    
+    return this.validUpto;
+};
+
+// Method to extend validity for the remaining distance within 8 hours either side of expiry
+eWayBillSchema.methods.extendValidity = function(details, now = new Date()) {
+    if (!['generated', 'expired'].includes(this.status)) {
+        throw new Error(`Validity of a ${this.status} E-Way Bill cannot be extended`);
+    }
+    if (!this.validUpto) {
+        throw new Error('Part-B must be updated before validity can be extended');
+    }
+    
+    const extensionWindow = getExtensionWindow(this.validUpto);
+    if (now < extensionWindow.from || now > extensionWindow.to) {
+        throw new Error(`Validity can only be extended between ${extensionWindow.from.toISOString()} and ${extensionWindow.to.toISOString()}`);
+    }
+    if (!EXTENSION_REASONS[details.reasonCode]) {
+        throw new Error('Invalid extension reason');
+    }
+    if (!details.remarks) {
+        throw new Error('Remarks are required to extend validity');
+    }
+    if (!details.currentPlace) {
+        throw new Error('Current place of the consignment is required');
+    }
+    const remainingDistance = Number(details.remainingDistance);
+    if (!(remainingDistance > 0) || remainingDistance > this.transDistance) {
+        throw new Error(`Remaining distance must be between 1 and ${this.transDistance} km`);
+    }
+    
+    this.validUpto = calculateValidUpto(remainingDistance, this.vehicleType, this.validUpto);
+    this.status = 'generated';
+    this.extensionCount += 1;
+    this.currentLocation = details.currentPlace;
+    
+    this.trackingHistory.push({
+        action: 'extended',
+        location: details.currentPlace,
+        timestamp: now,
+        status: this.status,
+        reasonCode: Number(details.reasonCode),
+        vehicleNo: this.vehicleNo,
+        validUpto: this.validUpto,
+        remarks: `${EXTENSION_REASONS[details.reasonCode]}: ${details.remarks} (${remainingDistance} km remaining)`
+    });
+    
+    return this.validUpto;
+};
+
+// Method to cancel within 24 hours of generation
+eWayBillSchema.methods.cancel = function(details, now = new Date()) {
+    if (this.status !== 'generated') {
+        throw new Error(`A ${this.status} E-Way Bill cannot be cancelled`);
+    }
+    if (now > getCancellationDeadline(this.generatedDate)) {
+        throw new Error('E-Way Bill can only be cancelled within 24 hours of generation');
+    }
+    if (!CANCEL_REASONS[details.reasonCode]) {
+        throw new Error('Invalid cancellation reason');
+    }
+    
+    this.status = 'cancelled';
+    this.cancelledDate = now;
+    this.cancelReasonCode = Number(details.reasonCode);
+    this.cancelReason = CANCEL_REASONS[details.reasonCode];
+    this.cancelRemarks = details.remarks;
+    
+    this.trackingHistory.push({
+        action: 'cancelled',
+        location: this.currentLocation,
+        timestamp: now,
+        status: this.status,
+        reasonCode: this.cancelReasonCode,
+        remarks: details.remarks || this.cancelReason
+    });
+};
+
+// Static method to build a draft from submitted data: pincode auto-fill, totals and validation against the masters
+eWayBillSchema.statics.prepareDraft = async function(data, userId) {
+    const eWayBill = new this({ ...data, user: userId });
+    
+    // Fill places, state codes and distance from the pincode master where not given
+    const pincodes = await Pincode.findByPincodes(eWayBill.getPincodes());
+    eWayBill.applyPincodeMaster(pincodes);
+    
+    // Calculate totals (tax split follows the place of supply); schema errors are reported first
+    let totalsError = null;
+    try {
+        eWayBill.calculateTotals();
+    } catch (error) {
+        totalsError = error;
+    }
+    
+    const schemaErrors = eWayBill.validateSync();
+    if (schemaErrors) {
+        const errors = Object.values(schemaErrors.errors).map(error => ({
+            field: error.path,
+            message: error.path === 'transDistance' && error.kind === 'required'
+                ? 'Transport distance is required when it cannot be derived from the pincodes'
+                : error.message,
+            severity: 'error'
+        }));
+        return { eWayBill, errors };
+    }
+    if (totalsError) {
+        return { eWayBill, errors: [{ field: 'itemList', message: totalsError.message, severity: 'error' }] };
+    }
+    
+    // Validate item rates in force on the document date and pincode states
+    const hsnCodes = await HSNCode.find({ code: { $in: eWayBill.itemList.map(item => item.hsnCode) } });
+    const errors = eWayBill.validateEWayBillData({ hsnCodes, pincodes });
+    
+    return { eWayBill, errors };
+};
+
+// Static method to mark e-way bills past their validity as expired
+eWayBillSchema.statics.expireEWayBills = async function(asOf = new Date()) {
+    const result = await this.updateMany(
+        { status: 'generated', validUpto: { $lt: asOf } },
+        {
+            $set: { status: 'expired' },
+            $push: { trackingHistory: { action: 'expired', timestamp: asOf, status: 'expired', remarks: 'Validity expired' } }
+        }
+    );
+    return result.modifiedCount;
+};
+
 // Static method to find expiring e-way bills
 eWayBillSchema.statics.findExpiringEWayBills = function(days = 1) {
     const futureDate = new Date();
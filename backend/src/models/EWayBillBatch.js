@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const EWayBill = require('./EWayBill');
+
+// A phase that has not saved progress for this long is taken to have died with its process
+const STALE_BATCH_MS = 30 * 60 * 1000;
+
+// Bulk e-way bill upload tracked as a job: drafts are created bill by bill, then generated in one action
+const eWayBillBatchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    fileName: String,
+    format: {
+        type: String,
+        enum: ['json', 'excel'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['validating', 'validated', 'generating', 'completed', 'failed'],
+        default: 'validating'
+    },
+    error: String,
+
+    // Progress of the current phase (validation or generation)
+    progress: {
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 }
+    },
+    summary: {
+        bills: { type: Number, default: 0 },
+        drafts: { type: Number, default: 0 },
+        invalid: { type: Number, default: 0 },
+        generated: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+
+    // One entry per bill in the file, with its row-level errors
+    items: [{
+        ref: String,
+        docNo: String,
+        status: {
+            type: String,
+            enum: ['pending', 'draft', 'invalid', 'generated', 'failed'],
+            default: 'pending'
+        },
+        eWayBill: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EWayBill'
+        },
+        ewbNo: String,
+        validationErrors: [{
+            field: String,
+            message: String,
+            severity: { type: String, enum: ['error', 'warning', 'info'] }
+        }]
+    }],
+
+    startedAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true }
+});
+
+// Indexes
+eWayBillBatchSchema.index({ user: 1, createdAt: -1 });
+eWayBillBatchSchema.index({ status: 1, updatedAt: 1 });
+
+// Virtual for progress percentage of the current phase
+eWayBillBatchSchema.virtual('percentComplete').get(function() {
+    if (!this.progress || !this.progress.total) return 0;
+    return Math.round((this.progress.processed / this.progress.total) * 100);
+});
+
+// Method to start a phase over a number of bills
+eWayBillBatchSchema.methods.startPhase = function(status, total) {
+    this.status = status;
+    this.progress = { total, processed: 0 };
+    this.startedAt = new Date();
+    this.completedAt = undefined;
+};
+
+// Method to recount bills by status
+eWayBillBatchSchema.methods.updateSummary = function() {
+    const count = (status) => this.items.filter(item => item.status === status).length;
+    this.summary = {
+        bills: this.items.length,
+        drafts: count('draft'),
+        invalid: count('invalid'),
+        generated: count('generated'),
+        failed: count('failed')
+    };
+};
+
+// Static method to finish batches whose validation or generation stopped without completing, e.g. when
+// the server restarted mid-phase. Bills drafted or generated after the last progress save are picked up
+// from their e-way bills; a batch that saved progress meanwhile is left to its running phase.
+eWayBillBatchSchema.statics.recoverStaleBatches = async function(asOf = new Date(), staleAfter = STALE_BATCH_MS) {
+    const stale = await this.find({
+        status: { $in: ['validating', 'generating'] },
+        updatedAt: { $lt: new Date(asOf.getTime() - staleAfter) }
+    });
+    
+    let recovered = 0;
+    for (const batch of stale) {
+        const phase = batch.status;
+        const eWayBills = await EWayBill.find({
+            user: batch.user,
+            createdAt: { $gte: batch.createdAt }
+        }).select('docNo status ewbNo');
+        
+        batch.items.forEach(item => {
+            if (phase === 'validating' && item.status === 'pending') {
+                const drafted = eWayBills.filter(eWayBill => eWayBill.docNo === item.docNo && eWayBill.status === 'draft' &&
+                    !batch.items.some(other => String(other.eWayBill) === String(eWayBill._id)));
+                if (drafted.length === 1) {
+                    item.eWayBill = drafted[0]._id;
+                    item.status = 'draft';
+                } else {
+                    item.status = 'invalid';
+                    item.validationErrors.push({ field: 'document', message: 'Validation was interrupted before this bill; upload it again', severity: 'error' });
+                }
+            }
+            if (phase === 'generating' && item.status === 'draft') {
+                const eWayBill = eWayBills.find(bill => String(bill._id) === String(item.eWayBill));
+                if (eWayBill && eWayBill.status !== 'draft' && eWayBill.ewbNo) {
+                    item.ewbNo = eWayBill.ewbNo;
+                    item.status = 'generated';
+                }
+            }
+        });
+        batch.updateSummary();
+        
+        const interrupted = phase === 'validating'
+            ? 'Validation was interrupted; bills not validated are marked invalid'
+            : batch.summary.drafts > 0
+                ? 'Generation was interrupted; generate the batch again for the remaining drafts'
+                : undefined;
+        const result = await this.updateOne(
+            { _id: batch._id, status: phase, updatedAt: batch.updatedAt },
+            {
+                $set: {
+                    status: phase === 'validating' ? 'validated' : 'completed',
+                    error: interrupted,
+                    items: batch.items,
+                    summary: batch.summary,
+                    completedAt: asOf
+                }
+            }
+        );
+        recovered += result.modifiedCount;
+    }
+    return recovered;
+};
+
+const EWayBillBatch = mongoose.model('EWayBillBatch', eWayBillBatchSchema);
+
+module.exports = EWayBillBatch;
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const DueDateExtension = require('./DueDateExtension');
+const LedgerEntry = require('./LedgerEntry');
+const { decodeGSTIN, gstinSchemaValidator } = require('../utils/gstin');
+const { calculateLateFee, calculateInterest } = require('../utils/lateFee');
+const { TAX_HEADS, computeSetOff } = require('../utils/setOff');
+const { COMPOSITION_CATEGORIES, getFinancialYear } = require('../utils/composition');
+const { findUnexplainedDifferences } = require('../utils/gstr9cDifferences');
+const { validateNotes, validateAmendments, forEachAmendment, getOriginalReturns } = require('../utils/gstr1Amendments');
+const { validateHSNSummary } = require('../utils/gstr1Summaries');
+const { FILING_FREQUENCIES, getFrequency, getPeriodEnd, resolveDueDate, getDeadlines } = require('../utils/complianceCalendar');
+
+// Row of the GSTR-1 HSN summary (table 12)
+const hsnSummaryRow = {
+    num: Number,
+    hsn_sc: String,
+    desc: String,
+    uqc: String,
+    qty: Number,
+    rt: Number,
+    txval: Number,
+    iamt: Number,
+    camt: Number,
+    samt: Number,
+    csamt: Number
+};
 
 const gstReturnSchema = new mongoose.Schema({
     user: {
@@ -9,11 +34,11 @@ const gstReturnSchema = new mongoose.Schema({
     gstin: {
         type: String,
         required: true,
-        match: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/
+        validate: gstinSchemaValidator
     },
     returnType: {
         type: String,
-        enum: ['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C'],
+        enum: ['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C', 'CMP08'],
         required: true
     },
     period: {
@@ -29,6 +54,11 @@ const gstReturnSchema = new mongoose.Schema({
             min: 2017
         }
     },
+    filingFrequency: {
+        type: String,
+        enum: FILING_FREQUENCIES,
+        default: 'monthly'
+    },
     status: {
         type: String,
         enum: ['draft', 'filed', 'processed', 'rejected', 'amended'],
@@ -43,6 +73,8 @@ const gstReturnSchema = new mongoose.Schema({
     
     // GSTR-1 specific fields
     gstr1Data: {
+        gt: Number, // Aggregate turnover of the preceding financial year
+        cur_gt: Number, // Aggregate turnover for April-June of the preceding financial year
         b2b: [{
             ctin: String,
             invoices: [{
@@ -91,13 +123,199 @@ const gstReturnSchema = new mongoose.Schema({
             camt: Number,
             samt: Number,
             csamt: Number
-        }]
+        }],
+        exp: [{
+            exp_typ: { type: String, enum: ['WPAY', 'WOPAY'] },
+            invoices: [{
+                inum: String,
+                idt: Date,
+                val: Number,
+                sbpcode: String,
+                sbnum: String,
+                sbdt: Date,
+                items: [{
+                    txval: Number,
+                    rt: Number,
+                    iamt: Number,
+                    csamt: Number
+                }]
+            }]
+        }],
+        cdnr: [{
+            ctin: String,
+            notes: [{
+                ntty: { type: String, enum: ['C', 'D'] },
+                nt_num: String,
+                nt_dt: Date,
+                inum: String, // Original invoice the note is issued against
+                idt: Date,
+                val: Number,
+                pos: String,
+                rchrg: String,
+                inv_typ: String,
+                items: [{
+                    num: Number,
+                    itm_det: {
+                        rt: Number,
+                        txval: Number,
+                        iamt: Number,
+                        camt: Number,
+                        samt: Number,
+                        csamt: Number
+                    }
+                }]
+            }]
+        }],
+        cdnur: [{
+            typ: { type: String, enum: ['B2CL', 'EXPWP', 'EXPWOP'] },
+            ntty: { type: String, enum: ['C', 'D'] },
+            nt_num: String,
+            nt_dt: Date,
+            inum: String, // Original invoice the note is issued against
+            idt: Date,
+            val: Number,
+            pos: String,
+            items: [{
+                num: Number,
+                itm_det: {
+                    rt: Number,
+                    txval: Number,
+                    iamt: Number,
+                    csamt: Number
+                }
+            }]
+        }],
+        // Amendments of documents reported in an earlier return; `original` keeps the document as first
+        // reported and `previous` its latest filed amendment, so totals carry only the differential
+        b2ba: [{
+            ctin: String,
+            invoices: [{
+                oinum: String,
+                oidt: Date,
+                inum: String,
+                idt: Date,
+                val: Number,
+                pos: String,
+                rchrg: String,
+                inv_typ: String,
+                items: [{
+                    num: Number,
+                    itm_det: {
+                        rt: Number,
+                        txval: Number,
+                        iamt: Number,
+                        camt: Number,
+                        samt: Number,
+                        csamt: Number
+                    }
+                }],
+                original: mongoose.Schema.Types.Mixed,
+                previous: mongoose.Schema.Types.Mixed,
+                originalReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }
+            }]
+        }],
+        b2cla: [{
+            pos: String,
+            invoices: [{
+                oinum: String,
+                oidt: Date,
+                inum: String,
+                idt: Date,
+                val: Number,
+                items: [{
+                    num: Number,
+                    itm_det: {
+                        rt: Number,
+                        txval: Number,
+                        iamt: Number,
+                        csamt: Number
+                    }
+                }],
+                original: mongoose.Schema.Types.Mixed,
+                previous: mongoose.Schema.Types.Mixed,
+                originalReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }
+            }]
+        }],
+        b2csa: [{
+            omon: String, // Original period, MMYYYY
+            sply_ty: String,
+            pos: String,
+            typ: String,
+            rt: Number,
+            txval: Number,
+            iamt: Number,
+            camt: Number,
+            samt: Number,
+            csamt: Number,
+            original: mongoose.Schema.Types.Mixed,
+            previous: mongoose.Schema.Types.Mixed,
+            originalReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }
+        }],
+        cdnra: [{
+            ctin: String,
+            notes: [{
+                ont_num: String,
+                ont_dt: Date,
+                ntty: { type: String, enum: ['C', 'D'] },
+                nt_num: String,
+                nt_dt: Date,
+                inum: String,
+                idt: Date,
+                val: Number,
+                pos: String,
+                rchrg: String,
+                inv_typ: String,
+                items: [{
+                    num: Number,
+                    itm_det: {
+                        rt: Number,
+                        txval: Number,
+                        iamt: Number,
+                        camt: Number,
+                        samt: Number,
+                        csamt: Number
+                    }
+                }],
+                original: mongoose.Schema.Types.Mixed,
+                previous: mongoose.Schema.Types.Mixed,
+                originalReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }
+            }]
+        }],
+        // Table 12: HSN-wise summary of outward supplies, split into B2B and B2C rows from April 2025
+        hsn: {
+            data: [hsnSummaryRow],
+            hsn_b2b: [hsnSummaryRow],
+            hsn_b2c: [hsnSummaryRow]
+        },
+        // Table 13: documents issued during the period, per nature of document and number series
+        doc_issue: {
+            doc_det: [{
+                doc_num: Number,
+                doc_typ: String,
+                docs: [{
+                    num: Number,
+                    from: String,
+                    to: String,
+                    totnum: Number,
+                    cancel: Number,
+                    net_issue: Number
+                }]
+            }]
+        }
     },
 
+    // Amendments reported in later GSTR-1s against this return's documents; the filed data itself is never changed
+    amendments: [{
+        gstReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' },
+        table: { type: String, enum: ['b2ba', 'b2cla', 'b2csa', 'cdnra'] },
+        document: String,
+        createdAt: { type: Date, default: Date.now }
+    }],
+
     // GSTR-3B specific fields
     gstr3bData: {
         sup_details: {
-            osup_zero: { txval: Number, iamt: Number },
+            osup_zero: { txval: Number, iamt: Number, csamt: Number },
             osup_nil_exmp: { txval: Number },
             osup_nongst: { txval: Number },
             isup_rev: { txval: Number, iamt: Number, camt: Number, samt: Number, csamt: Number },
@@ -122,6 +340,123 @@ const gstReturnSchema = new mongoose.Schema({
         }
     },
 
+    // Computed GSTR-3B figures and their sources, kept to show variances against user overrides
+    gstr3bComputed: mongoose.Schema.Types.Mixed,
+    gstr3bSource: {
+        gstr1Return: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' },
+        reconciliation: { type: mongoose.Schema.Types.ObjectId, ref: 'ITCReconciliation' },
+        paymentRule: mongoose.Schema.Types.Mixed, // 180-day rule reversals, reclaims and interest picked up
+        preparedAt: Date
+    },
+
+    // ITC eligibility workings (section 17(5), rules 42 and 43) behind table 4(B), kept for the year-end true-up
+    itcReversal: {
+        turnover: { exempt: Number, total: Number, ratio: Number },
+        nonBusinessUse: Boolean,
+        blocked: mongoose.Schema.Types.Mixed,
+        rule42: mongoose.Schema.Types.Mixed,
+        rule43: mongoose.Schema.Types.Mixed,
+        table4B: mongoose.Schema.Types.Mixed,
+        computedAt: Date
+    },
+
+    // GSTR-3B table 6.1 payment of tax, posted to the electronic ledgers when the liability is set off
+    setOff: {
+        paidThroughItc: {
+            i_pdi: Number, i_pdc: Number, i_pds: Number,
+            c_pdi: Number, c_pdc: Number,
+            s_pdi: Number, s_pds: Number,
+            cs_pdcs: Number
+        },
+        table61: mongoose.Schema.Types.Mixed,
+        cashPaid: {
+            igst: Number,
+            cgst: Number,
+            sgst: Number,
+            cess: Number
+        },
+        // Set while the ledgers are being posted, so a concurrent set-off cannot post them again
+        startedAt: Date,
+        completedAt: Date
+    },
+    
+    // GSTR-7 table 3: tax deducted at source under section 51, one row per deductee
+    gstr7Data: {
+        tds: [{ gstin_ded: String, amt_ded: Number, iamt: Number, camt: Number, samt: Number }]
+    },
+
+    // GSTR-8 table 3: tax collected at source under section 52, one row per supplier
+    gstr8Data: {
+        tcs: [{ stin: String, supR: Number, retsupR: Number, amt: Number, iamt: Number, camt: Number, samt: Number }]
+    },
+
+    // CMP-08 table 3: composition tax on outward supplies and tax on inward supplies under reverse charge
+    cmp08Data: {
+        category: { type: String, enum: COMPOSITION_CATEGORIES },
+        rate: Number,
+        base: { type: String, enum: ['total', 'taxable'] },
+        osup: { txval: Number, camt: Number, samt: Number, csamt: Number },
+        isup_rev: { txval: Number, iamt: Number, camt: Number, samt: Number, csamt: Number },
+        tax_pay: { iamt: Number, camt: Number, samt: Number, csamt: Number }
+    },
+
+    // GSTR-4: inward supplies (table 4), CMP-08 liability (table 5) and outward supplies by rate (table 6)
+    gstr4Data: {
+        fy: String,
+        b2b: [{ ctin: String, txval: Number, iamt: Number, camt: Number, samt: Number, csamt: Number }],
+        b2b_rev: [{ ctin: String, txval: Number, iamt: Number, camt: Number, samt: Number, csamt: Number }],
+        b2bur: { txval: Number, iamt: Number, camt: Number, samt: Number, csamt: Number },
+        imp_ser: { txval: Number, iamt: Number, csamt: Number },
+        liability: {
+            osup: { txval: Number, camt: Number, samt: Number, csamt: Number },
+            isup_rev: { txval: Number, iamt: Number, camt: Number, samt: Number, csamt: Number },
+            tax_pay: { iamt: Number, camt: Number, samt: Number, csamt: Number },
+            intr: { iamt: Number, camt: Number, samt: Number, csamt: Number }
+        },
+        rate_wise: [{ rt: Number, txval: Number, camt: Number, samt: Number, csamt: Number }],
+        cmp08Returns: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }]
+    },
+
+    // GSTR-9 tables 4 to 18 in the portal layout, aggregated from the financial year's returns
+    gstr9Data: mongoose.Schema.Types.Mixed,
+    gstr9Source: {
+        gstr1Returns: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }],
+        gstr3bReturns: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }],
+        reconciliations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ITCReconciliation' }],
+        differences: mongoose.Schema.Types.Mixed, // GSTR-1 against GSTR-3B by month, to be explained by the taxpayer
+        explanations: [{
+            period: { month: Number, year: Number },
+            reason: String
+        }],
+        preparedAt: Date
+    },
+
+    // GSTR-9C part A reconciliation of the audited financial statements with the GSTR-9
+    gstr9cData: mongoose.Schema.Types.Mixed,
+    gstr9cSource: {
+        gstr9Return: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' },
+        financials: mongoose.Schema.Types.Mixed, // Trial balance or P&L figures by GSTR-9C line
+        importedAt: Date,
+        reasons: [{
+            table: { type: Number, enum: [6, 8, 10, 13, 15] },
+            reason: String,
+            amount: Number
+        }],
+        review: {
+            status: { type: String, enum: ['pending', 'approved', 'changes_requested'], default: 'pending' },
+            reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Assigned by the taxpayer
+            reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            reviewerName: String,
+            designation: String,
+            comments: String,
+            reviewedAt: Date
+        },
+        preparedAt: Date
+    },
+
+    // PMT-06 challans paying the cash liability
+    challans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Challan' }],
+
     // Common fields for all returns
     totalTaxableValue: {
         type: Number,
@@ -133,6 +468,27 @@ const gstReturnSchema = new mongoose.Schema({
         sgst: { type: Number, default: 0 },
         cess: { type: Number, default: 0 }
     },
+    aggregateTurnover: Number, // Preceding financial year, drives late fee slabs
+    stateTurnover: Number, // Turnover in the state, caps the GSTR-9 late fee
+    // ITC wrongly availed and utilised against this return's liability, charged interest at 24% (section 50(3))
+    excessITC: {
+        igst: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        cess: { type: Number, default: 0 }
+    },
+    
+    // Delay charges, fixed when the return is filed
+    lateFee: {
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 }
+    },
+    interest: {
+        igst: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        cess: { type: Number, default: 0 }
+    },
     
     attachments: [{
         filename: String,
@@ -183,13 +539,180 @@ gstReturnSchema.methods.calculateTotalTax = function() {
     return this.totalTaxAmount.igst + this.totalTaxAmount.cgst + this.totalTaxAmount.sgst + this.totalTaxAmount.cess;
 };
 
-// Method to validate return data
-gstReturnSchema.methods.validateReturnData = function() {
+// Method to recompute totals from GSTR-1 tables
+gstReturnSchema.methods.calculateGSTR1Totals = function() {
+    const totals = { txval: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 };
+    const addItem = (det = {}, sign = 1) => {
+        totals.txval += sign * (det.txval || 0);
+        totals.igst += sign * (det.iamt || 0);
+        totals.cgst += sign * (det.camt || 0);
+        totals.sgst += sign * (det.samt || 0);
+        totals.cess += sign * (det.csamt || 0);
+    };
+    const data = this.gstr1Data || {};
+    
+    ['b2b', 'b2cl'].forEach(table => {
+        (data[table] || []).forEach(row => {
+            (row.invoices || []).forEach(inv => {
+                (inv.items || []).forEach(item => addItem(item.itm_det));
+            });
+        });
+    });
+    (data.b2cs || []).forEach(row => addItem(row));
+    (data.exp || []).forEach(row => {
+        (row.invoices || []).forEach(inv => {
+            (inv.items || []).forEach(item => addItem(item));
+        });
+    });
+    
+    // Credit notes reduce and debit notes increase the outward liability
+    const addNote = (note, sign = 1) => {
+        (note.items || []).forEach(item => addItem(item.itm_det, note.ntty === 'C' ? -sign : sign));
+    };
+    (data.cdnr || []).forEach(row => (row.notes || []).forEach(note => addNote(note)));
+    (data.cdnur || []).forEach(note => addNote(note));
+
+    // Amendments add the revised document and take off the original as reported
+    forEachAmendment(data, (table, doc, sign) => {
+        if (table === 'b2cs') {
+            addItem(doc, sign);
+        } else if (table === 'cdnr') {
+            addNote(doc, sign);
+        } else {
+            (doc.items || []).forEach(item => addItem(item.itm_det, sign));
+        }
+    });
+    
+    const round = (value) => Math.round(value * 100) / 100;
+    this.totalTaxableValue = round(totals.txval);
+    this.totalTaxAmount = {
+        igst: round(totals.igst),
+        cgst: round(totals.cgst),
+        sgst: round(totals.sgst),
+        cess: round(totals.cess)
+    };
+    return this.totalTaxAmount;
+};
+
+// Method to check whether the return reports no supplies and no tax
+gstReturnSchema.methods.isNilReturn = function() {
+    return !this.totalTaxableValue && this.calculateTotalTax() === 0;
+};
+
+// Method to get tax payable in cash, after setting off net ITC
+gstReturnSchema.methods.getNetCashLiability = function() {
+    // Only returns that pay tax carry a cash liability: GSTR-3B, CMP-08 and GSTR-4 while it was the quarterly
+    // composition return (up to 2018-19). The annual GSTR-4 and the other returns report tax paid elsewhere.
+    const paysTax = ['GSTR3B', 'CMP08'].includes(this.returnType) ||
+        (this.returnType === 'GSTR4' && this.period.year * 12 + this.period.month < 2019 * 12 + 4);
+    if (!paysTax) {
+        return { igst: 0, cgst: 0, sgst: 0, cess: 0 };
+    }
+    const liability = this.totalTaxAmount || {};
+    const itcNet = (this.returnType === 'GSTR3B' && this.gstr3bData && this.gstr3bData.itc_elg && this.gstr3bData.itc_elg.itc_net) || {};
+    return {
+        igst: Math.max(0, (liability.igst || 0) - (itcNet.iamt || 0)),
+        cgst: Math.max(0, (liability.cgst || 0) - (itcNet.camt || 0)),
+        sgst: Math.max(0, (liability.sgst || 0) - (itcNet.samt || 0)),
+        cess: Math.max(0, (liability.cess || 0) - (itcNet.csamt || 0))
+    };
+};
+
+// Method to get ITC availed and reversed in GSTR-3B table 4
+gstReturnSchema.methods.getGSTR3BITC = function() {
+    const itc = (this.gstr3bData && this.gstr3bData.itc_elg) || {};
+    const sum = (rows = []) => rows.reduce((totals, row) => ({
+        igst: totals.igst + (row.iamt || 0),
+        cgst: totals.cgst + (row.camt || 0),
+        sgst: totals.sgst + (row.samt || 0),
+        cess: totals.cess + (row.csamt || 0)
+    }), { igst: 0, cgst: 0, sgst: 0, cess: 0 });
+    
+    const availed = sum(itc.itc_avl);
+    const reversed = sum(itc.itc_rev);
+    const hasRows = (itc.itc_avl && itc.itc_avl.length > 0) || (itc.itc_rev && itc.itc_rev.length > 0);
+    
+    // Returns carrying only the net figure (table 4C) are treated as availing that amount
+    if (!hasRows && itc.itc_net) {
+        return {
+            availed: { igst: itc.itc_net.iamt || 0, cgst: itc.itc_net.camt || 0, sgst: itc.itc_net.samt || 0, cess: itc.itc_net.csamt || 0 },
+            reversed: { igst: 0, cgst: 0, sgst: 0, cess: 0 }
+        };
+    }
+    return { availed, reversed };
+};
+
+// Method to calculate late fee and interest accrued up to a date
+gstReturnSchema.methods.calculateDelayCharges = function(asOf = new Date()) {
+    const lateFee = calculateLateFee({
+        returnType: this.returnType,
+        period: this.period,
+        dueDate: this.dueDate,
+        filingDate: asOf,
+        isNil: this.isNilReturn(),
+        aggregateTurnover: this.aggregateTurnover !== undefined ? this.aggregateTurnover : (this.gstr1Data && this.gstr1Data.gt),
+        stateTurnover: this.stateTurnover
+    });
+    const interest = calculateInterest({
+        cashLiability: this.getNetCashLiability(),
+        excessITC: this.excessITC || {},
+        dueDate: this.dueDate,
+        paymentDate: asOf
+    });
+    
+    // Section 50 interest on credit reversed under the 180-day rule is paid with the GSTR-3B reporting the reversal
+    const paymentRule = this.returnType === 'GSTR3B' && this.gstr3bSource && this.gstr3bSource.paymentRule;
+    if (paymentRule && paymentRule.interest) {
+        TAX_HEADS.forEach(head => {
+            interest[head] = Math.round((interest[head] + (paymentRule.interest[head] || 0)) * 100) / 100;
+        });
+        interest.total = Math.round(TAX_HEADS.reduce((sum, head) => sum + interest[head], 0) * 100) / 100;
+        interest.paymentRule = paymentRule.interest;
+    }
+    
+    return {
+        daysLate: lateFee.daysLate,
+        lateFee,
+        interest,
+        total: Math.round((lateFee.total + interest.total) * 100) / 100
+    };
+};
+
+// Method to set off the liability against the ledger balances plus the ITC the return itself avails.
+// Interest and late fee are as fixed at filing, or as accrued up to the date for a draft.
+gstReturnSchema.methods.computeSetOff = async function(asOf = new Date()) {
+    const delayCharges = this.status === 'draft' ? this.calculateDelayCharges(asOf) : null;
+    const charges = {
+        interest: delayCharges ? delayCharges.interest : this.interest,
+        lateFee: delayCharges ? delayCharges.lateFee : this.lateFee
+    };
+    const itc = this.getGSTR3BITC();
+    const balances = await LedgerEntry.getBalances(this.user, this.gstin, asOf);
+    const credit = TAX_HEADS.reduce((out, head) => ({
+        ...out,
+        [head]: balances.credit[head] + itc.availed[head] - itc.reversed[head]
+    }), {});
+    
+    const setOff = computeSetOff({
+        liability: this.totalTaxAmount,
+        interest: charges.interest,
+        lateFee: charges.lateFee,
+        credit,
+        cash: balances.cash
+    });
+    
+    return { setOff, charges, itc, balances };
+};
+
+// Method to validate return data; context carries what GSTR-1 checks look up in other returns
+// (see getGSTR1ValidationContext)
+gstReturnSchema.methods.validateReturnData = function(context = {}) {
     const errors = [];
     
     // Basic validations
-    if (!this.gstin || !this.gstin.match(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/)) {
-        errors.push({ field: 'gstin', message: 'Invalid GSTIN format', severity: 'error' });
+    const gstin = decodeGSTIN(this.gstin);
+    if (!gstin.valid) {
+        errors.push({ field: 'gstin', message: gstin.errors[0], severity: 'error' });
     }
     
     if (this.dueDate < new Date()) {
@@ -202,24 +725,194 @@ gstReturnSchema.methods.validateReturnData = function() {
             errors.push({ field: 'gstr3bData', message: 'Supply details are required for GSTR-3B', severity: 'error' });
         }
     }
+
+    // Notes must follow their invoices within the section 34 limit, amendments must reference the original
+    // document, and HSN codes must have the digits required for the turnover
+    if (this.returnType === 'GSTR1' && this.gstr1Data) {
+        errors.push(...validateNotes(this.gstr1Data, context));
+        errors.push(...validateAmendments(this.gstr1Data, this.period, context));
+        errors.push(...validateHSNSummary(this.gstr1Data.hsn, { turnover: this.gstr1Data.gt, period: this.period }));
+    }
+
+    // Months where GSTR-1 and GSTR-3B disagree must be explained before the annual return is filed
+    if (this.returnType === 'GSTR9' && this.gstr9Source && this.gstr9Source.differences) {
+        const explained = new Set((this.gstr9Source.explanations || [])
+            .filter(item => item.reason)
+            .map(item => `${item.period.year}-${item.period.month}`));
+        (this.gstr9Source.differences.months || [])
+            .filter(month => month.explain && !explained.has(`${month.period.year}-${month.period.month}`))
+            .forEach(month => {
+                errors.push({
+                    field: 'gstr9Source.explanations',
+                    message: `Explain the GSTR-1 and GSTR-3B difference for ${month.period.month}/${month.period.year}: ${month.reason}`,
+                    severity: 'error'
+                });
+            });
+    }
+    
+    // Differences left by the GSTR-9C reconciliation must be explained, then signed off by the reviewer
+    if (this.returnType === 'GSTR9C' && this.gstr9cData) {
+        const source = this.gstr9cSource || {};
+        findUnexplainedDifferences(this.gstr9cData, source.reasons || []).forEach(item => {
+            errors.push({ field: 'gstr9cSource.reasons', message: item.message, severity: 'error' });
+        });
+        const review = source.review || {};
+        if (review.status !== 'approved' || !review.reviewedBy || String(review.reviewedBy) === String(this.user)) {
+            errors.push({ field: 'gstr9cSource.review', message: 'Reconciliation statement has not been signed off by the reviewer', severity: 'error' });
+        }
+    }
     
     this.validationErrors = errors;
     return errors;
 };
 
-// Static method to get due date for return type and period
-gstReturnSchema.statics.getDueDate = function(returnType, month, year) {
-    const dueDates = {
-        'GSTR1': 11, // 11th of next month
-        'GSTR3B': 20, // 20th of next month
-        'GSTR2': 15, // 15th of next month
-        'GSTR9': 31  // 31st December of next financial year
-    };
+// Static method to get due date for return type and period from the compliance calendar
+gstReturnSchema.statics.getDueDate = function(returnType, month, year, options = {}) {
+    return resolveDueDate({
+        returnType,
+        period: { month, year },
+        filingFrequency: options.filingFrequency,
+        gstin: options.gstin,
+        extensions: options.extensions
+    }).dueDate;
+};
+
+// Static method to resolve due date including extensions granted by notification
+gstReturnSchema.statics.resolveDueDate = async function(returnType, period, options = {}) {
+    const extensions = await DueDateExtension.findActive(returnType);
+    return this.getDueDate(returnType, period.month, period.year, { ...options, extensions });
+};
+
+// Static method to get the GSTINs and return types that users file, keyed by user id
+gstReturnSchema.statics.getRegistrationsByUser = async function(userIds) {
+    const registrations = await this.aggregate([
+        { $match: { user: { $in: userIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+        { $sort: { 'period.year': -1, 'period.month': -1 } },
+        {
+            $group: {
+                _id: { user: '$user', gstin: '$gstin', returnType: '$returnType' },
+                filingFrequency: { $first: '$filingFrequency' }
+            }
+        }
+    ]);
+    
+    return registrations.reduce((byUser, item) => {
+        const key = String(item._id.user);
+        byUser.set(key, [...(byUser.get(key) || []), {
+            gstin: item._id.gstin,
+            returnType: item._id.returnType,
+            filingFrequency: item.filingFrequency || 'monthly'
+        }]);
+        return byUser;
+    }, new Map());
+};
+
+// Static method to find calendar deadlines in a date range that are not yet filed
+gstReturnSchema.statics.findUpcomingDeadlines = async function(userId, from, to) {
+    const deadlines = await this.findUpcomingDeadlinesByUser([userId], from, to);
+    return deadlines.get(String(userId)) || [];
+};
+
+// Static method to find the unfiled deadlines of several users in a date range, keyed by user id; the
+// registrations, extensions and returns are each read in a single query
+gstReturnSchema.statics.findUpcomingDeadlinesByUser = async function(userIds, from, to) {
+    const result = new Map();
+    const registrations = await this.getRegistrationsByUser(userIds);
+    if (registrations.size === 0) return result;
+    
+    const extensions = await DueDateExtension.findActive();
+    const deadlinesByUser = new Map();
+    registrations.forEach((userRegistrations, userId) => {
+        const deadlines = getDeadlines({ registrations: userRegistrations, from, to, extensions });
+        if (deadlines.length > 0) deadlinesByUser.set(userId, deadlines);
+    });
+    if (deadlinesByUser.size === 0) return result;
     
-    const dueDay = dueDates[returnType] || 20;
-    const dueDate = new Date(year, month, dueDay); // month is 0-indexed in Date constructor
+    // Annual and quarterly periods may be stored by a month of the year before their period end
+    const years = new Set();
+    deadlinesByUser.forEach(deadlines => deadlines.forEach(deadline => {
+        years.add(deadline.period.year);
+        years.add(deadline.period.year - 1);
+    }));
+    const returns = await this.find({
+        user: { $in: [...deadlinesByUser.keys()] },
+        'period.year': { $in: [...years] },
+        status: { $ne: 'rejected' }
+    }).select('user gstin returnType period status filingFrequency');
     
-    return dueDate;
+    deadlinesByUser.forEach((deadlines, userId) => {
+        const userReturns = returns.filter(ret => String(ret.user) === userId);
+        const pending = deadlines
+            .map(deadline => {
+                const gstReturn = userReturns.find(ret => {
+                    if (ret.gstin !== deadline.gstin || ret.returnType !== deadline.returnType) return false;
+                    const periodEnd = getPeriodEnd(ret.period, getFrequency(ret.returnType, ret.filingFrequency));
+                    return periodEnd.month === deadline.period.month && periodEnd.year === deadline.period.year;
+                });
+                return { ...deadline, gstReturn };
+            })
+            .filter(deadline => !deadline.gstReturn || deadline.gstReturn.status === 'draft');
+        if (pending.length > 0) result.set(userId, pending);
+    });
+    
+    return result;
+};
+
+// Static method to get the filing dates of a GSTIN's annual returns by financial year; furnishing the
+// annual return ends the section 34 and 37 time limits for that year
+gstReturnSchema.statics.getAnnualReturnDates = async function(userId, gstin) {
+    const annualReturns = await this.find({
+        user: userId,
+        gstin,
+        returnType: 'GSTR9',
+        status: { $in: ['filed', 'processed', 'amended'] },
+        filingDate: { $exists: true }
+    }).select('period filingDate');
+    return annualReturns.reduce((out, ret) => ({ ...out, [getFinancialYear(ret.period)]: ret.filingDate }), {});
+};
+
+// Static method to load what a GSTR-1's notes and amendments are checked against: the annual return
+// filing dates and the filed GSTR-1s of the years notes reach back to
+gstReturnSchema.statics.getGSTR1ValidationContext = async function(gstReturn) {
+    // Notes may be issued against supplies of the previous financial year until its time limit
+    const fromYear = (gstReturn.period.month >= 4 ? gstReturn.period.year : gstReturn.period.year - 1) - 1;
+    const filedReturns = await this.find({
+        _id: { $ne: gstReturn._id },
+        user: gstReturn.user,
+        gstin: gstReturn.gstin,
+        returnType: 'GSTR1',
+        status: { $in: ['filed', 'processed', 'amended'] },
+        $or: [
+            { 'period.year': fromYear, 'period.month': { $gte: 4 } },
+            { 'period.year': { $gt: fromYear } }
+        ]
+    }).select('period gstr1Data').sort({ 'period.year': 1, 'period.month': 1 });
+    
+    return {
+        annualReturns: await this.getAnnualReturnDates(gstReturn.user, gstReturn.gstin),
+        filedReturns: filedReturns.map(ret => ret.gstr1Data || {})
+    };
+};
+
+// Static method to mark the returns a filed GSTR-1 amends; their filed data stays as reported
+gstReturnSchema.statics.markAmendedOriginals = async function(amendingReturn) {
+    const originals = getOriginalReturns(amendingReturn.gstr1Data);
+    if (originals.length === 0) return 0;
+    
+    const result = await this.updateMany(
+        { _id: { $in: originals }, status: { $in: ['filed', 'processed'] } },
+        {
+            $set: { status: 'amended' },
+            $push: {
+                submissionHistory: {
+                    action: 'Amended',
+                    user: amendingReturn.user,
+                    details: `Amended by GSTR-1 for ${amendingReturn.period.month}/${amendingReturn.period.year}`
+                }
+            }
+        }
+    );
+    return result.modifiedCount;
 };
 
 // Static method to find overdue returns
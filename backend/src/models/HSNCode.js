@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { endOfISTDay } = require('../utils/eWayBill');
+
+// Rates take effect and end on IST calendar days; GST rates were first notified with effect from 1 July 2017
+const GST_START = new Date('2017-07-01T00:00:00+05:30');
+const startOfISTDay = (date) => new Date(endOfISTDay(date, -1).getTime() + 1);
 
 const hsnCodeSchema = new mongoose.Schema({
     code: {
@@ -63,6 +68,30 @@ const hsnCodeSchema = new mongoose.Schema({
         }
     },
     
+    // Codes imported from the tariff without a rate stay 'unknown' until a rate is recorded,
+    // so their zero defaults are never used as the GST rate
+    rateStatus: {
+        type: String,
+        enum: ['notified', 'unknown'],
+        default: 'notified'
+    },
+    
+    // Rate history; each rate is tied to the notification that introduced it
+    rateHistory: [{
+        igst: { type: Number, required: true, min: 0, max: 50 },
+        cgst: { type: Number, default: 0, min: 0, max: 50 },
+        sgst: { type: Number, default: 0, min: 0, max: 50 },
+        cess: { type: Number, default: 0, min: 0 },
+        compensationCess: { type: Number, default: 0, min: 0 },
+        effectiveFrom: { type: Date, required: true },
+        effectiveTo: Date,
+        notificationNo: { type: String, required: true },
+        notificationDate: Date,
+        remarks: String,
+        publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        publishedAt: { type: Date, default: Date.now }
+    }],
+    
     // Additional Information
     unit: {
         type: String,
@@ -152,6 +181,7 @@ hsnCodeSchema.virtual('totalGSTRate').get(function() {
 
 // Virtual for effective GST rate (CGST + SGST or IGST)
 hsnCodeSchema.virtual('effectiveGSTRate').get(function() {
+    if (!this.hasKnownRate()) return null;
     return this.gstRates.igst > 0 ? this.gstRates.igst : (this.gstRates.cgst + this.gstRates.sgst);
 });
 
@@ -171,6 +201,145 @@ hsnCodeSchema.methods.isCurrentlyEffective = function() {
     return now >= effectiveFrom && now <= effectiveTo;
 };
 
+// Method to check whether the master records a GST rate for the code
+hsnCodeSchema.methods.hasKnownRate = function() {
+    return this.rateStatus !== 'unknown' || (this.rateHistory && this.rateHistory.length > 0);
+};
+
+// Method to get the rates in force on a date, falling back to the current rates when there is no history
+hsnCodeSchema.methods.getRatesOn = function(date = new Date()) {
+    const on = new Date(date);
+    if (Number.isNaN(on.getTime())) {
+        throw new Error(`Invalid date for the rate lookup: ${date}`);
+    }
+    
+    const history = [...(this.rateHistory || [])].sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+    const entry = history.find((rate, index) => {
+        if (startOfISTDay(rate.effectiveFrom) > on) return false;
+        // A rate runs until the next one takes effect; a closing date with no successor covers its whole IST day
+        const next = history[index + 1];
+        if (next) return on < startOfISTDay(next.effectiveFrom);
+        return !rate.effectiveTo || on <= endOfISTDay(rate.effectiveTo, 0);
+    });
+    
+    if (!entry) {
+        if (!this.hasKnownRate() || (this.rateHistory && this.rateHistory.length > 0)) return null;
+        return {
+            igst: this.gstRates.igst,
+            cgst: this.gstRates.cgst,
+            sgst: this.gstRates.sgst,
+            cess: this.gstRates.cess,
+            compensationCess: this.gstRates.compensationCess,
+            notificationNo: null,
+            effectiveFrom: this.effectiveFrom || null,
+            effectiveTo: this.effectiveTo || null
+        };
+    }
+    
+    return {
+        igst: entry.igst,
+        cgst: entry.cgst,
+        sgst: entry.sgst,
+        cess: entry.cess,
+        compensationCess: entry.compensationCess,
+        notificationNo: entry.notificationNo,
+        effectiveFrom: entry.effectiveFrom,
+        effectiveTo: entry.effectiveTo || null
+    };
+};
+
+// Method to get the effective GST rate (IGST, or CGST + SGST) on a date
+hsnCodeSchema.methods.getEffectiveGSTRateOn = function(date = new Date()) {
+    const rates = this.getRatesOn(date);
+    if (!rates) return null;
+    return rates.igst > 0 ? rates.igst : (rates.cgst + rates.sgst);
+};
+
+// Method to add a rate change from a notification, closing the rate it replaces
+hsnCodeSchema.methods.addRateChange = function(change) {
+    if (Number.isNaN(new Date(change.effectiveFrom).getTime())) {
+        throw new Error(`Invalid effective date: ${change.effectiveFrom}`);
+    }
+    const effectiveFrom = startOfISTDay(change.effectiveFrom);
+    
+    // Codes without history start from their current rates under the July 2017 rate notifications;
+    // a code without a known rate starts at the change
+    if (!this.rateHistory || this.rateHistory.length === 0) {
+        this.rateHistory = this.rateStatus === 'unknown' ? [] : [{
+            igst: this.gstRates.igst,
+            cgst: this.gstRates.cgst,
+            sgst: this.gstRates.sgst,
+            cess: this.gstRates.cess,
+            compensationCess: this.gstRates.compensationCess,
+            effectiveFrom: GST_START,
+            notificationNo: this.category === 'Services' ? '11/2017-CT(R)' : '1/2017-CT(R)'
+        }];
+    }
+    
+    if (this.rateHistory.some(rate => rate.effectiveFrom.getTime() >= effectiveFrom.getTime())) {
+        throw new Error('A rate already takes effect on or after this date');
+    }
+    
+    const dayBefore = new Date(effectiveFrom.getTime() - 1);
+    this.rateHistory.forEach(rate => {
+        if (!rate.effectiveTo || rate.effectiveTo >= effectiveFrom) {
+            rate.effectiveTo = dayBefore;
+        }
+    });
+    
+    const igst = change.igst;
+    this.rateHistory.push({
+        igst,
+        cgst: change.cgst !== undefined ? change.cgst : igst / 2,
+        sgst: change.sgst !== undefined ? change.sgst : igst / 2,
+        cess: change.cess || 0,
+        compensationCess: change.compensationCess || 0,
+        effectiveFrom,
+        notificationNo: change.notificationNo,
+        notificationDate: change.notificationDate,
+        remarks: change.remarks,
+        publishedBy: change.publishedBy
+    });
+    this.rateHistory.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+    this.rateStatus = 'notified';
+    
+    this.applyCurrentRates();
+    return this.rateHistory[this.rateHistory.length - 1];
+};
+
+// Method to copy today's rate from the history into gstRates
+hsnCodeSchema.methods.applyCurrentRates = function(date = new Date()) {
+    const rates = this.getRatesOn(date);
+    if (!rates) return false;
+    
+    const changed = ['igst', 'cgst', 'sgst', 'cess', 'compensationCess']
+        .some(head => this.gstRates[head] !== rates[head]);
+    if (changed) {
+        this.gstRates = {
+            igst: rates.igst,
+            cgst: rates.cgst,
+            sgst: rates.sgst,
+            cess: rates.cess,
+            compensationCess: rates.compensationCess
+        };
+    }
+    return changed;
+};
+
+// Static method to bring gstRates in line with rate changes that have taken effect
+hsnCodeSchema.statics.applyDueRateChanges = async function(date = new Date()) {
+    const codes = await this.find({ 'rateHistory.1': { $exists: true } });
+    
+    let updated = 0;
+    for (const code of codes) {
+        if (code.applyCurrentRates(date)) {
+            await code.save();
+            updated += 1;
+        }
+    }
+    return updated;
+};
+
 // Static method to search HSN codes
 hsnCodeSchema.statics.searchCodes = function(query, options = {}) {
     const {
@@ -199,6 +368,7 @@ hsnCodeSchema.statics.searchCodes = function(query, options = {}) {
     
     if (gstRate !== null) {
         searchQuery['gstRates.igst'] = gstRate;
+        searchQuery.rateStatus = { $ne: 'unknown' };
     }
     
     return this.find(searchQuery)
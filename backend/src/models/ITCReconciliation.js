@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { gstinSchemaValidator } = require('../utils/gstin');
+
+const documentSnapshotSchema = new mongoose.Schema({
+    invoiceNumber: String,
+    invoiceDate: Date,
+    documentType: { type: String, enum: ['INV', 'CRN', 'DBN'] },
+    invoiceValue: Number,
+    taxableValue: Number,
+    igst: Number,
+    cgst: Number,
+    sgst: Number,
+    cess: Number,
+    row: Number
+}, { _id: false });
+
+const itcReconciliationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    gstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    period: {
+        month: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 12
+        },
+        year: {
+            type: Number,
+            required: true,
+            min: 2017
+        }
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'reviewed', 'superseded'],
+        default: 'completed'
+    },
+
+    // Source files
+    sources: {
+        gstr2bFile: String,
+        purchaseRegisterFile: String,
+        portalDocuments: { type: Number, default: 0 },
+        booksDocuments: { type: Number, default: 0 }
+    },
+    tolerances: {
+        amount: { type: Number, default: 1 },
+        dateDays: { type: Number, default: 3 }
+    },
+
+    // Match results
+    results: [{
+        status: {
+            type: String,
+            enum: ['matched', 'partially_matched', 'missing_in_2b', 'missing_in_books', 'duplicate'],
+            required: true
+        },
+        supplierGstin: String,
+        supplierName: String,
+        documentType: String,
+        books: documentSnapshotSchema,
+        portal: documentSnapshotSchema,
+        differences: [{
+            field: String,
+            books: mongoose.Schema.Types.Mixed,
+            portal: mongoose.Schema.Types.Mixed,
+            difference: Number
+        }],
+        itcAvailable: Boolean,
+        itcUnavailableReason: String,
+        reverseCharge: { type: Boolean, default: false },
+        action: String,
+        resolution: {
+            status: { type: String, enum: ['open', 'resolved', 'ignored'], default: 'open' },
+            remarks: String,
+            resolvedAt: Date
+        }
+    }],
+
+    supplierReport: [{
+        supplierGstin: String,
+        supplierName: String,
+        counts: {
+            matched: Number,
+            partially_matched: Number,
+            missing_in_2b: Number,
+            missing_in_books: Number,
+            duplicate: Number
+        },
+        booksTax: Number,
+        portalTax: Number,
+        taxDifference: Number,
+        itcAtRisk: Number,
+        actions: [{
+            status: String,
+            invoiceNumber: String,
+            action: String
+        }]
+    }],
+
+    claimableITC: {
+        igst: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        cess: { type: Number, default: 0 }
+    },
+
+    rowErrors: [{
+        row: Number,
+        invoiceNumber: String,
+        fieldErrors: [{ field: String, message: String }]
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+itcReconciliationSchema.index({ user: 1, gstin: 1, 'period.year': -1, 'period.month': -1 });
+
+// Virtual for period string
+itcReconciliationSchema.virtual('periodString').get(function() {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    return `${months[this.period.month - 1]} ${this.period.year}`;
+});
+
+// Method to count results by status
+itcReconciliationSchema.methods.getStatusSummary = function() {
+    const summary = { matched: 0, partially_matched: 0, missing_in_2b: 0, missing_in_books: 0, duplicate: 0 };
+    this.results.forEach(result => {
+        summary[result.status] += 1;
+    });
+    return summary;
+};
+
+// Static method to get the latest completed reconciliation for a period
+itcReconciliationSchema.statics.findLatestForPeriod = function(userId, gstin, month, year) {
+    return this.findOne({
+        user: userId,
+        gstin,
+        'period.month': month,
+        'period.year': year,
+        status: { $ne: 'superseded' }
+    }).sort({ createdAt: -1 });
+};
+
+const ITCReconciliation = mongoose.model('ITCReconciliation', itcReconciliationSchema);
+
+module.exports = ITCReconciliation;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const HSNCode = require('./HSNCode');
 
 const invoiceSchema = new mongoose.Schema({
     invoiceNumber: {
@@ -39,6 +40,10 @@ const invoiceSchema = new mongoose.Schema({
             type: String,
             required: true
         },
+        hsnCode: {
+            type: String,
+            match: /^[0-9]{4,8}$/
+        },
         quantity: {
             type: Number,
             default: 1,
@@ -177,6 +182,41 @@ invoiceSchema.pre('save', async function(next) {
     next();
 });
 
+// Pre-validate middleware so every invoice's totals follow the HSN/SAC rates in force on its issue date
+invoiceSchema.pre('validate', async function(next) {
+    if (this.isNew || this.isModified('items') || this.isModified('issueDate') || this.isModified('discountTotal')) {
+        await this.calculateTotals();
+    }
+    next();
+});
+
+// Method to recompute item taxes at the HSN/SAC rates in force on the transaction date (prices include tax)
+invoiceSchema.methods.calculateTotals = async function(transactionDate) {
+    const onDate = transactionDate || this.issueDate || new Date();
+    const codes = this.items.map(item => item.hsnCode).filter(Boolean);
+    const hsnCodes = codes.length > 0 ? await HSNCode.find({ code: { $in: codes } }) : [];
+    const round = (value) => Math.round(value * 100) / 100;
+    
+    let subtotal = 0;
+    let taxTotal = 0;
+    this.items.forEach(item => {
+        const hsn = hsnCodes.find(code => code.code === item.hsnCode);
+        const rate = hsn ? hsn.getEffectiveGSTRateOn(onDate) : null;
+        if (rate !== null) {
+            item.taxRate = rate;
+        }
+        item.totalPrice = round(item.unitPrice * item.quantity);
+        item.taxAmount = round((item.totalPrice * item.taxRate) / (100 + item.taxRate));
+        subtotal += item.totalPrice;
+        taxTotal += item.taxAmount;
+    });
+    
+    this.subtotal = round(subtotal);
+    this.taxTotal = round(taxTotal);
+    this.total = round(subtotal - (this.discountTotal || 0));
+    return this;
+};
+
 // Method to mark as paid
 invoiceSchema.methods.markAsPaid = function(paymentDetails = {}) {
     this.status = 'paid';
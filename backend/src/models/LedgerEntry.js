@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const { gstinSchemaValidator } = require('../utils/gstin');
+const { TAX_HEADS, emptyHeads, toHeads } = require('../utils/setOff');
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Entry in a taxpayer's electronic credit, cash or liability ledger. Credit and cash entries of type
+// 'credit' add to the balance; liability entries of type 'debit' add to the amount outstanding.
+const ledgerEntrySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    gstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    ledger: {
+        type: String,
+        enum: ['credit', 'cash', 'liability'],
+        required: true
+    },
+    entryType: {
+        type: String,
+        enum: ['credit', 'debit'],
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    period: {
+        month: { type: Number, min: 1, max: 12 },
+        year: { type: Number, min: 2017 }
+    },
+    minorHead: {
+        type: String,
+        enum: ['tax', 'interest', 'fee', 'penalty', 'others'],
+        default: 'tax'
+    },
+    amount: {
+        igst: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        cess: { type: Number, default: 0 }
+    },
+    description: String,
+
+    // Where the entry came from
+    sourceType: {
+        type: String,
+        enum: ['opening_balance', 'return', 'itc_reversal', 'payment', 'set_off', 'adjustment'],
+        required: true
+    },
+    gstReturn: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GSTReturn'
+    },
+    challan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Challan'
+    },
+    reference: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ user: 1, gstin: 1, ledger: 1, date: 1 });
+ledgerEntrySchema.index({ gstReturn: 1, sourceType: 1 });
+
+// Static method to get credit and cash balances and outstanding liability by tax head as on a date
+ledgerEntrySchema.statics.getBalances = async function(user, gstin, asOf = new Date()) {
+    const totals = await this.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(user)), gstin, date: { $lte: asOf } } },
+        {
+            $group: {
+                _id: { ledger: '$ledger', entryType: '$entryType' },
+                igst: { $sum: '$amount.igst' },
+                cgst: { $sum: '$amount.cgst' },
+                sgst: { $sum: '$amount.sgst' },
+                cess: { $sum: '$amount.cess' }
+            }
+        }
+    ]);
+
+    const balances = { credit: emptyHeads(), cash: emptyHeads(), liability: emptyHeads() };
+    totals.forEach(total => {
+        const { ledger, entryType } = total._id;
+        // Liability is outstanding while debits exceed credits; the other ledgers hold credits net of debits
+        const sign = (entryType === 'credit') === (ledger !== 'liability') ? 1 : -1;
+        TAX_HEADS.forEach(head => {
+            balances[ledger][head] = round(balances[ledger][head] + sign * total[head]);
+        });
+    });
+
+    return balances;
+};
+
+// Static method to get a ledger statement with the running balance after each entry
+ledgerEntrySchema.statics.getStatement = async function(user, gstin, ledger, options = {}) {
+    const { from, to = new Date() } = options;
+    const balances = from ? await this.getBalances(user, gstin, new Date(from.getTime() - 1)) : null;
+    const opening = balances ? balances[ledger] : emptyHeads();
+
+    const entries = await this.find({
+        user,
+        gstin,
+        ledger,
+        date: from ? { $gte: from, $lte: to } : { $lte: to }
+    }).sort({ date: 1, createdAt: 1 });
+
+    const running = { ...opening };
+    const lines = entries.map(entry => {
+        const sign = (entry.entryType === 'credit') === (ledger !== 'liability') ? 1 : -1;
+        TAX_HEADS.forEach(head => {
+            running[head] = round(running[head] + sign * (entry.amount[head] || 0));
+        });
+        return { entry, balance: { ...running } };
+    });
+
+    return { opening, entries: lines, closing: running };
+};
+
+// Static method to post a GSTR-3B and the set-off of its liability: the return's liability and ITC,
+// then ITC utilised and cash paid against that liability (table 6.1)
+ledgerEntrySchema.statics.postGSTR3BSetOff = function(gstReturn, { setOff, charges, itc, date = new Date() }) {
+    const { month, year } = gstReturn.period;
+    const label = `GSTR-3B ${String(month).padStart(2, '0')}/${year}`;
+    const entries = [];
+    
+    const add = (ledger, entryType, sourceType, amount, description, minorHead = 'tax') => {
+        const amounts = toHeads(amount);
+        if (TAX_HEADS.every(head => amounts[head] === 0)) return;
+        entries.push({
+            user: gstReturn.user,
+            gstin: gstReturn.gstin,
+            ledger,
+            entryType,
+            date,
+            period: { month, year },
+            minorHead,
+            amount: amounts,
+            description,
+            sourceType,
+            gstReturn: gstReturn._id
+        });
+    };
+    const cashPaid = (field) => setOff.table61.reduce((out, row) => ({ ...out, [row.head]: row[field] }), {});
+    const itcPaid = setOff.table61.reduce((out, row) => ({
+        ...out,
+        [row.head]: TAX_HEADS.reduce((sum, head) => sum + row.paidThroughItc[head], 0)
+    }), {});
+    
+    add('liability', 'debit', 'return', gstReturn.totalTaxAmount, `${label} tax liability`);
+    add('liability', 'debit', 'return', charges.interest, `${label} interest`, 'interest');
+    add('liability', 'debit', 'return', { cgst: charges.lateFee.cgst, sgst: charges.lateFee.sgst }, `${label} late fee`, 'fee');
+    add('credit', 'credit', 'return', itc.availed, `${label} ITC availed`);
+    add('credit', 'debit', 'itc_reversal', itc.reversed, `${label} ITC reversed`);
+    
+    add('credit', 'debit', 'set_off', setOff.creditUtilised, `${label} ITC utilised`);
+    add('liability', 'credit', 'set_off', itcPaid, `${label} tax paid through ITC`);
+    [['taxPaidInCash', 'tax'], ['interestPaidInCash', 'interest'], ['lateFeePaidInCash', 'fee']].forEach(([field, minorHead]) => {
+        add('cash', 'debit', 'set_off', cashPaid(field), `${label} ${minorHead} paid in cash`, minorHead);
+        add('liability', 'credit', 'set_off', cashPaid(field), `${label} ${minorHead} paid in cash`, minorHead);
+    });
+    
+    return this.insertMany(entries);
+};
+
+// Static method to credit the cash ledger with a paid challan, one entry per minor head
+ledgerEntrySchema.statics.postChallanPayment = function(challan) {
+    const amounts = challan.getMinorHeadAmounts();
+    const entries = Object.keys(amounts)
+        .map(minorHead => ({ minorHead, amount: toHeads(amounts[minorHead]) }))
+        .filter(({ amount }) => TAX_HEADS.some(head => amount[head] > 0))
+        .map(({ minorHead, amount }) => ({
+            user: challan.user,
+            gstin: challan.gstin,
+            ledger: 'cash',
+            entryType: 'credit',
+            date: challan.payment.paidAt,
+            period: challan.period,
+            minorHead,
+            amount,
+            description: `Challan CPIN ${challan.cpin} (${minorHead})`,
+            sourceType: 'payment',
+            gstReturn: challan.gstReturn,
+            challan: challan._id,
+            reference: challan.payment.cin
+        }));
+    
+    return this.insertMany(entries);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
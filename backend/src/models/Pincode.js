@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { PINCODE_REGEX } = require('../utils/pincode');
+
+// Pincode master used to check and auto-fill e-way bill addresses and suggest distances
+const pincodeSchema = new mongoose.Schema({
+    pincode: {
+        type: String,
+        required: true,
+        unique: true,
+        match: PINCODE_REGEX
+    },
+    place: {
+        type: String,
+        required: true
+    },
+    district: String,
+    stateCode: {
+        type: String,
+        required: true,
+        match: /^[0-9]{2}$/
+    },
+    stateName: String,
+    location: {
+        latitude: Number,
+        longitude: Number
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+pincodeSchema.index({ stateCode: 1, district: 1 });
+
+// Static method to load the master records for a set of pincodes
+pincodeSchema.statics.findByPincodes = function(pincodes) {
+    const unique = [...new Set(pincodes.filter(Boolean).map(String))];
+    return this.find({ pincode: { $in: unique } });
+};
+
+const Pincode = mongoose.model('Pincode', pincodeSchema);
+
+module.exports = Pincode;
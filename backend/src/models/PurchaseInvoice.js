@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { gstinSchemaValidator } = require('../utils/gstin');
+const { TAX_HEADS, emptyHeads } = require('../utils/setOff');
+const { getPaymentDeadline, getAmountPaid, assessPaymentRule } = require('../utils/paymentRule');
+
+const taxHeads = () => ({
+    igst: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    cess: { type: Number, default: 0 }
+});
+
+const returnPeriod = () => ({
+    month: { type: Number, min: 1, max: 12 },
+    year: { type: Number, min: 2017 }
+});
+
+// Purchase invoice with the payments made to the supplier, tracked for the 180-day payment rule
+const purchaseInvoiceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    gstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    supplierGstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    supplierName: String,
+    invoiceNumber: {
+        type: String,
+        required: true
+    },
+    invoiceDate: {
+        type: Date,
+        required: true
+    },
+    documentType: {
+        type: String,
+        enum: ['INV', 'DBN', 'CRN'],
+        default: 'INV'
+    },
+    invoiceValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    taxableValue: Number,
+    tax: taxHeads(),
+    reverseCharge: {
+        type: Boolean,
+        default: false
+    },
+    itcAvailed: {
+        type: Boolean,
+        default: true
+    },
+    itcAvailedOn: Date,
+
+    payments: [{
+        date: { type: Date, required: true },
+        amount: { type: Number, required: true, min: 0 },
+        mode: String,
+        reference: String
+    }],
+
+    // 180-day rule (rule 37): reversal in table 4(B)(2) and reclaims in table 4(A)(5) of GSTR-3B
+    rule37: {
+        status: {
+            type: String,
+            enum: ['not_applicable', 'within_limit', 'approaching', 'paid_in_time', 'reversal_due', 'reversed', 'reclaimed'],
+            default: 'within_limit'
+        },
+        deadline: Date,
+        daysOutstanding: Number,
+        lastCheckedAt: Date,
+        reversal: {
+            unpaidValue: Number,
+            amount: taxHeads(),
+            interest: taxHeads(),
+            period: returnPeriod(),
+            computedAt: Date,
+            gstReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }
+        },
+        reclaims: [{
+            paidValue: Number,
+            amount: taxHeads(),
+            period: returnPeriod(),
+            computedAt: Date,
+            gstReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }
+        }]
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true }
+});
+
+// Indexes
+purchaseInvoiceSchema.index({ user: 1, gstin: 1, supplierGstin: 1, invoiceNumber: 1, documentType: 1 }, { unique: true });
+purchaseInvoiceSchema.index({ 'rule37.status': 1, invoiceDate: 1 });
+purchaseInvoiceSchema.index({ user: 1, gstin: 1, 'rule37.reversal.period.year': 1, 'rule37.reversal.period.month': 1 });
+
+// Virtual for the amount paid to the supplier
+purchaseInvoiceSchema.virtual('amountPaid').get(function() {
+    return getAmountPaid(this.payments);
+});
+
+// Virtual for payment status
+purchaseInvoiceSchema.virtual('paymentStatus').get(function() {
+    const paid = getAmountPaid(this.payments);
+    if (paid <= 0) return 'unpaid';
+    return paid >= this.invoiceValue - 0.5 ? 'paid' : 'partially_paid';
+});
+
+// Method to record a payment to the supplier
+purchaseInvoiceSchema.methods.recordPayment = function(payment) {
+    this.payments.push(payment);
+    this.payments.sort((a, b) => a.date - b.date);
+};
+
+// Method to apply the 180-day rule as on a date; returns the status it had before
+purchaseInvoiceSchema.methods.assessPaymentRule = function(asOf = new Date()) {
+    const previousStatus = this.rule37 && this.rule37.status;
+    const result = assessPaymentRule(this, asOf);
+
+    this.rule37.status = result.status;
+    this.rule37.deadline = result.deadline || getPaymentDeadline(this.invoiceDate);
+    this.rule37.daysOutstanding = result.daysOutstanding;
+    this.rule37.lastCheckedAt = asOf;
+    if (result.reversal) {
+        this.rule37.reversal = result.reversal;
+    }
+    if (result.newReclaim) {
+        this.rule37.reclaims.push(result.newReclaim);
+    }
+
+    return previousStatus;
+};
+
+// Static method to run the 180-day rule over every open invoice; returns invoices newly flagged
+purchaseInvoiceSchema.statics.runPaymentRuleCheck = async function(asOf = new Date()) {
+    const invoices = await this.find({
+        'rule37.status': { $in: ['within_limit', 'approaching', 'reversal_due', 'reversed'] }
+    });
+
+    const flagged = { approaching: [], crossed: [], reclaimed: [] };
+    for (const invoice of invoices) {
+        const reclaims = invoice.rule37.reclaims.length;
+        const previousStatus = invoice.assessPaymentRule(asOf);
+        const status = invoice.rule37.status;
+
+        if (status === 'approaching' && previousStatus !== 'approaching') flagged.approaching.push(invoice);
+        if (status === 'reversal_due' && !['reversal_due', 'reversed'].includes(previousStatus)) flagged.crossed.push(invoice);
+        if (invoice.rule37.reclaims.length > reclaims) flagged.reclaimed.push(invoice);
+
+        await invoice.save();
+    }
+
+    return { checked: invoices.length, ...flagged };
+};
+
+// Static method to get the 180-day rule reversals and reclaims a GSTR-3B should report: those of its
+// period or earlier not yet reported in another return
+purchaseInvoiceSchema.statics.getGSTR3BAdjustments = async function(user, gstin, period, gstReturnId) {
+    const invoices = await this.find({
+        user,
+        gstin,
+        $or: [
+            { 'rule37.reversal.computedAt': { $exists: true }, 'rule37.reversal.gstReturn': { $in: [null, gstReturnId] } },
+            { 'rule37.reclaims': { $elemMatch: { gstReturn: { $in: [null, gstReturnId] } } } }
+        ]
+    });
+
+    const inPeriod = (item) => item.period && (item.period.year < period.year || (item.period.year === period.year && item.period.month <= period.month));
+    const isUnreported = (item) => !item.gstReturn || String(item.gstReturn) === String(gstReturnId);
+
+    const adjustments = { reversal: emptyHeads(), interest: emptyHeads(), reclaim: emptyHeads(), reversals: [], reclaims: [] };
+    const add = (target, amounts) => TAX_HEADS.forEach(head => {
+        target[head] = Math.round((target[head] + ((amounts && amounts[head]) || 0)) * 100) / 100;
+    });
+
+    invoices.forEach(invoice => {
+        const { reversal, reclaims } = invoice.rule37;
+        if (reversal && reversal.computedAt && inPeriod(reversal) && isUnreported(reversal)) {
+            add(adjustments.reversal, reversal.amount);
+            add(adjustments.interest, reversal.interest);
+            adjustments.reversals.push(invoice._id);
+        }
+        reclaims.filter(reclaim => inPeriod(reclaim) && isUnreported(reclaim)).forEach(reclaim => {
+            add(adjustments.reclaim, reclaim.amount);
+            adjustments.reclaims.push(reclaim._id);
+        });
+    });
+
+    return adjustments;
+};
+
+// Static method to mark 180-day rule reversals and reclaims as reported in a GSTR-3B
+purchaseInvoiceSchema.statics.linkGSTR3B = async function(adjustments, gstReturnId) {
+    if (adjustments.reversals.length > 0) {
+        await this.updateMany(
+            { _id: { $in: adjustments.reversals } },
+            { $set: { 'rule37.reversal.gstReturn': gstReturnId } }
+        );
+        await this.updateMany(
+            { _id: { $in: adjustments.reversals }, 'rule37.status': 'reversal_due' },
+            { $set: { 'rule37.status': 'reversed' } }
+        );
+    }
+    if (adjustments.reclaims.length > 0) {
+        await this.updateMany(
+            { 'rule37.reclaims._id': { $in: adjustments.reclaims } },
+            { $set: { 'rule37.reclaims.$[reclaim].gstReturn': gstReturnId } },
+            { arrayFilters: [{ 'reclaim._id': { $in: adjustments.reclaims } }] }
+        );
+    }
+};
+
+const PurchaseInvoice = mongoose.model('PurchaseInvoice', purchaseInvoiceSchema);
+
+module.exports = PurchaseInvoice;
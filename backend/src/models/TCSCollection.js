@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { gstinSchemaValidator } = require('../utils/gstin');
+const { computeTCS } = require('../utils/tdsTcs');
+
+// Tax collected at source (section 52) by an e-commerce operator on a supplier's supplies in a month
+const tcsCollectionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    gstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    supplierGstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    supplierName: String,
+    period: {
+        month: { type: Number, required: true, min: 1, max: 12 },
+        year: { type: Number, required: true, min: 2017 }
+    },
+    placeOfSupply: {
+        type: String,
+        required: true,
+        match: /^[0-9]{2}$/
+    },
+    grossValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    returnedValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    netValue: Number,
+    supplyType: {
+        type: String,
+        enum: ['inter', 'intra']
+    },
+    rate: Number,
+    tax: {
+        igst: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 }
+    },
+    gstReturn: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GSTReturn'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+tcsCollectionSchema.index({ user: 1, gstin: 1, supplierGstin: 1, 'period.year': 1, 'period.month': 1, placeOfSupply: 1 }, { unique: true });
+
+// Method to compute the tax collected at the rate in force on the last day of the month
+tcsCollectionSchema.methods.computeCollection = function() {
+    const tcs = computeTCS({
+        supplierGstin: this.supplierGstin,
+        placeOfSupply: this.placeOfSupply,
+        grossValue: this.grossValue,
+        returnedValue: this.returnedValue,
+        date: new Date(this.period.year, this.period.month, 0)
+    });
+
+    this.netValue = tcs.netValue;
+    this.supplyType = tcs.supplyType;
+    this.rate = tcs.rate;
+    this.tax = tcs.tax;
+    return tcs;
+};
+
+// Static method to get the collections a GSTR-8 reports: those of its period not reported in another return
+tcsCollectionSchema.statics.getGSTR8Collections = function(user, gstin, period, gstReturnId) {
+    return this.find({
+        user,
+        gstin,
+        'period.month': period.month,
+        'period.year': period.year,
+        gstReturn: { $in: [null, gstReturnId] }
+    }).sort({ supplierGstin: 1 });
+};
+
+// Static method to mark collections as reported in a GSTR-8, releasing any it no longer reports
+tcsCollectionSchema.statics.linkGSTR8 = async function(collectionIds, gstReturnId) {
+    await this.updateMany(
+        { gstReturn: gstReturnId, _id: { $nin: collectionIds } },
+        { $unset: { gstReturn: '' } }
+    );
+    await this.updateMany(
+        { _id: { $in: collectionIds } },
+        { $set: { gstReturn: gstReturnId } }
+    );
+};
+
+const TCSCollection = mongoose.model('TCSCollection', tcsCollectionSchema);
+
+module.exports = TCSCollection;
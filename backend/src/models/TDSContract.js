@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { gstinSchemaValidator } = require('../utils/gstin');
+const { computeTDS } = require('../utils/tdsTcs');
+
+const tdsHeads = () => ({
+    igst: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 }
+});
+
+// Contract of a TDS deductor (section 51) with a supplier, and the tax deducted from each payment under it
+const tdsContractSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    gstin: {
+        type: String,
+        required: true,
+        validate: gstinSchemaValidator
+    },
+    deductorName: String,
+    deducteeGstin: {
+        type: String,
+        validate: gstinSchemaValidator
+    },
+    deducteeName: {
+        type: String,
+        required: true
+    },
+    contractNumber: {
+        type: String,
+        required: true
+    },
+    contractDate: {
+        type: Date,
+        required: true
+    },
+    description: String,
+    contractValue: {
+        type: Number,
+        required: true,
+        min: 0
+    }, // Total value of supply under the contract, excluding tax
+    placeOfSupply: {
+        type: String,
+        match: /^[0-9]{2}$/
+    },
+    status: {
+        type: String,
+        enum: ['active', 'closed'],
+        default: 'active'
+    },
+
+    deductions: [{
+        paymentDate: { type: Date, required: true },
+        invoiceNumber: String,
+        invoiceDate: Date,
+        amountPaid: { type: Number, required: true, min: 0 }, // Excluding tax
+        applicable: Boolean,
+        reason: String,
+        supplyType: { type: String, enum: ['inter', 'intra'] },
+        rate: Number,
+        tax: tdsHeads(),
+        period: {
+            month: { type: Number, min: 1, max: 12 },
+            year: { type: Number, min: 2017 }
+        },
+        gstReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'GSTReturn' }
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+tdsContractSchema.index({ user: 1, gstin: 1, contractNumber: 1 }, { unique: true });
+tdsContractSchema.index({ user: 1, gstin: 1, 'deductions.period.year': 1, 'deductions.period.month': 1 });
+
+// Method to compute and record the tax deducted from a payment; the deduction belongs to the month of payment
+tdsContractSchema.methods.recordDeduction = function(payment) {
+    const paymentDate = new Date(payment.paymentDate);
+    const tds = computeTDS({
+        deductorGstin: this.gstin,
+        deducteeGstin: this.deducteeGstin,
+        supplierRegistered: Boolean(this.deducteeGstin),
+        placeOfSupply: this.placeOfSupply,
+        contractValue: this.contractValue,
+        amountPaid: payment.amountPaid
+    });
+
+    this.deductions.push({
+        paymentDate,
+        invoiceNumber: payment.invoiceNumber,
+        invoiceDate: payment.invoiceDate,
+        amountPaid: payment.amountPaid,
+        applicable: tds.applicable,
+        reason: tds.reason,
+        supplyType: tds.supplyType,
+        rate: tds.rate,
+        tax: tds.tax,
+        period: { month: paymentDate.getMonth() + 1, year: paymentDate.getFullYear() }
+    });
+
+    return this.deductions[this.deductions.length - 1];
+};
+
+// Static method to get the deductions a GSTR-7 reports: tax deducted in its period not reported in another return
+tdsContractSchema.statics.getGSTR7Deductions = async function(user, gstin, period, gstReturnId) {
+    const contracts = await this.find({
+        user,
+        gstin,
+        deductions: { $elemMatch: { 'period.month': period.month, 'period.year': period.year } }
+    });
+
+    const isUnreported = (deduction) => !deduction.gstReturn || String(deduction.gstReturn) === String(gstReturnId);
+
+    return contracts.flatMap(contract => contract.deductions
+        .filter(deduction => deduction.applicable && deduction.period.month === period.month &&
+            deduction.period.year === period.year && isUnreported(deduction))
+        .map(deduction => ({
+            _id: deduction._id,
+            contract: contract._id,
+            contractNumber: contract.contractNumber,
+            contractDate: contract.contractDate,
+            contractValue: contract.contractValue,
+            deducteeGstin: contract.deducteeGstin,
+            deducteeName: contract.deducteeName,
+            paymentDate: deduction.paymentDate,
+            invoiceNumber: deduction.invoiceNumber,
+            amountPaid: deduction.amountPaid,
+            tax: deduction.tax,
+            gstReturn: deduction.gstReturn
+        })));
+};
+
+// Static method to mark deductions as reported in a GSTR-7, releasing any it no longer reports
+tdsContractSchema.statics.linkGSTR7 = async function(deductionIds, gstReturnId) {
+    await this.updateMany(
+        { 'deductions.gstReturn': gstReturnId },
+        { $unset: { 'deductions.$[deduction].gstReturn': '' } },
+        { arrayFilters: [{ 'deduction.gstReturn': gstReturnId }] }
+    );
+    if (deductionIds.length > 0) {
+        await this.updateMany(
+            { 'deductions._id': { $in: deductionIds } },
+            { $set: { 'deductions.$[deduction].gstReturn': gstReturnId } },
+            { arrayFilters: [{ 'deduction._id': { $in: deductionIds } }] }
+        );
+    }
+};
+
+const TDSContract = mongoose.model('TDSContract', tdsContractSchema);
+
+module.exports = TDSContract;
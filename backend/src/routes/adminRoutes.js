@@ -8,6 +8,13 @@ const {
   moderateForumPost,
   updateSettings
 } = require('../services/adminService');
+const {
+  getDueDateExtensions,
+  createDueDateExtension,
+  updateDueDateExtension,
+  deleteDueDateExtension
+} = require('../services/complianceCalendarService');
+const { publishRateChange, importHSNMaster, hsnImportUpload } = require('../services/hsnService');
 const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -24,6 +31,36 @@ const validateForumModeration = [
   body('reason').optional().isString().withMessage('Reason must be a string')
 ];
 
+const RETURN_TYPES = ['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C', 'CMP08'];
+
+// Fresh chains per route: express-validator chains are mutable, so an update route making the fields
+// optional must not share them with the create route
+const buildDueDateExtensionValidation = ({ optional = false } = {}) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+  return [
+    field('returnType').isIn(RETURN_TYPES).withMessage('Invalid return type'),
+    field('period.month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    field('period.year').isInt({ min: 2017 }).withMessage('Year must be 2017 or later'),
+    body('filingFrequency').optional().isIn(['monthly', 'quarterly']).withMessage('Filing frequency must be monthly or quarterly'),
+    body('stateCodes').optional().isArray().withMessage('State codes must be an array'),
+    body('stateCodes.*').matches(/^[0-9]{2}$/).withMessage('Invalid state code'),
+    field('dueDate').isISO8601().withMessage('Due date must be a valid date'),
+    body('notification').optional().isString().withMessage('Notification must be a string'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+  ];
+};
+
+const validateRateChange = [
+  body('igst').isFloat({ min: 0, max: 50 }).withMessage('IGST rate must be between 0 and 50'),
+  body('cgst').optional().isFloat({ min: 0, max: 50 }).withMessage('CGST rate must be between 0 and 50'),
+  body('sgst').optional().isFloat({ min: 0, max: 50 }).withMessage('SGST rate must be between 0 and 50'),
+  body('cess').optional().isFloat({ min: 0 }).withMessage('Cess rate must be non-negative'),
+  body('compensationCess').optional().isFloat({ min: 0 }).withMessage('Compensation cess must be non-negative'),
+  body('effectiveFrom').isISO8601().withMessage('Effective date must be a valid date'),
+  body('notificationNo').trim().notEmpty().withMessage('Notification number is required'),
+  body('notificationDate').optional().isISO8601().withMessage('Notification date must be a valid date')
+];
+
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -117,6 +154,46 @@ router.put('/settings', authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
+// Compliance Calendar Routes
+// @route   GET /api/admin/compliance/extensions
+// @desc    Get due date extensions
+// @access  Private (Admin only)
+router.get('/compliance/extensions', authMiddleware, adminMiddleware, [
+  query('returnType').optional().isIn(RETURN_TYPES).withMessage('Invalid return type'),
+  query('year').optional().isInt({ min: 2017 }).withMessage('Year must be 2017 or later'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getDueDateExtensions);
+
+// @route   POST /api/admin/compliance/extensions
+// @desc    Add a due date extension granted by notification
+// @access  Private (Admin only)
+router.post('/compliance/extensions', authMiddleware, adminMiddleware, buildDueDateExtensionValidation(), handleValidationErrors, createDueDateExtension);
+
+// @route   PUT /api/admin/compliance/extensions/:extensionId
+// @desc    Update a due date extension
+// @access  Private (Admin only)
+router.put('/compliance/extensions/:extensionId', authMiddleware, adminMiddleware, buildDueDateExtensionValidation({ optional: true }), handleValidationErrors, updateDueDateExtension);
+
+// @route   DELETE /api/admin/compliance/extensions/:extensionId
+// @desc    Delete a due date extension
+// @access  Private (Admin only)
+router.delete('/compliance/extensions/:extensionId', authMiddleware, adminMiddleware, deleteDueDateExtension);
+
+// HSN/SAC Master Routes
+// @route   POST /api/admin/hsn/:code/rate-changes
+// @desc    Publish a future rate change for an HSN/SAC code
+// @access  Private (Admin only)
+router.post('/hsn/:code/rate-changes', authMiddleware, adminMiddleware, validateRateChange, handleValidationErrors, publishRateChange);
+
+// @route   POST /api/admin/hsn/import
+// @desc    Import the CBIC HSN/SAC master (CSV/Excel) and report added, changed and removed codes
+// @access  Private (Admin only)
+router.post('/hsn/import', authMiddleware, adminMiddleware, hsnImportUpload.single('file'), [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be boolean'),
+  body('deactivateMissing').optional().isBoolean().withMessage('deactivateMissing must be boolean')
+], handleValidationErrors, importHSNMaster);
+
 // Legacy route for backward compatibility
 // @route   GET /api/admin/users/all
 // @desc    Get all users (legacy)
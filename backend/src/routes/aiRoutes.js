@@ -17,7 +17,7 @@ const validateChatQuery = [
 ];
 
 const validateDocumentVerification = [
-  body('documentType').isIn(['gst_return', 'eway_bill', 'invoice']).withMessage('Invalid document type'),
+  body('documentType').isIn(['gst_return', 'eway_bill', 'invoice', 'einvoice']).withMessage('Invalid document type'),
   body('documentData').isObject().withMessage('Document data is required')
 ];
 
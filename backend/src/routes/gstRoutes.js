@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const {
   calculateGST,
   searchHSNCodes,
@@ -7,14 +7,123 @@ const {
   createGSTReturn,
   getUserGSTReturns,
   fileGSTReturn,
+  exportGSTReturn,
+  importGSTReturn,
+  importSalesRegister,
+  returnUpload,
   createEWayBill,
   generateEWayBill,
+  updateEWayBillPartB,
+  extendEWayBillValidity,
+  cancelEWayBill,
+  printEWayBill,
   getUserEWayBills,
   calculateITC,
   calculateTDSTCS,
   getComplianceDashboard
 } = require('../services/gstService');
+const {
+  reconcileITC,
+  getReconciliations,
+  getReconciliation,
+  getSupplierMismatchReport,
+  resolveReconciliationResult,
+  reconciliationUpload
+} = require('../services/reconciliationService');
+const {
+  prepareGSTR3B,
+  updateGSTR3B,
+  getGSTR3BVariance,
+  getGSTR3BSetOff,
+  setOffGSTR3BLiability,
+  computeGSTR3BITCReversal,
+  getITCAnnualTrueUp
+} = require('../services/gstr3bService');
+const {
+  getLedgerBalances,
+  getLedgerStatement,
+  recordOpeningBalance
+} = require('../services/ledgerService');
+const {
+  createChallan,
+  getChallans,
+  getChallan,
+  confirmChallanPayment
+} = require('../services/challanService');
+const {
+  purchaseRegisterUpload,
+  createPurchaseInvoice,
+  importPurchaseInvoices,
+  getPurchaseInvoices,
+  recordSupplierPayment,
+  getPaymentRuleSummary
+} = require('../services/purchaseInvoiceService');
+const {
+  createTDSContract,
+  getTDSContracts,
+  recordTDSDeduction,
+  recordTCSCollection,
+  getTCSCollections,
+  prepareTDSTCSReturn,
+  getGSTR7ACertificates,
+  downloadGSTR7ACertificate
+} = require('../services/tdsTcsService');
+const {
+  prepareCMP08,
+  prepareGSTR4,
+  getCompositionLimitStatus
+} = require('../services/compositionService');
+const {
+  amendGSTR1,
+  getGSTR1Amendments
+} = require('../services/gstr1AmendmentService');
+const {
+  prepareGSTR9,
+  explainGSTR9Differences,
+  exportGSTR9
+} = require('../services/gstr9Service');
+const {
+  prepareGSTR9C,
+  updateGSTR9CReasons,
+  assignGSTR9CReviewer,
+  reviewGSTR9C
+} = require('../services/gstr9cService');
+const {
+  getGSTINDetails,
+  validateCounterpartyGSTINs,
+  counterpartyUpload
+} = require('../services/gstinService');
+const {
+  createEInvoice,
+  getUserEInvoices,
+  getEInvoice,
+  generateIRN
+} = require('../services/eInvoiceService');
+const {
+  createConsolidatedEWayBill,
+  getUserConsolidatedEWayBills,
+  regenerateConsolidatedEWayBill,
+  printConsolidatedEWayBill
+} = require('../services/consolidatedEWayBillService');
+const {
+  eWayBillBulkUpload,
+  uploadEWayBillBatch,
+  getEWayBillBatches,
+  getEWayBillBatch,
+  generateEWayBillBatch,
+  downloadEWayBillTemplate
+} = require('../services/eWayBillBulkService');
+const { getPincodeDetails, getPincodeDistance } = require('../services/pincodeService');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { SUPPLY_TYPES, SERVICE_CATEGORIES } = require('../utils/placeOfSupply');
+const { PART_B_REASONS, EXTENSION_REASONS, CANCEL_REASONS } = require('../utils/eWayBill');
+const { SUPPLY_TYPES: EINVOICE_SUPPLY_TYPES, DOCUMENT_TYPES: EINVOICE_DOCUMENT_TYPES } = require('../utils/eInvoice');
+const { FILING_FREQUENCIES } = require('../utils/complianceCalendar');
+const { gstinValidator } = require('../utils/gstin');
+const { PINCODE_REGEX } = require('../utils/pincode');
+const { PAYMENT_MODES } = require('../utils/challan');
+const { PURPOSES: ITC_PURPOSES, USAGES: ITC_USAGES } = require('../utils/itcEligibility');
+const { COMPOSITION_CATEGORIES } = require('../utils/composition');
 
 const router = express.Router();
 
@@ -23,38 +132,78 @@ const validateGSTCalculation = [
   body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
   body('gstRate').isFloat({ min: 0, max: 50 }).withMessage('GST rate must be between 0 and 50'),
   body('type').optional().isIn(['inclusive', 'exclusive']).withMessage('Type must be inclusive or exclusive'),
-  body('hsnCode').optional().matches(/^[0-9]{4,8}$/).withMessage('Invalid HSN code format')
+  body('hsnCode').optional().matches(/^[0-9]{4,8}$/).withMessage('Invalid HSN code format'),
+  body('supplierState').optional().matches(/^[0-9]{1,2}$/).withMessage('Invalid supplier state code'),
+  body('recipientState').optional().matches(/^[0-9]{1,2}$/).withMessage('Invalid recipient state code'),
+  body('supplierGstin').optional().custom(gstinValidator()),
+  body('recipientGstin').optional().custom(gstinValidator()),
+  body('supplyType').optional().isIn(SUPPLY_TYPES).withMessage('Supply type must be goods or services'),
+  body('serviceCategory').optional().isIn(SERVICE_CATEGORIES).withMessage('Invalid service category'),
+  body('isExport').optional().isBoolean().withMessage('isExport must be boolean'),
+  body('isSEZ').optional().isBoolean().withMessage('isSEZ must be boolean'),
+  body('transactionDate').optional().isISO8601().withMessage('Transaction date must be a valid date')
 ];
 
 const validateGSTReturn = [
-  body('gstin').matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).withMessage('Invalid GSTIN format'),
-  body('returnType').isIn(['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C']).withMessage('Invalid return type'),
+  body('gstin').custom(gstinValidator()),
+  body('returnType').isIn(['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C', 'CMP08']).withMessage('Invalid return type'),
   body('period.month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
-  body('period.year').isInt({ min: 2017 }).withMessage('Year must be 2017 or later')
+  body('period.year').isInt({ min: 2017 }).withMessage('Year must be 2017 or later'),
+  body('filingFrequency').optional().isIn(FILING_FREQUENCIES).withMessage('Filing frequency must be monthly or quarterly'),
+  body(['excessITC.igst', 'excessITC.cgst', 'excessITC.sgst', 'excessITC.cess']).optional().isFloat({ min: 0 }).withMessage('Wrongly availed ITC must be non-negative')
 ];
 
 const validateEWayBill = [
-  body('fromGstin').matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).withMessage('Invalid supplier GSTIN format'),
-  body('toGstin').optional().matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).withMessage('Invalid recipient GSTIN format'),
+  body('fromGstin').custom(gstinValidator()),
+  body('toGstin').optional().custom(gstinValidator()),
   body('transactionType').isIn(['Regular', 'Bill To - Ship To', 'Bill From - Dispatch From', 'Combination of 2 and 3']).withMessage('Invalid transaction type'),
   body('docNo').notEmpty().withMessage('Document number is required'),
   body('docDate').isISO8601().withMessage('Invalid document date'),
   body('totalInvoiceValue').isFloat({ min: 0 }).withMessage('Total invoice value must be positive'),
-  body('transDistance').isFloat({ min: 0 }).withMessage('Transport distance must be positive')
+  body('fromPincode').matches(PINCODE_REGEX).withMessage('Invalid supplier pincode'),
+  body('toPincode').matches(PINCODE_REGEX).withMessage('Invalid recipient pincode'),
+  body('transDistance').optional().isFloat({ min: 0 }).withMessage('Transport distance must be positive')
+];
+
+const validateEInvoice = [
+  body('documentType').optional().isIn(EINVOICE_DOCUMENT_TYPES).withMessage('Invalid document type'),
+  body('documentNumber').trim().notEmpty().withMessage('Document number is required'),
+  body('documentDate').isISO8601().withMessage('Document date must be a valid date'),
+  body('supplyType').optional().isIn(EINVOICE_SUPPLY_TYPES).withMessage('Invalid supply type'),
+  body('seller.gstin').custom(gstinValidator()),
+  body('buyer.gstin').if(body('supplyType').not().isIn(['EXPWP', 'EXPWOP'])).custom(gstinValidator()),
+  body('items').isArray({ min: 1, max: 1000 }).withMessage('Between 1 and 1000 items are required'),
+  body('items.*.quantity').isFloat({ min: 0 }).withMessage('Quantity must be non-negative'),
+  body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be non-negative'),
+  body('items.*.gstRate').isFloat({ min: 0, max: 28 }).withMessage('GST rate must be between 0 and 28')
 ];
 
 const validateITCCalculation = [
   body('purchases').isArray({ min: 1 }).withMessage('At least one purchase is required'),
-  body('purchases.*.amount').isFloat({ min: 0 }).withMessage('Purchase amount must be positive'),
-  body('purchases.*.gstRate').isFloat({ min: 0, max: 50 }).withMessage('GST rate must be between 0 and 50'),
-  body('purchases.*.category').optional().isIn(['eligible', 'partially_eligible', 'ineligible']).withMessage('Invalid category')
+  body('purchases.*.amount').optional().isFloat({ min: 0 }).withMessage('Purchase amount must be positive'),
+  body('purchases.*.gstRate').optional().isFloat({ min: 0, max: 50 }).withMessage('GST rate must be between 0 and 50'),
+  body(['purchases.*.igst', 'purchases.*.cgst', 'purchases.*.sgst', 'purchases.*.cess']).optional().isFloat({ min: 0 }).withMessage('Tax amounts must be non-negative'),
+  body('purchases.*.category').optional().isIn(['eligible', 'partially_eligible', 'ineligible']).withMessage('Invalid category'),
+  body('purchases.*.purpose').optional().isIn(Object.keys(ITC_PURPOSES)).withMessage('Invalid purpose'),
+  body('purchases.*.usage').optional().isIn(ITC_USAGES).withMessage('Invalid usage'),
+  body('purchases.*.capitalisedOn').optional().isISO8601().withMessage('Capitalisation date must be a valid date'),
+  body('capitalGoods').optional().isArray().withMessage('Capital goods must be an array'),
+  body('capitalGoods.*.capitalisedOn').isISO8601().withMessage('Capitalisation date must be a valid date'),
+  body(['turnover.exempt', 'turnover.total']).optional().isFloat({ min: 0 }).withMessage('Turnover must be non-negative'),
+  body('nonBusinessUse').optional().isBoolean().withMessage('Non-business use must be true or false'),
+  body('period.month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  body('period.year').optional().isInt({ min: 2017 }).withMessage('Year must be 2017 or later')
 ];
 
 const validateTDSTCSCalculation = [
   body('amount').isFloat({ min: 0 }).withMessage('Amount must be positive'),
   body('type').isIn(['TDS', 'TCS']).withMessage('Type must be TDS or TCS'),
   body('section').isIn(['51', '52']).withMessage('Invalid section'),
-  body('supplierType').optional().isIn(['registered', 'unregistered']).withMessage('Invalid supplier type')
+  body('supplierType').optional().isIn(['registered', 'unregistered']).withMessage('Invalid supplier type'),
+  body(['contractValue', 'returnedValue']).optional().isFloat({ min: 0 }).withMessage('Values must be non-negative'),
+  body(['deductorGstin', 'supplierGstin']).optional().custom(gstinValidator()),
+  body('placeOfSupply').optional().matches(/^[0-9]{1,2}$/).withMessage('Invalid place of supply state code'),
+  body('date').optional().isISO8601().withMessage('Date must be a valid date')
 ];
 
 // Validation error handler
@@ -101,7 +250,9 @@ router.get('/hsn/search', [
 // @route   GET /api/gst/hsn/:code
 // @desc    Get HSN code details
 // @access  Public
-router.get('/hsn/:code', getHSNCodeDetails);
+router.get('/hsn/:code', [
+  query('date').optional().isISO8601().withMessage('Date must be a valid date')
+], handleValidationErrors, getHSNCodeDetails);
 
 // GST Return Routes
 // @route   POST /api/gst/returns
@@ -114,12 +265,100 @@ router.post('/returns', authMiddleware, validateGSTReturn, handleValidationError
 // @access  Private
 router.get('/returns', authMiddleware, [
   query('status').optional().isIn(['draft', 'filed', 'processed', 'rejected', 'amended']).withMessage('Invalid status'),
-  query('returnType').optional().isIn(['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C']).withMessage('Invalid return type'),
+  query('returnType').optional().isIn(['GSTR1', 'GSTR2', 'GSTR3B', 'GSTR4', 'GSTR5', 'GSTR6', 'GSTR7', 'GSTR8', 'GSTR9', 'GSTR9C', 'CMP08']).withMessage('Invalid return type'),
   query('year').optional().isInt({ min: 2017 }).withMessage('Year must be 2017 or later'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
 ], handleValidationErrors, getUserGSTReturns);
 
+// @route   POST /api/gst/returns/import
+// @desc    Import a portal-downloaded GSTR-1 JSON as a draft return
+// @access  Private
+router.post('/returns/import', authMiddleware, returnUpload.single('file'), importGSTReturn);
+
+// @route   POST /api/gst/returns/sales-register
+// @desc    Build a GSTR-1 draft from a CSV or Excel sales register
+// @access  Private
+router.post('/returns/sales-register', authMiddleware, returnUpload.single('file'), [
+  body('gstin').custom(gstinValidator()),
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  body('year').isInt({ min: 2017 }).withMessage('Year must be 2017 or later'),
+  body('replace').optional().isBoolean().withMessage('Replace must be boolean'),
+  body('filingFrequency').optional().isIn(FILING_FREQUENCIES).withMessage('Filing frequency must be monthly or quarterly')
+], handleValidationErrors, importSalesRegister);
+
+// @route   GET /api/gst/returns/:returnId/export
+// @desc    Export GSTR-1 return in the GSTN offline tool JSON format
+// @access  Private
+router.get('/returns/:returnId/export', authMiddleware, exportGSTReturn);
+
+// @route   POST /api/gst/returns/:returnId/amendments
+// @desc    Amend a document of a filed GSTR-1 in a later period's draft (B2BA, B2CLA, B2CSA, CDNRA)
+// @access  Private
+router.post('/returns/:returnId/amendments', authMiddleware, [
+  body('table').isIn(['b2b', 'b2cl', 'b2cs', 'cdnr']).withMessage('Table must be b2b, b2cl, b2cs or cdnr'),
+  body('document').isObject().withMessage('Document reference is required'),
+  body('document.inum').if(body('table').isIn(['b2b', 'b2cl'])).trim().notEmpty().withMessage('Invoice number is required'),
+  body('document.nt_num').if(body('table').equals('cdnr')).trim().notEmpty().withMessage('Note number is required'),
+  body('document.pos').if(body('table').equals('b2cs')).matches(/^[0-9]{2}$/).withMessage('Place of supply must be a two-digit state code'),
+  body('document.rt').if(body('table').equals('b2cs')).isFloat({ min: 0 }).withMessage('Rate is required'),
+  body('revised').isObject().withMessage('Revised details are required'),
+  body('revised.ctin').optional().custom(gstinValidator()),
+  body(['revised.idt', 'revised.nt_dt']).optional().isISO8601().withMessage('Dates must be valid'),
+  body('revised.items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  body('year').isInt({ min: 2017 }).withMessage('Year must be 2017 or later')
+], handleValidationErrors, amendGSTR1);
+
+// @route   GET /api/gst/returns/:returnId/amendments
+// @desc    List the amendments reported against a GSTR-1
+// @access  Private
+router.get('/returns/:returnId/amendments', authMiddleware, getGSTR1Amendments);
+
+// @route   POST /api/gst/returns/:returnId/prepare-3b
+// @desc    Prepare GSTR-3B from GSTR-1 and reconciled ITC
+// @access  Private
+router.post('/returns/:returnId/prepare-3b', authMiddleware, [
+  body('reversals').optional().isObject().withMessage('Reversals must be an object'),
+  body('recipientCategories').optional().isObject().withMessage('Recipient categories must be an object')
+], handleValidationErrors, prepareGSTR3B);
+
+// @route   PATCH /api/gst/returns/:returnId/gstr3b
+// @desc    Override computed GSTR-3B figures
+// @access  Private
+router.patch('/returns/:returnId/gstr3b', authMiddleware, [
+  body('overrides').isObject({ strict: true }).withMessage('Overrides must be an object'),
+  body('overrides').custom(value => Object.keys(value).length > 0).withMessage('At least one override is required')
+], handleValidationErrors, updateGSTR3B);
+
+// @route   GET /api/gst/returns/:returnId/gstr3b/variance
+// @desc    Get variance between computed and reported GSTR-3B figures
+// @access  Private
+router.get('/returns/:returnId/gstr3b/variance', authMiddleware, getGSTR3BVariance);
+
+// @route   POST /api/gst/returns/:returnId/itc-reversal
+// @desc    Compute 17(5) blocked credit and rule 42/43 reversals for GSTR-3B table 4(B)
+// @access  Private
+router.post('/returns/:returnId/itc-reversal', authMiddleware, validateITCCalculation, handleValidationErrors, computeGSTR3BITCReversal);
+
+// @route   GET /api/gst/itc/true-up
+// @desc    Rule 42(2) year-end true-up of common credit reversals
+// @access  Private
+router.get('/itc/true-up', authMiddleware, [
+  query('gstin').custom(gstinValidator()),
+  query('financialYear').matches(/^\d{4}-\d{2}$/).withMessage('Financial year must be in the form 2024-25')
+], handleValidationErrors, getITCAnnualTrueUp);
+
+// @route   GET /api/gst/returns/:returnId/set-off
+// @desc    Preview set-off of GSTR-3B liability (table 6.1) and cash shortfall
+// @access  Private
+router.get('/returns/:returnId/set-off', authMiddleware, getGSTR3BSetOff);
+
+// @route   POST /api/gst/returns/:returnId/set-off
+// @desc    Set off GSTR-3B liability against the electronic credit and cash ledgers
+// @access  Private
+router.post('/returns/:returnId/set-off', authMiddleware, setOffGSTR3BLiability);
+
 // @route   POST /api/gst/returns/:returnId/file
 // @desc    File GST return
 // @access  Private
@@ -145,6 +384,487 @@ router.get('/eway-bills', authMiddleware, [
 // @access  Private
 router.post('/eway-bills/:eWayBillId/generate', authMiddleware, generateEWayBill);
 
+// @route   PUT /api/gst/eway-bills/:eWayBillId/part-b
+// @desc    Update the vehicle or transport document (Part-B)
+// @access  Private
+router.put('/eway-bills/:eWayBillId/part-b', authMiddleware, [
+  body('reasonCode').isIn(Object.keys(PART_B_REASONS)).withMessage('Invalid Part-B update reason'),
+  body('transMode').optional().isIn(['Road', 'Rail', 'Air', 'Ship']).withMessage('Invalid transport mode'),
+  body('vehicleType').optional().isIn(['Regular', 'Over Dimensional Cargo (ODC)']).withMessage('Invalid vehicle type'),
+  body('transDocDate').optional().isISO8601().withMessage('Transport document date must be a valid date'),
+  body('fromPlace').trim().notEmpty().withMessage('Place of change is required')
+], handleValidationErrors, updateEWayBillPartB);
+
+// @route   POST /api/gst/eway-bills/:eWayBillId/extend
+// @desc    Extend E-Way Bill validity for the remaining distance
+// @access  Private
+router.post('/eway-bills/:eWayBillId/extend', authMiddleware, [
+  body('reasonCode').isIn(Object.keys(EXTENSION_REASONS)).withMessage('Invalid extension reason'),
+  body('remarks').trim().notEmpty().withMessage('Remarks are required'),
+  body('remainingDistance').isFloat({ min: 1 }).withMessage('Remaining distance must be at least 1 km'),
+  body('currentPlace').trim().notEmpty().withMessage('Current place is required')
+], handleValidationErrors, extendEWayBillValidity);
+
+// @route   POST /api/gst/eway-bills/:eWayBillId/cancel
+// @desc    Cancel E-Way Bill within 24 hours of generation
+// @access  Private
+router.post('/eway-bills/:eWayBillId/cancel', authMiddleware, [
+  body('reasonCode').isIn(Object.keys(CANCEL_REASONS)).withMessage('Invalid cancellation reason'),
+  body('remarks').optional().isString().isLength({ max: 100 }).withMessage('Remarks must not exceed 100 characters')
+], handleValidationErrors, cancelEWayBill);
+
+// @route   GET /api/gst/eway-bills/:eWayBillId/print
+// @desc    Print E-Way Bill
+// @access  Private
+router.get('/eway-bills/:eWayBillId/print', authMiddleware, printEWayBill);
+
+// Bulk E-Way Bill Routes
+// @route   GET /api/gst/eway-bills/batches/template
+// @desc    Download the Excel template for bulk E-Way Bills
+// @access  Private
+router.get('/eway-bills/batches/template', authMiddleware, downloadEWayBillTemplate);
+
+// @route   POST /api/gst/eway-bills/batches
+// @desc    Upload bulk E-Way Bills (portal bulk JSON or Excel template) and create drafts
+// @access  Private
+router.post('/eway-bills/batches', authMiddleware, eWayBillBulkUpload.single('file'), uploadEWayBillBatch);
+
+// @route   GET /api/gst/eway-bills/batches
+// @desc    Get user's bulk E-Way Bill batches
+// @access  Private
+router.get('/eway-bills/batches', authMiddleware, [
+  query('status').optional().isIn(['validating', 'validated', 'generating', 'completed', 'failed']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getEWayBillBatches);
+
+// @route   GET /api/gst/eway-bills/batches/:batchId
+// @desc    Get bulk E-Way Bill batch progress and row-level report
+// @access  Private
+router.get('/eway-bills/batches/:batchId', authMiddleware, getEWayBillBatch);
+
+// @route   POST /api/gst/eway-bills/batches/:batchId/generate
+// @desc    Generate all valid drafts of a bulk E-Way Bill batch
+// @access  Private
+router.post('/eway-bills/batches/:batchId/generate', authMiddleware, generateEWayBillBatch);
+
+// Consolidated E-Way Bill Routes
+// @route   POST /api/gst/eway-bills/consolidated
+// @desc    Generate consolidated E-Way Bill for E-Way Bills moving in one vehicle
+// @access  Private
+router.post('/eway-bills/consolidated', authMiddleware, [
+  body('eWayBillIds').isArray({ min: 1, max: 100 }).withMessage('Between 1 and 100 E-Way Bills are required'),
+  body('eWayBillIds.*').isMongoId().withMessage('Invalid E-Way Bill ID'),
+  body('transMode').isIn(['Road', 'Rail', 'Air', 'Ship']).withMessage('Invalid transport mode'),
+  body('vehicleNo').if(body('transMode').equals('Road')).trim().notEmpty().withMessage('Vehicle number is required for road transport'),
+  body('transDocNo').if(body('transMode').not().equals('Road')).trim().notEmpty().withMessage('Transport document number is required'),
+  body('transDocDate').optional().isISO8601().withMessage('Transport document date must be a valid date')
+], handleValidationErrors, createConsolidatedEWayBill);
+
+// @route   GET /api/gst/eway-bills/consolidated
+// @desc    Get user's consolidated E-Way Bills
+// @access  Private
+router.get('/eway-bills/consolidated', authMiddleware, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getUserConsolidatedEWayBills);
+
+// @route   PUT /api/gst/eway-bills/consolidated/:consolidatedId/vehicle
+// @desc    Regenerate consolidated E-Way Bill for a new vehicle or transport document
+// @access  Private
+router.put('/eway-bills/consolidated/:consolidatedId/vehicle', authMiddleware, [
+  body('reasonCode').isIn(Object.keys(PART_B_REASONS)).withMessage('Invalid vehicle change reason'),
+  body('transMode').optional().isIn(['Road', 'Rail', 'Air', 'Ship']).withMessage('Invalid transport mode'),
+  body('transDocDate').optional().isISO8601().withMessage('Transport document date must be a valid date'),
+  body('fromPlace').trim().notEmpty().withMessage('Place of change is required')
+], handleValidationErrors, regenerateConsolidatedEWayBill);
+
+// @route   GET /api/gst/eway-bills/consolidated/:consolidatedId/print
+// @desc    Print consolidated E-Way Bill with its E-Way Bills
+// @access  Private
+router.get('/eway-bills/consolidated/:consolidatedId/print', authMiddleware, printConsolidatedEWayBill);
+
+// Pincode Master Routes
+// @route   GET /api/gst/pincodes/distance
+// @desc    Suggest the road distance between two pincodes for an E-Way Bill
+// @access  Private
+router.get('/pincodes/distance', authMiddleware, [
+  query('from').matches(PINCODE_REGEX).withMessage('Invalid origin pincode'),
+  query('to').matches(PINCODE_REGEX).withMessage('Invalid destination pincode')
+], handleValidationErrors, getPincodeDistance);
+
+// @route   GET /api/gst/pincodes/:pincode
+// @desc    Get place, district and state for a pincode
+// @access  Private
+router.get('/pincodes/:pincode', authMiddleware, [
+  param('pincode').matches(PINCODE_REGEX).withMessage('Invalid pincode')
+], handleValidationErrors, getPincodeDetails);
+
+// E-invoice Routes
+// @route   POST /api/gst/einvoices
+// @desc    Build and validate the INV-01 e-invoice JSON for a sales invoice
+// @access  Private
+router.post('/einvoices', authMiddleware, validateEInvoice, handleValidationErrors, createEInvoice);
+
+// @route   GET /api/gst/einvoices
+// @desc    Get user's e-invoices
+// @access  Private
+router.get('/einvoices', authMiddleware, [
+  query('status').optional().isIn(['draft', 'generated', 'failed', 'cancelled']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getUserEInvoices);
+
+// @route   GET /api/gst/einvoices/:eInvoiceId
+// @desc    Get an e-invoice with its payload and IRP acknowledgement
+// @access  Private
+router.get('/einvoices/:eInvoiceId', authMiddleware, getEInvoice);
+
+// @route   POST /api/gst/einvoices/:eInvoiceId/generate
+// @desc    Register the e-invoice with the IRP to obtain the IRN and signed QR code
+// @access  Private
+router.post('/einvoices/:eInvoiceId/generate', authMiddleware, generateIRN);
+
+// ITC Reconciliation Routes
+// @route   POST /api/gst/reconciliation
+// @desc    Reconcile GSTR-2B against the purchase register
+// @access  Private
+router.post('/reconciliation', authMiddleware, reconciliationUpload.fields([
+  { name: 'gstr2b', maxCount: 1 },
+  { name: 'purchaseRegister', maxCount: 1 }
+]), [
+  body('gstin').custom(gstinValidator()),
+  body('amountTolerance').optional().isFloat({ min: 0 }).withMessage('Amount tolerance must be non-negative'),
+  body('dateToleranceDays').optional().isInt({ min: 0, max: 31 }).withMessage('Date tolerance must be between 0 and 31 days')
+], handleValidationErrors, reconcileITC);
+
+// @route   GET /api/gst/reconciliation
+// @desc    Get user's reconciliations
+// @access  Private
+router.get('/reconciliation', authMiddleware, [
+  query('year').optional().isInt({ min: 2017 }).withMessage('Year must be 2017 or later'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getReconciliations);
+
+// @route   GET /api/gst/reconciliation/:reconciliationId
+// @desc    Get reconciliation results
+// @access  Private
+router.get('/reconciliation/:reconciliationId', authMiddleware, [
+  query('status').optional().isIn(['matched', 'partially_matched', 'missing_in_2b', 'missing_in_books', 'duplicate']).withMessage('Invalid status')
+], handleValidationErrors, getReconciliation);
+
+// @route   GET /api/gst/reconciliation/:reconciliationId/suppliers
+// @desc    Get per-supplier mismatch report
+// @access  Private
+router.get('/reconciliation/:reconciliationId/suppliers', authMiddleware, getSupplierMismatchReport);
+
+// @route   PATCH /api/gst/reconciliation/:reconciliationId/results/:resultId
+// @desc    Record the follow-up outcome for a mismatch
+// @access  Private
+router.patch('/reconciliation/:reconciliationId/results/:resultId', authMiddleware, [
+  body('status').isIn(['open', 'resolved', 'ignored']).withMessage('Invalid resolution status'),
+  body('remarks').optional().isString().withMessage('Remarks must be a string')
+], handleValidationErrors, resolveReconciliationResult);
+
+// Purchase Invoice Routes (180-day payment rule)
+// @route   POST /api/gst/purchase-invoices
+// @desc    Add a purchase invoice to track supplier payments against
+// @access  Private
+router.post('/purchase-invoices', authMiddleware, [
+  body('gstin').custom(gstinValidator()),
+  body('supplierGstin').custom(gstinValidator()),
+  body('invoiceNumber').trim().notEmpty().withMessage('Invoice number is required'),
+  body('invoiceDate').isISO8601().withMessage('Valid invoice date is required'),
+  body('documentType').optional().isIn(['INV', 'DBN', 'CRN']).withMessage('Invalid document type'),
+  body('invoiceValue').isFloat({ min: 0 }).withMessage('Invoice value must be non-negative'),
+  body(['taxableValue', 'igst', 'cgst', 'sgst', 'cess']).optional().isFloat({ min: 0 }).withMessage('Amounts must be non-negative'),
+  body('itcAvailedOn').optional().isISO8601().withMessage('ITC availment date must be a valid date'),
+  body('payments').optional().isArray().withMessage('Payments must be an array'),
+  body('payments.*.date').isISO8601().withMessage('Payment date must be a valid date'),
+  body('payments.*.amount').isFloat({ min: 0 }).withMessage('Payment amount must be non-negative')
+], handleValidationErrors, createPurchaseInvoice);
+
+// @route   POST /api/gst/purchase-invoices/import
+// @desc    Import purchase invoices from the purchase register
+// @access  Private
+router.post('/purchase-invoices/import', authMiddleware, purchaseRegisterUpload.single('file'), [
+  body('gstin').custom(gstinValidator())
+], handleValidationErrors, importPurchaseInvoices);
+
+// @route   GET /api/gst/purchase-invoices
+// @desc    Get user's purchase invoices with payment and 180-day rule status
+// @access  Private
+router.get('/purchase-invoices', authMiddleware, [
+  query('status').optional().isIn(['not_applicable', 'within_limit', 'approaching', 'paid_in_time', 'reversal_due', 'reversed', 'reclaimed']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getPurchaseInvoices);
+
+// @route   GET /api/gst/purchase-invoices/payment-rule
+// @desc    Summarise the 180-day payment rule and what the next GSTR-3B must report
+// @access  Private
+router.get('/purchase-invoices/payment-rule', authMiddleware, [
+  query('gstin').custom(gstinValidator())
+], handleValidationErrors, getPaymentRuleSummary);
+
+// @route   POST /api/gst/purchase-invoices/:invoiceId/payments
+// @desc    Record a payment to the supplier
+// @access  Private
+router.post('/purchase-invoices/:invoiceId/payments', authMiddleware, [
+  body('date').isISO8601().withMessage('Valid payment date is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than zero'),
+  body('mode').optional().isString().withMessage('Payment mode must be a string'),
+  body('reference').optional().isString().withMessage('Reference must be a string')
+], handleValidationErrors, recordSupplierPayment);
+
+// Composition Scheme Routes
+// @route   POST /api/gst/returns/:returnId/prepare-cmp08
+// @desc    Prepare a quarterly CMP-08 at the composition rate and check the composition limit
+// @access  Private
+router.post('/returns/:returnId/prepare-cmp08', authMiddleware, [
+  body('category').isIn(COMPOSITION_CATEGORIES).withMessage('Invalid composition category'),
+  body('turnover').isObject().withMessage('Turnover is required'),
+  body(['turnover.taxable', 'turnover.exempt']).optional().isFloat({ min: 0 }).withMessage('Turnover must be non-negative'),
+  body('reverseCharge').optional().isObject().withMessage('Reverse charge supplies must be an object'),
+  body(['reverseCharge.txval', 'reverseCharge.igst', 'reverseCharge.cgst', 'reverseCharge.sgst', 'reverseCharge.cess']).optional().isFloat({ min: 0 }).withMessage('Amounts must be non-negative'),
+  body('precedingTurnover').optional().isFloat({ min: 0 }).withMessage('Preceding year turnover must be non-negative')
+], handleValidationErrors, prepareCMP08);
+
+// @route   POST /api/gst/returns/:returnId/prepare-gstr4
+// @desc    Prepare the annual GSTR-4 from the year's CMP-08s and inward supplies
+// @access  Private
+router.post('/returns/:returnId/prepare-gstr4', authMiddleware, [
+  body(['unregistered', 'imports']).optional().isObject().withMessage('Inward supplies must be an object'),
+  body(['unregistered.*', 'imports.*']).optional().isFloat({ min: 0 }).withMessage('Amounts must be non-negative')
+], handleValidationErrors, prepareGSTR4);
+
+// @route   GET /api/gst/composition/limit
+// @desc    Check turnover for a financial year against the composition limit
+// @access  Private
+router.get('/composition/limit', authMiddleware, [
+  query('gstin').custom(gstinValidator()),
+  query('financialYear').matches(/^\d{4}-\d{2}$/).withMessage('Financial year must be in the form 2024-25'),
+  query('category').optional().isIn(COMPOSITION_CATEGORIES).withMessage('Invalid composition category')
+], handleValidationErrors, getCompositionLimitStatus);
+
+// GSTR-9 Annual Return Routes
+// @route   POST /api/gst/returns/:returnId/prepare-gstr9
+// @desc    Prepare GSTR-9 from the financial year's GSTR-1s, GSTR-3Bs and ITC reconciliations
+// @access  Private
+router.post('/returns/:returnId/prepare-gstr9', authMiddleware, [
+  body(['nextYear', 'imports', 'demands', 'suppliesReceived']).optional().isObject().withMessage('Annual return inputs must be objects'),
+  body(['imports.igst', 'imports.cess']).optional().isFloat({ min: 0 }).withMessage('Import tax must be non-negative'),
+  body(['hsnOutward', 'hsnInward']).optional().isArray().withMessage('HSN summary must be an array'),
+  body(['hsnOutward.*.hsn_sc', 'hsnInward.*.hsn_sc']).matches(/^[0-9]{4,8}$/).withMessage('HSN/SAC must be 4 to 8 digits'),
+  body(['hsnOutward.*.txval', 'hsnInward.*.txval']).isFloat().withMessage('Taxable value must be a number')
+], handleValidationErrors, prepareGSTR9);
+
+// @route   PUT /api/gst/returns/:returnId/gstr9/explanations
+// @desc    Explain months where GSTR-1 and GSTR-3B differ
+// @access  Private
+router.put('/returns/:returnId/gstr9/explanations', authMiddleware, [
+  body('explanations').isArray({ min: 1 }).withMessage('At least one explanation is required'),
+  body('explanations.*.month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  body('explanations.*.year').isInt({ min: 2017 }).withMessage('Year must be 2017 or later'),
+  body('explanations.*.reason').trim().notEmpty().withMessage('Reason is required')
+], handleValidationErrors, explainGSTR9Differences);
+
+// @route   GET /api/gst/returns/:returnId/gstr9/export
+// @desc    Export a prepared GSTR-9 as portal JSON
+// @access  Private
+router.get('/returns/:returnId/gstr9/export', authMiddleware, exportGSTR9);
+
+// GSTR-9C Reconciliation Statement Routes
+// @route   POST /api/gst/returns/:returnId/prepare-gstr9c
+// @desc    Reconcile a CSV or Excel trial balance or P&L with the year's GSTR-9 (GSTR-9C part A)
+// @access  Private
+router.post('/returns/:returnId/prepare-gstr9c', authMiddleware, returnUpload.single('file'), [
+  param('returnId').isMongoId().withMessage('Invalid return ID')
+], handleValidationErrors, prepareGSTR9C);
+
+// @route   PUT /api/gst/returns/:returnId/gstr9c/reasons
+// @desc    Record reasons for the unreconciled differences of a GSTR-9C
+// @access  Private
+router.put('/returns/:returnId/gstr9c/reasons', authMiddleware, [
+  param('returnId').isMongoId().withMessage('Invalid return ID'),
+  body('reasons').isArray().withMessage('Reasons must be an array'),
+  body('reasons.*.table').isIn([6, 8, 10, 13, 15]).withMessage('Reasons belong to table 6, 8, 10, 13 or 15'),
+  body('reasons.*.reason').trim().notEmpty().withMessage('Reason is required'),
+  body('reasons.*.amount').isFloat().withMessage('Amount must be a number')
+], handleValidationErrors, updateGSTR9CReasons);
+
+// @route   PUT /api/gst/returns/:returnId/gstr9c/reviewer
+// @desc    Assign the practitioner, consultant or accountant who signs off a GSTR-9C
+// @access  Private
+router.put('/returns/:returnId/gstr9c/reviewer', authMiddleware, [
+  param('returnId').isMongoId().withMessage('Invalid return ID'),
+  body('reviewerEmail').isEmail().normalizeEmail().withMessage('Valid reviewer email is required')
+], handleValidationErrors, assignGSTR9CReviewer);
+
+// @route   POST /api/gst/returns/:returnId/gstr9c/review
+// @desc    Sign off a GSTR-9C or request changes, by its assigned reviewer
+// @access  Private
+router.post('/returns/:returnId/gstr9c/review', authMiddleware, [
+  param('returnId').isMongoId().withMessage('Invalid return ID'),
+  body('decision').isIn(['approved', 'changes_requested']).withMessage('Decision must be approved or changes_requested'),
+  body('designation').optional().trim(),
+  body('comments').optional().trim()
+], handleValidationErrors, reviewGSTR9C);
+
+// TDS (section 51) and TCS (section 52) Routes
+// @route   POST /api/gst/tds/contracts
+// @desc    Add a contract to a TDS deductor's deductions register
+// @access  Private
+router.post('/tds/contracts', authMiddleware, [
+  body('gstin').custom(gstinValidator(['tds'])),
+  body('deducteeGstin').optional().custom(gstinValidator()),
+  body('deducteeName').trim().notEmpty().withMessage('Deductee name is required'),
+  body('contractNumber').trim().notEmpty().withMessage('Contract number is required'),
+  body('contractDate').isISO8601().withMessage('Valid contract date is required'),
+  body('contractValue').isFloat({ min: 0 }).withMessage('Contract value must be non-negative'),
+  body('placeOfSupply').optional().matches(/^[0-9]{2}$/).withMessage('Place of supply must be a two-digit state code')
+], handleValidationErrors, createTDSContract);
+
+// @route   GET /api/gst/tds/contracts
+// @desc    Get the deductions register
+// @access  Private
+router.get('/tds/contracts', authMiddleware, [
+  query('status').optional().isIn(['active', 'closed']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getTDSContracts);
+
+// @route   POST /api/gst/tds/contracts/:contractId/deductions
+// @desc    Record a payment under a contract and the tax deducted from it
+// @access  Private
+router.post('/tds/contracts/:contractId/deductions', authMiddleware, [
+  body('paymentDate').isISO8601().withMessage('Valid payment date is required'),
+  body('invoiceDate').optional().isISO8601().withMessage('Invoice date must be a valid date'),
+  body('amountPaid').isFloat({ gt: 0 }).withMessage('Amount paid must be greater than zero')
+], handleValidationErrors, recordTDSDeduction);
+
+// @route   POST /api/gst/tcs/collections
+// @desc    Record a supplier's supplies through the operator for a month and the tax collected
+// @access  Private
+router.post('/tcs/collections', authMiddleware, [
+  body('gstin').custom(gstinValidator(['tcs'])),
+  body('supplierGstin').custom(gstinValidator()),
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  body('year').isInt({ min: 2018 }).withMessage('Invalid year'),
+  body('placeOfSupply').matches(/^[0-9]{2}$/).withMessage('Place of supply must be a two-digit state code'),
+  body('grossValue').isFloat({ min: 0 }).withMessage('Gross value must be non-negative'),
+  body('returnedValue').optional().isFloat({ min: 0 }).withMessage('Returned value must be non-negative')
+], handleValidationErrors, recordTCSCollection);
+
+// @route   GET /api/gst/tcs/collections
+// @desc    Get an e-commerce operator's collections
+// @access  Private
+router.get('/tcs/collections', authMiddleware, [
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  query('year').optional().isInt({ min: 2018 }).withMessage('Invalid year'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getTCSCollections);
+
+// @route   POST /api/gst/returns/:returnId/prepare-tds-tcs
+// @desc    Prepare a GSTR-7 from the deductions register or a GSTR-8 from the collections
+// @access  Private
+router.post('/returns/:returnId/prepare-tds-tcs', authMiddleware, prepareTDSTCSReturn);
+
+// @route   GET /api/gst/returns/:returnId/gstr7a
+// @desc    Get the GSTR-7A certificates of a filed GSTR-7
+// @access  Private
+router.get('/returns/:returnId/gstr7a', authMiddleware, getGSTR7ACertificates);
+
+// @route   GET /api/gst/returns/:returnId/gstr7a/:deducteeGstin
+// @desc    Download a deductee's GSTR-7A certificate as PDF
+// @access  Private
+router.get('/returns/:returnId/gstr7a/:deducteeGstin', authMiddleware, [
+  param('deducteeGstin').custom(gstinValidator())
+], handleValidationErrors, downloadGSTR7ACertificate);
+
+// GSTIN Routes
+// @route   GET /api/gst/gstin/:gstin
+// @desc    Validate and decode a GSTIN offline
+// @access  Private
+router.get('/gstin/:gstin', authMiddleware, getGSTINDetails);
+
+// @route   POST /api/gst/gstin/validate-bulk
+// @desc    Validate counterparty GSTINs against their declared state and PAN
+// @access  Private
+router.post('/gstin/validate-bulk', authMiddleware, counterpartyUpload.single('file'), [
+  body('parties').optional().isArray({ max: 5000 }).withMessage('Parties must be an array of at most 5000 entries')
+], handleValidationErrors, validateCounterpartyGSTINs);
+
+// Electronic Ledger Routes
+// @route   GET /api/gst/ledgers/:gstin
+// @desc    Get credit and cash ledger balances and outstanding liability
+// @access  Private
+router.get('/ledgers/:gstin', authMiddleware, [
+  param('gstin').custom(gstinValidator()),
+  query('asOf').optional().isISO8601().withMessage('As-of date must be a valid date')
+], handleValidationErrors, getLedgerBalances);
+
+// @route   POST /api/gst/ledgers/:gstin/opening-balance
+// @desc    Record the opening balance of a ledger
+// @access  Private
+router.post('/ledgers/:gstin/opening-balance', authMiddleware, [
+  param('gstin').custom(gstinValidator()),
+  body('ledger').isIn(['credit', 'cash', 'liability']).withMessage('Invalid ledger'),
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('minorHead').optional().isIn(['tax', 'interest', 'fee', 'penalty', 'others']).withMessage('Invalid minor head'),
+  body('amount').isObject().withMessage('Amount by tax head is required'),
+  body(['amount.igst', 'amount.cgst', 'amount.sgst', 'amount.cess']).optional().isFloat({ min: 0 }).withMessage('Amounts must be non-negative')
+], handleValidationErrors, recordOpeningBalance);
+
+// @route   GET /api/gst/ledgers/:gstin/:ledger
+// @desc    Get a ledger statement with running balances
+// @access  Private
+router.get('/ledgers/:gstin/:ledger', authMiddleware, [
+  param('gstin').custom(gstinValidator()),
+  param('ledger').isIn(['credit', 'cash', 'liability']).withMessage('Invalid ledger'),
+  query('from').optional().isISO8601().withMessage('From date must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To date must be a valid date')
+], handleValidationErrors, getLedgerStatement);
+
+// Challan (PMT-06) Routes
+// @route   POST /api/gst/challans
+// @desc    Generate a PMT-06 challan for a return's cash liability or given amounts
+// @access  Private
+router.post('/challans', authMiddleware, [
+  body('returnId').optional().isMongoId().withMessage('Invalid return ID'),
+  body('gstin').if(body('returnId').not().exists()).custom(gstinValidator()),
+  body('reason').optional().isIn(['Monthly Payment for Quarterly Return', 'Any Other Payment', 'Return Liability']).withMessage('Invalid reason'),
+  body('paymentMode').optional().isIn(PAYMENT_MODES).withMessage('Invalid payment mode'),
+  body('amounts').if(body('returnId').not().exists()).isObject().withMessage('Challan amounts are required'),
+  body('amounts.*.*').optional().isFloat({ min: 0 }).withMessage('Challan amounts must be non-negative')
+], handleValidationErrors, createChallan);
+
+// @route   GET /api/gst/challans
+// @desc    Get user's challans
+// @access  Private
+router.get('/challans', authMiddleware, [
+  query('status').optional().isIn(['generated', 'processing', 'paid', 'expired']).withMessage('Invalid status'),
+  query('returnId').optional().isMongoId().withMessage('Invalid return ID'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be non-negative')
+], handleValidationErrors, getChallans);
+
+// @route   GET /api/gst/challans/:challanId
+// @desc    Get a challan with its payment status
+// @access  Private
+router.get('/challans/:challanId', authMiddleware, getChallan);
+
+// @route   POST /api/gst/challans/:challanId/payment
+// @desc    Confirm payment of a challan and credit the cash ledger
+// @access  Private
+router.post('/challans/:challanId/payment', authMiddleware, [
+  body('bankCode').optional().isAlphanumeric().isLength({ min: 3, max: 4 }).withMessage('Invalid bank code'),
+  body('brn').optional().trim().notEmpty().withMessage('Bank reference number must not be empty'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be non-negative')
+], handleValidationErrors, confirmChallanPayment);
+
 // Compliance Dashboard
 // @route   GET /api/gst/compliance/dashboard
 // @desc    Get compliance dashboard
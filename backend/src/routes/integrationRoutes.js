@@ -7,13 +7,13 @@ const {
   bankingIntegration
 } = require('../services/integrationService');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { gstinValidator } = require('../utils/gstin');
 
 const router = express.Router();
 
 // Validation middleware
 const validateGSTIN = [
-  body('gstin').isLength({ min: 15, max: 15 }).withMessage('GSTIN must be 15 characters long')
-    .matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).withMessage('Invalid GSTIN format')
+  body('gstin').custom(gstinValidator())
 ];
 
 const validateAccountingConnection = [
@@ -11,6 +11,7 @@ const {
   upload
 } = require('../services/profileService');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { gstinValidator } = require('../utils/gstin');
 
 const router = express.Router();
 
@@ -23,7 +24,7 @@ const validateProfileUpdate = [
   body('profile.gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say']).withMessage('Invalid gender'),
   body('profile.profession').optional().isIn(['gst_practitioner', 'chartered_accountant', 'tax_consultant', 'business_owner', 'student', 'other']).withMessage('Invalid profession'),
   body('profile.experience').optional().isInt({ min: 0, max: 50 }).withMessage('Experience must be between 0 and 50 years'),
-  body('profile.gstRegistrationNumber').optional().matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).withMessage('Invalid GST registration number'),
+  body('profile.gstRegistrationNumber').optional().custom(gstinValidator()).withMessage('Invalid GST registration number'),
   body('profile.panNumber').optional().matches(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/).withMessage('Invalid PAN number'),
   body('profile.website').optional().isURL().withMessage('Please provide a valid website URL'),
   body('profile.linkedinProfile').optional().isURL().withMessage('Please provide a valid LinkedIn URL')
@@ -125,7 +125,9 @@ const handleGSTRateInquiry = async (query, entities) => {
         const topResult = hsnCodes[0];
         return {
           type: 'gst_rate_response',
-          message: `The GST rate for ${entities.product} (HSN: ${topResult.code}) is ${topResult.effectiveGSTRate}%.`,
+          message: topResult.effectiveGSTRate === null
+            ? `HSN ${topResult.code} matches ${entities.product}, but its GST rate is not recorded in the HSN master yet.`
+            : `The GST rate for ${entities.product} (HSN: ${topResult.code}) is ${topResult.effectiveGSTRate}%.`,
           details: {
             hsnCode: topResult.code,
             description: topResult.description,
@@ -195,25 +197,22 @@ const handleReturnFilingQuery = async (query, entities, userId) => {
       };
     }
     
-    // Get upcoming due dates
+    // Upcoming due dates come from the compliance calendar for the returns the user files
     const currentDate = new Date();
-    const nextMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
+    const horizon = new Date(currentDate.getFullYear(), currentDate.getMonth() + 2, currentDate.getDate());
+    const deadlines = await GSTReturn.findUpcomingDeadlines(userId, currentDate, horizon);
     
     return {
       type: 'return_filing_response',
-      message: 'Your GST returns are up to date! Here are the upcoming due dates:',
-      upcomingDueDates: [
-        {
-          returnType: 'GSTR-3B',
-          period: `${nextMonth.toLocaleString('default', { month: 'long' })} ${nextMonth.getFullYear()}`,
-          dueDate: new Date(nextMonth.getFullYear(), nextMonth.getMonth() + 1, 20)
-        },
-        {
-          returnType: 'GSTR-1',
-          period: `${nextMonth.toLocaleString('default', { month: 'long' })} ${nextMonth.getFullYear()}`,
-          dueDate: new Date(nextMonth.getFullYear(), nextMonth.getMonth() + 1, 11)
-        }
-      ]
+      message: deadlines.length > 0
+        ? 'Your GST returns are up to date! Here are the upcoming due dates:'
+        : 'Your GST returns are up to date! No returns fall due in the next two months.',
+      upcomingDueDates: deadlines.map(deadline => ({
+        returnType: deadline.returnType,
+        gstin: deadline.gstin,
+        period: `${new Date(deadline.period.year, deadline.period.month - 1, 1).toLocaleString('default', { month: 'long' })} ${deadline.period.year}`,
+        dueDate: deadline.dueDate
+      }))
     };
   } catch (error) {
     console.error('Return filing query error:', error);
@@ -370,7 +370,8 @@ const calculateGSTFilingStats = (gstReturns) => {
   gstReturns.forEach(gstReturn => {
     const returnType = gstReturn.returnType.toLowerCase();
     
-    if (gstReturn.status === 'filed') {
+    // Amended returns were filed; only their documents were amended later
+    if (['filed', 'amended'].includes(gstReturn.status)) {
       stats.returnTypes[returnType].filed++;
       filedCount++;
       
@@ -511,22 +512,24 @@ const getRecentActivity = async (userId) => {
 
 const getUpcomingDeadlines = async (userId) => {
   const deadlines = [];
+  const now = new Date();
   
-  // Get upcoming GST return deadlines
-  const upcomingReturns = await GSTReturn.find({
-    user: userId,
-    status: 'draft',
-    dueDate: { $gte: new Date(), $lte: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) }
-  }).sort({ dueDate: 1 });
+  // Get upcoming GST return deadlines from the compliance calendar
+  const upcomingReturns = await GSTReturn.findUpcomingDeadlines(userId, now, new Date(Date.now() + 30 * 24 * 60 * 60 * 1000));
   
-  upcomingReturns.forEach(gstReturn => {
+  upcomingReturns.forEach(deadline => {
+    const periodString = deadline.frequency === 'annual'
+      ? `FY ${deadline.period.year - 1}-${String(deadline.period.year).slice(-2)}`
+      : deadline.gstReturn ? deadline.gstReturn.periodString : `${deadline.period.month}/${deadline.period.year}`;
+    
     deadlines.push({
       type: 'gst_return',
-      title: `${gstReturn.returnType} Filing`,
-      description: `${gstReturn.returnType} for ${gstReturn.periodString}`,
-      dueDate: gstReturn.dueDate,
-      priority: gstReturn.dueDate < new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) ? 'high' : 'medium',
-      actionUrl: `/gst/returns/${gstReturn._id}`
+      title: `${deadline.returnType} Filing`,
+      description: `${deadline.returnType} for ${periodString} (${deadline.gstin})`,
+      dueDate: deadline.dueDate,
+      priority: deadline.dueDate < new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) ? 'high' : 'medium',
+      extendedBy: deadline.extension ? deadline.extension.notification : undefined,
+      actionUrl: deadline.gstReturn ? `/gst/returns/${deadline.gstReturn._id}` : '/gst/returns'
     });
   });
   
@@ -0,0 +1,272 @@
+const Challan = require('../models/Challan');
+const GSTReturn = require('../models/GSTReturn');
+const LedgerEntry = require('../models/LedgerEntry');
+const { challanIntegration } = require('./integrationService');
+const { buildChallanDetails, challanAmountsFromSetOff } = require('../utils/challan');
+
+// Create a PMT-06 challan, by default for the cash a GSTR-3B still needs after set-off
+const createChallan = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { returnId, amounts, paymentMode } = req.body;
+    let { gstin, reason } = req.body;
+    let gstReturn = null;
+    let challanAmounts = amounts;
+
+    if (returnId) {
+      gstReturn = await GSTReturn.findOne({ _id: returnId, user: userId });
+
+      if (!gstReturn) {
+        return res.status(404).json({
+          success: false,
+          message: 'GST return not found'
+        });
+      }
+
+      if (gstReturn.setOff && gstReturn.setOff.completedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Return liability has already been set off'
+        });
+      }
+
+      const openChallan = await Challan.findOne({
+        user: userId,
+        gstReturn: gstReturn._id,
+        status: { $in: ['generated', 'processing'] },
+        expiresAt: { $gt: new Date() }
+      });
+      if (openChallan) {
+        return res.status(400).json({
+          success: false,
+          message: `Unpaid challan ${openChallan.cpin} already exists for this return`,
+          challan: openChallan
+        });
+      }
+
+      if (!challanAmounts) {
+        if (gstReturn.returnType !== 'GSTR3B') {
+          return res.status(400).json({
+            success: false,
+            message: 'Challan amounts are required for returns other than GSTR-3B'
+          });
+        }
+        const { setOff } = await gstReturn.computeSetOff();
+        challanAmounts = challanAmountsFromSetOff(setOff);
+      }
+
+      gstin = gstReturn.gstin;
+      reason = reason || 'Return Liability';
+    }
+
+    if (!gstin) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTIN is required for a challan not linked to a return'
+      });
+    }
+
+    const { details, totalAmount } = buildChallanDetails(challanAmounts);
+    if (totalAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: gstReturn ? 'No cash payment is needed: the cash ledger covers the liability' : 'Challan amount must be greater than zero'
+      });
+    }
+
+    const challan = new Challan({
+      user: userId,
+      gstin,
+      reason,
+      gstReturn: gstReturn ? gstReturn._id : undefined,
+      period: gstReturn ? gstReturn.period : undefined,
+      details,
+      totalAmount,
+      paymentMode
+    });
+
+    const response = await challanIntegration.createChallan(challan);
+    if (!response.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Challan generation failed: ${response.error}`
+      });
+    }
+
+    challan.cpin = response.cpin;
+    challan.provider = response.provider;
+    challan.expiresAt = response.expiresAt;
+    challan.history.push({ action: 'Generated', timestamp: response.createdAt, details: `CPIN ${response.cpin}` });
+    await challan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Challan generated successfully',
+      challan
+    });
+  } catch (error) {
+    console.error('Create challan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating challan'
+    });
+  }
+};
+
+// Get user's challans
+const getChallans = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin, status, returnId, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (gstin) query.gstin = gstin;
+    if (status) query.status = status;
+    if (returnId) query.gstReturn = returnId;
+
+    const challans = await Challan.find(query)
+      .populate('gstReturn', 'returnType period status')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await Challan.countDocuments(query);
+
+    res.json({
+      success: true,
+      challans,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get challans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching challans'
+    });
+  }
+};
+
+// Get a challan with its payment status
+const getChallan = async (req, res) => {
+  try {
+    const challan = await Challan.findOne({ _id: req.params.challanId, user: req.user.id })
+      .populate('gstReturn', 'returnType period status');
+
+    if (!challan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      challan
+    });
+  } catch (error) {
+    console.error('Get challan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching challan'
+    });
+  }
+};
+
+// Confirm payment of a challan, crediting the cash ledger and linking the challan to its return
+const confirmChallanPayment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const existing = await Challan.findOne({ _id: req.params.challanId, user: userId });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challan not found'
+      });
+    }
+
+    // Claim the challan before confirming so concurrent requests cannot credit the ledger twice
+    const challan = await Challan.findOneAndUpdate(
+      { _id: existing._id, status: 'generated' },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+
+    if (!challan) {
+      const current = await Challan.findById(existing._id).select('status');
+      return res.status(409).json({
+        success: false,
+        message: `Challan is already ${current ? current.status : existing.status}`
+      });
+    }
+
+    // The CIN and payment date come from the bank or portal response only
+    const { bankCode, brn, amount } = req.body;
+    let response;
+    try {
+      response = await challanIntegration.confirmPayment(challan, { bankCode, brn, amount });
+    } catch (error) {
+      await Challan.updateOne({ _id: challan._id, status: 'processing' }, { $set: { status: 'generated' } });
+      throw error;
+    }
+
+    try {
+      challan.confirmPayment(response);
+    } catch (error) {
+      await challan.save();
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await challan.save();
+
+    if (!response.success) {
+      return res.status(400).json({
+        success: false,
+        message: `Challan payment failed: ${response.error}`,
+        challan
+      });
+    }
+
+    await LedgerEntry.postChallanPayment(challan);
+
+    if (challan.gstReturn) {
+      const gstReturn = await GSTReturn.findOne({ _id: challan.gstReturn, user: userId });
+      if (gstReturn) {
+        gstReturn.challans.addToSet(challan._id);
+        gstReturn.submissionHistory.push({
+          action: 'Challan Paid',
+          user: userId,
+          details: `CPIN ${challan.cpin}, CIN ${challan.payment.cin}, ₹${challan.totalAmount}`
+        });
+        await gstReturn.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Challan payment confirmed and cash ledger credited',
+      challan
+    });
+  } catch (error) {
+    console.error('Confirm challan payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming challan payment'
+    });
+  }
+};
+
+module.exports = {
+  createChallan,
+  getChallans,
+  getChallan,
+  confirmChallanPayment
+};
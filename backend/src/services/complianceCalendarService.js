@@ -0,0 +1,186 @@
+const GSTReturn = require('../models/GSTReturn');
+const DueDateExtension = require('../models/DueDateExtension');
+const { resolveDueDate } = require('../utils/complianceCalendar');
+
+// Re-resolve due dates of draft returns after the extension table changes. A draft whose period has no
+// due date rule keeps its due date and is reported as skipped rather than failing the whole refresh.
+const refreshDraftDueDates = async (returnType) => {
+  const extensions = await DueDateExtension.findActive(returnType);
+  const drafts = await GSTReturn.find({ returnType, status: 'draft' })
+    .select('returnType period gstin filingFrequency dueDate');
+
+  const skippedReturns = [];
+  const updates = drafts
+    .map(draft => {
+      try {
+        const { dueDate } = resolveDueDate({
+          returnType: draft.returnType,
+          period: draft.period,
+          filingFrequency: draft.filingFrequency,
+          gstin: draft.gstin,
+          extensions
+        });
+        return { draft, dueDate };
+      } catch (error) {
+        skippedReturns.push({ returnId: draft._id, gstin: draft.gstin, period: draft.period, reason: error.message });
+        return null;
+      }
+    })
+    .filter(item => item && (!item.draft.dueDate || item.draft.dueDate.getTime() !== item.dueDate.getTime()))
+    .map(({ draft, dueDate }) => ({
+      updateOne: { filter: { _id: draft._id }, update: { $set: { dueDate } } }
+    }));
+
+  if (updates.length > 0) {
+    await GSTReturn.bulkWrite(updates);
+  }
+  return { updatedReturns: updates.length, skippedReturns };
+};
+
+// Get due date extensions
+const getDueDateExtensions = async (req, res) => {
+  try {
+    const { returnType, year, isActive, limit = 50, skip = 0 } = req.query;
+
+    let query = {};
+    if (returnType) query.returnType = returnType;
+    if (year) query['period.year'] = parseInt(year);
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const extensions = await DueDateExtension.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ 'period.year': -1, 'period.month': -1, returnType: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await DueDateExtension.countDocuments(query);
+
+    res.json({
+      success: true,
+      extensions,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get due date extensions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching due date extensions'
+    });
+  }
+};
+
+// Add a due date extension granted by notification
+const createDueDateExtension = async (req, res) => {
+  try {
+    const extension = new DueDateExtension({
+      ...req.body,
+      createdBy: req.user.id
+    });
+
+    await extension.save();
+    const { updatedReturns, skippedReturns } = await refreshDraftDueDates(extension.returnType);
+
+    res.status(201).json({
+      success: true,
+      message: 'Due date extension created successfully',
+      extension,
+      updatedReturns,
+      skippedReturns
+    });
+  } catch (error) {
+    console.error('Create due date extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating due date extension'
+    });
+  }
+};
+
+// Update a due date extension
+const updateDueDateExtension = async (req, res) => {
+  try {
+    const { extensionId } = req.params;
+
+    const extension = await DueDateExtension.findById(extensionId);
+
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: 'Due date extension not found'
+      });
+    }
+
+    const previousReturnType = extension.returnType;
+    ['returnType', 'period', 'filingFrequency', 'stateCodes', 'dueDate', 'notification', 'remarks', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        extension[field] = req.body[field];
+      }
+    });
+
+    await extension.save();
+
+    let { updatedReturns, skippedReturns } = await refreshDraftDueDates(extension.returnType);
+    if (previousReturnType !== extension.returnType) {
+      const previous = await refreshDraftDueDates(previousReturnType);
+      updatedReturns += previous.updatedReturns;
+      skippedReturns = skippedReturns.concat(previous.skippedReturns);
+    }
+
+    res.json({
+      success: true,
+      message: 'Due date extension updated successfully',
+      extension,
+      updatedReturns,
+      skippedReturns
+    });
+  } catch (error) {
+    console.error('Update due date extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating due date extension'
+    });
+  }
+};
+
+// Delete a due date extension
+const deleteDueDateExtension = async (req, res) => {
+  try {
+    const { extensionId } = req.params;
+
+    const extension = await DueDateExtension.findByIdAndDelete(extensionId);
+
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: 'Due date extension not found'
+      });
+    }
+
+    const { updatedReturns, skippedReturns } = await refreshDraftDueDates(extension.returnType);
+
+    res.json({
+      success: true,
+      message: 'Due date extension deleted successfully',
+      updatedReturns,
+      skippedReturns
+    });
+  } catch (error) {
+    console.error('Delete due date extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting due date extension'
+    });
+  }
+};
+
+module.exports = {
+  getDueDateExtensions,
+  createDueDateExtension,
+  updateDueDateExtension,
+  deleteDueDateExtension
+};
@@ -2,8 +2,12 @@ const cron = require('node-cron');
 const User = require('../models/User');
 const GSTReturn = require('../models/GSTReturn');
 const EWayBill = require('../models/EWayBill');
+const EInvoice = require('../models/EInvoice');
+const { eInvoiceIntegration } = require('./integrationService');
 const { sendEmail } = require('../utils/emailUtils');
 const { sendSMS } = require('../utils/smsUtils');
+const { decodeGSTIN } = require('../utils/gstin');
+const { verifySignedEInvoice } = require('../utils/eInvoice');
 
 // Automated Compliance Reminders
 const complianceReminderJob = cron.schedule('0 9 * * *', async () => {
@@ -33,8 +37,9 @@ const sendReturnDueReminders = async () => {
       // Find users with returns due on target date
       const usersWithDueReturns = await findUsersWithDueReturns(targetDate);
       
-      for (const user of usersWithDueReturns) {
-        await sendReturnDueReminderEmail(user, days);
+      for (const { user, deadlines } of usersWithDueReturns) {
+        const overdueReturns = await GSTReturn.findOverdueReturns(user._id);
+        await sendReturnDueReminderEmail(user, days, overdueReturns, deadlines);
         
         if (user.mobile && user.preferences?.notifications?.sms) {
           await sendReturnDueReminderSMS(user.mobile, days);
@@ -96,7 +101,7 @@ const predictTaxLiability = async (req, res) => {
     // Get historical data
     const historicalReturns = await GSTReturn.find({
       user: userId,
-      status: 'filed'
+      status: { $in: ['filed', 'amended'] }
     }).sort({ 'period.year': -1, 'period.month': -1 }).limit(12);
     
     if (historicalReturns.length < 3) {
@@ -161,6 +166,9 @@ const verifyDocument = async (req, res) => {
       case 'invoice':
         verificationResult = await verifyInvoice(documentData);
         break;
+      case 'einvoice':
+        verificationResult = await verifyEInvoice(documentData);
+        break;
       default:
         return res.status(400).json({
           success: false,
@@ -204,19 +212,20 @@ const getComplianceAnalytics = async (req, res) => {
 
 // Utility functions
 const findUsersWithDueReturns = async (dueDate) => {
-  // This is a simplified version - in production, you'd have a more sophisticated system
-  // to track individual user return due dates based on their registration and filing frequency
+  const dayStart = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+  const dayEnd = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate(), 23, 59, 59, 999);
   
   const users = await User.find({ 
     isActive: true,
     'preferences.notifications.email': true 
   });
   
-  return users.filter(user => {
-    // Logic to determine if user has returns due on the target date
-    // This would be based on their GST registration details and filing frequency
-    return true; // Simplified for demo
-  });
+  // Due dates come from the compliance calendar for the GSTINs and return types each user files
+  const deadlines = await GSTReturn.findUpcomingDeadlinesByUser(users.map(user => user._id), dayStart, dayEnd);
+  
+  return users
+    .filter(user => deadlines.has(String(user._id)))
+    .map(user => ({ user, deadlines: deadlines.get(String(user._id)) }));
 };
 
 const calculateUserComplianceScore = async (userId) => {
@@ -232,11 +241,15 @@ const calculateUserComplianceScore = async (userId) => {
     overdueReturns: overdueReturns.length,
     expiringEWayBills: expiringEWayBills.length,
     issues: [
-      ...overdueReturns.map(ret => ({
-        type: 'overdue_return',
-        description: `${ret.returnType} for ${ret.periodString} is overdue`,
-        severity: 'high'
-      })),
+      ...overdueReturns.map(ret => {
+        const delayCharges = ret.calculateDelayCharges();
+        return {
+          type: 'overdue_return',
+          description: `${ret.returnType} for ${ret.periodString} is overdue (late fee ₹${delayCharges.lateFee.total}, interest ₹${delayCharges.interest.total} so far)`,
+          severity: 'high',
+          delayCharges
+        };
+      }),
       ...expiringEWayBills.map(ewb => ({
         type: 'expiring_ewb',
         description: `E-Way Bill ${ewb.ewbNo} expires soon`,
@@ -317,8 +330,9 @@ const verifyGSTReturn = async (documentData) => {
   const warnings = [];
   
   // Basic validations
-  if (!documentData.gstin || !documentData.gstin.match(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/)) {
-    errors.push({ field: 'gstin', message: 'Invalid GSTIN format' });
+  const gstin = decodeGSTIN(documentData.gstin);
+  if (!gstin.valid) {
+    errors.push({ field: 'gstin', message: gstin.errors[0] });
   }
   
   // Mathematical validations
@@ -383,6 +397,64 @@ const verifyInvoice = async (documentData) => {
   };
 };
 
+// Verifies an IRP-signed e-invoice or e-invoice QR code and compares it with the registered e-invoice
+const verifyEInvoice = async (documentData) => {
+  const errors = [];
+  const warnings = [];
+  const token = documentData.signedQRCode || documentData.signedInvoice;
+
+  if (!token) {
+    errors.push({ field: 'signedQRCode', message: 'Signed QR code or signed invoice is required' });
+    return { isValid: false, errors, warnings, score: 0 };
+  }
+
+  // Signatures are checked against the configured IRP's key only; without one the signature stays unverified
+  let publicKey = null;
+  try {
+    publicKey = eInvoiceIntegration.getPublicKey();
+  } catch (error) {
+    warnings.push({ field: 'signature', message: error.message });
+  }
+
+  const verification = verifySignedEInvoice(token, { publicKey });
+  verification.errors.forEach(message => errors.push({ field: 'signature', message }));
+  verification.warnings.forEach(message => warnings.push({ field: 'signature', message }));
+
+  if (verification.irn) {
+    const eInvoice = await EInvoice.findOne({ 'irp.irn': verification.irn });
+    if (!eInvoice) {
+      warnings.push({ field: 'irn', message: 'IRN is not registered on this platform' });
+    } else {
+      if (eInvoice.status === 'cancelled') {
+        errors.push({ field: 'irn', message: 'E-invoice has been cancelled' });
+      }
+      const data = verification.data;
+      const totalInvoiceValue = verification.kind === 'qr' ? data.TotInvVal : (data.ValDtls || {}).TotInvVal;
+      if (totalInvoiceValue !== undefined && Math.abs(totalInvoiceValue - eInvoice.totalInvoiceValue) > 0.01) {
+        errors.push({ field: 'TotInvVal', message: 'Invoice value does not match the registered e-invoice' });
+      }
+    }
+  }
+
+  // Contents that check out are not proof of a genuine e-invoice until the IRP signature is verified
+  let status = 'invalid';
+  if (errors.length === 0) {
+    status = verification.signatureVerified ? 'verified' : 'unverified';
+  }
+
+  return {
+    isValid: status === 'verified',
+    status,
+    signatureVerified: verification.signatureVerified,
+    kind: verification.kind,
+    irn: verification.irn,
+    data: verification.data,
+    errors,
+    warnings,
+    score: Math.max(0, 100 - (errors.length * 20) - (warnings.length * 5))
+  };
+};
+
 const calculateGSTR3BTotal = (gstr3bData) => {
   // Simplified calculation - in production, this would be more comprehensive
   let total = 0;
@@ -427,7 +499,7 @@ const generateComplianceAnalytics = async (userId, period) => {
     period,
     summary: {
       totalReturns: returns.length,
-      filedReturns: returns.filter(ret => ret.status === 'filed').length,
+      filedReturns: returns.filter(ret => ['filed', 'amended'].includes(ret.status)).length,
       overdueReturns: returns.filter(ret => ret.isOverdue).length,
       totalEWayBills: eWayBills.length,
       generatedEWayBills: eWayBills.filter(ewb => ewb.status === 'generated').length
@@ -452,13 +524,26 @@ const calculateMonthlyTrends = (documents) => {
 };
 
 // Email templates
-const sendReturnDueReminderEmail = async (user, days) => {
+const sendReturnDueReminderEmail = async (user, days, overdueReturns = [], deadlines = []) => {
   const subject = `GST Return Due in ${days} day${days > 1 ? 's' : ''} - GSTPAssociation`;
+  const overdueCharges = overdueReturns.map(ret => ({ ret, delayCharges: ret.calculateDelayCharges() }));
   const content = `
     <h2>GST Return Due Reminder</h2>
     <p>Dear ${user.name},</p>
     <p>This is a reminder that your GST return is due in ${days} day${days > 1 ? 's' : ''}.</p>
+    ${deadlines.length > 0 ? `
+      <ul>
+        ${deadlines.map(deadline => `<li>${deadline.returnType} (${deadline.gstin}) due on ${deadline.dueDate.toDateString()}${deadline.extension ? ` as extended by notification ${deadline.extension.notification}` : ''}</li>`).join('')}
+      </ul>
+    ` : ''}
     <p>Please ensure timely filing to avoid penalties and interest.</p>
+    ${overdueCharges.length > 0 ? `
+      <h3>Overdue Returns</h3>
+      <p>Late fee and interest keep accruing on these returns until they are filed:</p>
+      <ul>
+        ${overdueCharges.map(({ ret, delayCharges }) => `<li>${ret.returnType} for ${ret.periodString}: ${delayCharges.daysLate} day(s) late, late fee ₹${delayCharges.lateFee.total}, interest ₹${delayCharges.interest.total}</li>`).join('')}
+      </ul>
+    ` : ''}
     <p><a href="${process.env.FRONTEND_URL}/gst/returns" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">File Return Now</a></p>
   `;
   
@@ -0,0 +1,261 @@
+const GSTReturn = require('../models/GSTReturn');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const { getFinancialYear, computeCMP08, checkCompositionLimit, buildGSTR4 } = require('../utils/composition');
+
+// Tax periods of a financial year, for queries on period.month and period.year
+const financialYearFilter = (financialYear) => {
+  const startYear = parseInt(financialYear.slice(0, 4), 10);
+  return [
+    { 'period.year': startYear, 'period.month': { $gte: 4 } },
+    { 'period.year': startYear + 1, 'period.month': { $lte: 3 } }
+  ];
+};
+
+const quarterOf = (period) => `${period.year}-Q${Math.ceil(period.month / 3)}`;
+
+// Financial year's CMP-08s, one per quarter, preferring a filed statement over a draft
+const findCMP08Returns = async (userId, gstin, financialYear) => {
+  const returns = await GSTReturn.find({
+    user: userId,
+    gstin,
+    returnType: 'CMP08',
+    $or: financialYearFilter(financialYear)
+  }).sort({ 'period.year': 1, 'period.month': 1 });
+
+  const quarters = new Map();
+  returns.forEach(ret => {
+    const key = quarterOf(ret.period);
+    const existing = quarters.get(key);
+    if (!existing || (existing.status === 'draft' && ret.status !== 'draft')) {
+      quarters.set(key, ret);
+    }
+  });
+  return [...quarters.values()];
+};
+
+// Turnover declared in a financial year's CMP-08s, up to and including a quarter
+const getTurnoverToDate = (cmp08s, upTo) => cmp08s
+  .filter(ret => ret.period.year < upTo.year || (ret.period.year === upTo.year && ret.period.month <= upTo.month))
+  .reduce((sum, ret) => sum + ((ret.cmp08Data && ret.cmp08Data.osup && ret.cmp08Data.osup.txval) || 0), 0);
+
+// Prepare a quarterly CMP-08 from turnover in the state and inward supplies under reverse charge
+const prepareCMP08 = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    const userId = req.user.id;
+    const { category, turnover, reverseCharge, precedingTurnover } = req.body;
+
+    const gstReturn = await GSTReturn.findOne({ _id: returnId, user: userId, returnType: 'CMP08' });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'CMP-08 return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be prepared'
+      });
+    }
+
+    let cmp08;
+    try {
+      cmp08 = computeCMP08({ category, period: gstReturn.period, turnover, reverseCharge });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    gstReturn.cmp08Data = {
+      category: cmp08.category,
+      rate: cmp08.rate,
+      base: cmp08.base,
+      osup: cmp08.osup,
+      isup_rev: cmp08.isup_rev,
+      tax_pay: cmp08.tax_pay
+    };
+    gstReturn.totalTaxableValue = cmp08.osup.txval;
+    gstReturn.totalTaxAmount = {
+      igst: cmp08.tax_pay.iamt,
+      cgst: cmp08.tax_pay.camt,
+      sgst: cmp08.tax_pay.samt,
+      cess: cmp08.tax_pay.csamt
+    };
+    if (precedingTurnover !== undefined) {
+      gstReturn.aggregateTurnover = precedingTurnover;
+    }
+
+    // Check the year's turnover so far, including this quarter, against the composition limit
+    const financialYear = getFinancialYear(gstReturn.period);
+    const others = (await findCMP08Returns(userId, gstReturn.gstin, financialYear))
+      .filter(ret => quarterOf(ret.period) !== quarterOf(gstReturn.period));
+    const limit = checkCompositionLimit({
+      category,
+      gstin: gstReturn.gstin,
+      financialYear,
+      precedingTurnover: gstReturn.aggregateTurnover,
+      turnoverToDate: getTurnoverToDate(others, gstReturn.period) + cmp08.osup.txval
+    });
+
+    gstReturn.submissionHistory.push({
+      action: 'Prepared',
+      user: userId,
+      details: `Composition tax at ${cmp08.rate}% on turnover of ₹${cmp08.osup.txval}`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'CMP-08 prepared successfully',
+      gstReturn,
+      compositionLimit: limit,
+      warnings: limit.warnings
+    });
+  } catch (error) {
+    console.error('Prepare CMP-08 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing CMP-08'
+    });
+  }
+};
+
+// Prepare the annual GSTR-4 from the year's CMP-08s and purchase invoices
+const prepareGSTR4 = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    const userId = req.user.id;
+    const { unregistered, imports } = req.body;
+
+    const gstReturn = await GSTReturn.findOne({ _id: returnId, user: userId, returnType: 'GSTR4' });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-4 return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be prepared'
+      });
+    }
+
+    const financialYear = getFinancialYear(gstReturn.period);
+    const startYear = parseInt(financialYear.slice(0, 4), 10);
+    const cmp08s = await findCMP08Returns(userId, gstReturn.gstin, financialYear);
+    const purchases = await PurchaseInvoice.find({
+      user: userId,
+      gstin: gstReturn.gstin,
+      invoiceDate: { $gte: new Date(startYear, 3, 1), $lt: new Date(startYear + 1, 3, 1) }
+    }).select('supplierGstin taxableValue tax reverseCharge documentType');
+
+    const warnings = [];
+    if (cmp08s.length < 4) {
+      warnings.push({ severity: 'warning', message: `CMP-08 has been prepared for ${cmp08s.length} of 4 quarters; table 5 only covers those quarters` });
+    }
+    const drafts = cmp08s.filter(ret => ret.status === 'draft');
+    if (drafts.length > 0) {
+      warnings.push({ severity: 'warning', message: `${drafts.length} CMP-08 statements are not yet filed` });
+    }
+
+    const gstr4Data = buildGSTR4({ financialYear, cmp08s, purchases, unregistered, imports });
+    gstReturn.gstr4Data = { ...gstr4Data, cmp08Returns: cmp08s.map(ret => ret._id) };
+
+    const liability = gstr4Data.liability;
+    gstReturn.totalTaxableValue = liability.osup.txval;
+    gstReturn.totalTaxAmount = { igst: liability.tax_pay.iamt, cgst: liability.tax_pay.camt, sgst: liability.tax_pay.samt, cess: liability.tax_pay.csamt };
+
+    const prepared = cmp08s.filter(ret => ret.cmp08Data && ret.cmp08Data.category);
+    const category = prepared.length > 0 ? prepared[prepared.length - 1].cmp08Data.category : null;
+    const limit = category ? checkCompositionLimit({
+      category,
+      gstin: gstReturn.gstin,
+      financialYear,
+      precedingTurnover: gstReturn.aggregateTurnover,
+      turnoverToDate: liability.osup.txval
+    }) : null;
+    if (limit) warnings.push(...limit.warnings);
+
+    gstReturn.submissionHistory.push({
+      action: 'Prepared',
+      user: userId,
+      details: `Prepared from ${cmp08s.length} CMP-08 statements and ${purchases.length} purchase invoices`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'GSTR-4 prepared successfully',
+      gstReturn,
+      compositionLimit: limit,
+      warnings
+    });
+  } catch (error) {
+    console.error('Prepare GSTR-4 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing GSTR-4'
+    });
+  }
+};
+
+// Check a composition taxpayer's turnover for a financial year against the composition limit
+const getCompositionLimitStatus = async (req, res) => {
+  try {
+    const { gstin, financialYear } = req.query;
+    const cmp08s = await findCMP08Returns(req.user.id, gstin, financialYear);
+    const latest = cmp08s[cmp08s.length - 1];
+    const category = req.query.category || (latest && latest.cmp08Data && latest.cmp08Data.category);
+
+    if (!category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Composition category is required when no CMP-08 has been prepared for the year'
+      });
+    }
+
+    const limit = checkCompositionLimit({
+      category,
+      gstin,
+      financialYear,
+      precedingTurnover: latest ? latest.aggregateTurnover : undefined,
+      turnoverToDate: getTurnoverToDate(cmp08s, { month: 3, year: parseInt(financialYear.slice(0, 4), 10) + 1 })
+    });
+
+    res.json({
+      success: true,
+      gstin,
+      financialYear,
+      category,
+      quarters: cmp08s.map(ret => ({
+        period: ret.period,
+        status: ret.status,
+        turnover: (ret.cmp08Data && ret.cmp08Data.osup && ret.cmp08Data.osup.txval) || 0
+      })),
+      compositionLimit: limit,
+      warnings: limit.warnings
+    });
+  } catch (error) {
+    console.error('Get composition limit status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking composition limit'
+    });
+  }
+};
+
+module.exports = {
+  prepareCMP08,
+  prepareGSTR4,
+  getCompositionLimitStatus
+};
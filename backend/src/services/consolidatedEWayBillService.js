@@ -0,0 +1,290 @@
+const ConsolidatedEWayBill = require('../models/ConsolidatedEWayBill');
+const EWayBill = require('../models/EWayBill');
+const { normalizeVehicleNo, buildConsolidatedEWayBillPrint } = require('../utils/eWayBill');
+
+// Load a user's e-way bills in the order requested, reporting any that are not found
+const loadMemberEWayBills = async (userId, eWayBillIds) => {
+  const eWayBills = await EWayBill.find({ _id: { $in: eWayBillIds }, user: userId });
+  const byId = new Map(eWayBills.map(eWayBill => [String(eWayBill._id), eWayBill]));
+
+  return {
+    eWayBills: eWayBillIds.map(id => byId.get(String(id))).filter(Boolean),
+    missing: eWayBillIds.filter(id => !byId.has(String(id)))
+  };
+};
+
+// Members already listed in another consolidated E-Way Bill, including ones consolidated before bills recorded it
+const findConsolidatedElsewhere = async (eWayBills, consolidatedId) => {
+  const others = await ConsolidatedEWayBill.find({
+    _id: { $ne: consolidatedId },
+    eWayBills: { $in: eWayBills.map(eWayBill => eWayBill._id) }
+  }).select('cewbNo eWayBills');
+
+  return eWayBills
+    .map((eWayBill, index) => ({ eWayBill, index, other: others.find(other => other.eWayBills.some(id => String(id) === String(eWayBill._id))) }))
+    .filter(item => item.other)
+    .map(({ eWayBill, index, other }) => ({
+      field: `eWayBills[${index}]`,
+      message: `E-Way Bill ${eWayBill.ewbNo || eWayBill._id} is already in consolidated E-Way Bill ${other.cewbNo}`,
+      severity: 'error'
+    }));
+};
+
+// Claim the members for a consolidated E-Way Bill in one update; if another consolidation took any of
+// them first, the claim is released and false returned
+const claimMembers = async (eWayBills, consolidatedId) => {
+  const ids = eWayBills.map(eWayBill => eWayBill._id);
+  const result = await EWayBill.updateMany(
+    { _id: { $in: ids }, $or: [{ consolidatedEWayBill: null }, { consolidatedEWayBill: consolidatedId }] },
+    { $set: { consolidatedEWayBill: consolidatedId } }
+  );
+  if (result.matchedCount === ids.length) return true;
+
+  await releaseMembers(eWayBills, consolidatedId);
+  return false;
+};
+
+const releaseMembers = (eWayBills, consolidatedId) => EWayBill.updateMany(
+  { _id: { $in: eWayBills.map(eWayBill => eWayBill._id) }, consolidatedEWayBill: consolidatedId },
+  { $unset: { consolidatedEWayBill: 1 } }
+);
+
+// Write the members' Part-B updates in one bulk write, each only while the bill is still claimed by the
+// consolidated E-Way Bill and generated
+const saveMembers = async (eWayBills, consolidatedId) => {
+  const operations = eWayBills
+    .map(eWayBill => ({ eWayBill, changes: eWayBill.getChanges() }))
+    .filter(({ changes }) => Object.keys(changes).length > 0)
+    .map(({ eWayBill, changes }) => ({
+      updateOne: {
+        filter: { _id: eWayBill._id, consolidatedEWayBill: consolidatedId, status: 'generated' },
+        update: changes
+      }
+    }));
+  if (operations.length === 0) return true;
+
+  const result = await EWayBill.bulkWrite(operations);
+  return result.matchedCount === operations.length;
+};
+
+// Generate a consolidated E-Way Bill for several E-Way Bills on one vehicle
+const createConsolidatedEWayBill = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { eWayBillIds, transMode, vehicleNo, transDocNo, transDocDate } = req.body;
+
+    const { eWayBills, missing } = await loadMemberEWayBills(userId, [...new Set(eWayBillIds.map(String))]);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `E-Way Bills not found: ${missing.join(', ')}`
+      });
+    }
+
+    const validationErrors = [
+      ...ConsolidatedEWayBill.validateMembers(eWayBills),
+      ...await findConsolidatedElsewhere(eWayBills, null)
+    ];
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'E-Way Bills cannot be consolidated',
+        errors: validationErrors
+      });
+    }
+
+    const consolidated = new ConsolidatedEWayBill({
+      user: userId,
+      fromPlace: eWayBills[0].fromPlace,
+      fromStateCode: eWayBills[0].fromStateCode,
+      transMode,
+      vehicleNo,
+      transDocNo,
+      transDocDate
+    });
+
+    // Simulate generation (in real implementation, integrate with E-Way Bill API)
+    try {
+      consolidated.generate(eWayBills, `CEWB${Date.now()}`);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!await claimMembers(eWayBills, consolidated._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some of the E-Way Bills were consolidated by another request'
+      });
+    }
+
+    try {
+      await consolidated.save();
+      if (!await saveMembers(eWayBills, consolidated._id)) {
+        throw new Error('E-Way Bills changed while they were being consolidated');
+      }
+    } catch (error) {
+      await ConsolidatedEWayBill.deleteOne({ _id: consolidated._id });
+      await releaseMembers(eWayBills, consolidated._id);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Consolidated E-Way Bill generated successfully',
+      consolidatedEWayBill: consolidated
+    });
+  } catch (error) {
+    console.error('Create consolidated E-Way Bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating consolidated E-Way Bill'
+    });
+  }
+};
+
+// Get user's consolidated E-Way Bills
+const getUserConsolidatedEWayBills = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { vehicleNo, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (vehicleNo) query.vehicleNo = normalizeVehicleNo(vehicleNo);
+
+    const consolidatedEWayBills = await ConsolidatedEWayBill.find(query)
+      .populate('eWayBills', 'ewbNo docNo docDate status validUpto toPlace totalInvoiceValue')
+      .sort({ generatedDate: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await ConsolidatedEWayBill.countDocuments(query);
+
+    res.json({
+      success: true,
+      consolidatedEWayBills,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get consolidated E-Way Bills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching consolidated E-Way Bills'
+    });
+  }
+};
+
+// Regenerate a consolidated E-Way Bill after the vehicle or transport document changes
+const regenerateConsolidatedEWayBill = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const consolidated = await ConsolidatedEWayBill.findOne({ _id: req.params.consolidatedId, user: userId });
+
+    if (!consolidated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidated E-Way Bill not found'
+      });
+    }
+
+    const { eWayBills } = await loadMemberEWayBills(userId, consolidated.eWayBills);
+    const validationErrors = [
+      ...ConsolidatedEWayBill.validateMembers(eWayBills, new Date(), consolidated._id),
+      ...await findConsolidatedElsewhere(eWayBills, consolidated._id)
+    ];
+    if (eWayBills.length !== consolidated.eWayBills.length || validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'All E-Way Bills in the consolidated E-Way Bill must be active to regenerate it',
+        errors: validationErrors
+      });
+    }
+
+    const previousCewbNo = consolidated.cewbNo;
+    try {
+      consolidated.regenerate(eWayBills, req.body, `CEWB${Date.now()}`);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Claim the regeneration by its current number so two vehicle changes cannot both be applied
+    const claimed = await ConsolidatedEWayBill.updateOne(
+      { _id: consolidated._id, cewbNo: previousCewbNo },
+      { $set: { cewbNo: consolidated.cewbNo } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Consolidated E-Way Bill was changed by another request'
+      });
+    }
+
+    const restore = () => ConsolidatedEWayBill.updateOne(
+      { _id: consolidated._id, cewbNo: consolidated.cewbNo },
+      { $set: { cewbNo: previousCewbNo } }
+    );
+    if (!await claimMembers(eWayBills, consolidated._id) || !await saveMembers(eWayBills, consolidated._id)) {
+      await restore();
+      return res.status(409).json({
+        success: false,
+        message: 'E-Way Bills changed while the consolidated E-Way Bill was being regenerated'
+      });
+    }
+    await consolidated.save();
+
+    res.json({
+      success: true,
+      message: 'Consolidated E-Way Bill regenerated successfully',
+      consolidatedEWayBill: consolidated
+    });
+  } catch (error) {
+    console.error('Regenerate consolidated E-Way Bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating consolidated E-Way Bill'
+    });
+  }
+};
+
+// Print a consolidated E-Way Bill with its member E-Way Bills
+const printConsolidatedEWayBill = async (req, res) => {
+  try {
+    const consolidated = await ConsolidatedEWayBill.findOne({ _id: req.params.consolidatedId, user: req.user.id })
+      .populate('eWayBills');
+
+    if (!consolidated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidated E-Way Bill not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      print: buildConsolidatedEWayBillPrint(consolidated, consolidated.eWayBills)
+    });
+  } catch (error) {
+    console.error('Print consolidated E-Way Bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error printing consolidated E-Way Bill'
+    });
+  }
+};
+
+module.exports = {
+  createConsolidatedEWayBill,
+  getUserConsolidatedEWayBills,
+  regenerateConsolidatedEWayBill,
+  printConsolidatedEWayBill
+};
@@ -3,6 +3,10 @@ const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const Invoice = require('../models/Invoice');
 const Membership = require('../models/Membership');
+const HSNCode = require('../models/HSNCode');
+const EWayBill = require('../models/EWayBill');
+const EWayBillBatch = require('../models/EWayBillBatch');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
 const { sendEmail } = require('../utils/emailUtils');
 const { sendSMS } = require('../utils/smsUtils');
 
@@ -139,6 +143,81 @@ const expiredSubscriptionCleanupJob = cron.schedule('0 3 * * *', async () => {
   scheduled: false
 });
 
+// HSN rate change job - runs daily just after midnight
+const hsnRateChangeJob = cron.schedule('5 0 * * *', async () => {
+  console.log('Running HSN rate change job...');
+  
+  try {
+    const updated = await HSNCode.applyDueRateChanges(new Date());
+    console.log(`Applied rate changes to ${updated} HSN/SAC codes`);
+  } catch (error) {
+    console.error('HSN rate change job error:', error);
+  }
+}, {
+  scheduled: false
+});
+
+// E-way bill expiry job - runs every 15 minutes
+const eWayBillExpiryJob = cron.schedule('*/15 * * * *', async () => {
+  try {
+    const expired = await EWayBill.expireEWayBills(new Date());
+    if (expired > 0) {
+      console.log(`Marked ${expired} E-Way Bills as expired`);
+    }
+  } catch (error) {
+    console.error('E-Way Bill expiry job error:', error);
+  }
+}, {
+  scheduled: false
+});
+
+// Stale bulk E-Way Bill batch job - runs every 15 minutes
+const eWayBillBatchRecoveryJob = cron.schedule('*/15 * * * *', async () => {
+  try {
+    const recovered = await EWayBillBatch.recoverStaleBatches(new Date());
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} interrupted E-Way Bill batches`);
+    }
+  } catch (error) {
+    console.error('E-Way Bill batch recovery job error:', error);
+  }
+}, {
+  scheduled: false
+});
+
+// 180-day payment rule job - runs daily at 6 AM
+const paymentRuleJob = cron.schedule('0 6 * * *', async () => {
+  console.log('Running 180-day payment rule job...');
+  
+  try {
+    const result = await PurchaseInvoice.runPaymentRuleCheck(new Date());
+    console.log(`Checked ${result.checked} purchase invoices: ${result.approaching.length} approaching 180 days, ${result.crossed.length} crossed, ${result.reclaimed.length} reclaimed`);
+
+    // One alert per user for invoices newly approaching or crossing 180 days
+    const byUser = new Map();
+    [...result.approaching, ...result.crossed].forEach(invoice => {
+      const key = String(invoice.user);
+      if (!byUser.has(key)) byUser.set(key, { approaching: [], crossed: [] });
+      byUser.get(key)[invoice.rule37.status === 'approaching' ? 'approaching' : 'crossed'].push(invoice);
+    });
+
+    for (const [userId, invoices] of byUser) {
+      try {
+        const user = await User.findById(userId);
+        if (user) {
+          await sendPaymentRuleAlertEmail(user, invoices);
+        }
+      } catch (error) {
+        console.error(`Failed to send 180-day payment rule alert to user ${userId}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('180-day payment rule job error:', error);
+  }
+}, {
+  scheduled: false
+});
+
 // Overdue invoice reminder job - runs daily at 10 AM
 const overdueInvoiceReminderJob = cron.schedule('0 10 * * *', async () => {
   console.log('Running overdue invoice reminder job...');
@@ -186,6 +265,7 @@ const processAutoRenewal = async (subscription) => {
     paidDate: new Date(),
     items: [{
       description: `${subscription.membership.displayName} - ${subscription.billingCycle} subscription (Auto-renewal)`,
+      hsnCode: process.env.SUBSCRIPTION_SAC_CODE,
       quantity: 1,
       unitPrice: subscription.amount,
       totalPrice: subscription.amount,
@@ -203,6 +283,7 @@ const processAutoRenewal = async (subscription) => {
     }
   });
 
+  // Tax follows the SAC rate in force on the renewal date, the invoice's issue date
   await invoice.save();
   
   // Send renewal confirmation email
@@ -287,12 +368,34 @@ const sendOverdueInvoiceEmail = async (user, invoice) => {
   await sendEmail(user.email, subject, content);
 };
 
+const sendPaymentRuleAlertEmail = async (user, { approaching, crossed }) => {
+  const row = (invoice) => `<li>${invoice.supplierName || invoice.supplierGstin} - ${invoice.invoiceNumber} dated ${invoice.invoiceDate.toDateString()}, ₹${invoice.invoiceValue}</li>`;
+  const reversal = crossed.reduce((sum, invoice) => {
+    const amount = invoice.rule37.reversal.amount;
+    return sum + amount.igst + amount.cgst + amount.sgst + amount.cess;
+  }, 0);
+  const subject = '180-Day Supplier Payment Alert';
+  const content = `
+    <h2>Supplier Payments and ITC</h2>
+    <p>Dear ${user.name},</p>
+    ${approaching.length > 0 ? `<p>These purchase invoices will be 180 days old and unpaid soon. Pay the suppliers by the deadline to keep the ITC:</p><ul>${approaching.map(row).join('')}</ul>` : ''}
+    ${crossed.length > 0 ? `<p>These purchase invoices have crossed 180 days unpaid. ITC of ₹${reversal.toFixed(2)} has to be reversed with interest in your next GSTR-3B and can be reclaimed once the suppliers are paid:</p><ul>${crossed.map(row).join('')}</ul>` : ''}
+    <p><a href="${process.env.FRONTEND_URL}/gst/purchase-invoices" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Review Invoices</a></p>
+  `;
+  
+  await sendEmail(user.email, subject, content);
+};
+
 // Start all cron jobs
 const startCronJobs = () => {
   autoRenewalJob.start();
   expiryReminderJob.start();
   expiredSubscriptionCleanupJob.start();
   overdueInvoiceReminderJob.start();
+  hsnRateChangeJob.start();
+  eWayBillExpiryJob.start();
+  eWayBillBatchRecoveryJob.start();
+  paymentRuleJob.start();
   
   console.log('All cron jobs started successfully');
 };
@@ -303,6 +406,10 @@ const stopCronJobs = () => {
   expiryReminderJob.stop();
   expiredSubscriptionCleanupJob.stop();
   overdueInvoiceReminderJob.stop();
+  hsnRateChangeJob.stop();
+  eWayBillExpiryJob.stop();
+  eWayBillBatchRecoveryJob.stop();
+  paymentRuleJob.stop();
   
   console.log('All cron jobs stopped');
 };
@@ -313,5 +420,9 @@ module.exports = {
   autoRenewalJob,
   expiryReminderJob,
   expiredSubscriptionCleanupJob,
-  overdueInvoiceReminderJob
+  overdueInvoiceReminderJob,
+  hsnRateChangeJob,
+  eWayBillExpiryJob,
+  eWayBillBatchRecoveryJob,
+  paymentRuleJob
 };
@@ -0,0 +1,222 @@
+const EInvoice = require('../models/EInvoice');
+const { eInvoiceIntegration } = require('./integrationService');
+const {
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+  getPayloadIRN,
+  getFinancialYear,
+  verifySignedEInvoice
+} = require('../utils/eInvoice');
+
+// Build and validate the e-invoice JSON for a sales invoice
+const createEInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const invoice = req.body;
+
+    const payload = buildEInvoicePayload(invoice);
+    const validationErrors = validateEInvoicePayload(payload);
+    if (validationErrors.some(error => error.severity === 'error')) {
+      return res.status(400).json({
+        success: false,
+        message: 'E-invoice validation errors found',
+        errors: validationErrors,
+        payload
+      });
+    }
+
+    const financialYear = getFinancialYear(invoice.documentDate);
+    const existing = await EInvoice.findOne({
+      sellerGstin: payload.SellerDtls.Gstin,
+      financialYear,
+      documentType: payload.DocDtls.Typ,
+      documentNumber: payload.DocDtls.No
+    });
+
+    if (existing && (existing.status === 'generated' || String(existing.user) !== String(userId))) {
+      return res.status(409).json({
+        success: false,
+        message: `${payload.DocDtls.Typ} ${payload.DocDtls.No} already has an e-invoice for ${financialYear}`
+      });
+    }
+
+    const eInvoice = existing || new EInvoice({ user: userId });
+    Object.assign(eInvoice, {
+      status: 'draft',
+      sellerGstin: payload.SellerDtls.Gstin,
+      financialYear,
+      documentType: payload.DocDtls.Typ,
+      documentNumber: payload.DocDtls.No,
+      documentDate: invoice.documentDate,
+      supplyType: payload.TranDtls.SupTyp,
+      buyerGstin: payload.BuyerDtls.Gstin,
+      totalInvoiceValue: payload.ValDtls.TotInvVal,
+      invoice,
+      payload,
+      irnHash: getPayloadIRN(payload),
+      validationErrors
+    });
+
+    await eInvoice.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: 'E-invoice prepared successfully',
+      eInvoice
+    });
+  } catch (error) {
+    console.error('Create e-invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing e-invoice'
+    });
+  }
+};
+
+// Get user's e-invoices
+const getUserEInvoices = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status, sellerGstin, financialYear, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (status) query.status = status;
+    if (sellerGstin) query.sellerGstin = sellerGstin;
+    if (financialYear) query.financialYear = financialYear;
+
+    const eInvoices = await EInvoice.find(query)
+      .select('-payload -invoice -irp.signedInvoice')
+      .sort({ documentDate: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await EInvoice.countDocuments(query);
+
+    res.json({
+      success: true,
+      eInvoices,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get e-invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching e-invoices'
+    });
+  }
+};
+
+// Get an e-invoice with its payload and IRP acknowledgement
+const getEInvoice = async (req, res) => {
+  try {
+    const eInvoice = await EInvoice.findOne({ _id: req.params.eInvoiceId, user: req.user.id });
+
+    if (!eInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'E-invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      eInvoice
+    });
+  } catch (error) {
+    console.error('Get e-invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching e-invoice'
+    });
+  }
+};
+
+// Register the e-invoice with the IRP and store the signed acknowledgement
+const generateIRN = async (req, res) => {
+  try {
+    const eInvoice = await EInvoice.findOne({ _id: req.params.eInvoiceId, user: req.user.id });
+
+    if (!eInvoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'E-invoice not found'
+      });
+    }
+
+    if (eInvoice.status === 'generated' || eInvoice.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: `IRN already ${eInvoice.status} for this e-invoice`
+      });
+    }
+
+    // The IRP is chosen by configuration only; a missing or unsupported provider is rejected before registering
+    try {
+      eInvoiceIntegration.getClient();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const response = await eInvoiceIntegration.generateIRN(eInvoice.payload, { gstin: eInvoice.sellerGstin });
+
+    let verification = {};
+    if (response.success) {
+      const publicKey = eInvoiceIntegration.getPublicKey(response.provider);
+      verification = verifySignedEInvoice(response.signedQRCode, { publicKey });
+      if (publicKey && !verification.signatureVerified) {
+        return res.status(502).json({
+          success: false,
+          message: 'IRP response signature could not be verified',
+          errors: verification.errors
+        });
+      }
+    }
+
+    try {
+      eInvoice.applyIRPResponse(response, verification);
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await eInvoice.save();
+
+    if (eInvoice.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'IRP rejected the e-invoice',
+        error: response.error,
+        errorDetails: response.errorDetails
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'IRN generated successfully',
+      eInvoice
+    });
+  } catch (error) {
+    console.error('Generate IRN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating IRN'
+    });
+  }
+};
+
+module.exports = {
+  createEInvoice,
+  getUserEInvoices,
+  getEInvoice,
+  generateIRN
+};
@@ -0,0 +1,320 @@
+const multer = require('multer');
+const path = require('path');
+const EWayBill = require('../models/EWayBill');
+const EWayBillBatch = require('../models/EWayBillBatch');
+const { readBulkJson, readBulkExcel, buildBulkTemplate } = require('../utils/eWayBillBulk');
+
+// Batch progress is written back every few bills
+const PROGRESS_SAVE_INTERVAL = 10;
+
+// Configure multer for bulk E-Way Bill files
+const eWayBillBulkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/json|csv|xlsx/.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Bulk E-Way Bill file must be a JSON, CSV or Excel file'));
+  }
+});
+
+// Run a batch phase after the response has been sent, marking the batch failed if it throws
+const runInBackground = (batch, phase) => {
+  phase(batch).catch(async error => {
+    console.error('E-Way Bill batch error:', error);
+    batch.status = 'failed';
+    batch.error = error.message;
+    batch.completedAt = new Date();
+    await batch.save().catch(saveError => console.error('E-Way Bill batch save error:', saveError));
+  });
+};
+
+const saveProgress = async (batch, processed) => {
+  batch.progress.processed = processed;
+  if (processed % PROGRESS_SAVE_INTERVAL === 0) {
+    batch.updateSummary();
+    await batch.save();
+  }
+};
+
+// Create a draft for every valid bill in the file, recording row-level errors for the rest
+const validateBatch = (bills) => async (batch) => {
+  for (let index = 0; index < bills.length; index++) {
+    const bill = bills[index];
+    const item = batch.items[index];
+
+    try {
+      let errors = bill.errors;
+      let eWayBill = null;
+
+      if (!errors.some(error => error.severity === 'error')) {
+        const duplicate = await EWayBill.exists({
+          user: batch.user,
+          fromGstin: bill.data.fromGstin,
+          docType: bill.data.docType,
+          docNo: bill.data.docNo,
+          status: { $ne: 'cancelled' }
+        });
+        const duplicateInFile = bills.slice(0, index).some(other => (
+          other.data.fromGstin === bill.data.fromGstin &&
+          other.data.docType === bill.data.docType &&
+          other.data.docNo === bill.data.docNo
+        ));
+
+        if (duplicate || duplicateInFile) {
+          errors = [...errors, {
+            field: 'docNo',
+            message: `E-Way Bill already ${duplicate ? 'exists' : 'included in this file'} for ${bill.data.docType} ${bill.data.docNo}`,
+            severity: 'error'
+          }];
+        } else {
+          const draft = await EWayBill.prepareDraft(bill.data, batch.user);
+          errors = [...errors, ...draft.errors];
+          eWayBill = draft.eWayBill;
+        }
+      }
+
+      item.validationErrors = errors;
+      if (eWayBill && !errors.some(error => error.severity === 'error')) {
+        await eWayBill.save();
+        item.eWayBill = eWayBill._id;
+        item.status = 'draft';
+      } else {
+        item.status = 'invalid';
+      }
+    } catch (error) {
+      item.status = 'invalid';
+      item.validationErrors = [{ field: 'document', message: error.message, severity: 'error' }];
+    }
+
+    await saveProgress(batch, index + 1);
+  }
+
+  batch.status = 'validated';
+  batch.completedAt = new Date();
+  batch.updateSummary();
+  await batch.save();
+};
+
+// Generate every draft in the batch
+const generateBatch = async (batch) => {
+  const drafts = batch.items.filter(item => item.status === 'draft');
+
+  for (let index = 0; index < drafts.length; index++) {
+    const item = drafts[index];
+
+    try {
+      const eWayBill = await EWayBill.findOne({ _id: item.eWayBill, user: batch.user });
+      if (!eWayBill || eWayBill.status !== 'draft') {
+        item.status = 'failed';
+        item.validationErrors.push({ field: 'status', message: eWayBill ? `E-Way Bill is already ${eWayBill.status}` : 'E-Way Bill not found', severity: 'error' });
+      } else {
+        // Simulate generation (in real implementation, integrate with E-Way Bill API)
+        eWayBill.ewbNo = `EWB${Date.now()}${String(index).padStart(4, '0')}`;
+        eWayBill.generate();
+        await eWayBill.save();
+        item.ewbNo = eWayBill.ewbNo;
+        item.status = 'generated';
+      }
+    } catch (error) {
+      item.status = 'failed';
+      item.validationErrors.push({ field: 'document', message: error.message, severity: 'error' });
+    }
+
+    await saveProgress(batch, index + 1);
+  }
+
+  batch.status = 'completed';
+  batch.completedAt = new Date();
+  batch.updateSummary();
+  await batch.save();
+};
+
+// Upload a bulk E-Way Bill file (portal bulk-generation JSON or Excel template) and create drafts as a job
+const uploadEWayBillBatch = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bulk E-Way Bill file is required'
+      });
+    }
+
+    const format = path.extname(req.file.originalname).toLowerCase() === '.json' ? 'json' : 'excel';
+    let bills;
+    try {
+      bills = format === 'json' ? readBulkJson(req.file.buffer) : await readBulkExcel(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read bulk E-Way Bill file: ${error.message}`
+      });
+    }
+
+    if (bills.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No E-Way Bills found in the file'
+      });
+    }
+
+    const batch = new EWayBillBatch({
+      user: req.user.id,
+      fileName: req.file.originalname,
+      format,
+      items: bills.map(bill => ({ ref: bill.ref, docNo: bill.docNo }))
+    });
+    batch.startPhase('validating', bills.length);
+    batch.updateSummary();
+    await batch.save();
+
+    runInBackground(batch, validateBatch(bills));
+
+    res.status(202).json({
+      success: true,
+      message: `Validating ${bills.length} E-Way Bills`,
+      batch
+    });
+  } catch (error) {
+    console.error('Upload E-Way Bill batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading E-Way Bill batch'
+    });
+  }
+};
+
+// Get user's E-Way Bill batches
+const getEWayBillBatches = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (status) query.status = status;
+
+    const batches = await EWayBillBatch.find(query)
+      .select('-items')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await EWayBillBatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      batches,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get E-Way Bill batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching E-Way Bill batches'
+    });
+  }
+};
+
+// Get an E-Way Bill batch with its progress and row-level report
+const getEWayBillBatch = async (req, res) => {
+  try {
+    const batch = await EWayBillBatch.findOne({ _id: req.params.batchId, user: req.user.id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'E-Way Bill batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch
+    });
+  } catch (error) {
+    console.error('Get E-Way Bill batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching E-Way Bill batch'
+    });
+  }
+};
+
+// Generate all valid drafts of a batch
+const generateEWayBillBatch = async (req, res) => {
+  try {
+    const batch = await EWayBillBatch.findOne({ _id: req.params.batchId, user: req.user.id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'E-Way Bill batch not found'
+      });
+    }
+
+    if (!['validated', 'completed'].includes(batch.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `E-Way Bill batch is ${batch.status}`
+      });
+    }
+
+    const drafts = batch.items.filter(item => item.status === 'draft').length;
+    if (drafts === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No draft E-Way Bills to generate in this batch'
+      });
+    }
+
+    batch.startPhase('generating', drafts);
+    await batch.save();
+
+    runInBackground(batch, generateBatch);
+
+    res.status(202).json({
+      success: true,
+      message: `Generating ${drafts} E-Way Bills`,
+      batch
+    });
+  } catch (error) {
+    console.error('Generate E-Way Bill batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating E-Way Bill batch'
+    });
+  }
+};
+
+// Download the Excel template for bulk E-Way Bills
+const downloadEWayBillTemplate = async (req, res) => {
+  try {
+    const template = await buildBulkTemplate();
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="eway-bill-bulk-template.xlsx"');
+    res.send(template);
+  } catch (error) {
+    console.error('Download E-Way Bill template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building E-Way Bill template'
+    });
+  }
+};
+
+module.exports = {
+  eWayBillBulkUpload,
+  uploadEWayBillBatch,
+  getEWayBillBatches,
+  getEWayBillBatch,
+  generateEWayBillBatch,
+  downloadEWayBillTemplate
+};
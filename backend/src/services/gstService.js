@@ -1,17 +1,54 @@
+const multer = require('multer');
+const path = require('path');
 const GSTReturn = require('../models/GSTReturn');
 const EWayBill = require('../models/EWayBill');
 const HSNCode = require('../models/HSNCode');
 const User = require('../models/User');
 const { sendEmail } = require('../utils/emailUtils');
 const { sendSMS } = require('../utils/smsUtils');
+const { resolvePlaceOfSupply, splitTax } = require('../utils/placeOfSupply');
+const { toGSTR1Json, fromGSTR1Json, validateGSTR1Json } = require('../utils/gstr1Json');
+const { readSalesRegister, buildGSTR1FromRegister } = require('../utils/salesRegister');
+const { buildEWayBillPrint } = require('../utils/eWayBill');
+const { computeITCEligibility } = require('../utils/itcEligibility');
+const { TDS_CONTRACT_THRESHOLD, computeTDS, computeTCS } = require('../utils/tdsTcs');
+
+// Configure multer for return file uploads
+const returnUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /json|csv|xlsx/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only JSON, CSV and Excel files are allowed'));
+  }
+});
 
 // GST Calculator Service
 const calculateGST = async (req, res) => {
   try {
-    const { amount, gstRate, type = 'exclusive', hsnCode } = req.body;
+    const {
+      amount,
+      gstRate,
+      type = 'exclusive',
+      hsnCode,
+      supplierState,
+      supplierGstin,
+      recipientState,
+      recipientGstin,
+      supplyType,
+      serviceCategory,
+      isExport = false,
+      isSEZ = false,
+      transactionDate
+    } = req.body;
+    const onDate = transactionDate ? new Date(transactionDate) : new Date();
 
     let taxableAmount, gstAmount, totalAmount;
-    let cgst = 0, sgst = 0, igst = 0, cess = 0;
 
     // Get HSN code details if provided
     let hsnDetails = null;
@@ -22,32 +59,58 @@ const calculateGST = async (req, res) => {
       }
     }
 
+    // Determine whether the supply attracts IGST or CGST + SGST/UTGST; only when neither party's state
+    // is given is the supply taken as intra-State
+    let placeOfSupply;
+    try {
+      placeOfSupply = resolvePlaceOfSupply({
+        supplierState,
+        supplierGstin,
+        recipientState,
+        recipientGstin,
+        supplyType: supplyType || (hsnDetails && hsnDetails.category === 'Services' ? 'services' : 'goods'),
+        serviceCategory,
+        isExport,
+        isSEZ
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // The HSN master rate in force on the transaction date takes precedence over the rate sent by the client;
+    // codes the master has no rate for use the client's rate
+    const masterHasRate = Boolean(hsnDetails && hsnDetails.hasKnownRate());
+    const hsnRates = masterHasRate ? hsnDetails.getRatesOn(onDate) : null;
+    if (masterHasRate && !hsnRates) {
+      return res.status(400).json({
+        success: false,
+        message: `No GST rate in force for HSN ${hsnCode} on ${onDate.toDateString()}`
+      });
+    }
+    const rate = hsnRates ? hsnDetails.getEffectiveGSTRateOn(onDate) : gstRate;
+    const cessRate = hsnRates ? hsnRates.cess : 0;
+
     if (type === 'inclusive') {
       // GST is included in the amount
       totalAmount = amount;
-      taxableAmount = amount / (1 + gstRate / 100);
-      gstAmount = amount - taxableAmount;
+      taxableAmount = amount / (1 + (rate + cessRate) / 100);
+      gstAmount = (taxableAmount * rate) / 100;
     } else {
       // GST is exclusive
       taxableAmount = amount;
-      gstAmount = (amount * gstRate) / 100;
-      totalAmount = amount + gstAmount;
+      gstAmount = (amount * rate) / 100;
+      totalAmount = amount + gstAmount + (amount * cessRate) / 100;
     }
 
-    // Calculate CGST, SGST, IGST based on HSN code or default split
-    if (hsnDetails) {
-      cgst = (taxableAmount * hsnDetails.gstRates.cgst) / 100;
-      sgst = (taxableAmount * hsnDetails.gstRates.sgst) / 100;
-      igst = (taxableAmount * hsnDetails.gstRates.igst) / 100;
-      cess = (taxableAmount * hsnDetails.gstRates.cess) / 100;
-    } else {
-      // Default: assume intra-state transaction (CGST + SGST)
-      cgst = gstAmount / 2;
-      sgst = gstAmount / 2;
-    }
+    const cess = (taxableAmount * cessRate) / 100;
+    const { cgst, sgst, utgst, igst } = splitTax(gstAmount, placeOfSupply);
 
     const calculation = {
-      input: { amount, gstRate, type, hsnCode },
+      input: { amount, gstRate: rate, type, hsnCode, transactionDate: onDate },
+      placeOfSupply,
       result: {
         taxableAmount: Math.round(taxableAmount * 100) / 100,
         gstAmount: Math.round(gstAmount * 100) / 100,
@@ -55,6 +118,7 @@ const calculateGST = async (req, res) => {
         breakdown: {
           cgst: Math.round(cgst * 100) / 100,
           sgst: Math.round(sgst * 100) / 100,
+          utgst: Math.round(utgst * 100) / 100,
           igst: Math.round(igst * 100) / 100,
           cess: Math.round(cess * 100) / 100
         }
@@ -62,7 +126,8 @@ const calculateGST = async (req, res) => {
       hsnDetails: hsnDetails ? {
         code: hsnDetails.code,
         description: hsnDetails.description,
-        gstRates: hsnDetails.gstRates
+        gstRates: hsnRates,
+        notificationNo: hsnRates ? hsnRates.notificationNo : null
       } : null
     };
 
@@ -110,7 +175,7 @@ const searchHSNCodes = async (req, res) => {
         ]
       }),
       ...(category && { category }),
-      ...(gstRate && { 'gstRates.igst': parseFloat(gstRate) })
+      ...(gstRate && { 'gstRates.igst': parseFloat(gstRate), rateStatus: { $ne: 'unknown' } })
     });
 
     res.json({
@@ -148,9 +213,13 @@ const getHSNCodeDetails = async (req, res) => {
 
     await hsnCode.incrementUsage();
 
+    // Rates in force on a given date, e.g. an invoice date
+    const ratesOn = req.query.date ? new Date(req.query.date) : new Date();
+
     res.json({
       success: true,
-      hsnCode
+      hsnCode,
+      rates: hsnCode.getRatesOn(ratesOn)
     });
   } catch (error) {
     console.error('Get HSN code error:', error);
@@ -176,15 +245,30 @@ const createGSTReturn = async (req, res) => {
       });
     }
 
+    // Periods before the first due date rule of the return type cannot be filed
+    let dueDate;
+    try {
+      dueDate = await GSTReturn.resolveDueDate(returnData.returnType, returnData.period, {
+        gstin: returnData.gstin,
+        filingFrequency: returnData.filingFrequency
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     // Create new GST return
     const gstReturn = new GSTReturn({
       ...returnData,
       user: userId,
-      dueDate: GSTReturn.getDueDate(returnData.returnType, returnData.period.month, returnData.period.year)
+      dueDate
     });
 
     // Validate return data
-    const validationErrors = gstReturn.validateReturnData();
+    const context = gstReturn.returnType === 'GSTR1' ? await GSTReturn.getGSTR1ValidationContext(gstReturn) : {};
+    const validationErrors = gstReturn.validateReturnData(context);
     if (validationErrors.some(error => error.severity === 'error')) {
       return res.status(400).json({
         success: false,
@@ -230,7 +314,10 @@ const getUserGSTReturns = async (req, res) => {
 
     res.json({
       success: true,
-      returns,
+      returns: returns.map(ret => ({
+        ...ret.toObject(),
+        delayCharges: ret.isOverdue ? ret.calculateDelayCharges() : undefined
+      })),
       pagination: {
         total,
         limit: parseInt(limit),
@@ -270,7 +357,8 @@ const fileGSTReturn = async (req, res) => {
     }
 
     // Validate return data before filing
-    const validationErrors = gstReturn.validateReturnData();
+    const context = gstReturn.returnType === 'GSTR1' ? await GSTReturn.getGSTR1ValidationContext(gstReturn) : {};
+    const validationErrors = gstReturn.validateReturnData(context);
     if (validationErrors.some(error => error.severity === 'error')) {
       return res.status(400).json({
         success: false,
@@ -282,6 +370,27 @@ const fileGSTReturn = async (req, res) => {
     // Simulate filing process (in real implementation, this would integrate with GSTN API)
     gstReturn.status = 'filed';
     gstReturn.filingDate = new Date();
+
+    // Late fee and interest are fixed at the filing date
+    const delayCharges = gstReturn.calculateDelayCharges(gstReturn.filingDate);
+    gstReturn.lateFee = { cgst: delayCharges.lateFee.cgst, sgst: delayCharges.lateFee.sgst };
+    gstReturn.interest = {
+      igst: delayCharges.interest.igst,
+      cgst: delayCharges.interest.cgst,
+      sgst: delayCharges.interest.sgst,
+      cess: delayCharges.interest.cess
+    };
+    if (gstReturn.returnType === 'GSTR3B' && gstReturn.gstr3bData) {
+      // Table 5.1 reports the interest paid with the return
+      gstReturn.gstr3bData.interest_waiver = {
+        intr_details: {
+          iamt: gstReturn.interest.igst,
+          camt: gstReturn.interest.cgst,
+          samt: gstReturn.interest.sgst,
+          csamt: gstReturn.interest.cess
+        }
+      };
+    }
     gstReturn.acknowledgmentNumber = `ACK${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
 
     gstReturn.submissionHistory.push({
@@ -292,6 +401,11 @@ const fileGSTReturn = async (req, res) => {
 
     await gstReturn.save();
 
+    // Returns whose documents this GSTR-1 amends are now superseded by the amendment
+    if (gstReturn.returnType === 'GSTR1') {
+      await GSTReturn.markAmendedOriginals(gstReturn);
+    }
+
     // Send confirmation email
     const user = await User.findById(userId);
     await sendGSTReturnFiledEmail(user, gstReturn);
@@ -310,22 +424,272 @@ const fileGSTReturn = async (req, res) => {
   }
 };
 
-// E-Way Bill Services
-const createEWayBill = async (req, res) => {
+// Export GSTR-1 return as portal JSON
+const exportGSTReturn = async (req, res) => {
   try {
+    const { returnId } = req.params;
     const userId = req.user.id;
-    const eWayBillData = req.body;
 
-    const eWayBill = new EWayBill({
-      ...eWayBillData,
-      user: userId
+    const gstReturn = await GSTReturn.findOne({ _id: returnId, user: userId });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GST return not found'
+      });
+    }
+
+    if (gstReturn.returnType !== 'GSTR1') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only GSTR-1 returns can be exported in the offline tool format'
+      });
+    }
+
+    const json = toGSTR1Json(gstReturn);
+    const schemaErrors = validateGSTR1Json(json);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return data does not conform to the GSTR-1 schema',
+        errors: schemaErrors
+      });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="GSTR1_${json.gstin}_${json.fp}.json"`);
+    res.json(json);
+  } catch (error) {
+    console.error('Export GST return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting GST return'
     });
+  }
+};
 
-    // Calculate totals
-    eWayBill.calculateTotals();
+// Import portal GSTR-1 JSON as a draft return
+const importGSTReturn = async (req, res) => {
+  try {
+    const userId = req.user.id;
 
-    // Validate e-way bill data
-    const validationErrors = eWayBill.validateEWayBillData();
+    const user = await User.findById(userId);
+    if (!user.isMembershipActive() || user.membership.type === 'free') {
+      return res.status(403).json({
+        success: false,
+        message: 'Premium membership required for GST return filing'
+      });
+    }
+
+    let json;
+    try {
+      json = req.file ? JSON.parse(req.file.buffer.toString('utf8')) : req.body;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Uploaded file is not valid JSON'
+      });
+    }
+
+    const schemaErrors = validateGSTR1Json(json);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'File does not conform to the GSTR-1 schema',
+        errors: schemaErrors
+      });
+    }
+
+    const returnData = fromGSTR1Json(json);
+
+    const existing = await GSTReturn.findOne({
+      user: userId,
+      gstin: returnData.gstin,
+      returnType: 'GSTR1',
+      'period.month': returnData.period.month,
+      'period.year': returnData.period.year,
+      status: 'draft'
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A draft GSTR-1 for ${existing.periodString} already exists`,
+        gstReturnId: existing._id
+      });
+    }
+
+    let dueDate;
+    try {
+      dueDate = await GSTReturn.resolveDueDate('GSTR1', returnData.period, { gstin: returnData.gstin });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const gstReturn = new GSTReturn({
+      ...returnData,
+      user: userId,
+      dueDate
+    });
+    gstReturn.calculateGSTR1Totals();
+    gstReturn.validateReturnData();
+
+    gstReturn.submissionHistory.push({
+      action: 'Imported',
+      user: userId,
+      details: 'Draft created from GSTR-1 portal JSON'
+    });
+
+    await gstReturn.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'GSTR-1 imported as draft successfully',
+      gstReturn
+    });
+  } catch (error) {
+    console.error('Import GST return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing GST return'
+    });
+  }
+};
+
+// Build a GSTR-1 draft from an invoice-level sales register (CSV or Excel)
+const importSalesRegister = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin, replace, filingFrequency } = req.body;
+    const month = parseInt(req.body.month);
+    const year = parseInt(req.body.year);
+
+    const user = await User.findById(userId);
+    if (!user.isMembershipActive() || user.membership.type === 'free') {
+      return res.status(403).json({
+        success: false,
+        message: 'Premium membership required for GST return filing'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sales register file is required'
+      });
+    }
+
+    let rows;
+    try {
+      rows = await readSalesRegister(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unable to read sales register file'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sales register is empty'
+      });
+    }
+
+    const { gstr1Data, report } = buildGSTR1FromRegister(rows, gstin, { month, year });
+
+    if (report.classifiedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No rows in the sales register could be classified',
+        report
+      });
+    }
+
+    let gstReturn = await GSTReturn.findOne({
+      user: userId,
+      gstin,
+      returnType: 'GSTR1',
+      'period.month': month,
+      'period.year': year,
+      status: 'draft'
+    });
+
+    if (gstReturn && replace !== 'true' && replace !== true) {
+      return res.status(409).json({
+        success: false,
+        message: `A draft GSTR-1 for ${gstReturn.periodString} already exists; resubmit with replace=true to overwrite it`,
+        gstReturnId: gstReturn._id
+      });
+    }
+
+    if (!gstReturn) {
+      let dueDate;
+      try {
+        dueDate = await GSTReturn.resolveDueDate('GSTR1', { month, year }, { gstin, filingFrequency });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      gstReturn = new GSTReturn({
+        user: userId,
+        gstin,
+        returnType: 'GSTR1',
+        period: { month, year },
+        filingFrequency,
+        dueDate
+      });
+    }
+
+    // Amendments of earlier returns are not part of the register and stay with the draft
+    const existing = gstReturn.gstr1Data || {};
+    gstReturn.gstr1Data = {
+      ...gstr1Data,
+      gt: existing.gt,
+      cur_gt: existing.cur_gt,
+      b2ba: existing.b2ba,
+      b2cla: existing.b2cla,
+      b2csa: existing.b2csa,
+      cdnra: existing.cdnra
+    };
+    gstReturn.calculateGSTR1Totals();
+    gstReturn.validateReturnData();
+
+    gstReturn.submissionHistory.push({
+      action: 'Sales Register Imported',
+      user: userId,
+      details: `${report.classifiedRows} of ${report.totalRows} rows classified from ${req.file.originalname}`
+    });
+
+    await gstReturn.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'GSTR-1 draft built from sales register',
+      gstReturn,
+      report
+    });
+  } catch (error) {
+    console.error('Import sales register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing sales register'
+    });
+  }
+};
+
+// E-Way Bill Services
+const createEWayBill = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const eWayBillData = req.body;
+
+    // Auto-fill from the pincode master, calculate totals and validate against the HSN and pincode masters
+    const { eWayBill, errors: validationErrors } = await EWayBill.prepareDraft(eWayBillData, userId);
     if (validationErrors.some(error => error.severity === 'error')) {
       return res.status(400).json({
         success: false,
@@ -373,16 +737,16 @@ const generateEWayBill = async (req, res) => {
     }
 
     // Simulate generation (in real implementation, integrate with E-Way Bill API)
-    eWayBill.status = 'generated';
     eWayBill.ewbNo = `EWB${Date.now()}`;
-    eWayBill.generatedDate = new Date();
-    eWayBill.validUpto = new Date(Date.now() + 24 * 60 * 60 * 1000); // Valid for 24 hours
+    eWayBill.generate();
 
     await eWayBill.save();
 
     res.json({
       success: true,
-      message: 'E-Way Bill generated successfully',
+      message: eWayBill.validUpto
+        ? 'E-Way Bill generated successfully'
+        : 'E-Way Bill generated; validity starts when Part-B is updated',
       eWayBill
     });
   } catch (error) {
@@ -394,6 +758,109 @@ const generateEWayBill = async (req, res) => {
   }
 };
 
+// Apply a Part-B update, extension or cancellation to a user's E-Way Bill
+const applyEWayBillAction = async (req, res, action, successMessage) => {
+  const { eWayBillId } = req.params;
+  const userId = req.user.id;
+
+  const eWayBill = await EWayBill.findOne({ _id: eWayBillId, user: userId });
+
+  if (!eWayBill) {
+    return res.status(404).json({
+      success: false,
+      message: 'E-Way Bill not found'
+    });
+  }
+
+  try {
+    action(eWayBill);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  await eWayBill.save();
+
+  res.json({
+    success: true,
+    message: successMessage,
+    eWayBill
+  });
+};
+
+// Update E-Way Bill Part-B (vehicle or transport document)
+const updateEWayBillPartB = async (req, res) => {
+  try {
+    await applyEWayBillAction(req, res, eWayBill => eWayBill.updatePartB(req.body), 'Part-B updated successfully');
+  } catch (error) {
+    console.error('Update E-Way Bill Part-B error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating E-Way Bill Part-B'
+    });
+  }
+};
+
+// Extend E-Way Bill validity
+const extendEWayBillValidity = async (req, res) => {
+  try {
+    await applyEWayBillAction(req, res, eWayBill => eWayBill.extendValidity(req.body), 'E-Way Bill validity extended successfully');
+  } catch (error) {
+    console.error('Extend E-Way Bill validity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error extending E-Way Bill validity'
+    });
+  }
+};
+
+// Cancel E-Way Bill
+const cancelEWayBill = async (req, res) => {
+  try {
+    await applyEWayBillAction(req, res, eWayBill => eWayBill.cancel(req.body), 'E-Way Bill cancelled successfully');
+  } catch (error) {
+    console.error('Cancel E-Way Bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling E-Way Bill'
+    });
+  }
+};
+
+// Print E-Way Bill (Part-A and Part-B)
+const printEWayBill = async (req, res) => {
+  try {
+    const eWayBill = await EWayBill.findOne({ _id: req.params.eWayBillId, user: req.user.id });
+
+    if (!eWayBill) {
+      return res.status(404).json({
+        success: false,
+        message: 'E-Way Bill not found'
+      });
+    }
+
+    if (eWayBill.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only generated E-Way Bills can be printed'
+      });
+    }
+
+    res.json({
+      success: true,
+      print: buildEWayBillPrint(eWayBill)
+    });
+  } catch (error) {
+    console.error('Print E-Way Bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error printing E-Way Bill'
+    });
+  }
+};
+
 // Get user's E-Way Bills
 const getUserEWayBills = async (req, res) => {
   try {
@@ -429,51 +896,23 @@ const getUserEWayBills = async (req, res) => {
   }
 };
 
-// Input Tax Credit Calculator
+// Input Tax Credit Calculator: 17(5) blocked credit and rule 42/43 reversals
 const calculateITC = async (req, res) => {
   try {
-    const { purchases, eligibilityType = 'full' } = req.body;
-
-    let totalITC = 0;
-    let eligibleITC = 0;
-    let ineligibleITC = 0;
-
-    const breakdown = purchases.map(purchase => {
-      const { amount, gstRate, category = 'eligible' } = purchase;
-      const gstAmount = (amount * gstRate) / 100;
-
-      let eligible = 0;
-      let ineligible = 0;
-
-      if (category === 'eligible') {
-        eligible = gstAmount;
-      } else if (category === 'partially_eligible') {
-        eligible = gstAmount * 0.5; // 50% eligible for certain categories
-        ineligible = gstAmount * 0.5;
-      } else {
-        ineligible = gstAmount;
-      }
-
-      totalITC += gstAmount;
-      eligibleITC += eligible;
-      ineligibleITC += ineligible;
-
-      return {
-        ...purchase,
-        gstAmount,
-        eligibleITC: eligible,
-        ineligibleITC: ineligible
-      };
+    const { purchases, capitalGoods = [], turnover = {}, nonBusinessUse = false, period } = req.body;
+    const now = new Date();
+
+    const calculation = computeITCEligibility({
+      purchases,
+      capitalGoods,
+      turnover,
+      nonBusinessUse,
+      period: period || { month: now.getMonth() + 1, year: now.getFullYear() }
     });
 
     res.json({
       success: true,
-      calculation: {
-        totalITC: Math.round(totalITC * 100) / 100,
-        eligibleITC: Math.round(eligibleITC * 100) / 100,
-        ineligibleITC: Math.round(ineligibleITC * 100) / 100,
-        breakdown
-      }
+      calculation
     });
   } catch (error) {
     console.error('ITC calculation error:', error);
@@ -484,49 +923,50 @@ const calculateITC = async (req, res) => {
   }
 };
 
-// TDS/TCS Calculator
+// TDS/TCS Calculator. The ₹2.5 lakh TDS threshold applies to the contract value, which defaults to the amount.
 const calculateTDSTCS = async (req, res) => {
   try {
-    const { amount, type, section, supplierType = 'registered' } = req.body;
-
-    let rate = 0;
-    let threshold = 0;
-
-    // TDS rates under GST
-    if (type === 'TDS') {
-      if (section === '51') {
-        rate = 2; // 2% TDS on supply of goods/services
-        threshold = 250000; // Annual threshold
-      } else if (section === '52') {
-        rate = 1; // 1% TDS on e-commerce transactions
-        threshold = 0; // No threshold
-      }
-    }
+    const {
+      amount, type, section, supplierType = 'registered', contractValue = amount,
+      deductorGstin, supplierGstin, placeOfSupply, returnedValue = 0, date
+    } = req.body;
 
-    // TCS rates under GST
-    if (type === 'TCS') {
-      if (section === '52') {
-        rate = 1; // 1% TCS on e-commerce sales
-        threshold = 0;
-      }
+    if ((type === 'TDS' && section !== '51') || (type === 'TCS' && section !== '52')) {
+      return res.status(400).json({
+        success: false,
+        message: 'TDS is deducted under section 51 and TCS collected under section 52'
+      });
     }
 
-    const taxAmount = amount >= threshold ? (amount * rate) / 100 : 0;
-    const netAmount = type === 'TDS' ? amount - taxAmount : amount;
-    const totalAmount = type === 'TCS' ? amount + taxAmount : amount;
+    const result = type === 'TDS'
+      ? computeTDS({
+        deductorGstin,
+        deducteeGstin: supplierGstin,
+        supplierRegistered: supplierType === 'registered',
+        placeOfSupply,
+        contractValue,
+        amountPaid: amount
+      })
+      : { applicable: true, ...computeTCS({ supplierGstin, placeOfSupply, grossValue: amount, returnedValue, date: date ? new Date(date) : new Date() }) };
+
+    const taxAmount = result.totalTax;
 
     res.json({
       success: true,
       calculation: {
         type,
         section,
-        rate,
-        threshold,
+        rate: result.rate,
+        threshold: type === 'TDS' ? TDS_CONTRACT_THRESHOLD : 0,
         amount,
-        taxAmount: Math.round(taxAmount * 100) / 100,
-        netAmount: Math.round(netAmount * 100) / 100,
-        totalAmount: Math.round(totalAmount * 100) / 100,
-        applicable: amount >= threshold
+        contractValue: type === 'TDS' ? contractValue : undefined,
+        netValue: result.netValue,
+        supplyType: result.supplyType,
+        tax: result.tax,
+        taxAmount,
+        netAmount: Math.round((amount - taxAmount) * 100) / 100,
+        applicable: result.applicable,
+        reason: result.reason
       }
     });
   } catch (error) {
@@ -543,8 +983,11 @@ const getComplianceDashboard = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Get overdue returns
-    const overdueReturns = await GSTReturn.findOverdueReturns(userId);
+    // Get overdue returns with the late fee and interest accrued so far
+    const overdueReturns = (await GSTReturn.findOverdueReturns(userId)).map(ret => ({
+      ret,
+      delayCharges: ret.calculateDelayCharges()
+    }));
 
     // Get expiring E-Way Bills
     const expiringEWayBills = await EWayBill.findExpiringEWayBills(1);
@@ -562,17 +1005,22 @@ const getComplianceDashboard = async (req, res) => {
       success: true,
       dashboard: {
         overdueReturns: overdueReturns.length,
+        accruedDelayCharges: Math.round(overdueReturns.reduce((sum, item) => sum + item.delayCharges.total, 0) * 100) / 100,
         expiringEWayBills: expiringEWayBills.length,
         recentActivity: {
           returns: recentReturns,
           eWayBills: recentEWayBills
         },
         alerts: [
-          ...overdueReturns.map(ret => ({
+          ...overdueReturns.map(({ ret, delayCharges }) => ({
             type: 'overdue_return',
-            message: `${ret.returnType} for ${ret.periodString} is overdue`,
+            message: `${ret.returnType} for ${ret.periodString} is overdue by ${delayCharges.daysLate} day(s); late fee ₹${delayCharges.lateFee.total} and interest ₹${delayCharges.interest.total} so far`,
             severity: 'high',
-            dueDate: ret.dueDate
+            dueDate: ret.dueDate,
+            returnId: ret._id,
+            lateFee: delayCharges.lateFee,
+            interest: delayCharges.interest,
+            totalCharges: delayCharges.total
           })),
           ...expiringEWayBills.map(ewb => ({
             type: 'expiring_ewb',
@@ -620,8 +1068,16 @@ module.exports = {
   createGSTReturn,
   getUserGSTReturns,
   fileGSTReturn,
+  exportGSTReturn,
+  importGSTReturn,
+  importSalesRegister,
+  returnUpload,
   createEWayBill,
   generateEWayBill,
+  updateEWayBillPartB,
+  extendEWayBillValidity,
+  cancelEWayBill,
+  printEWayBill,
   getUserEWayBills,
   calculateITC,
   calculateTDSTCS,
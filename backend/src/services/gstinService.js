@@ -0,0 +1,147 @@
+const multer = require('multer');
+const path = require('path');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { STATE_CODES, normaliseStateCode } = require('../utils/placeOfSupply');
+const { decodeGSTIN, checkGSTINAgainstParty, PAN_REGEX } = require('../utils/gstin');
+
+// Configure multer for counterparty lists
+const counterpartyUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/csv|xlsx/.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Counterparty list must be a CSV or Excel file'));
+  }
+});
+
+// Common column names in party masters mapped to fields
+const COLUMN_ALIASES = {
+  gstin: 'gstin',
+  gstin_uin: 'gstin',
+  gst_no: 'gstin',
+  gst_number: 'gstin',
+  party_gstin: 'gstin',
+  name: 'name',
+  party_name: 'name',
+  legal_name: 'name',
+  trade_name: 'name',
+  state: 'state',
+  state_name: 'state',
+  state_code: 'state',
+  pan: 'pan',
+  pan_no: 'pan',
+  pan_number: 'pan'
+};
+
+// Resolve a declared state given as a code ("27", 27) or a name ("Maharashtra")
+const resolveStateCode = (state) => {
+  if (state === undefined || state === null || state === '') return null;
+  const code = normaliseStateCode(state);
+  if (code && STATE_CODES[code]) return code;
+  const name = String(state).trim().toLowerCase();
+  return Object.keys(STATE_CODES).find(key => STATE_CODES[key].name.toLowerCase() === name) || null;
+};
+
+// Decode a single GSTIN offline
+const getGSTINDetails = async (req, res) => {
+  try {
+    const decoded = decodeGSTIN(req.params.gstin);
+
+    res.json({
+      success: true,
+      gstin: decoded
+    });
+  } catch (error) {
+    console.error('Decode GSTIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error decoding GSTIN'
+    });
+  }
+};
+
+// Validate a list of counterparty GSTINs against their declared state and PAN
+const validateCounterpartyGSTINs = async (req, res) => {
+  try {
+    let parties;
+    if (req.file) {
+      try {
+        parties = await readSpreadsheet(req.file.buffer, { aliases: COLUMN_ALIASES });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unable to read counterparty list'
+        });
+      }
+    } else {
+      parties = (req.body.parties || []).map((party, index) => ({ ...party, _row: index + 1 }));
+    }
+
+    if (parties.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a counterparty list or provide parties'
+      });
+    }
+
+    const results = parties.map(party => {
+      const warnings = [];
+      const stateCode = resolveStateCode(party.state);
+      if (party.state && !stateCode) {
+        warnings.push(`Unknown declared state ${party.state}`);
+      }
+      const pan = party.pan ? String(party.pan).trim().toUpperCase() : null;
+      if (pan && !PAN_REGEX.test(pan)) {
+        warnings.push(`Invalid declared PAN ${pan}`);
+      }
+
+      const result = checkGSTINAgainstParty(party.gstin, {
+        stateCode,
+        pan: pan && PAN_REGEX.test(pan) ? pan : null
+      });
+
+      return {
+        row: party._row,
+        name: party.name,
+        gstin: result.gstin,
+        valid: result.valid,
+        errors: result.errors,
+        stateCode: result.stateCode,
+        stateName: result.stateName,
+        pan: result.pan,
+        tan: result.tan,
+        registrationType: result.registrationType,
+        mismatches: result.mismatches,
+        warnings
+      };
+    });
+
+    res.json({
+      success: true,
+      summary: {
+        total: results.length,
+        valid: results.filter(result => result.valid).length,
+        invalid: results.filter(result => !result.valid).length,
+        stateMismatches: results.filter(result => result.mismatches.some(item => item.field === 'state')).length,
+        panMismatches: results.filter(result => result.mismatches.some(item => item.field === 'pan')).length
+      },
+      results
+    });
+  } catch (error) {
+    console.error('Validate counterparty GSTINs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating counterparty GSTINs'
+    });
+  }
+};
+
+module.exports = {
+  getGSTINDetails,
+  validateCounterpartyGSTINs,
+  counterpartyUpload
+};
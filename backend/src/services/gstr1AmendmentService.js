@@ -0,0 +1,238 @@
+const GSTReturn = require('../models/GSTReturn');
+const {
+  AMENDMENT_TABLES,
+  getAmendmentDeadline,
+  getOriginalDate,
+  documentLabel,
+  findDocument,
+  findAmendment,
+  buildAmendment
+} = require('../utils/gstr1Amendments');
+
+const periodIndex = (period) => period.year * 12 + period.month;
+
+// Latest filed amendment of a document, which a further amendment is measured against; an amendment still
+// in the draft of another period must be filed first so the two are not both counted against the original
+const findLatestAmendment = async (original, table, label, period) => {
+  const ids = original.amendments
+    .filter(item => item.table === AMENDMENT_TABLES[table] && item.document === label)
+    .map(item => item.gstReturn);
+  if (ids.length === 0) return {};
+
+  const returns = await GSTReturn.find({ _id: { $in: ids }, user: original.user, returnType: 'GSTR1' })
+    .select('period status gstr1Data');
+  const others = returns.filter(ret => periodIndex(ret.period) !== periodIndex(period));
+
+  const pending = others.find(ret => ret.status === 'draft');
+  if (pending) {
+    return { error: `${label} is already being amended in the draft GSTR-1 for ${pending.periodString}; file or edit that return first` };
+  }
+
+  const later = others.find(ret => periodIndex(ret.period) > periodIndex(period));
+  if (later) {
+    return { error: `${label} was amended in GSTR-1 for ${later.periodString}; report further amendments after that period` };
+  }
+
+  const filed = others.sort((a, b) => periodIndex(b.period) - periodIndex(a.period));
+  for (const ret of filed) {
+    const latest = findAmendment(ret.gstr1Data, table, original._id, label);
+    if (latest) return { latest };
+  }
+  return {};
+};
+
+// Add an amendment row to the draft's table, replacing an earlier amendment of the same document
+const addAmendmentRow = (gstr1Data, table, amendment, label) => {
+  const childKey = amendment.table === 'cdnra' ? 'notes' : 'invoices';
+  const isSame = (row) => String(row.originalReturn) === String(amendment.row.originalReturn) &&
+    documentLabel(table, row.original) === label;
+
+  if (!amendment.parentKey) {
+    gstr1Data[amendment.table] = (gstr1Data[amendment.table] || []).filter(row => !isSame(row));
+    gstr1Data[amendment.table].push(amendment.row);
+    return;
+  }
+
+  const parents = (gstr1Data[amendment.table] || [])
+    .map(parent => ({ ...parent, [childKey]: (parent[childKey] || []).filter(row => !isSame(row)) }))
+    .filter(parent => parent[childKey].length > 0);
+  const [key, value] = Object.entries(amendment.parentKey)[0];
+  const parent = parents.find(row => row[key] === value);
+  if (parent) {
+    parent[childKey].push(amendment.row);
+  } else {
+    parents.push({ ...amendment.parentKey, [childKey]: [amendment.row] });
+  }
+  gstr1Data[amendment.table] = parents;
+};
+
+// Amend a document of a filed GSTR-1 through the amendment tables of a later period's draft
+const amendGSTR1 = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { table, document: ref, revised } = req.body;
+    const period = { month: parseInt(req.body.month), year: parseInt(req.body.year) };
+
+    const original = await GSTReturn.findOne({ _id: req.params.returnId, user: userId, returnType: 'GSTR1' });
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-1 return not found'
+      });
+    }
+
+    if (!['filed', 'processed', 'amended'].includes(original.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only filed returns are amended; edit a draft return directly'
+      });
+    }
+
+    if (periodIndex(period) <= periodIndex(original.period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amendments are reported in a return for a later period than the original'
+      });
+    }
+
+    const found = findDocument(original.gstr1Data, table, ref);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found in the original return'
+      });
+    }
+
+    const label = documentLabel(table, found.document);
+    const { latest, error } = await findLatestAmendment(original, table, label, period);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const amendment = buildAmendment(table, found, revised, {
+      originalReturn: original._id,
+      originalPeriod: original.period,
+      latest
+    });
+
+    const annualReturns = await GSTReturn.getAnnualReturnDates(userId, original.gstin);
+    const deadline = getAmendmentDeadline(getOriginalDate(amendment.table, amendment.row), new Date(period.year, period.month - 1, 1), annualReturns);
+    if (new Date(period.year, period.month - 1, 1) > deadline) {
+      return res.status(400).json({
+        success: false,
+        message: `${label} can no longer be amended; the time limit was ${deadline.toDateString()}`
+      });
+    }
+
+    let gstReturn = await GSTReturn.findOne({
+      user: userId,
+      gstin: original.gstin,
+      returnType: 'GSTR1',
+      'period.month': period.month,
+      'period.year': period.year,
+      status: 'draft'
+    });
+
+    if (!gstReturn) {
+      const filed = await GSTReturn.exists({
+        user: userId,
+        gstin: original.gstin,
+        returnType: 'GSTR1',
+        'period.month': period.month,
+        'period.year': period.year,
+        status: { $ne: 'draft' }
+      });
+      if (filed) {
+        return res.status(400).json({
+          success: false,
+          message: `GSTR-1 for ${period.month}/${period.year} is already filed; report the amendment in a later period`
+        });
+      }
+
+      gstReturn = new GSTReturn({
+        user: userId,
+        gstin: original.gstin,
+        returnType: 'GSTR1',
+        period,
+        filingFrequency: original.filingFrequency,
+        dueDate: await GSTReturn.resolveDueDate('GSTR1', period, { gstin: original.gstin, filingFrequency: original.filingFrequency })
+      });
+    }
+
+    const gstr1Data = gstReturn.gstr1Data ? gstReturn.gstr1Data.toObject() : {};
+    addAmendmentRow(gstr1Data, table, amendment, label);
+    gstReturn.gstr1Data = gstr1Data;
+    gstReturn.calculateGSTR1Totals();
+    const validationErrors = gstReturn.validateReturnData(await GSTReturn.getGSTR1ValidationContext(gstReturn));
+
+    gstReturn.submissionHistory.push({
+      action: 'Amendment added',
+      user: userId,
+      details: `${amendment.table.toUpperCase()} for ${label} of GSTR-1 ${original.periodString}`
+    });
+    await gstReturn.save();
+
+    // The filed return only records where it was amended; its reported data is left as filed
+    const linked = original.amendments.some(item => String(item.gstReturn) === String(gstReturn._id) &&
+      item.table === amendment.table && item.document === label);
+    if (!linked) {
+      original.amendments.push({ gstReturn: gstReturn._id, table: amendment.table, document: label });
+      original.submissionHistory.push({
+        action: 'Amendment prepared',
+        user: userId,
+        details: `${label} amended in GSTR-1 for ${gstReturn.periodString}`
+      });
+      await original.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Amendment added to the GSTR-1 draft',
+      gstReturn,
+      amendment: amendment.row,
+      warnings: validationErrors
+    });
+  } catch (error) {
+    console.error('Amend GSTR-1 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error amending GSTR-1'
+    });
+  }
+};
+
+// List the amendments reported against a GSTR-1's documents
+const getGSTR1Amendments = async (req, res) => {
+  try {
+    const gstReturn = await GSTReturn.findOne({ _id: req.params.returnId, user: req.user.id, returnType: 'GSTR1' })
+      .populate('amendments.gstReturn', 'period status filingDate acknowledgmentNumber');
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-1 return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      status: gstReturn.status,
+      amendments: gstReturn.amendments
+    });
+  } catch (error) {
+    console.error('Get GSTR-1 amendments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching amendments'
+    });
+  }
+};
+
+module.exports = {
+  amendGSTR1,
+  getGSTR1Amendments
+};
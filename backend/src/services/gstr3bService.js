@@ -0,0 +1,520 @@
+const GSTReturn = require('../models/GSTReturn');
+const ITCReconciliation = require('../models/ITCReconciliation');
+const LedgerEntry = require('../models/LedgerEntry');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const {
+  prepareGSTR3BData,
+  calculateGSTR3BVariance,
+  applyGSTR3BOverrides,
+  calculateGSTR3BLiability
+} = require('../utils/gstr3bPreparer');
+const { TAX_HEADS } = require('../utils/setOff');
+const { computeITCEligibility, computeAnnualTrueUp } = require('../utils/itcEligibility');
+
+// How long a set-off claim holds before another request may take over the return
+const SET_OFF_CLAIM_MS = 10 * 60 * 1000;
+
+// Find a draft GSTR-3B owned by the user
+const findGSTR3BReturn = (returnId, userId) => GSTReturn.findOne({ _id: returnId, user: userId, returnType: 'GSTR3B' });
+
+// Keep return totals in line with table 3.1
+const applyTotals = (gstReturn) => {
+  const sup = gstReturn.gstr3bData.sup_details || {};
+  gstReturn.totalTaxAmount = calculateGSTR3BLiability(gstReturn.gstr3bData);
+  gstReturn.totalTaxableValue = Math.round(
+    (((sup.osup_det && sup.osup_det.txval) || 0) + ((sup.osup_zero && sup.osup_zero.txval) || 0)) * 100
+  ) / 100;
+};
+
+// Exempt and total turnover of the period from table 3.1 (exempt includes nil-rated and non-GST supplies)
+const getTurnoverFromGSTR3B = (gstr3bData) => {
+  const sup = (gstr3bData && gstr3bData.sup_details) || {};
+  const value = (key) => (sup[key] && sup[key].txval) || 0;
+  const exempt = value('osup_nil_exmp') + value('osup_nongst');
+  return { exempt, total: exempt + value('osup_det') + value('osup_zero') };
+};
+
+// Prepare GSTR-3B from the period's GSTR-1 and latest ITC reconciliation
+const prepareGSTR3B = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    const userId = req.user.id;
+    const { recipientCategories = {} } = req.body;
+    let { reversals = {} } = req.body;
+
+    const gstReturn = await findGSTR3BReturn(returnId, userId);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-3B return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be prepared'
+      });
+    }
+
+    if (gstReturn.setOff && gstReturn.setOff.completedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-3B liability has already been set off'
+      });
+    }
+
+    const { month, year } = gstReturn.period;
+
+    // Prefer the filed GSTR-1 over a draft for the same period
+    const gstr1Returns = await GSTReturn.find({
+      user: userId,
+      gstin: gstReturn.gstin,
+      returnType: 'GSTR1',
+      'period.month': month,
+      'period.year': year,
+      status: { $in: ['draft', 'filed', 'processed', 'amended'] }
+    }).sort({ updatedAt: -1 });
+    const gstr1Return = gstr1Returns.find(item => item.status !== 'draft') || gstr1Returns[0];
+
+    const reconciliation = await ITCReconciliation.findLatestForPeriod(userId, gstReturn.gstin, month, year);
+
+    const warnings = [];
+    if (!gstr1Return) {
+      warnings.push('No GSTR-1 found for the period; outward supplies are zero');
+    }
+    if (!reconciliation) {
+      warnings.push('No ITC reconciliation found for the period; eligible ITC only includes manual inputs');
+    }
+
+    // Table 4(B) defaults to the stored ITC eligibility workings
+    const itcReversal = gstReturn.itcReversal && gstReturn.itcReversal.computedAt ? gstReturn.itcReversal.table4B : null;
+    if (itcReversal) {
+      reversals = { ...itcReversal, ...reversals };
+    }
+
+    // 180-day rule reversals (4(B)(2)) and reclaims (4(A)(5)) not yet reported in an earlier return
+    const paymentRule = await PurchaseInvoice.getGSTR3BAdjustments(userId, gstReturn.gstin, gstReturn.period, gstReturn._id);
+    const others = reversals.others || {};
+    const { reversal: rule37Reversal, reclaim: rule37Reclaim } = paymentRule;
+    reversals = {
+      ...reversals,
+      others: {
+        iamt: (others.iamt || 0) + rule37Reversal.igst,
+        camt: (others.camt || 0) + rule37Reversal.cgst,
+        samt: (others.samt || 0) + rule37Reversal.sgst,
+        csamt: (others.csamt || 0) + rule37Reversal.cess
+      },
+      reclaimed: { iamt: rule37Reclaim.igst, camt: rule37Reclaim.cgst, samt: rule37Reclaim.sgst, csamt: rule37Reclaim.cess }
+    };
+
+    const computed = prepareGSTR3BData({
+      gstr1Data: gstr1Return ? gstr1Return.gstr1Data : {},
+      reconciliation,
+      reversals,
+      recipientCategories
+    });
+    // Table 5.1 carries the section 50 interest on the 180-day rule reversals; delay interest is added at filing
+    computed.interest_waiver = {
+      intr_details: {
+        iamt: paymentRule.interest.igst,
+        camt: paymentRule.interest.cgst,
+        samt: paymentRule.interest.sgst,
+        csamt: paymentRule.interest.cess
+      }
+    };
+
+    gstReturn.gstr3bData = computed;
+    gstReturn.gstr3bComputed = computed;
+    gstReturn.gstr3bSource = {
+      gstr1Return: gstr1Return ? gstr1Return._id : undefined,
+      reconciliation: reconciliation ? reconciliation._id : undefined,
+      paymentRule: {
+        invoicesReversed: paymentRule.reversals.length,
+        reclaims: paymentRule.reclaims.length,
+        reversal: paymentRule.reversal,
+        reclaim: paymentRule.reclaim,
+        interest: paymentRule.interest
+      },
+      preparedAt: new Date()
+    };
+    applyTotals(gstReturn);
+
+    gstReturn.submissionHistory.push({
+      action: 'Prepared',
+      user: userId,
+      details: `Prepared from ${gstr1Return ? 'GSTR-1' : 'no GSTR-1'} and ${reconciliation ? 'ITC reconciliation' : 'no ITC reconciliation'}`
+    });
+
+    await gstReturn.save();
+    await PurchaseInvoice.linkGSTR3B(paymentRule, gstReturn._id);
+
+    res.json({
+      success: true,
+      message: 'GSTR-3B prepared successfully',
+      gstReturn,
+      sources: gstReturn.gstr3bSource,
+      warnings
+    });
+  } catch (error) {
+    console.error('Prepare GSTR-3B error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing GSTR-3B'
+    });
+  }
+};
+
+// Override computed GSTR-3B figures
+const updateGSTR3B = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    const userId = req.user.id;
+    const { overrides } = req.body;
+
+    const gstReturn = await findGSTR3BReturn(returnId, userId);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-3B return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be edited'
+      });
+    }
+
+    if (gstReturn.setOff && gstReturn.setOff.completedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-3B liability has already been set off'
+      });
+    }
+
+    let gstr3bData;
+    try {
+      gstr3bData = applyGSTR3BOverrides(gstReturn.gstr3bData, overrides);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    gstReturn.gstr3bData = gstr3bData;
+    applyTotals(gstReturn);
+
+    gstReturn.submissionHistory.push({
+      action: 'Updated',
+      user: userId,
+      details: `Overrode ${Object.keys(overrides).join(', ')}`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'GSTR-3B updated successfully',
+      gstReturn,
+      variances: gstReturn.gstr3bComputed ? calculateGSTR3BVariance(gstReturn.gstr3bComputed, gstReturn.gstr3bData) : []
+    });
+  } catch (error) {
+    console.error('Update GSTR-3B error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating GSTR-3B'
+    });
+  }
+};
+
+// Show where reported GSTR-3B figures differ from the computed ones
+const getGSTR3BVariance = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    const userId = req.user.id;
+
+    const gstReturn = await findGSTR3BReturn(returnId, userId);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-3B return not found'
+      });
+    }
+
+    if (!gstReturn.gstr3bComputed) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-3B has not been prepared yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      sources: gstReturn.gstr3bSource,
+      computedLiability: calculateGSTR3BLiability(gstReturn.gstr3bComputed),
+      reportedLiability: gstReturn.totalTaxAmount,
+      variances: calculateGSTR3BVariance(gstReturn.gstr3bComputed, gstReturn.gstr3bData)
+    });
+  } catch (error) {
+    console.error('Get GSTR-3B variance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching GSTR-3B variance'
+    });
+  }
+};
+
+// Preview the set-off of GSTR-3B liability (table 6.1) and any cash shortfall
+const getGSTR3BSetOff = async (req, res) => {
+  try {
+    const gstReturn = await findGSTR3BReturn(req.params.returnId, req.user.id);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-3B return not found'
+      });
+    }
+
+    if (gstReturn.setOff && gstReturn.setOff.completedAt) {
+      return res.json({
+        success: true,
+        completed: true,
+        setOff: gstReturn.setOff
+      });
+    }
+
+    const { setOff, charges, balances } = await gstReturn.computeSetOff();
+
+    res.json({
+      success: true,
+      completed: false,
+      setOff,
+      charges,
+      ledgerBalances: balances
+    });
+  } catch (error) {
+    console.error('Get GSTR-3B set-off error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing GSTR-3B set-off'
+    });
+  }
+};
+
+// Set off GSTR-3B liability, posting the return and the payment to the electronic ledgers
+const setOffGSTR3BLiability = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const gstReturn = await findGSTR3BReturn(req.params.returnId, userId);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-3B return not found'
+      });
+    }
+
+    if (gstReturn.setOff && gstReturn.setOff.completedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-3B liability has already been set off'
+      });
+    }
+
+    // Claim the return before posting; a claim left by a request that failed midway lapses after ten minutes
+    const date = new Date();
+    const claimed = await GSTReturn.updateOne({
+      _id: gstReturn._id,
+      'setOff.completedAt': null,
+      $or: [
+        { 'setOff.startedAt': null },
+        { 'setOff.startedAt': { $lt: new Date(date.getTime() - SET_OFF_CLAIM_MS) } }
+      ]
+    }, { $set: { 'setOff.startedAt': date } });
+
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'GSTR-3B liability is already being set off'
+      });
+    }
+
+    const release = () => GSTReturn.updateOne({ _id: gstReturn._id, 'setOff.startedAt': date }, { $unset: { 'setOff.startedAt': '' } });
+
+    if (await LedgerEntry.exists({ gstReturn: gstReturn._id, sourceType: 'set_off' })) {
+      await release();
+      return res.status(409).json({
+        success: false,
+        message: 'Set-off entries are already posted for this return'
+      });
+    }
+
+    let computed;
+    try {
+      computed = await gstReturn.computeSetOff(date);
+    } catch (error) {
+      await release();
+      throw error;
+    }
+    const { setOff, charges, itc } = computed;
+
+    if (setOff.totalCashShortfall > 0) {
+      await release();
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient cash ledger balance: deposit ₹${setOff.totalCashShortfall} to set off the liability`,
+        setOff
+      });
+    }
+
+    await LedgerEntry.postGSTR3BSetOff(gstReturn, { setOff, charges, itc, date });
+
+    gstReturn.setOff = {
+      paidThroughItc: setOff.paidThroughItc,
+      table61: setOff.table61,
+      cashPaid: setOff.cashRequired,
+      completedAt: date
+    };
+    gstReturn.submissionHistory.push({
+      action: 'Liability Set Off',
+      user: userId,
+      details: `ITC utilised ₹${TAX_HEADS.reduce((sum, head) => sum + setOff.creditUtilised[head], 0).toFixed(2)}, cash paid ₹${TAX_HEADS.reduce((sum, head) => sum + setOff.cashRequired[head], 0).toFixed(2)}`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'GSTR-3B liability set off successfully',
+      setOff: gstReturn.setOff
+    });
+  } catch (error) {
+    console.error('Set off GSTR-3B liability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting off GSTR-3B liability'
+    });
+  }
+};
+
+// Compute 17(5) blocked credit and rule 42/43 reversals for the period, stored for table 4(B)
+const computeGSTR3BITCReversal = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const gstReturn = await findGSTR3BReturn(req.params.returnId, userId);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-3B return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be edited'
+      });
+    }
+
+    const { purchases = [], capitalGoods = [], nonBusinessUse = false } = req.body;
+    const turnover = req.body.turnover || getTurnoverFromGSTR3B(gstReturn.gstr3bData);
+
+    const result = computeITCEligibility({
+      purchases,
+      capitalGoods,
+      turnover,
+      nonBusinessUse,
+      period: gstReturn.period
+    });
+
+    gstReturn.itcReversal = {
+      turnover: result.turnover,
+      nonBusinessUse,
+      blocked: result.blocked,
+      rule42: result.rule42,
+      rule43: result.rule43,
+      table4B: result.table4B,
+      computedAt: new Date()
+    };
+    gstReturn.submissionHistory.push({
+      action: 'ITC Reversal Computed',
+      user: userId,
+      details: `Table 4(B)(1) ₹${Object.values(result.table4B.rule42_43).reduce((sum, amount) => sum + amount, 0).toFixed(2)}, 4(B)(2) ₹${Object.values(result.table4B.others).reduce((sum, amount) => sum + amount, 0).toFixed(2)}`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'ITC reversal computed; prepare GSTR-3B again to apply it to table 4(B)',
+      itcReversal: result
+    });
+  } catch (error) {
+    console.error('Compute ITC reversal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing ITC reversal'
+    });
+  }
+};
+
+// Rule 42(2) year-end true-up of common credit reversals across the financial year's GSTR-3B returns
+const getITCAnnualTrueUp = async (req, res) => {
+  try {
+    const { gstin, financialYear } = req.query;
+    const startYear = parseInt(financialYear.slice(0, 4), 10);
+
+    const returns = await GSTReturn.find({
+      user: req.user.id,
+      gstin,
+      returnType: 'GSTR3B',
+      'itcReversal.computedAt': { $exists: true },
+      $or: [
+        { 'period.year': startYear, 'period.month': { $gte: 4 } },
+        { 'period.year': startYear + 1, 'period.month': { $lte: 3 } }
+      ]
+    }).select('period status itcReversal');
+
+    const warnings = [];
+    if (returns.length < 12) {
+      warnings.push(`ITC reversal has been computed for ${returns.length} of 12 months; the true-up only covers those months`);
+    }
+
+    const trueUp = computeAnnualTrueUp(returns.map(ret => ({
+      period: ret.period,
+      turnover: ret.itcReversal.turnover,
+      nonBusinessUse: ret.itcReversal.nonBusinessUse,
+      rule42: ret.itcReversal.rule42
+    })), { financialYear });
+
+    res.json({
+      success: true,
+      trueUp,
+      warnings
+    });
+  } catch (error) {
+    console.error('Get ITC annual true-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing ITC annual true-up'
+    });
+  }
+};
+
+module.exports = {
+  prepareGSTR3B,
+  updateGSTR3B,
+  getGSTR3BVariance,
+  getGSTR3BSetOff,
+  setOffGSTR3BLiability,
+  computeGSTR3BITCReversal,
+  getITCAnnualTrueUp
+};
@@ -0,0 +1,273 @@
+const GSTReturn = require('../models/GSTReturn');
+const ITCReconciliation = require('../models/ITCReconciliation');
+const { getFinancialYear } = require('../utils/composition');
+const { getNextYearCutoff, prepareGSTR9Data, toGSTR9Json } = require('../utils/gstr9Preparer');
+
+// Tax periods of a financial year, for queries on period.month and period.year
+const financialYearFilter = (financialYear) => {
+  const startYear = parseInt(financialYear.slice(0, 4), 10);
+  return [
+    { 'period.year': startYear, 'period.month': { $gte: 4 } },
+    { 'period.year': startYear + 1, 'period.month': { $lte: 3 } }
+  ];
+};
+
+const periodKey = (period) => `${period.year}-${period.month}`;
+
+// Financial year's returns of a type, one per period, preferring a filed return over a draft
+const findFinancialYearReturns = async (userId, gstin, returnType, financialYear) => {
+  const returns = await GSTReturn.find({
+    user: userId,
+    gstin,
+    returnType,
+    $or: financialYearFilter(financialYear)
+  }).sort({ 'period.year': 1, 'period.month': 1 });
+
+  const periods = new Map();
+  returns.forEach(ret => {
+    const existing = periods.get(periodKey(ret.period));
+    if (!existing || (existing.status === 'draft' && ret.status !== 'draft')) {
+      periods.set(periodKey(ret.period), ret);
+    }
+  });
+  return [...periods.values()];
+};
+
+// Latest reconciliation of each period matching the filter
+const findReconciliations = async (userId, gstin, periodFilter) => {
+  const reconciliations = await ITCReconciliation.find({
+    user: userId,
+    gstin,
+    status: { $ne: 'superseded' },
+    $or: periodFilter
+  }).sort({ createdAt: -1 });
+
+  const periods = new Map();
+  reconciliations.forEach(reconciliation => {
+    if (!periods.has(periodKey(reconciliation.period))) {
+      periods.set(periodKey(reconciliation.period), reconciliation);
+    }
+  });
+  return [...periods.values()];
+};
+
+// Prepare the GSTR-9 annual return from the financial year's GSTR-1s, GSTR-3Bs and ITC reconciliations
+const prepareGSTR9 = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    const userId = req.user.id;
+    const { nextYear, imports, hsnOutward, hsnInward, demands, suppliesReceived } = req.body;
+
+    const gstReturn = await GSTReturn.findOne({ _id: returnId, user: userId, returnType: 'GSTR9' });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-9 return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be prepared'
+      });
+    }
+
+    const financialYear = getFinancialYear(gstReturn.period);
+    const startYear = parseInt(financialYear.slice(0, 4), 10);
+    const cutoff = getNextYearCutoff(financialYear);
+
+    const gstr1Returns = await findFinancialYearReturns(userId, gstReturn.gstin, 'GSTR1', financialYear);
+    const gstr3bReturns = await findFinancialYearReturns(userId, gstReturn.gstin, 'GSTR3B', financialYear);
+    const reconciliations = await findReconciliations(userId, gstReturn.gstin, financialYearFilter(financialYear));
+    const nextYearPeriods = [{ 'period.year': startYear + 1, 'period.month': { $gte: 4, $lte: cutoff.month } }];
+    const nextYearReconciliations = await findReconciliations(userId, gstReturn.gstin, nextYearPeriods);
+    // Amendments and notes against the year's supplies can be reported up to the cut-off month
+    const nextYearGSTR1Returns = await GSTReturn.find({
+      user: userId,
+      gstin: gstReturn.gstin,
+      returnType: 'GSTR1',
+      status: { $in: ['filed', 'processed', 'amended'] },
+      $or: nextYearPeriods
+    });
+
+    const prepared = prepareGSTR9Data({
+      financialYear,
+      gstr1Returns,
+      gstr3bReturns,
+      reconciliations,
+      nextYearReconciliations,
+      nextYearGSTR1Returns,
+      nextYear,
+      imports,
+      hsnOutward,
+      hsnInward,
+      demands,
+      suppliesReceived
+    });
+
+    const warnings = [];
+    if (gstr3bReturns.length < 12) {
+      warnings.push({ severity: 'warning', message: `GSTR-3B has been found for ${gstr3bReturns.length} of 12 months; the annual return only covers those months` });
+    }
+    const drafts = [...gstr1Returns, ...gstr3bReturns].filter(ret => ret.status === 'draft');
+    if (drafts.length > 0) {
+      warnings.push({ severity: 'warning', message: `${drafts.length} GSTR-1 and GSTR-3B returns of the year are not yet filed` });
+    }
+    warnings.push(...prepared.warnings);
+
+    // Explanations already given stay with the months that still need one
+    const stillDifferent = new Set(prepared.differences.months.filter(month => month.explain).map(month => periodKey(month.period)));
+    const explanations = ((gstReturn.gstr9Source && gstReturn.gstr9Source.explanations) || [])
+      .filter(item => stillDifferent.has(periodKey(item.period)));
+
+    gstReturn.gstr9Data = prepared.gstr9Data;
+    gstReturn.gstr9Source = {
+      gstr1Returns: gstr1Returns.map(ret => ret._id),
+      gstr3bReturns: gstr3bReturns.map(ret => ret._id),
+      reconciliations: reconciliations.map(reconciliation => reconciliation._id),
+      differences: prepared.differences,
+      explanations,
+      preparedAt: new Date()
+    };
+
+    const { table5, table9 } = prepared.gstr9Data;
+    gstReturn.totalTaxableValue = table5.total_tover.txval;
+    gstReturn.totalTaxAmount = {
+      igst: table9.iamt.txpyble,
+      cgst: table9.camt.txpyble,
+      sgst: table9.samt.txpyble,
+      cess: table9.csamt.txpyble
+    };
+    // Table 5N is the turnover in the state that caps the GSTR-9 late fee, unless entered separately
+    if (gstReturn.stateTurnover === undefined) {
+      gstReturn.stateTurnover = table5.total_tover.txval;
+    }
+
+    gstReturn.submissionHistory.push({
+      action: 'Prepared',
+      user: userId,
+      details: `Prepared from ${gstr1Returns.length} GSTR-1, ${gstr3bReturns.length} GSTR-3B and ${reconciliations.length} ITC reconciliations`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'GSTR-9 prepared successfully',
+      gstReturn,
+      differences: prepared.differences,
+      warnings
+    });
+  } catch (error) {
+    console.error('Prepare GSTR-9 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing GSTR-9'
+    });
+  }
+};
+
+// Record the taxpayer's explanations for months where GSTR-1 and GSTR-3B differ
+const explainGSTR9Differences = async (req, res) => {
+  try {
+    const gstReturn = await GSTReturn.findOne({ _id: req.params.returnId, user: req.user.id, returnType: 'GSTR9' });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-9 return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be updated'
+      });
+    }
+
+    if (!gstReturn.gstr9Source || !gstReturn.gstr9Source.differences) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-9 has not been prepared'
+      });
+    }
+
+    const flagged = new Set(gstReturn.gstr9Source.differences.months
+      .filter(month => month.explain)
+      .map(month => periodKey(month.period)));
+    const explanations = new Map(gstReturn.gstr9Source.explanations.map(item => [periodKey(item.period), item]));
+
+    for (const item of req.body.explanations) {
+      const period = { month: parseInt(item.month), year: parseInt(item.year) };
+      if (!flagged.has(periodKey(period))) {
+        return res.status(400).json({
+          success: false,
+          message: `No difference to explain for ${period.month}/${period.year}`
+        });
+      }
+      explanations.set(periodKey(period), { period, reason: item.reason });
+    }
+
+    gstReturn.gstr9Source.explanations = [...explanations.values()];
+    gstReturn.submissionHistory.push({
+      action: 'Explained',
+      user: req.user.id,
+      details: `Explained GSTR-1 and GSTR-3B differences for ${req.body.explanations.length} months`
+    });
+    const validationErrors = gstReturn.validateReturnData();
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'Explanations recorded successfully',
+      explanations: gstReturn.gstr9Source.explanations,
+      unexplained: validationErrors.filter(error => error.field === 'gstr9Source.explanations')
+    });
+  } catch (error) {
+    console.error('Explain GSTR-9 differences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording explanations'
+    });
+  }
+};
+
+// Export a prepared GSTR-9 as portal JSON
+const exportGSTR9 = async (req, res) => {
+  try {
+    const gstReturn = await GSTReturn.findOne({ _id: req.params.returnId, user: req.user.id, returnType: 'GSTR9' });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-9 return not found'
+      });
+    }
+
+    if (!gstReturn.gstr9Data) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-9 has not been prepared'
+      });
+    }
+
+    const json = toGSTR9Json(gstReturn);
+    res.setHeader('Content-Disposition', `attachment; filename="GSTR9_${json.gstin}_${json.fp}.json"`);
+    res.json(json);
+  } catch (error) {
+    console.error('Export GSTR-9 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting GSTR-9'
+    });
+  }
+};
+
+module.exports = {
+  prepareGSTR9,
+  explainGSTR9Differences,
+  exportGSTR9
+};
@@ -0,0 +1,352 @@
+const GSTReturn = require('../models/GSTReturn');
+const User = require('../models/User');
+const { getFinancialYear } = require('../utils/composition');
+const { readFinancials, buildGSTR9C } = require('../utils/gstr9cReconciliation');
+const { findUnexplainedDifferences } = require('../utils/gstr9cDifferences');
+
+// Roles that may sign off another taxpayer's reconciliation statement
+const REVIEWER_ROLES = ['gst_practitioner', 'consultant', 'accountant'];
+
+// GSTR-9 of the reconciliation statement's financial year, preferring a filed return over a draft
+const findGSTR9 = async (gstReturn) => {
+  const startYear = parseInt(getFinancialYear(gstReturn.period).slice(0, 4), 10);
+  const returns = await GSTReturn.find({
+    user: gstReturn.user,
+    gstin: gstReturn.gstin,
+    returnType: 'GSTR9',
+    gstr9Data: { $exists: true },
+    $or: [
+      { 'period.year': startYear, 'period.month': { $gte: 4 } },
+      { 'period.year': startYear + 1, 'period.month': { $lte: 3 } }
+    ]
+  });
+  return returns.find(ret => ret.status !== 'draft') || returns[0] || null;
+};
+
+// Reasons only stay with tables that are still unreconciled
+const keepReasons = (gstr9cData, reasons = []) => {
+  const unreconciled = new Set(findUnexplainedDifferences(gstr9cData, []).map(item => item.table));
+  return reasons.filter(item => unreconciled.has(item.table));
+};
+
+// Any change to the statement sends it back for review by the same reviewer
+const resetReview = (review) => ({ status: 'pending', reviewer: review ? review.reviewer : undefined });
+
+// Find a GSTR-9C owned by the user
+const findGSTR9CReturn = (returnId, userId) => GSTReturn.findOne({ _id: returnId, user: userId, returnType: 'GSTR9C' });
+
+// Prepare GSTR-9C part A from an uploaded trial balance or P&L and the year's GSTR-9
+const prepareGSTR9C = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const gstReturn = await findGSTR9CReturn(req.params.returnId, userId);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-9C return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be prepared'
+      });
+    }
+
+    // Figures imported earlier are reused when no new file is uploaded
+    const source = gstReturn.gstr9cSource || {};
+    let financials = source.financials;
+    let unmapped = [];
+    if (req.file) {
+      try {
+        ({ financials, unmapped } = await readFinancials(req.file.buffer));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unable to read financial statements file'
+        });
+      }
+    }
+
+    if (!financials) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trial balance or P&L file is required'
+      });
+    }
+
+    const gstr9 = await findGSTR9(gstReturn);
+    if (!gstr9) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-9 for the financial year has not been prepared'
+      });
+    }
+
+    const warnings = [];
+    if (gstr9.status === 'draft') {
+      warnings.push({ severity: 'warning', message: 'GSTR-9 for the financial year is not yet filed; the reconciliation may change' });
+    }
+    if (unmapped.length > 0) {
+      warnings.push({ severity: 'warning', message: `${unmapped.length} rows do not name a GSTR-9C line and were skipped` });
+    }
+
+    const gstr9cData = buildGSTR9C(financials, gstr9.gstr9Data);
+    gstReturn.gstr9cData = gstr9cData;
+    gstReturn.gstr9cSource = {
+      gstr9Return: gstr9._id,
+      financials,
+      importedAt: req.file ? new Date() : source.importedAt,
+      reasons: keepReasons(gstr9cData, source.reasons),
+      review: resetReview(source.review),
+      preparedAt: new Date()
+    };
+    gstReturn.totalTaxableValue = gstr9cData.table5.adjusted;
+
+    gstReturn.submissionHistory.push({
+      action: 'Prepared',
+      user: userId,
+      details: req.file ? `Prepared from ${req.file.originalname} and GSTR-9` : 'Prepared from imported financials and GSTR-9'
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'GSTR-9C prepared successfully',
+      gstReturn,
+      unexplained: findUnexplainedDifferences(gstr9cData, gstReturn.gstr9cSource.reasons),
+      unmapped,
+      warnings
+    });
+  } catch (error) {
+    console.error('Prepare GSTR-9C error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing GSTR-9C'
+    });
+  }
+};
+
+// Record the reasons for the unreconciled differences (tables 6, 8, 10, 13 and 15)
+const updateGSTR9CReasons = async (req, res) => {
+  try {
+    const gstReturn = await findGSTR9CReturn(req.params.returnId, req.user.id);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-9C return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be updated'
+      });
+    }
+
+    if (!gstReturn.gstr9cData) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-9C has not been prepared'
+      });
+    }
+
+    gstReturn.gstr9cSource.reasons = req.body.reasons.map(item => ({
+      table: parseInt(item.table),
+      reason: item.reason,
+      amount: parseFloat(item.amount)
+    }));
+    gstReturn.gstr9cSource.review = resetReview(gstReturn.gstr9cSource.review);
+    gstReturn.submissionHistory.push({
+      action: 'Reasons updated',
+      user: req.user.id,
+      details: `${req.body.reasons.length} reasons for unreconciled differences`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'Reasons recorded successfully',
+      reasons: gstReturn.gstr9cSource.reasons,
+      unexplained: findUnexplainedDifferences(gstReturn.gstr9cData, gstReturn.gstr9cSource.reasons)
+    });
+  } catch (error) {
+    console.error('Update GSTR-9C reasons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording reasons'
+    });
+  }
+};
+
+// Assign the reviewer who signs off the reconciliation statement: another user with a reviewer role
+const assignGSTR9CReviewer = async (req, res) => {
+  try {
+    const gstReturn = await findGSTR9CReturn(req.params.returnId, req.user.id);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-9C return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be reviewed'
+      });
+    }
+
+    if (!gstReturn.gstr9cData) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-9C has not been prepared'
+      });
+    }
+
+    const reviewer = await User.findOne({ email: req.body.reviewerEmail, isActive: true }).select('name email role');
+    if (!reviewer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reviewer not found'
+      });
+    }
+
+    if (String(reviewer._id) === String(gstReturn.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The reconciliation statement must be reviewed by someone other than the taxpayer'
+      });
+    }
+
+    if (!REVIEWER_ROLES.includes(reviewer.role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reviewer must be a ${REVIEWER_ROLES.join(', ')}`
+      });
+    }
+
+    gstReturn.gstr9cSource.review = { status: 'pending', reviewer: reviewer._id };
+    gstReturn.submissionHistory.push({
+      action: 'Reviewer assigned',
+      user: req.user.id,
+      details: `${reviewer.name} (${reviewer.email})`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: 'Reviewer assigned successfully',
+      review: gstReturn.gstr9cSource.review
+    });
+  } catch (error) {
+    console.error('Assign GSTR-9C reviewer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning reviewer'
+    });
+  }
+};
+
+// Reviewer sign-off of the reconciliation statement, or a request for changes; only the assigned
+// reviewer can review, never the taxpayer who prepared it
+const reviewGSTR9C = async (req, res) => {
+  try {
+    const gstReturn = await GSTReturn.findOne({
+      _id: req.params.returnId,
+      returnType: 'GSTR9C',
+      $or: [{ user: req.user.id }, { 'gstr9cSource.review.reviewer': req.user.id }]
+    });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-9C return not found'
+      });
+    }
+
+    const review = (gstReturn.gstr9cSource && gstReturn.gstr9cSource.review) || {};
+    if (String(gstReturn.user) === String(req.user.id) || String(review.reviewer) !== String(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assigned reviewer can review the reconciliation statement'
+      });
+    }
+
+    const reviewer = await User.findById(req.user.id).select('name role');
+    if (!reviewer || !REVIEWER_ROLES.includes(reviewer.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Reviewer must be a ${REVIEWER_ROLES.join(', ')}`
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be reviewed'
+      });
+    }
+
+    if (!gstReturn.gstr9cData) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-9C has not been prepared'
+      });
+    }
+
+    const { decision, designation, comments } = req.body;
+    const unexplained = findUnexplainedDifferences(gstReturn.gstr9cData, gstReturn.gstr9cSource.reasons);
+    if (decision === 'approved' && unexplained.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unreconciled differences must be explained before sign-off',
+        unexplained
+      });
+    }
+
+    gstReturn.gstr9cSource.review = {
+      status: decision,
+      reviewer: review.reviewer,
+      reviewedBy: reviewer._id,
+      reviewerName: reviewer.name,
+      designation,
+      comments,
+      reviewedAt: new Date()
+    };
+    gstReturn.submissionHistory.push({
+      action: decision === 'approved' ? 'Signed off' : 'Changes requested',
+      user: reviewer._id,
+      details: comments || `Reviewed by ${reviewer.name}`
+    });
+
+    await gstReturn.save();
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Reconciliation statement signed off' : 'Changes requested on the reconciliation statement',
+      review: gstReturn.gstr9cSource.review
+    });
+  } catch (error) {
+    console.error('Review GSTR-9C error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing GSTR-9C'
+    });
+  }
+};
+
+module.exports = {
+  prepareGSTR9C,
+  updateGSTR9CReasons,
+  assignGSTR9CReviewer,
+  reviewGSTR9C
+};
@@ -0,0 +1,155 @@
+const multer = require('multer');
+const path = require('path');
+const HSNCode = require('../models/HSNCode');
+const { parseHSNMaster, buildHierarchy, indexByCode, planHSNImport } = require('../utils/hsnImport');
+
+// Configure multer for CBIC HSN/SAC master files
+const hsnImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/csv|xlsx/.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('HSN/SAC master must be a CSV or Excel file'));
+  }
+});
+
+// Publish a rate change for an HSN/SAC code from a notification
+const publishRateChange = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { igst, cgst, sgst, cess, compensationCess, effectiveFrom, notificationNo, notificationDate, remarks } = req.body;
+
+    const hsnCode = await HSNCode.findOne({ code });
+
+    if (!hsnCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'HSN code not found'
+      });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (new Date(effectiveFrom) <= today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate changes must take effect after today'
+      });
+    }
+
+    let rate;
+    try {
+      rate = hsnCode.addRateChange({
+        igst,
+        cgst,
+        sgst,
+        cess,
+        compensationCess,
+        effectiveFrom,
+        notificationNo,
+        notificationDate,
+        remarks,
+        publishedBy: req.user.id
+      });
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    hsnCode.updatedBy = req.user.id;
+    await hsnCode.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Rate change for ${hsnCode.code} published successfully`,
+      rate,
+      rateHistory: hsnCode.rateHistory
+    });
+  } catch (error) {
+    console.error('Publish rate change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing rate change'
+    });
+  }
+};
+
+// Import the CBIC HSN/SAC master, merging it into the existing codes
+const importHSNMaster = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the HSN/SAC master file'
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const deactivateMissing = !(req.body.deactivateMissing === false || req.body.deactivateMissing === 'false');
+
+    let parsed;
+    try {
+      parsed = await parseHSNMaster(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unable to read HSN/SAC master file'
+      });
+    }
+
+    if (Object.keys(parsed.entries).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No HSN/SAC codes found in file',
+        errors: parsed.errors
+      });
+    }
+
+    const existingDocs = await HSNCode.find({})
+      .select('code description chapter chapterDescription heading headingDescription subHeading subHeadingDescription category unit parentCode childCodes gstRates rateStatus rateHistory isActive usageCount')
+      .lean();
+
+    const codes = buildHierarchy(parsed.entries, indexByCode(existingDocs));
+    const { operations, diff } = planHSNImport(codes, existingDocs, { deactivateMissing });
+
+    if (!dryRun && operations.length > 0) {
+      await HSNCode.bulkWrite(operations, { ordered: false });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'HSN/SAC master import previewed' : 'HSN/SAC master imported successfully',
+      dryRun,
+      summary: {
+        rows: Object.keys(parsed.entries).length,
+        codes: Object.keys(codes).length,
+        added: diff.added.length,
+        changed: diff.changed.length,
+        removed: diff.removed.length,
+        unchanged: diff.unchanged,
+        rateConflicts: diff.rateConflicts.length,
+        errors: parsed.errors.length
+      },
+      diff,
+      errors: parsed.errors
+    });
+  } catch (error) {
+    console.error('Import HSN master error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing HSN/SAC master'
+    });
+  }
+};
+
+module.exports = {
+  publishRateChange,
+  importHSNMaster,
+  hsnImportUpload
+};
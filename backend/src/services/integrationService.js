@@ -1,10 +1,18 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const GSTReturn = require('../models/GSTReturn');
 const EWayBill = require('../models/EWayBill');
 const Invoice = require('../models/Invoice');
 const { sendEmail } = require('../utils/emailUtils');
+const { decodeGSTIN } = require('../utils/gstin');
+const { getPayloadIRN } = require('../utils/eInvoice');
+const { buildCPIN, buildCIN, getChallanExpiry } = require('../utils/challan');
+
+// Sandbox clients issue documents and payments that only look genuine, so they must be switched on
+// explicitly with their environment flag, and never in production
+const isSandboxEnabled = (flag) => process.env.NODE_ENV !== 'production' && process.env[flag] === 'true';
 
 // GSTN Portal Integration
 class GSTNIntegration {
@@ -39,6 +47,12 @@ class GSTNIntegration {
   }
 
   async validateGSTIN(gstin) {
+    // Check digit and layout are checked offline before calling the portal
+    const decoded = decodeGSTIN(gstin);
+    if (!decoded.valid) {
+      return { isValid: false, error: decoded.errors[0], decoded };
+    }
+
     try {
       await this.authenticate();
       
@@ -52,11 +66,12 @@ class GSTNIntegration {
 
       return {
         isValid: response.data.status === 'Active',
-        details: response.data
+        details: response.data,
+        decoded
       };
     } catch (error) {
       console.error('GSTIN validation error:', error);
-      return { isValid: false, error: error.message };
+      return { isValid: false, error: error.message, decoded };
     }
   }
 
@@ -126,6 +141,261 @@ class GSTNIntegration {
   }
 }
 
+// E-invoice Invoice Registration Portal (IRP) Integration
+class EInvoiceIntegration {
+  constructor() {
+    this.clients = {
+      nic: new NICIRPClient(),
+      sandbox: new SandboxIRPClient()
+    };
+  }
+
+  // Register another IRP (or GSP) client exposing generateIRN(payload, options) and getPublicKey()
+  registerClient(name, client) {
+    this.clients[name] = client;
+  }
+
+  getClient(name = process.env.IRP_PROVIDER) {
+    if (!name) {
+      throw new Error('IRP provider is not configured');
+    }
+    if (name === 'sandbox' && !isSandboxEnabled('IRP_SANDBOX_ENABLED')) {
+      throw new Error('Sandbox IRP provider is not enabled');
+    }
+    const client = this.clients[name];
+    if (!client) {
+      throw new Error(`Unsupported IRP provider ${name}`);
+    }
+    return client;
+  }
+
+  async generateIRN(payload, options = {}) {
+    try {
+      const provider = process.env.IRP_PROVIDER;
+      const response = await this.getClient(provider).generateIRN(payload, options);
+      return { ...response, provider };
+    } catch (error) {
+      console.error('IRN generation error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getPublicKey(provider = process.env.IRP_PROVIDER) {
+    return this.getClient(provider).getPublicKey();
+  }
+}
+
+class NICIRPClient {
+  constructor() {
+    this.baseURL = process.env.IRP_API_URL || 'https://einv-apisandbox.nic.in';
+    this.clientId = process.env.IRP_CLIENT_ID;
+    this.clientSecret = process.env.IRP_CLIENT_SECRET;
+    this.username = process.env.IRP_USERNAME;
+    this.password = process.env.IRP_PASSWORD;
+    this.authToken = null;
+    this.tokenExpiry = null;
+  }
+
+  async authenticate(gstin) {
+    if (this.authToken && this.tokenExpiry > new Date()) {
+      return this.authToken;
+    }
+
+    const response = await axios.post(`${this.baseURL}/eivital/v1.04/auth`, {
+      UserName: this.username,
+      Password: this.password,
+      ForceRefreshAccessToken: false
+    }, {
+      headers: {
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        Gstin: gstin
+      }
+    });
+
+    const data = response.data.Data || {};
+    this.authToken = data.AuthToken;
+    this.tokenExpiry = data.TokenExpiry ? new Date(data.TokenExpiry) : new Date(Date.now() + 6 * 60 * 60 * 1000);
+
+    return this.authToken;
+  }
+
+  async generateIRN(payload, options = {}) {
+    const gstin = options.gstin || payload.SellerDtls.Gstin;
+    await this.authenticate(gstin);
+
+    const response = await axios.post(`${this.baseURL}/eicore/v1.03/Invoice`, payload, {
+      headers: {
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        user_name: this.username,
+        AuthToken: this.authToken,
+        Gstin: gstin,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (String(response.data.Status) !== '1') {
+      const errors = response.data.ErrorDetails || [];
+      return {
+        success: false,
+        error: errors.map(detail => `${detail.ErrorCode}: ${detail.ErrorMessage}`).join('; ') || 'IRN generation failed',
+        errorDetails: errors
+      };
+    }
+
+    const data = response.data.Data || {};
+    return {
+      success: true,
+      irn: data.Irn,
+      ackNo: String(data.AckNo),
+      ackDate: data.AckDt,
+      signedInvoice: data.SignedInvoice,
+      signedQRCode: data.SignedQRCode,
+      status: data.Status,
+      ewbNo: data.EwbNo ? String(data.EwbNo) : undefined,
+      ewbDate: data.EwbDt,
+      ewbValidTill: data.EwbValidTill
+    };
+  }
+
+  getPublicKey() {
+    return process.env.IRP_PUBLIC_KEY ? process.env.IRP_PUBLIC_KEY.replace(/\\n/g, '\n') : null;
+  }
+}
+
+// Signs with a key generated per process so the full IRN flow can be exercised without IRP credentials;
+// only usable with IRP_SANDBOX_ENABLED=true outside production
+class SandboxIRPClient {
+  constructor() {
+    this.keys = null;
+  }
+
+  getKeys() {
+    if (!this.keys) {
+      this.keys = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      });
+    }
+    return this.keys;
+  }
+
+  async generateIRN(payload) {
+    const irn = getPayloadIRN(payload);
+    const ackNo = String(Date.now()).padStart(15, '1').slice(-15);
+    const ackDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const mainItem = [...payload.ItemList].sort((a, b) => b.AssAmt - a.AssAmt)[0];
+
+    const sign = (data) => jwt.sign({ data: JSON.stringify(data), iss: 'NIC Sandbox' }, this.getKeys().privateKey, { algorithm: 'RS256' });
+
+    return {
+      success: true,
+      irn,
+      ackNo,
+      ackDate,
+      signedInvoice: sign({ ...payload, AckNo: Number(ackNo), AckDt: ackDate, Irn: irn }),
+      signedQRCode: sign({
+        SellerGstin: payload.SellerDtls.Gstin,
+        BuyerGstin: payload.BuyerDtls.Gstin,
+        DocNo: payload.DocDtls.No,
+        DocTyp: payload.DocDtls.Typ,
+        DocDt: payload.DocDtls.Dt,
+        TotInvVal: payload.ValDtls.TotInvVal,
+        ItemCnt: payload.ItemList.length,
+        MainHsnCode: mainItem ? mainItem.HsnCd : undefined,
+        Irn: irn,
+        IrnDt: ackDate
+      }),
+      status: 'ACT'
+    };
+  }
+
+  getPublicKey() {
+    return this.getKeys().publicKey;
+  }
+}
+
+// GST challan (PMT-06) integration: CPIN generation and payment confirmation from the portal or bank
+class ChallanIntegration {
+  constructor() {
+    this.clients = {
+      sandbox: new SandboxChallanClient()
+    };
+  }
+
+  // Register a portal (or GSP) client exposing createChallan(challan) and confirmPayment(challan, payment)
+  registerClient(name, client) {
+    this.clients[name] = client;
+  }
+
+  getClient(name = process.env.CHALLAN_PROVIDER) {
+    if (!name) {
+      throw new Error('Challan provider is not configured');
+    }
+    if (name === 'sandbox' && !isSandboxEnabled('CHALLAN_SANDBOX_ENABLED')) {
+      throw new Error('Sandbox challan provider is not enabled');
+    }
+    const client = this.clients[name];
+    if (!client) {
+      throw new Error(`Unsupported challan provider ${name}`);
+    }
+    return client;
+  }
+
+  async createChallan(challan) {
+    try {
+      const provider = process.env.CHALLAN_PROVIDER;
+      const response = await this.getClient(provider).createChallan(challan);
+      return { ...response, provider };
+    } catch (error) {
+      console.error('Challan generation error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async confirmPayment(challan, payment = {}) {
+    try {
+      return await this.getClient(challan.provider).confirmPayment(challan, payment);
+    } catch (error) {
+      console.error('Challan payment confirmation error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Issues CPINs and accepts payments locally so the challan flow can be exercised without the GST portal.
+// Only usable with CHALLAN_SANDBOX_ENABLED=true outside production.
+class SandboxChallanClient {
+  async createChallan(challan) {
+    const createdAt = new Date();
+    return {
+      success: true,
+      cpin: buildCPIN(challan.gstin, createdAt, crypto.randomInt(1e8)),
+      createdAt,
+      expiresAt: getChallanExpiry(createdAt)
+    };
+  }
+
+  async confirmPayment(challan, payment) {
+    const amount = payment.amount !== undefined ? Number(payment.amount) : challan.totalAmount;
+    if (Math.abs(amount - challan.totalAmount) > 0.005) {
+      return { success: false, error: `Amount paid ₹${amount} does not match the challan amount ₹${challan.totalAmount}` };
+    }
+
+    const bankCode = payment.bankCode || 'SBI';
+    return {
+      success: true,
+      cin: buildCIN(challan.cpin, bankCode),
+      brn: payment.brn || `BRN${Date.now()}`,
+      bankCode,
+      amount,
+      paidAt: new Date()
+    };
+  }
+}
+
 // Accounting Software Integration
 class AccountingSoftwareIntegration {
   constructor() {
@@ -539,16 +809,22 @@ class BhimIntegration {
 
 // Export instances
 const gstnIntegration = new GSTNIntegration();
+const eInvoiceIntegration = new EInvoiceIntegration();
 const accountingIntegration = new AccountingSoftwareIntegration();
 const paymentIntegration = new EnhancedPaymentIntegration();
+const challanIntegration = new ChallanIntegration();
 const bankingIntegration = new BankingUPIIntegration();
 
 module.exports = {
   gstnIntegration,
+  eInvoiceIntegration,
   accountingIntegration,
   paymentIntegration,
   bankingIntegration,
+  challanIntegration,
   GSTNIntegration,
+  EInvoiceIntegration,
+  ChallanIntegration,
   AccountingSoftwareIntegration,
   EnhancedPaymentIntegration,
   BankingUPIIntegration
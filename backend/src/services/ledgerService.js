@@ -0,0 +1,103 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const { TAX_HEADS, toHeads } = require('../utils/setOff');
+
+// Get electronic credit and cash ledger balances and outstanding liability for a GSTIN
+const getLedgerBalances = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    const balances = await LedgerEntry.getBalances(req.user.id, req.params.gstin, asOf);
+
+    res.json({
+      success: true,
+      gstin: req.params.gstin,
+      asOf,
+      balances
+    });
+  } catch (error) {
+    console.error('Get ledger balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ledger balances'
+    });
+  }
+};
+
+// Get a ledger statement with opening, running and closing balances
+const getLedgerStatement = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const statement = await LedgerEntry.getStatement(req.user.id, req.params.gstin, req.params.ledger, {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    });
+
+    res.json({
+      success: true,
+      gstin: req.params.gstin,
+      ledger: req.params.ledger,
+      ...statement
+    });
+  } catch (error) {
+    console.error('Get ledger statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ledger statement'
+    });
+  }
+};
+
+// Record the opening balance of a ledger when it is first maintained here
+const recordOpeningBalance = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin } = req.params;
+    const { ledger, date, minorHead } = req.body;
+    const amount = toHeads(req.body.amount);
+
+    if (TAX_HEADS.every(head => amount[head] === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening balance must have an amount in at least one tax head'
+      });
+    }
+
+    const existing = await LedgerEntry.exists({ user: userId, gstin, ledger, sourceType: 'opening_balance' });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Opening balance of the ${ledger} ledger has already been recorded`
+      });
+    }
+
+    const entry = await LedgerEntry.create({
+      user: userId,
+      gstin,
+      ledger,
+      // Liability outstanding is a debit; credit and cash balances are credits
+      entryType: ledger === 'liability' ? 'debit' : 'credit',
+      date: new Date(date),
+      minorHead,
+      amount,
+      description: 'Opening balance',
+      sourceType: 'opening_balance'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Opening balance recorded successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Record opening balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording opening balance'
+    });
+  }
+};
+
+module.exports = {
+  getLedgerBalances,
+  getLedgerStatement,
+  recordOpeningBalance
+};
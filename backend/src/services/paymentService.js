@@ -228,6 +228,7 @@ const confirmPayment = async (req, res) => {
       paidDate: new Date(),
       items: [{
         description: `${membership.displayName} - ${billingCycle} subscription`,
+        hsnCode: process.env.SUBSCRIPTION_SAC_CODE,
         quantity: 1,
         unitPrice: membership.price[billingCycle],
         totalPrice: membership.price[billingCycle],
@@ -0,0 +1,71 @@
+const Pincode = require('../models/Pincode');
+const { suggestRoadDistance } = require('../utils/pincode');
+
+// Look up a pincode in the pincode master (place, district and state for address auto-fill)
+const getPincodeDetails = async (req, res) => {
+  try {
+    const pincode = await Pincode.findOne({ pincode: req.params.pincode });
+
+    if (!pincode) {
+      return res.status(404).json({
+        success: false,
+        message: `Pincode ${req.params.pincode} not found in pincode master`
+      });
+    }
+
+    res.json({
+      success: true,
+      pincode
+    });
+  } catch (error) {
+    console.error('Get pincode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pincode details'
+    });
+  }
+};
+
+// Suggest the approximate road distance between two pincodes and the most the portal accepts
+const getPincodeDistance = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const pincodes = await Pincode.findByPincodes([from, to]);
+    const origin = pincodes.find(record => record.pincode === from);
+    const destination = pincodes.find(record => record.pincode === to);
+
+    const missing = [from, to].filter((pincode, index) => ![origin, destination][index]);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Pincodes not found in pincode master: ${[...new Set(missing)].join(', ')}`
+      });
+    }
+
+    const suggestion = suggestRoadDistance(origin, destination);
+    if (!suggestion) {
+      return res.status(422).json({
+        success: false,
+        message: 'Coordinates are not available for these pincodes'
+      });
+    }
+
+    res.json({
+      success: true,
+      from: origin,
+      to: destination,
+      ...suggestion
+    });
+  } catch (error) {
+    console.error('Get pincode distance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating pincode distance'
+    });
+  }
+};
+
+module.exports = {
+  getPincodeDetails,
+  getPincodeDistance
+};
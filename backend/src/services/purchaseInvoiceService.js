@@ -0,0 +1,265 @@
+const multer = require('multer');
+const path = require('path');
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const { readPurchaseRegister } = require('../utils/itcReconciliation');
+
+// Configure multer for purchase register uploads
+const purchaseRegisterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/csv|xlsx/.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Purchase register must be a CSV or Excel file'));
+  }
+});
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Add a purchase invoice to track supplier payments against
+const createPurchaseInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      gstin, supplierGstin, supplierName, invoiceNumber, invoiceDate, documentType, invoiceValue, taxableValue,
+      igst = 0, cgst = 0, sgst = 0, cess = 0, reverseCharge, itcAvailed, itcAvailedOn, payments = []
+    } = req.body;
+
+    const invoice = new PurchaseInvoice({
+      user: userId,
+      gstin,
+      supplierGstin,
+      supplierName,
+      invoiceNumber,
+      invoiceDate,
+      documentType,
+      invoiceValue,
+      taxableValue,
+      tax: { igst, cgst, sgst, cess },
+      reverseCharge,
+      itcAvailed,
+      itcAvailedOn
+    });
+    payments.forEach(payment => invoice.recordPayment(payment));
+    invoice.assessPaymentRule(new Date());
+
+    await invoice.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase invoice added successfully',
+      invoice
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase invoice already exists for this supplier'
+      });
+    }
+    console.error('Create purchase invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding purchase invoice'
+    });
+  }
+};
+
+// Import purchase invoices from the purchase register, skipping those already tracked
+const importPurchaseInvoices = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase register file is required'
+      });
+    }
+
+    let register;
+    try {
+      register = await readPurchaseRegister(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read purchase register: ${error.message}`
+      });
+    }
+
+    const now = new Date();
+    const summary = { rows: register.documents.length + register.errors.length, added: 0, existing: 0, invalid: register.errors.length };
+
+    for (const doc of register.documents) {
+      const exists = await PurchaseInvoice.exists({
+        user: userId,
+        gstin,
+        supplierGstin: doc.supplierGstin,
+        invoiceNumber: doc.invoiceNumber,
+        documentType: doc.documentType
+      });
+      if (exists) {
+        summary.existing += 1;
+        continue;
+      }
+
+      const invoice = new PurchaseInvoice({
+        user: userId,
+        gstin,
+        supplierGstin: doc.supplierGstin,
+        supplierName: doc.supplierName || undefined,
+        invoiceNumber: doc.invoiceNumber,
+        invoiceDate: doc.invoiceDate,
+        documentType: doc.documentType,
+        invoiceValue: doc.invoiceValue !== null ? doc.invoiceValue : round(doc.taxableValue + doc.igst + doc.cgst + doc.sgst + doc.cess),
+        taxableValue: doc.taxableValue,
+        tax: { igst: doc.igst, cgst: doc.cgst, sgst: doc.sgst, cess: doc.cess },
+        reverseCharge: doc.reverseCharge
+      });
+      invoice.assessPaymentRule(now);
+      await invoice.save();
+      summary.added += 1;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${summary.added} purchase invoices`,
+      summary,
+      errors: register.errors
+    });
+  } catch (error) {
+    console.error('Import purchase invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing purchase invoices'
+    });
+  }
+};
+
+// Get user's purchase invoices with their payment and 180-day rule status
+const getPurchaseInvoices = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin, supplierGstin, status, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (gstin) query.gstin = gstin;
+    if (supplierGstin) query.supplierGstin = supplierGstin;
+    if (status) query['rule37.status'] = status;
+
+    const invoices = await PurchaseInvoice.find(query)
+      .sort({ invoiceDate: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await PurchaseInvoice.countDocuments(query);
+
+    res.json({
+      success: true,
+      invoices,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching purchase invoices'
+    });
+  }
+};
+
+// Record a payment to the supplier against a purchase invoice
+const recordSupplierPayment = async (req, res) => {
+  try {
+    const invoice = await PurchaseInvoice.findOne({ _id: req.params.invoiceId, user: req.user.id });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase invoice not found'
+      });
+    }
+
+    const { date, amount, mode, reference } = req.body;
+    const outstanding = round(invoice.invoiceValue - invoice.payments.reduce((sum, payment) => sum + payment.amount, 0));
+    if (amount > outstanding + 0.5) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment of ₹${amount} exceeds the ₹${outstanding} outstanding on the invoice`
+      });
+    }
+
+    invoice.recordPayment({ date: new Date(date), amount, mode, reference });
+    invoice.assessPaymentRule(new Date());
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Payment recorded successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Record supplier payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording supplier payment'
+    });
+  }
+};
+
+// Summarise the 180-day rule for a GSTIN: invoices by status and what the next GSTR-3B must report
+const getPaymentRuleSummary = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin } = req.query;
+    const now = new Date();
+
+    const byStatus = await PurchaseInvoice.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), gstin } },
+      { $group: { _id: '$rule37.status', invoices: { $sum: 1 }, value: { $sum: '$invoiceValue' } } }
+    ]);
+
+    const pending = await PurchaseInvoice.getGSTR3BAdjustments(userId, gstin, { month: now.getMonth() + 1, year: now.getFullYear() }, null);
+
+    res.json({
+      success: true,
+      gstin,
+      statuses: byStatus.reduce((out, item) => ({
+        ...out,
+        [item._id]: { invoices: item.invoices, value: round(item.value) }
+      }), {}),
+      nextGSTR3B: {
+        reversal: pending.reversal,
+        interest: pending.interest,
+        reclaim: pending.reclaim,
+        invoicesReversed: pending.reversals.length,
+        reclaims: pending.reclaims.length
+      }
+    });
+  } catch (error) {
+    console.error('Get payment rule summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching 180-day payment rule summary'
+    });
+  }
+};
+
+module.exports = {
+  purchaseRegisterUpload,
+  createPurchaseInvoice,
+  importPurchaseInvoices,
+  getPurchaseInvoices,
+  recordSupplierPayment,
+  getPaymentRuleSummary
+};
@@ -0,0 +1,314 @@
+const multer = require('multer');
+const path = require('path');
+const ITCReconciliation = require('../models/ITCReconciliation');
+const {
+  parseGSTR2B,
+  readPurchaseRegister,
+  reconcileDocuments,
+  buildSupplierReport,
+  calculateClaimableITC
+} = require('../utils/itcReconciliation');
+
+// Configure multer for GSTR-2B and purchase register uploads
+const reconciliationUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = file.fieldname === 'gstr2b' ? /json/ : /csv|xlsx/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error(file.fieldname === 'gstr2b' ? 'GSTR-2B must be a JSON file' : 'Purchase register must be a CSV or Excel file'));
+  }
+});
+
+// Reconcile GSTR-2B against the purchase register
+const reconcileITC = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin } = req.body;
+    const gstr2bFile = req.files && req.files.gstr2b && req.files.gstr2b[0];
+    const registerFile = req.files && req.files.purchaseRegister && req.files.purchaseRegister[0];
+
+    if (!gstr2bFile || !registerFile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both the GSTR-2B JSON and the purchase register are required'
+      });
+    }
+
+    let gstr2b;
+    try {
+      gstr2b = parseGSTR2B(JSON.parse(gstr2bFile.buffer.toString('utf8')));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unable to read GSTR-2B file'
+      });
+    }
+
+    if (gstr2b.gstin && gstr2b.gstin !== gstin) {
+      return res.status(400).json({
+        success: false,
+        message: `GSTR-2B belongs to ${gstr2b.gstin}, not ${gstin}`
+      });
+    }
+
+    if (!gstr2b.period) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-2B return period is missing'
+      });
+    }
+
+    let register;
+    try {
+      register = await readPurchaseRegister(registerFile.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unable to read purchase register file'
+      });
+    }
+
+    const tolerances = {
+      amount: req.body.amountTolerance !== undefined ? parseFloat(req.body.amountTolerance) : undefined,
+      dateDays: req.body.dateToleranceDays !== undefined ? parseInt(req.body.dateToleranceDays) : undefined
+    };
+    Object.keys(tolerances).forEach(key => tolerances[key] === undefined && delete tolerances[key]);
+
+    const results = reconcileDocuments(register.documents, gstr2b.documents, tolerances);
+
+    const reconciliation = new ITCReconciliation({
+      user: userId,
+      gstin,
+      period: gstr2b.period,
+      sources: {
+        gstr2bFile: gstr2bFile.originalname,
+        purchaseRegisterFile: registerFile.originalname,
+        portalDocuments: gstr2b.documents.length,
+        booksDocuments: register.documents.length
+      },
+      tolerances,
+      results,
+      supplierReport: buildSupplierReport(results),
+      claimableITC: calculateClaimableITC(results),
+      rowErrors: register.errors.map(error => ({
+        row: error.row,
+        invoiceNumber: error.invoiceNumber,
+        fieldErrors: error.errors
+      }))
+    });
+
+    await reconciliation.save();
+
+    // Earlier runs for the same period no longer drive ITC claims; superseded only once the new run is saved
+    await ITCReconciliation.updateMany({
+      _id: { $ne: reconciliation._id },
+      user: userId,
+      gstin,
+      'period.month': gstr2b.period.month,
+      'period.year': gstr2b.period.year,
+      status: { $ne: 'superseded' }
+    }, { status: 'superseded' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation completed successfully',
+      reconciliation: {
+        _id: reconciliation._id,
+        gstin: reconciliation.gstin,
+        period: reconciliation.period,
+        summary: reconciliation.getStatusSummary(),
+        claimableITC: reconciliation.claimableITC,
+        supplierReport: reconciliation.supplierReport,
+        rowErrors: reconciliation.rowErrors
+      }
+    });
+  } catch (error) {
+    console.error('ITC reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling ITC'
+    });
+  }
+};
+
+// Get user's reconciliations
+const getReconciliations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin, year, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (gstin) query.gstin = gstin;
+    if (year) query['period.year'] = parseInt(year);
+
+    const reconciliations = await ITCReconciliation.find(query)
+      .select('-results')
+      .sort({ 'period.year': -1, 'period.month': -1, createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await ITCReconciliation.countDocuments(query);
+
+    res.json({
+      success: true,
+      reconciliations,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliations'
+    });
+  }
+};
+
+// Get reconciliation results, optionally filtered by status or supplier
+const getReconciliation = async (req, res) => {
+  try {
+    const { reconciliationId } = req.params;
+    const userId = req.user.id;
+    const { status, supplierGstin } = req.query;
+
+    const reconciliation = await ITCReconciliation.findOne({ _id: reconciliationId, user: userId });
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const results = reconciliation.results.filter(result => (
+      (!status || result.status === status) && (!supplierGstin || result.supplierGstin === supplierGstin)
+    ));
+
+    res.json({
+      success: true,
+      reconciliation: {
+        _id: reconciliation._id,
+        gstin: reconciliation.gstin,
+        period: reconciliation.period,
+        status: reconciliation.status,
+        tolerances: reconciliation.tolerances,
+        summary: reconciliation.getStatusSummary(),
+        claimableITC: reconciliation.claimableITC,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation'
+    });
+  }
+};
+
+// Get the per-supplier mismatch report
+const getSupplierMismatchReport = async (req, res) => {
+  try {
+    const { reconciliationId } = req.params;
+    const userId = req.user.id;
+
+    const reconciliation = await ITCReconciliation.findOne({ _id: reconciliationId, user: userId })
+      .select('gstin period supplierReport claimableITC');
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const suppliers = reconciliation.supplierReport.filter(supplier => (
+      supplier.actions.length > 0 || Math.abs(supplier.taxDifference) > 0
+    ));
+
+    res.json({
+      success: true,
+      report: {
+        gstin: reconciliation.gstin,
+        period: reconciliation.period,
+        claimableITC: reconciliation.claimableITC,
+        suppliersWithMismatches: suppliers.length,
+        suppliers
+      }
+    });
+  } catch (error) {
+    console.error('Get supplier mismatch report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching supplier mismatch report'
+    });
+  }
+};
+
+// Record the follow-up outcome for a mismatch
+const resolveReconciliationResult = async (req, res) => {
+  try {
+    const { reconciliationId, resultId } = req.params;
+    const userId = req.user.id;
+    const { status, remarks } = req.body;
+
+    const reconciliation = await ITCReconciliation.findOne({ _id: reconciliationId, user: userId });
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const result = reconciliation.results.id(resultId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation result not found'
+      });
+    }
+
+    result.resolution = {
+      status,
+      remarks,
+      resolvedAt: status === 'open' ? undefined : new Date()
+    };
+
+    if (reconciliation.results.every(item => item.status === 'matched' || item.resolution.status !== 'open')) {
+      reconciliation.status = 'reviewed';
+    }
+
+    await reconciliation.save();
+
+    res.json({
+      success: true,
+      message: 'Reconciliation result updated successfully',
+      result
+    });
+  } catch (error) {
+    console.error('Resolve reconciliation result error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating reconciliation result'
+    });
+  }
+};
+
+module.exports = {
+  reconcileITC,
+  getReconciliations,
+  getReconciliation,
+  getSupplierMismatchReport,
+  resolveReconciliationResult,
+  reconciliationUpload
+};
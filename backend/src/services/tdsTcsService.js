@@ -0,0 +1,379 @@
+const GSTReturn = require('../models/GSTReturn');
+const TDSContract = require('../models/TDSContract');
+const TCSCollection = require('../models/TCSCollection');
+const { buildGSTR7, buildGSTR8 } = require('../utils/tdsTcs');
+const { buildGSTR7ACertificate, renderGSTR7APdf } = require('../utils/tdsCertificate');
+
+// Add a contract to a TDS deductor's deductions register
+const createTDSContract = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      gstin, deductorName, deducteeGstin, deducteeName, contractNumber, contractDate, description, contractValue, placeOfSupply
+    } = req.body;
+
+    const contract = new TDSContract({
+      user: userId,
+      gstin,
+      deductorName,
+      deducteeGstin,
+      deducteeName,
+      contractNumber,
+      contractDate,
+      description,
+      contractValue,
+      placeOfSupply
+    });
+    await contract.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Contract added to the deductions register',
+      contract
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contract already exists in the deductions register'
+      });
+    }
+    console.error('Create TDS contract error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding contract'
+    });
+  }
+};
+
+// Get a deductor's contracts with the tax deducted under each
+const getTDSContracts = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin, deducteeGstin, status, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (gstin) query.gstin = gstin;
+    if (deducteeGstin) query.deducteeGstin = deducteeGstin;
+    if (status) query.status = status;
+
+    const contracts = await TDSContract.find(query)
+      .sort({ contractDate: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await TDSContract.countDocuments(query);
+
+    res.json({
+      success: true,
+      contracts,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get TDS contracts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching contracts'
+    });
+  }
+};
+
+// Record a payment under a contract and the tax deducted from it
+const recordTDSDeduction = async (req, res) => {
+  try {
+    const contract = await TDSContract.findOne({ _id: req.params.contractId, user: req.user.id });
+
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (contract.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Contract is closed'
+      });
+    }
+
+    const { paymentDate, invoiceNumber, invoiceDate, amountPaid } = req.body;
+    const deduction = contract.recordDeduction({ paymentDate, invoiceNumber, invoiceDate, amountPaid });
+    await contract.save();
+
+    res.status(201).json({
+      success: true,
+      message: deduction.applicable ? 'Payment recorded and tax deducted' : `Payment recorded without deduction: ${deduction.reason}`,
+      deduction,
+      contract
+    });
+  } catch (error) {
+    console.error('Record TDS deduction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording payment'
+    });
+  }
+};
+
+// Record a supplier's supplies through an e-commerce operator for a month and the tax collected on them
+const recordTCSCollection = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin, supplierGstin, supplierName, month, year, placeOfSupply, grossValue, returnedValue = 0 } = req.body;
+    const period = { month: parseInt(month), year: parseInt(year) };
+
+    let collection = await TCSCollection.findOne({
+      user: userId,
+      gstin,
+      supplierGstin,
+      'period.month': period.month,
+      'period.year': period.year,
+      placeOfSupply
+    }).populate('gstReturn', 'status');
+
+    if (collection && collection.gstReturn && collection.gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection is already reported in a filed GSTR-8'
+      });
+    }
+
+    if (!collection) {
+      collection = new TCSCollection({ user: userId, gstin, supplierGstin, period, placeOfSupply });
+    }
+    collection.supplierName = supplierName || collection.supplierName;
+    collection.grossValue = grossValue;
+    collection.returnedValue = returnedValue;
+    collection.computeCollection();
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection recorded successfully',
+      collection
+    });
+  } catch (error) {
+    console.error('Record TCS collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording collection'
+    });
+  }
+};
+
+// Get an e-commerce operator's collections
+const getTCSCollections = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { gstin, supplierGstin, month, year, limit = 20, skip = 0 } = req.query;
+
+    let query = { user: userId };
+    if (gstin) query.gstin = gstin;
+    if (supplierGstin) query.supplierGstin = supplierGstin;
+    if (month) query['period.month'] = parseInt(month);
+    if (year) query['period.year'] = parseInt(year);
+
+    const collections = await TCSCollection.find(query)
+      .sort({ 'period.year': -1, 'period.month': -1, supplierGstin: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await TCSCollection.countDocuments(query);
+
+    res.json({
+      success: true,
+      collections,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: total > parseInt(skip) + parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get TCS collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections'
+    });
+  }
+};
+
+// Prepare a draft GSTR-7 from the deductions register or GSTR-8 from the collections of its period
+const prepareTDSTCSReturn = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+    const userId = req.user.id;
+
+    const gstReturn = await GSTReturn.findOne({ _id: returnId, user: userId, returnType: { $in: ['GSTR7', 'GSTR8'] } });
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-7 or GSTR-8 return not found'
+      });
+    }
+
+    if (gstReturn.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft returns can be prepared'
+      });
+    }
+
+    const options = { gstin: gstReturn.gstin, period: gstReturn.period };
+    let table;
+    let entries;
+
+    if (gstReturn.returnType === 'GSTR7') {
+      entries = await TDSContract.getGSTR7Deductions(userId, gstReturn.gstin, gstReturn.period, gstReturn._id);
+      table = buildGSTR7(entries, options);
+      gstReturn.gstr7Data = { tds: table.tds };
+    } else {
+      entries = await TCSCollection.getGSTR8Collections(userId, gstReturn.gstin, gstReturn.period, gstReturn._id);
+      table = buildGSTR8(entries, options);
+      gstReturn.gstr8Data = { tcs: table.tcs };
+    }
+
+    gstReturn.totalTaxableValue = table.totals.taxableValue;
+    gstReturn.totalTaxAmount = { igst: table.totals.igst, cgst: table.totals.cgst, sgst: table.totals.sgst, cess: 0 };
+    gstReturn.submissionHistory.push({
+      action: 'Prepared',
+      user: userId,
+      details: gstReturn.returnType === 'GSTR7'
+        ? `Prepared from ${entries.length} deductions for ${table.tds.length} deductees`
+        : `Prepared from ${entries.length} collections for ${table.tcs.length} suppliers`
+    });
+
+    await gstReturn.save();
+    if (gstReturn.returnType === 'GSTR7') {
+      await TDSContract.linkGSTR7(entries.map(entry => entry._id), gstReturn._id);
+    } else {
+      await TCSCollection.linkGSTR8(entries.map(entry => entry._id), gstReturn._id);
+    }
+
+    res.json({
+      success: true,
+      message: `${gstReturn.returnType === 'GSTR7' ? 'GSTR-7' : 'GSTR-8'} prepared successfully`,
+      gstReturn,
+      totals: table.totals
+    });
+  } catch (error) {
+    console.error('Prepare TDS/TCS return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error preparing return'
+    });
+  }
+};
+
+// Find a GSTR-7 owned by the user
+const findGSTR7Return = (returnId, userId) => GSTReturn.findOne({ _id: returnId, user: userId, returnType: 'GSTR7' });
+
+// Build the GSTR-7A certificates of a filed GSTR-7, one per deductee
+const buildCertificates = async (gstReturn) => {
+  const deductions = (await TDSContract.getGSTR7Deductions(gstReturn.user, gstReturn.gstin, gstReturn.period, gstReturn._id))
+    .filter(deduction => String(deduction.gstReturn) === String(gstReturn._id));
+  const contract = await TDSContract.findOne({ user: gstReturn.user, gstin: gstReturn.gstin, deductorName: { $exists: true } })
+    .sort({ updatedAt: -1 })
+    .select('deductorName');
+
+  return gstReturn.gstr7Data.tds.map((row, index) => buildGSTR7ACertificate(gstReturn, row, {
+    serial: index + 1,
+    deductorName: contract ? contract.deductorName : '',
+    deductions: deductions.filter(deduction => deduction.deducteeGstin === row.gstin_ded)
+  }));
+};
+
+// List the GSTR-7A certificates of a filed GSTR-7
+const getGSTR7ACertificates = async (req, res) => {
+  try {
+    const gstReturn = await findGSTR7Return(req.params.returnId, req.user.id);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-7 return not found'
+      });
+    }
+
+    if (gstReturn.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-7A certificates are available once the GSTR-7 is filed'
+      });
+    }
+
+    const certificates = await buildCertificates(gstReturn);
+
+    res.json({
+      success: true,
+      certificates
+    });
+  } catch (error) {
+    console.error('Get GSTR-7A certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching GSTR-7A certificates'
+    });
+  }
+};
+
+// Download a deductee's GSTR-7A certificate as PDF
+const downloadGSTR7ACertificate = async (req, res) => {
+  try {
+    const gstReturn = await findGSTR7Return(req.params.returnId, req.user.id);
+
+    if (!gstReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'GSTR-7 return not found'
+      });
+    }
+
+    if (gstReturn.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTR-7A certificates are available once the GSTR-7 is filed'
+      });
+    }
+
+    const certificates = await buildCertificates(gstReturn);
+    const certificate = certificates.find(item => item.deductee.gstin === req.params.deducteeGstin);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No tax was deducted from this deductee in the GSTR-7'
+      });
+    }
+
+    const pdfBuffer = await renderGSTR7APdf(certificate);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="GSTR7A-${certificate.deductee.gstin}-${gstReturn.period.month}-${gstReturn.period.year}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Download GSTR-7A certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating GSTR-7A certificate'
+    });
+  }
+};
+
+module.exports = {
+  createTDSContract,
+  getTDSContracts,
+  recordTDSDeduction,
+  recordTCSCollection,
+  getTCSCollections,
+  prepareTDSTCSReturn,
+  getGSTR7ACertificates,
+  downloadGSTR7ACertificate
+};
@@ -0,0 +1,106 @@
+// GST challan (form GST PMT-06): amounts by tax head and minor head, CPIN and CIN formats
+
+const { TAX_HEADS } = require('./setOff');
+const { stateCodeFromGstin } = require('./placeOfSupply');
+
+const MINOR_HEADS = ['tax', 'interest', 'penalty', 'fee', 'others'];
+
+const PAYMENT_MODES = ['E-Payment', 'Over the Counter', 'NEFT/RTGS', 'UPI'];
+
+// A challan can be paid within 15 days of generation
+const CHALLAN_VALIDITY_DAYS = 15;
+
+const CPIN_REGEX = /^\d{14}$/;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Normalise challan amounts to every tax head and minor head, with head totals
+ * @param {Object} amounts - { igst: { tax, interest, penalty, fee, others }, cgst, sgst, cess }
+ * @returns {Object} - { details, totalAmount }
+ */
+const buildChallanDetails = (amounts = {}) => {
+  const details = {};
+  TAX_HEADS.forEach(head => {
+    const row = {};
+    MINOR_HEADS.forEach(minorHead => {
+      row[minorHead] = round(amounts[head] && amounts[head][minorHead]);
+    });
+    row.total = round(MINOR_HEADS.reduce((sum, minorHead) => sum + row[minorHead], 0));
+    details[head] = row;
+  });
+
+  return {
+    details,
+    totalAmount: round(TAX_HEADS.reduce((sum, head) => sum + details[head].total, 0))
+  };
+};
+
+/**
+ * Challan amounts for the cash a GSTR-3B set-off still needs. Section 49(8) discharges tax before
+ * interest and fees, so the cash already in the ledger goes to tax first and the shortfall is
+ * taken from late fee, then interest, then tax.
+ * @param {Object} setOff - Result of computeSetOff
+ * @returns {Object} - Amounts by tax head and minor head
+ */
+const challanAmountsFromSetOff = (setOff) => {
+  const amounts = {};
+  setOff.table61.forEach(row => {
+    let shortfall = setOff.cashShortfall[row.head];
+    const take = (due) => {
+      const amount = Math.min(due, shortfall);
+      shortfall = round(shortfall - amount);
+      return round(amount);
+    };
+    const fee = take(row.lateFeePaidInCash);
+    const interest = take(row.interestPaidInCash);
+    const tax = take(row.taxPaidInCash);
+    amounts[row.head] = { tax, interest, penalty: 0, fee, others: 0 };
+  });
+  return amounts;
+};
+
+/**
+ * Generate a CPIN: two-digit year and month, two-digit state code and an eight-digit serial
+ * @param {string} gstin - GSTIN the challan is for
+ * @param {Date} date - Generation date
+ * @param {number} serial - Serial number
+ * @returns {string} - 14-digit CPIN
+ */
+const buildCPIN = (gstin, date, serial) => {
+  const year = String(date.getFullYear()).slice(-2);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const stateCode = stateCodeFromGstin(gstin) || '00';
+  return `${year}${month}${stateCode}${String(serial).padStart(8, '0').slice(-8)}`;
+};
+
+/**
+ * Build a CIN from the CPIN and the collecting bank's code
+ * @param {string} cpin - 14-digit CPIN
+ * @param {string} bankCode - Bank code
+ * @returns {string} - CIN
+ */
+const buildCIN = (cpin, bankCode) => `${cpin}${String(bankCode).toUpperCase()}`;
+
+/**
+ * Expiry of a challan generated at a date
+ * @param {Date} createdAt - Generation date
+ * @returns {Date} - Last moment the challan can be paid
+ */
+const getChallanExpiry = (createdAt) => {
+  const expiry = new Date(createdAt);
+  expiry.setDate(expiry.getDate() + CHALLAN_VALIDITY_DAYS);
+  return expiry;
+};
+
+module.exports = {
+  MINOR_HEADS,
+  PAYMENT_MODES,
+  CHALLAN_VALIDITY_DAYS,
+  CPIN_REGEX,
+  buildChallanDetails,
+  challanAmountsFromSetOff,
+  buildCPIN,
+  buildCIN,
+  getChallanExpiry
+};
@@ -0,0 +1,215 @@
+// Due dates for GST returns by return type, filing frequency and state
+
+const { normaliseStateCode, stateCodeFromGstin } = require('./placeOfSupply');
+
+const FILING_FREQUENCIES = ['monthly', 'quarterly'];
+
+// Quarterly GSTR-3B (QRMP) is staggered by state: group A files by the 22nd, group B by the 24th
+const QRMP_STATE_GROUPS = {
+  A: ['22', '23', '24', '25', '26', '27', '29', '30', '31', '32', '33', '34', '35', '36', '37'],
+  B: ['01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '21', '38', '97']
+};
+
+// Return types that have a single frequency whatever the taxpayer opted for
+const FIXED_FREQUENCIES = {
+  GSTR4: 'annual',
+  GSTR9: 'annual',
+  GSTR9C: 'annual',
+  CMP08: 'quarterly'
+};
+
+/**
+ * Due date rules. Each rule applies to tax periods ending on or after `from`; the last matching rule wins.
+ * An annual return for FY 2017-18 starts in April 2017 but covers GST from July, so periods are matched by their end.
+ * Monthly and quarterly rules give a day of the month after the period (or 'last'), optionally per state group.
+ * Annual rules give a month and day in the year the financial year ends.
+ */
+const DUE_DATE_RULES = {
+  GSTR1: [
+    { from: '2017-07-01', frequency: 'monthly', day: 11 },
+    { from: '2017-07-01', frequency: 'quarterly', day: 'last' },
+    { from: '2021-01-01', frequency: 'quarterly', day: 13 }
+  ],
+  GSTR2: [
+    { from: '2017-07-01', frequency: 'monthly', day: 15 }
+  ],
+  GSTR3B: [
+    { from: '2017-07-01', frequency: 'monthly', day: 20 },
+    { from: '2021-01-01', frequency: 'quarterly', day: { A: 22, B: 24 } }
+  ],
+  GSTR4: [
+    { from: '2017-07-01', frequency: 'annual', month: 4, day: 30 },
+    { from: '2024-04-01', frequency: 'annual', month: 6, day: 30 }
+  ],
+  CMP08: [
+    { from: '2019-04-01', frequency: 'quarterly', day: 18 }
+  ],
+  GSTR5: [
+    { from: '2017-07-01', frequency: 'monthly', day: 20 },
+    { from: '2022-10-01', frequency: 'monthly', day: 13 }
+  ],
+  GSTR6: [
+    { from: '2017-07-01', frequency: 'monthly', day: 13 }
+  ],
+  GSTR7: [
+    { from: '2018-10-01', frequency: 'monthly', day: 10 }
+  ],
+  GSTR8: [
+    { from: '2018-10-01', frequency: 'monthly', day: 10 }
+  ],
+  GSTR9: [
+    { from: '2017-07-01', frequency: 'annual', month: 12, day: 31 }
+  ],
+  GSTR9C: [
+    { from: '2017-07-01', frequency: 'annual', month: 12, day: 31 }
+  ]
+};
+
+/**
+ * Filing frequency that applies to a return type
+ * @param {String} returnType - Return type
+ * @param {String} filingFrequency - Taxpayer's frequency ('monthly' or 'quarterly')
+ * @returns {String} - 'monthly', 'quarterly' or 'annual'
+ */
+const getFrequency = (returnType, filingFrequency = 'monthly') => {
+  if (FIXED_FREQUENCIES[returnType]) return FIXED_FREQUENCIES[returnType];
+  if (filingFrequency === 'quarterly' && ['GSTR1', 'GSTR3B'].includes(returnType)) return 'quarterly';
+  return 'monthly';
+};
+
+/**
+ * Normalise a tax period to the month it ends in (quarter end for quarterly, March for annual)
+ * @param {Object} period - { month, year }
+ * @param {String} frequency - 'monthly', 'quarterly' or 'annual'
+ * @returns {Object} - { month, year }
+ */
+const getPeriodEnd = (period, frequency) => {
+  const month = Number(period.month);
+  const year = Number(period.year);
+
+  if (frequency === 'annual') {
+    return { month: 3, year: month >= 4 ? year + 1 : year };
+  }
+  if (frequency === 'quarterly') {
+    return { month: Math.ceil(month / 3) * 3, year };
+  }
+  return { month, year };
+};
+
+// Last day of the tax period, used to pick the rule in force
+const getPeriodLastDay = (periodEnd) => new Date(periodEnd.year, periodEnd.month, 0);
+
+const getStateGroup = (stateCode) => (QRMP_STATE_GROUPS.A.includes(stateCode) ? 'A' : 'B');
+
+/**
+ * Find an extension for a return, if any. When several apply, the latest due date wins.
+ * @param {Array} extensions - [{ returnType, period, filingFrequency, stateCodes, dueDate }]
+ * @param {Object} params - { returnType, periodEnd, frequency, stateCode }
+ * @returns {Object|null} - Extension
+ */
+const findExtension = (extensions, { returnType, periodEnd, frequency, stateCode }) => (extensions || [])
+  .filter(extension => {
+    if (extension.returnType !== returnType) return false;
+    const extensionEnd = getPeriodEnd(extension.period, frequency);
+    if (extensionEnd.month !== periodEnd.month || extensionEnd.year !== periodEnd.year) return false;
+    if (extension.filingFrequency && frequency !== 'annual' && extension.filingFrequency !== frequency) return false;
+    return !extension.stateCodes || extension.stateCodes.length === 0 || extension.stateCodes.includes(stateCode);
+  })
+  .reduce((latest, extension) => (!latest || new Date(extension.dueDate) > new Date(latest.dueDate) ? extension : latest), null);
+
+/**
+ * Resolve the due date of a return
+ * @param {Object} params - { returnType, period, filingFrequency, gstin, stateCode, extensions }
+ * @returns {Object} - { dueDate, frequency, periodEnd, extension }
+ */
+const resolveDueDate = ({ returnType, period, filingFrequency = 'monthly', gstin, stateCode, extensions = [] }) => {
+  const rules = DUE_DATE_RULES[returnType];
+  if (!rules) {
+    throw new Error(`No due date rule for ${returnType}`);
+  }
+
+  const frequency = getFrequency(returnType, filingFrequency);
+  const periodEnd = getPeriodEnd(period, frequency);
+  const periodLastDay = getPeriodLastDay(periodEnd);
+  const state = normaliseStateCode(stateCode) || stateCodeFromGstin(gstin);
+
+  const rule = rules
+    .filter(item => item.frequency === frequency && periodLastDay >= new Date(`${item.from}T00:00:00`))
+    .pop();
+  if (!rule) {
+    throw new Error(`No ${frequency} due date rule for ${returnType} for the period`);
+  }
+
+  let dueDate;
+  if (frequency === 'annual') {
+    dueDate = new Date(periodEnd.year, rule.month - 1, rule.day);
+  } else if (rule.day === 'last') {
+    dueDate = new Date(periodEnd.year, periodEnd.month + 1, 0);
+  } else {
+    const day = typeof rule.day === 'object' ? rule.day[getStateGroup(state)] : rule.day;
+    dueDate = new Date(periodEnd.year, periodEnd.month, day);
+  }
+
+  const extension = findExtension(extensions, { returnType, periodEnd, frequency, stateCode: state });
+  if (extension && new Date(extension.dueDate) > dueDate) {
+    dueDate = new Date(extension.dueDate);
+  }
+
+  return { dueDate, frequency, periodEnd, extension };
+};
+
+/**
+ * List due dates falling within a date range
+ * @param {Object} params - { registrations: [{ gstin, returnType, filingFrequency }], from, to, extensions }
+ * @returns {Array} - [{ gstin, returnType, frequency, period, dueDate, extension }] sorted by due date
+ */
+const getDeadlines = ({ registrations = [], from = new Date(), to, extensions = [] }) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  const deadlines = [];
+  const seen = new Set();
+
+  registrations.forEach(registration => {
+    const frequency = getFrequency(registration.returnType, registration.filingFrequency);
+    const step = frequency === 'annual' ? 12 : frequency === 'quarterly' ? 3 : 1;
+
+    // Walk back far enough to catch annual returns and extended due dates
+    const cursor = new Date(start.getFullYear(), start.getMonth() - 24, 1);
+    while (cursor <= end) {
+      const period = { month: cursor.getMonth() + 1, year: cursor.getFullYear() };
+      cursor.setMonth(cursor.getMonth() + step);
+
+      let resolved;
+      try {
+        resolved = resolveDueDate({ ...registration, period, extensions });
+      } catch (error) {
+        continue;
+      }
+
+      const key = `${registration.gstin}|${registration.returnType}|${resolved.periodEnd.year}-${resolved.periodEnd.month}`;
+      if (seen.has(key) || resolved.dueDate < start || resolved.dueDate > end) continue;
+      seen.add(key);
+
+      deadlines.push({
+        gstin: registration.gstin,
+        returnType: registration.returnType,
+        frequency: resolved.frequency,
+        period: resolved.periodEnd,
+        dueDate: resolved.dueDate,
+        extension: resolved.extension || null
+      });
+    }
+  });
+
+  return deadlines.sort((a, b) => a.dueDate - b.dueDate);
+};
+
+module.exports = {
+  FILING_FREQUENCIES,
+  QRMP_STATE_GROUPS,
+  DUE_DATE_RULES,
+  getFrequency,
+  getPeriodEnd,
+  resolveDueDate,
+  getDeadlines
+};
@@ -0,0 +1,272 @@
+// Composition levy under section 10 of the CGST Act: quarterly CMP-08 statements and the annual GSTR-4
+
+const { stateCodeFromGstin, normaliseStateCode } = require('./placeOfSupply');
+
+const COMPOSITION_CATEGORIES = ['manufacturer', 'trader', 'restaurant', 'service_provider'];
+
+/**
+ * Composition rates (CGST + SGST/UTGST combined, rule 7). Each entry applies to tax periods starting on or after
+ * `from`; the last matching entry wins. `base` is the turnover the rate applies to: all supplies in the state,
+ * or only taxable supplies (traders from 1 January 2018).
+ */
+const COMPOSITION_RATES = {
+  manufacturer: [
+    { from: '2017-07-01', rate: 2, base: 'total' },
+    { from: '2018-01-01', rate: 1, base: 'total' }
+  ],
+  trader: [
+    { from: '2017-07-01', rate: 1, base: 'total' },
+    { from: '2018-01-01', rate: 1, base: 'taxable' }
+  ],
+  restaurant: [
+    { from: '2017-07-01', rate: 5, base: 'total' }
+  ],
+  // Section 10(2A), notification 2/2019-CT(R)
+  service_provider: [
+    { from: '2019-04-01', rate: 6, base: 'total' }
+  ]
+};
+
+/**
+ * Aggregate turnover limits for the composition scheme, in the preceding and the current financial year.
+ * Special category states have a lower limit.
+ */
+const COMPOSITION_LIMITS = {
+  goods: [
+    { from: '2017-07-01', notification: '8/2017-CT', limit: 7500000, specialCategory: 5000000 },
+    { from: '2017-10-13', notification: '46/2017-CT', limit: 10000000, specialCategory: 7500000 },
+    { from: '2019-04-01', notification: '14/2019-CT', limit: 15000000, specialCategory: 7500000 }
+  ],
+  service_provider: [
+    { from: '2019-04-01', notification: '2/2019-CT(R)', limit: 5000000, specialCategory: 5000000 }
+  ]
+};
+
+// Arunachal Pradesh, Manipur, Meghalaya, Mizoram, Nagaland, Sikkim, Tripura and Uttarakhand
+const SPECIAL_CATEGORY_STATES = ['12', '14', '17', '15', '13', '11', '16', '05'];
+
+// Turnover at this share of the limit is flagged as approaching it
+const LIMIT_WARNING_SHARE = 0.9;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const pickEntry = (entries, date) => (entries || [])
+  .filter(entry => new Date(`${entry.from}T00:00:00`) <= new Date(date))
+  .pop() || null;
+
+/**
+ * Financial year a tax period falls in
+ * @param {Object} period - { month, year }
+ * @returns {String} - e.g. '2024-25'
+ */
+const getFinancialYear = (period) => {
+  const startYear = period.month >= 4 ? period.year : period.year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Composition rate for a category on a date
+ * @param {String} category - One of COMPOSITION_CATEGORIES
+ * @param {Date} date - First day of the tax period
+ * @returns {Object|null} - { rate, base }
+ */
+const getCompositionRate = (category, date) => pickEntry(COMPOSITION_RATES[category], date);
+
+/**
+ * Aggregate turnover limit for the composition scheme
+ * @param {String} category - One of COMPOSITION_CATEGORIES
+ * @param {String} gstin - GSTIN, for the state
+ * @param {Date} date - Date in the financial year
+ * @returns {Object|null} - { limit, notification, specialCategory }
+ */
+const getCompositionLimit = (category, gstin, date) => {
+  const entry = pickEntry(COMPOSITION_LIMITS[category === 'service_provider' ? 'service_provider' : 'goods'], date);
+  if (!entry) return null;
+  const specialCategory = SPECIAL_CATEGORY_STATES.includes(normaliseStateCode(stateCodeFromGstin(gstin)));
+  return {
+    limit: specialCategory ? entry.specialCategory : entry.limit,
+    notification: entry.notification,
+    specialCategory
+  };
+};
+
+/**
+ * Compute a quarterly CMP-08: composition tax on turnover in the state plus tax on inward supplies under
+ * reverse charge (including import of services), which is paid at the normal rates.
+ * @param {Object} params - { category, period, turnover: { taxable, exempt }, reverseCharge: { txval, igst, cgst, sgst, cess } }
+ * @returns {Object} - { category, rate, base, osup, isup_rev, tax_pay, totalTax }
+ */
+const computeCMP08 = ({ category, period, turnover = {}, reverseCharge = {} }) => {
+  const periodStart = new Date(period.year, Math.ceil(period.month / 3) * 3 - 3, 1);
+  const rateEntry = getCompositionRate(category, periodStart);
+  if (!rateEntry) {
+    throw new Error(`Composition scheme is not available to a ${category.replace('_', ' ')} for the period`);
+  }
+
+  const taxable = Number(turnover.taxable) || 0;
+  const exempt = Number(turnover.exempt) || 0;
+  const base = rateEntry.base === 'taxable' ? taxable : taxable + exempt;
+  const half = round(base * rateEntry.rate / 200);
+
+  const osup = { txval: round(taxable + exempt), camt: half, samt: half, csamt: 0 };
+  const isup_rev = {
+    txval: round(reverseCharge.txval),
+    iamt: round(reverseCharge.igst),
+    camt: round(reverseCharge.cgst),
+    samt: round(reverseCharge.sgst),
+    csamt: round(reverseCharge.cess)
+  };
+  const tax_pay = {
+    iamt: isup_rev.iamt,
+    camt: round(osup.camt + isup_rev.camt),
+    samt: round(osup.samt + isup_rev.samt),
+    csamt: isup_rev.csamt
+  };
+
+  return {
+    category,
+    rate: rateEntry.rate,
+    base: rateEntry.base,
+    osup,
+    isup_rev,
+    tax_pay,
+    totalTax: round(tax_pay.iamt + tax_pay.camt + tax_pay.samt + tax_pay.csamt)
+  };
+};
+
+/**
+ * Check turnover against the composition limit. The option lapses on the day aggregate turnover in the
+ * financial year exceeds the limit (rule 6(2)): the taxpayer must file CMP-04 within seven days and
+ * register under the regular scheme. Turnover above the limit in the preceding year bars the option.
+ * @param {Object} params - { category, gstin, financialYear, precedingTurnover, turnoverToDate }
+ * @returns {Object} - { limit, notification, turnoverToDate, precedingTurnover, exceeded, warnings: [{ severity, message }] }
+ */
+const checkCompositionLimit = ({ category, gstin, financialYear, precedingTurnover, turnoverToDate = 0 }) => {
+  const startYear = parseInt(String(financialYear).slice(0, 4), 10);
+  const limit = getCompositionLimit(category, gstin, new Date(startYear + 1, 2, 31));
+  const warnings = [];
+  if (!limit) {
+    return { limit: null, turnoverToDate, precedingTurnover, exceeded: false, warnings };
+  }
+
+  const format = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+  const precedingExceeded = precedingTurnover !== undefined && precedingTurnover !== null && precedingTurnover > limit.limit;
+  const currentExceeded = turnoverToDate > limit.limit;
+
+  if (precedingExceeded) {
+    warnings.push({
+      severity: 'error',
+      message: `Aggregate turnover of ${format(precedingTurnover)} in the preceding financial year exceeds the ${format(limit.limit)} composition limit; the taxpayer is not eligible for ${financialYear} and must register under the regular scheme`
+    });
+  }
+  if (currentExceeded) {
+    warnings.push({
+      severity: 'error',
+      message: `Aggregate turnover of ${format(turnoverToDate)} in ${financialYear} has crossed the ${format(limit.limit)} composition limit; file CMP-04 within 7 days and move to the regular scheme`
+    });
+  } else if (turnoverToDate >= limit.limit * LIMIT_WARNING_SHARE) {
+    warnings.push({
+      severity: 'warning',
+      message: `Aggregate turnover of ${format(turnoverToDate)} in ${financialYear} is within ${format(limit.limit - turnoverToDate)} of the ${format(limit.limit)} composition limit`
+    });
+  }
+
+  return {
+    limit: limit.limit,
+    notification: limit.notification,
+    specialCategory: limit.specialCategory,
+    turnoverToDate: round(turnoverToDate),
+    precedingTurnover,
+    exceeded: precedingExceeded || currentExceeded,
+    warnings
+  };
+};
+
+/**
+ * Build the annual GSTR-4 from the year's CMP-08s and inward supplies
+ * @param {Object} params - {
+ *   financialYear,
+ *   cmp08s: [{ period, cmp08Data, interest }],
+ *   purchases: [{ supplierGstin, taxableValue, tax: { igst, cgst, sgst, cess }, reverseCharge, documentType }],
+ *   unregistered: { txval, igst, cgst, sgst, cess }, imports: { txval, igst, cess }
+ * }
+ * @returns {Object} - gstr4Data: { fy, b2b, b2b_rev, b2bur, imp_ser, liability, rate_wise }
+ */
+const buildGSTR4 = ({ financialYear, cmp08s = [], purchases = [], unregistered = {}, imports = {} }) => {
+  const bySupplier = (rows) => {
+    const suppliers = new Map();
+    rows.forEach(purchase => {
+      const sign = purchase.documentType === 'CRN' ? -1 : 1;
+      const tax = purchase.tax || {};
+      const row = suppliers.get(purchase.supplierGstin) || { ctin: purchase.supplierGstin, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+      row.txval = round(row.txval + sign * (purchase.taxableValue || 0));
+      row.iamt = round(row.iamt + sign * (tax.igst || 0));
+      row.camt = round(row.camt + sign * (tax.cgst || 0));
+      row.samt = round(row.samt + sign * (tax.sgst || 0));
+      row.csamt = round(row.csamt + sign * (tax.cess || 0));
+      suppliers.set(purchase.supplierGstin, row);
+    });
+    return [...suppliers.values()];
+  };
+
+  // Table 5: self-assessed liability as declared in the CMP-08s
+  const sumHeads = (key, heads) => heads.reduce((out, head) => ({
+    ...out,
+    [head]: round(cmp08s.reduce((sum, cmp08) => sum + ((cmp08.cmp08Data && cmp08.cmp08Data[key] && cmp08.cmp08Data[key][head]) || 0), 0))
+  }), {});
+  const interest = cmp08s.reduce((out, cmp08) => {
+    const charged = cmp08.interest || {};
+    return {
+      iamt: round(out.iamt + (charged.igst || 0)),
+      camt: round(out.camt + (charged.cgst || 0)),
+      samt: round(out.samt + (charged.sgst || 0)),
+      csamt: round(out.csamt + (charged.cess || 0))
+    };
+  }, { iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+  // Table 6: outward supplies by composition rate
+  const rates = new Map();
+  cmp08s.forEach(cmp08 => {
+    const data = cmp08.cmp08Data || {};
+    if (!data.osup) return;
+    const row = rates.get(data.rate) || { rt: data.rate, txval: 0, camt: 0, samt: 0, csamt: 0 };
+    row.txval = round(row.txval + (data.osup.txval || 0));
+    row.camt = round(row.camt + (data.osup.camt || 0));
+    row.samt = round(row.samt + (data.osup.samt || 0));
+    rates.set(data.rate, row);
+  });
+
+  return {
+    fy: financialYear,
+    b2b: bySupplier(purchases.filter(purchase => !purchase.reverseCharge)),
+    b2b_rev: bySupplier(purchases.filter(purchase => purchase.reverseCharge)),
+    b2bur: {
+      txval: round(unregistered.txval),
+      iamt: round(unregistered.igst),
+      camt: round(unregistered.cgst),
+      samt: round(unregistered.sgst),
+      csamt: round(unregistered.cess)
+    },
+    imp_ser: { txval: round(imports.txval), iamt: round(imports.igst), csamt: round(imports.cess) },
+    liability: {
+      osup: sumHeads('osup', ['txval', 'camt', 'samt', 'csamt']),
+      isup_rev: sumHeads('isup_rev', ['txval', 'iamt', 'camt', 'samt', 'csamt']),
+      tax_pay: sumHeads('tax_pay', ['iamt', 'camt', 'samt', 'csamt']),
+      intr: interest
+    },
+    rate_wise: [...rates.values()].sort((a, b) => a.rt - b.rt)
+  };
+};
+
+module.exports = {
+  COMPOSITION_CATEGORIES,
+  COMPOSITION_RATES,
+  COMPOSITION_LIMITS,
+  SPECIAL_CATEGORY_STATES,
+  getFinancialYear,
+  getCompositionRate,
+  getCompositionLimit,
+  computeCMP08,
+  checkCompositionLimit,
+  buildGSTR4
+};
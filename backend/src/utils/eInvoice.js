@@ -0,0 +1,574 @@
+// E-invoice (INV-01, schema v1.1): payload builder, schema rule checks, IRN hash and
+// verification of IRP-signed invoices and QR codes
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { STATE_CODES, OUTSIDE_INDIA, normaliseStateCode } = require('./placeOfSupply');
+const { VALID_RATES } = require('./gstr1Json');
+const { decodeGSTIN } = require('./gstin');
+
+const EINVOICE_VERSION = '1.1';
+const SUPPLY_TYPES = ['B2B', 'SEZWP', 'SEZWOP', 'EXPWP', 'EXPWOP', 'DEXP'];
+const DOCUMENT_TYPES = ['INV', 'CRN', 'DBN'];
+const UNREGISTERED_BUYER = 'URP';
+const OTHER_TERRITORY = '97';
+
+// Amounts computed by the IRP may differ from the declared ones by up to a rupee
+const TOLERANCE = 1;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+const yesNo = (value) => (value === true || value === 'Y' ? 'Y' : 'N');
+
+const isExport = (supplyType) => supplyType === 'EXPWP' || supplyType === 'EXPWOP';
+
+// Supplies without payment of tax (LUT/bond) carry the rate but no tax amounts
+const isWithoutPayment = (supplyType) => supplyType === 'SEZWOP' || supplyType === 'EXPWOP';
+
+/**
+ * Format a date as dd/mm/yyyy
+ * @param {Date|string} date - Date
+ * @returns {string}
+ */
+const toEInvoiceDate = (date) => {
+  const d = new Date(date);
+  const dd = String(d.getUTCDate()).padStart(2, '0');
+  const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
+  return `${dd}/${mm}/${d.getUTCFullYear()}`;
+};
+
+/**
+ * Parse a dd/mm/yyyy date
+ * @param {string} value - E-invoice date
+ * @returns {Date|null}
+ */
+const fromEInvoiceDate = (value) => {
+  const match = /^([0-9]{2})\/([0-9]{2})\/([0-9]{4})$/.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])));
+  return date.getUTCDate() === Number(match[1]) ? date : null;
+};
+
+/**
+ * Financial year of a date in the "2024-25" form used for the IRN
+ * @param {Date|string} date - Document date
+ * @returns {string}
+ */
+const getFinancialYear = (date) => {
+  const d = new Date(date);
+  const startYear = d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Invoice Reference Number: SHA-256 of supplier GSTIN, financial year, document type and number
+ * @param {Object} doc - { sellerGstin, financialYear, documentType, documentNumber }
+ * @returns {string} - 64 character hex digest
+ */
+const generateIRN = ({ sellerGstin, financialYear, documentType, documentNumber }) => crypto
+  .createHash('sha256')
+  .update(`${sellerGstin}${financialYear}${documentType}${documentNumber}`.toUpperCase())
+  .digest('hex');
+
+const buildParty = (party = {}) => {
+  const details = {
+    Gstin: party.gstin ? String(party.gstin).trim().toUpperCase() : undefined,
+    LglNm: party.legalName,
+    TrdNm: party.tradeName || undefined,
+    Addr1: party.address1,
+    Addr2: party.address2 || undefined,
+    Loc: party.location,
+    Pin: party.pincode !== undefined ? Number(party.pincode) : undefined,
+    Stcd: normaliseStateCode(party.stateCode) || undefined,
+    Ph: party.phone || undefined,
+    Em: party.email || undefined
+  };
+  Object.keys(details).forEach(key => details[key] === undefined && delete details[key]);
+  return details;
+};
+
+const buildLocation = (location) => {
+  if (!location) return undefined;
+  const details = {
+    Nm: location.name,
+    Gstin: location.gstin || undefined,
+    LglNm: location.legalName,
+    TrdNm: location.tradeName || undefined,
+    Addr1: location.address1,
+    Addr2: location.address2 || undefined,
+    Loc: location.location,
+    Pin: location.pincode !== undefined ? Number(location.pincode) : undefined,
+    Stcd: normaliseStateCode(location.stateCode) || undefined
+  };
+  Object.keys(details).forEach(key => details[key] === undefined && delete details[key]);
+  return details;
+};
+
+/**
+ * Whether a supply attracts IGST (inter-State, SEZ, export or IGST charged on an intra-State supply)
+ * @param {Object} invoice - Sales invoice
+ * @returns {boolean}
+ */
+const isInterStateSupply = (invoice) => {
+  const supplyType = invoice.supplyType || 'B2B';
+  if (supplyType !== 'B2B' && supplyType !== 'DEXP') return true;
+  if (invoice.igstOnIntra) return true;
+  const sellerState = normaliseStateCode((invoice.seller || {}).stateCode);
+  const pos = normaliseStateCode((invoice.buyer || {}).placeOfSupply);
+  return sellerState !== pos;
+};
+
+/**
+ * Build the INV-01 e-invoice payload from a sales invoice
+ * @param {Object} invoice - Sales invoice: { documentType, documentNumber, documentDate, supplyType, reverseCharge,
+ *   igstOnIntra, ecommerceGstin, seller, buyer, dispatchFrom, shipTo, items, discount, otherCharges, roundOff,
+ *   exportDetails, transport, precedingDocuments }
+ * @returns {Object} - E-invoice JSON
+ */
+const buildEInvoicePayload = (invoice) => {
+  const supplyType = invoice.supplyType || 'B2B';
+  const interState = isInterStateSupply(invoice);
+  const taxable = !isWithoutPayment(supplyType);
+
+  const buyer = buildParty(invoice.buyer);
+  buyer.Pos = normaliseStateCode((invoice.buyer || {}).placeOfSupply) || undefined;
+  if (isExport(supplyType)) {
+    buyer.Gstin = UNREGISTERED_BUYER;
+    buyer.Pos = OUTSIDE_INDIA;
+    buyer.Stcd = OUTSIDE_INDIA;
+    buyer.Pin = buyer.Pin || 999999;
+  }
+
+  const itemList = (invoice.items || []).map((item, index) => {
+    const quantity = round(item.quantity, 3);
+    const unitPrice = round(item.unitPrice, 3);
+    const totalAmount = round(quantity * unitPrice);
+    const discount = round(item.discount);
+    const assessableAmount = round(totalAmount - discount);
+    const gstRate = Number(item.gstRate) || 0;
+    const tax = taxable ? round(assessableAmount * gstRate / 100) : 0;
+    const cessRate = Number(item.cessRate) || 0;
+    const cessAmount = taxable ? round(assessableAmount * cessRate / 100) : 0;
+    const cessNonAdvol = taxable ? round(item.cessNonAdvolAmount) : 0;
+    const stateCessRate = Number(item.stateCessRate) || 0;
+    const stateCessAmount = taxable ? round(assessableAmount * stateCessRate / 100) : 0;
+    const stateCessNonAdvol = taxable ? round(item.stateCessNonAdvolAmount) : 0;
+    const otherCharges = round(item.otherCharges);
+
+    const line = {
+      SlNo: String(index + 1),
+      PrdDesc: item.description,
+      IsServc: yesNo(item.isService),
+      HsnCd: item.hsnCode ? String(item.hsnCode) : undefined,
+      Qty: quantity,
+      FreeQty: round(item.freeQuantity, 3),
+      Unit: item.unit || (item.isService ? 'OTH' : 'NOS'),
+      UnitPrice: unitPrice,
+      TotAmt: totalAmount,
+      Discount: discount,
+      PreTaxVal: round(item.preTaxValue),
+      AssAmt: assessableAmount,
+      GstRt: gstRate,
+      IgstAmt: interState ? tax : 0,
+      CgstAmt: interState ? 0 : round(tax / 2),
+      SgstAmt: interState ? 0 : round(tax / 2),
+      CesRt: cessRate,
+      CesAmt: cessAmount,
+      CesNonAdvlAmt: cessNonAdvol,
+      StateCesRt: stateCessRate,
+      StateCesAmt: stateCessAmount,
+      StateCesNonAdvlAmt: stateCessNonAdvol,
+      OthChrg: otherCharges
+    };
+    line.TotItemVal = round(line.AssAmt + line.IgstAmt + line.CgstAmt + line.SgstAmt + line.CesAmt +
+      line.CesNonAdvlAmt + line.StateCesAmt + line.StateCesNonAdvlAmt + line.OthChrg);
+    if (!line.HsnCd) delete line.HsnCd;
+    return line;
+  });
+
+  const sum = (field) => round(itemList.reduce((total, line) => total + line[field], 0));
+  const discount = round(invoice.discount);
+  const otherCharges = round(invoice.otherCharges);
+  const roundOff = round(invoice.roundOff);
+
+  const payload = {
+    Version: EINVOICE_VERSION,
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: supplyType,
+      RegRev: yesNo(invoice.reverseCharge),
+      IgstOnIntra: yesNo(invoice.igstOnIntra)
+    },
+    DocDtls: {
+      Typ: invoice.documentType || 'INV',
+      No: invoice.documentNumber ? String(invoice.documentNumber).trim() : undefined,
+      Dt: invoice.documentDate ? toEInvoiceDate(invoice.documentDate) : undefined
+    },
+    SellerDtls: buildParty(invoice.seller),
+    BuyerDtls: buyer,
+    ItemList: itemList,
+    ValDtls: {
+      AssVal: sum('AssAmt'),
+      CgstVal: sum('CgstAmt'),
+      SgstVal: sum('SgstAmt'),
+      IgstVal: sum('IgstAmt'),
+      CesVal: round(sum('CesAmt') + sum('CesNonAdvlAmt')),
+      StCesVal: round(sum('StateCesAmt') + sum('StateCesNonAdvlAmt')),
+      Discount: discount,
+      OthChrg: otherCharges,
+      RndOffAmt: roundOff,
+      TotInvVal: round(sum('TotItemVal') - discount + otherCharges + roundOff)
+    }
+  };
+
+  if (invoice.ecommerceGstin) payload.TranDtls.EcmGstin = String(invoice.ecommerceGstin).trim().toUpperCase();
+  if (invoice.dispatchFrom) payload.DispDtls = buildLocation(invoice.dispatchFrom);
+  if (invoice.shipTo) payload.ShipDtls = buildLocation(invoice.shipTo);
+
+  if (isExport(supplyType) && invoice.exportDetails) {
+    const exp = invoice.exportDetails;
+    payload.ExpDtls = {
+      ShipBNo: exp.shippingBillNumber || undefined,
+      ShipBDt: exp.shippingBillDate ? toEInvoiceDate(exp.shippingBillDate) : undefined,
+      Port: exp.portCode || undefined,
+      RefClm: yesNo(exp.refundClaim),
+      ForCur: exp.currency || undefined,
+      CntCode: exp.countryCode || undefined,
+      ExpDuty: exp.exportDuty !== undefined ? round(exp.exportDuty) : undefined
+    };
+    if (exp.foreignValue !== undefined) payload.ValDtls.TotInvValFc = round(exp.foreignValue);
+  }
+
+  if (invoice.transport) {
+    const transport = invoice.transport;
+    payload.EwbDtls = {
+      TransId: transport.transporterId || undefined,
+      TransName: transport.transporterName || undefined,
+      TransMode: transport.mode || undefined,
+      Distance: Number(transport.distance) || 0,
+      TransDocNo: transport.documentNumber || undefined,
+      TransDocDt: transport.documentDate ? toEInvoiceDate(transport.documentDate) : undefined,
+      VehNo: transport.vehicleNumber || undefined,
+      VehType: transport.vehicleType || undefined
+    };
+  }
+
+  if (invoice.precedingDocuments && invoice.precedingDocuments.length > 0) {
+    payload.RefDtls = {
+      PrecDocDtls: invoice.precedingDocuments.map(doc => ({
+        InvNo: doc.documentNumber,
+        InvDt: toEInvoiceDate(doc.documentDate),
+        OthRefNo: doc.otherReference || undefined
+      }))
+    };
+  }
+
+  return JSON.parse(JSON.stringify(payload));
+};
+
+const checkLength = (errors, field, value, min, max, required = true) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) errors.push({ field, message: `${field} is required`, severity: 'error' });
+    return;
+  }
+  const length = String(value).length;
+  if (length < min || length > max) {
+    errors.push({ field, message: `${field} must be ${min} to ${max} characters`, severity: 'error' });
+  }
+};
+
+const checkAmount = (errors, field, declared, expected) => {
+  if (Math.abs((Number(declared) || 0) - expected) > TOLERANCE) {
+    errors.push({ field, message: `${field} ${declared} does not match computed value ${round(expected)}`, severity: 'error' });
+  }
+};
+
+const validateParty = (errors, prefix, party, options = {}) => {
+  if (!party) {
+    errors.push({ field: prefix, message: `${prefix} is required`, severity: 'error' });
+    return;
+  }
+
+  if (!(options.allowUnregistered && party.Gstin === UNREGISTERED_BUYER)) {
+    const decoded = decodeGSTIN(party.Gstin);
+    if (!decoded.valid) {
+      errors.push({ field: `${prefix}.Gstin`, message: decoded.errors[0], severity: 'error' });
+    } else if (party.Stcd && options.matchState && party.Stcd !== decoded.stateCode) {
+      errors.push({ field: `${prefix}.Stcd`, message: `State code ${party.Stcd} does not match GSTIN state ${decoded.stateCode}`, severity: 'error' });
+    }
+  }
+
+  checkLength(errors, `${prefix}.LglNm`, party.LglNm, 3, 100);
+  checkLength(errors, `${prefix}.TrdNm`, party.TrdNm, 3, 100, false);
+  checkLength(errors, `${prefix}.Addr1`, party.Addr1, 1, 100);
+  checkLength(errors, `${prefix}.Addr2`, party.Addr2, 3, 100, false);
+  checkLength(errors, `${prefix}.Loc`, party.Loc, 3, 50);
+
+  if (!Number.isInteger(party.Pin) || party.Pin < 100000 || party.Pin > 999999) {
+    errors.push({ field: `${prefix}.Pin`, message: 'PIN code must be a 6 digit number', severity: 'error' });
+  }
+  if (!party.Stcd || !(STATE_CODES[party.Stcd] || (options.allowUnregistered && party.Stcd === OUTSIDE_INDIA))) {
+    errors.push({ field: `${prefix}.Stcd`, message: 'Invalid state code', severity: 'error' });
+  }
+  if (party.Ph && !/^[0-9]{6,12}$/.test(party.Ph)) {
+    errors.push({ field: `${prefix}.Ph`, message: 'Phone must be 6 to 12 digits', severity: 'error' });
+  }
+  if (party.Em && (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(party.Em) || party.Em.length < 6 || party.Em.length > 100)) {
+    errors.push({ field: `${prefix}.Em`, message: 'Invalid email', severity: 'error' });
+  }
+};
+
+/**
+ * Check an e-invoice payload against the INV-01 v1.1 schema and IRP business rules
+ * @param {Object} payload - E-invoice JSON
+ * @param {Object} options - { asOf } date used for the future-date check
+ * @returns {Array} - Validation errors ({ field, message, severity })
+ */
+const validateEInvoicePayload = (payload, options = {}) => {
+  const errors = [];
+  const { asOf = new Date() } = options;
+
+  if (payload.Version !== EINVOICE_VERSION) {
+    errors.push({ field: 'Version', message: `Version must be ${EINVOICE_VERSION}`, severity: 'error' });
+  }
+
+  const tran = payload.TranDtls || {};
+  const supplyType = tran.SupTyp;
+  if (tran.TaxSch !== 'GST') errors.push({ field: 'TranDtls.TaxSch', message: 'Tax scheme must be GST', severity: 'error' });
+  if (!SUPPLY_TYPES.includes(supplyType)) {
+    errors.push({ field: 'TranDtls.SupTyp', message: `Supply type must be one of ${SUPPLY_TYPES.join(', ')}`, severity: 'error' });
+  }
+  if (tran.EcmGstin) {
+    const ecm = decodeGSTIN(tran.EcmGstin);
+    if (!ecm.valid || ecm.registrationType !== 'tcs') {
+      errors.push({ field: 'TranDtls.EcmGstin', message: 'E-commerce GSTIN must be a valid TCS registration', severity: 'error' });
+    }
+  }
+
+  const doc = payload.DocDtls || {};
+  if (!DOCUMENT_TYPES.includes(doc.Typ)) {
+    errors.push({ field: 'DocDtls.Typ', message: `Document type must be one of ${DOCUMENT_TYPES.join(', ')}`, severity: 'error' });
+  }
+  if (!doc.No || !/^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/.test(doc.No)) {
+    errors.push({ field: 'DocDtls.No', message: 'Document number must be 1 to 16 characters of letters, digits, / and -, not starting with 0, / or -', severity: 'error' });
+  }
+  const docDate = fromEInvoiceDate(doc.Dt);
+  if (!docDate) {
+    errors.push({ field: 'DocDtls.Dt', message: 'Document date must be in dd/mm/yyyy format', severity: 'error' });
+  } else if (docDate > asOf) {
+    errors.push({ field: 'DocDtls.Dt', message: 'Document date cannot be in the future', severity: 'error' });
+  }
+
+  const exportSupply = isExport(supplyType);
+  const seller = payload.SellerDtls;
+  const buyer = payload.BuyerDtls;
+  validateParty(errors, 'SellerDtls', seller, { matchState: true });
+  validateParty(errors, 'BuyerDtls', buyer, { allowUnregistered: exportSupply, matchState: !exportSupply });
+
+  if (buyer) {
+    if (exportSupply) {
+      if (buyer.Gstin !== UNREGISTERED_BUYER) {
+        errors.push({ field: 'BuyerDtls.Gstin', message: `Buyer GSTIN must be ${UNREGISTERED_BUYER} for exports`, severity: 'error' });
+      }
+      if (buyer.Pos !== OUTSIDE_INDIA) {
+        errors.push({ field: 'BuyerDtls.Pos', message: `Place of supply must be ${OUTSIDE_INDIA} for exports`, severity: 'error' });
+      }
+    } else if (!buyer.Pos || !(STATE_CODES[buyer.Pos] || buyer.Pos === OTHER_TERRITORY)) {
+      errors.push({ field: 'BuyerDtls.Pos', message: 'Invalid place of supply', severity: 'error' });
+    }
+    if (seller && seller.Gstin && seller.Gstin === buyer.Gstin) {
+      errors.push({ field: 'BuyerDtls.Gstin', message: 'Buyer GSTIN cannot be the same as the seller GSTIN', severity: 'error' });
+    }
+  }
+
+  const interState = supplyType !== 'B2B' && supplyType !== 'DEXP'
+    ? true
+    : tran.IgstOnIntra === 'Y' || !seller || !buyer || seller.Stcd !== buyer.Pos;
+
+  const items = payload.ItemList || [];
+  if (items.length === 0 || items.length > 1000) {
+    errors.push({ field: 'ItemList', message: 'An e-invoice must have between 1 and 1000 items', severity: 'error' });
+  }
+
+  const serialNumbers = new Set();
+  items.forEach((item, index) => {
+    const prefix = `ItemList[${index}]`;
+    if (!item.SlNo || serialNumbers.has(item.SlNo)) {
+      errors.push({ field: `${prefix}.SlNo`, message: 'Item serial number is required and must be unique', severity: 'error' });
+    }
+    serialNumbers.add(item.SlNo);
+    checkLength(errors, `${prefix}.PrdDesc`, item.PrdDesc, 3, 300, false);
+
+    if (!item.HsnCd || !/^[0-9]{4,8}$/.test(item.HsnCd)) {
+      errors.push({ field: `${prefix}.HsnCd`, message: 'HSN/SAC code must be 4 to 8 digits', severity: 'error' });
+    } else if ((item.IsServc === 'Y') !== item.HsnCd.startsWith('99')) {
+      errors.push({ field: `${prefix}.HsnCd`, message: item.IsServc === 'Y' ? 'Services must use a SAC code (chapter 99)' : 'Goods cannot use a SAC code (chapter 99)', severity: 'error' });
+    }
+    if (!VALID_RATES.includes(item.GstRt)) {
+      errors.push({ field: `${prefix}.GstRt`, message: `GST rate must be one of ${VALID_RATES.join(', ')}`, severity: 'error' });
+    }
+    if (item.Qty < 0 || item.UnitPrice < 0) {
+      errors.push({ field: `${prefix}.Qty`, message: 'Quantity and unit price cannot be negative', severity: 'error' });
+    }
+    if (item.IsServc !== 'Y' && item.Qty > 0) checkLength(errors, `${prefix}.Unit`, item.Unit, 3, 8);
+
+    checkAmount(errors, `${prefix}.TotAmt`, item.TotAmt, (item.Qty || 0) * (item.UnitPrice || 0));
+    checkAmount(errors, `${prefix}.AssAmt`, item.AssAmt, (item.TotAmt || 0) - (item.Discount || 0));
+
+    const tax = isWithoutPayment(supplyType) ? 0 : (item.AssAmt || 0) * (item.GstRt || 0) / 100;
+    if (interState) {
+      checkAmount(errors, `${prefix}.IgstAmt`, item.IgstAmt, tax);
+      if (item.CgstAmt || item.SgstAmt) {
+        errors.push({ field: `${prefix}.CgstAmt`, message: 'CGST/SGST cannot be charged on an inter-State supply', severity: 'error' });
+      }
+    } else {
+      checkAmount(errors, `${prefix}.CgstAmt`, item.CgstAmt, tax / 2);
+      checkAmount(errors, `${prefix}.SgstAmt`, item.SgstAmt, tax / 2);
+      if (item.IgstAmt) {
+        errors.push({ field: `${prefix}.IgstAmt`, message: 'IGST cannot be charged on an intra-State supply', severity: 'error' });
+      }
+    }
+
+    checkAmount(errors, `${prefix}.TotItemVal`, item.TotItemVal, (item.AssAmt || 0) + (item.IgstAmt || 0) + (item.CgstAmt || 0) +
+      (item.SgstAmt || 0) + (item.CesAmt || 0) + (item.CesNonAdvlAmt || 0) + (item.StateCesAmt || 0) +
+      (item.StateCesNonAdvlAmt || 0) + (item.OthChrg || 0));
+  });
+
+  const val = payload.ValDtls;
+  if (!val) {
+    errors.push({ field: 'ValDtls', message: 'Value details are required', severity: 'error' });
+  } else {
+    const total = (field) => items.reduce((sum, item) => sum + (Number(item[field]) || 0), 0);
+    checkAmount(errors, 'ValDtls.AssVal', val.AssVal, total('AssAmt'));
+    checkAmount(errors, 'ValDtls.IgstVal', val.IgstVal, total('IgstAmt'));
+    checkAmount(errors, 'ValDtls.CgstVal', val.CgstVal, total('CgstAmt'));
+    checkAmount(errors, 'ValDtls.SgstVal', val.SgstVal, total('SgstAmt'));
+    checkAmount(errors, 'ValDtls.CesVal', val.CesVal, total('CesAmt') + total('CesNonAdvlAmt'));
+    checkAmount(errors, 'ValDtls.TotInvVal', val.TotInvVal, total('TotItemVal') - (val.Discount || 0) + (val.OthChrg || 0) + (val.RndOffAmt || 0));
+    if (Math.abs(val.RndOffAmt || 0) > 99.99) {
+      errors.push({ field: 'ValDtls.RndOffAmt', message: 'Round off cannot exceed 99.99', severity: 'error' });
+    }
+  }
+
+  if (exportSupply && !payload.ExpDtls) {
+    errors.push({ field: 'ExpDtls', message: 'Export details are recommended for export invoices', severity: 'warning' });
+  }
+
+  return errors;
+};
+
+/**
+ * IRN for an e-invoice payload
+ * @param {Object} payload - E-invoice JSON
+ * @returns {string|null}
+ */
+const getPayloadIRN = (payload) => {
+  const doc = payload.DocDtls || {};
+  const docDate = fromEInvoiceDate(doc.Dt);
+  if (!payload.SellerDtls || !payload.SellerDtls.Gstin || !docDate || !doc.No) return null;
+  return generateIRN({
+    sellerGstin: payload.SellerDtls.Gstin,
+    financialYear: getFinancialYear(docDate),
+    documentType: doc.Typ,
+    documentNumber: doc.No
+  });
+};
+
+/**
+ * Decode and verify an IRP-signed invoice or QR code (RS256 JWT)
+ * @param {string} token - SignedInvoice or SignedQRCode
+ * @param {Object} options - { publicKey } IRP public key (PEM); without it only the contents are checked
+ * @returns {Object} - { valid, signatureVerified, kind, header, data, irn, errors, warnings }
+ */
+const verifySignedEInvoice = (token, options = {}) => {
+  const { publicKey } = options;
+  const result = {
+    valid: false,
+    signatureVerified: false,
+    kind: null,
+    header: null,
+    data: null,
+    irn: null,
+    errors: [],
+    warnings: []
+  };
+
+  const decoded = jwt.decode(String(token || '').trim(), { complete: true });
+  if (!decoded || !decoded.payload) {
+    result.errors.push('Not a signed e-invoice or QR code');
+    return result;
+  }
+
+  result.header = decoded.header;
+  if (decoded.header.alg !== 'RS256') {
+    result.errors.push(`Unexpected signature algorithm ${decoded.header.alg}`);
+  }
+
+  let data = decoded.payload.data !== undefined ? decoded.payload.data : decoded.payload;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      result.errors.push('Signed data is not valid JSON');
+      return result;
+    }
+  }
+  result.data = data;
+
+  // Signed QR codes carry a summary; signed invoices carry the full payload with the IRP acknowledgement
+  let irnSource;
+  if (data.SellerGstin) {
+    result.kind = 'qr';
+    irnSource = { sellerGstin: data.SellerGstin, documentType: data.DocTyp, documentNumber: data.DocNo, documentDate: data.DocDt };
+  } else if (data.SellerDtls && data.DocDtls) {
+    result.kind = 'invoice';
+    irnSource = { sellerGstin: data.SellerDtls.Gstin, documentType: data.DocDtls.Typ, documentNumber: data.DocDtls.No, documentDate: data.DocDtls.Dt };
+  } else {
+    result.errors.push('Signed data is neither an e-invoice nor an e-invoice QR code');
+    return result;
+  }
+
+  result.irn = data.Irn || null;
+  const documentDate = fromEInvoiceDate(irnSource.documentDate);
+  if (!result.irn) {
+    result.errors.push('Signed data has no IRN');
+  } else if (documentDate) {
+    const expected = generateIRN({ ...irnSource, financialYear: getFinancialYear(documentDate) });
+    if (expected !== String(result.irn).toLowerCase()) {
+      result.errors.push('IRN does not match the supplier GSTIN, financial year and document details');
+    }
+  } else {
+    result.errors.push('Signed data has an invalid document date');
+  }
+
+  if (publicKey) {
+    try {
+      jwt.verify(String(token).trim(), publicKey, { algorithms: ['RS256'], ignoreExpiration: true });
+      result.signatureVerified = true;
+    } catch (error) {
+      result.errors.push('Signature verification failed');
+    }
+  } else {
+    result.warnings.push('IRP public key not configured; signature not verified');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+};
+
+module.exports = {
+  EINVOICE_VERSION,
+  SUPPLY_TYPES,
+  DOCUMENT_TYPES,
+  toEInvoiceDate,
+  fromEInvoiceDate,
+  getFinancialYear,
+  generateIRN,
+  getPayloadIRN,
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+  verifySignedEInvoice
+};
@@ -0,0 +1,200 @@
+// E-way bill validity (rule 138(10) of the CGST Rules), Part-B update, extension and cancellation rules
+
+// Distance covered per day of validity
+const KM_PER_DAY = {
+  Regular: 200,
+  'Over Dimensional Cargo (ODC)': 20
+};
+
+// Validity ends at midnight IST; extensions may be requested from 8 hours before to 8 hours after expiry
+const IST_OFFSET_MINUTES = 330;
+const EXTENSION_WINDOW_HOURS = 8;
+const CANCELLATION_WINDOW_HOURS = 24;
+
+const PART_B_REASONS = {
+  1: 'Due to Break Down',
+  2: 'Due to Transhipment',
+  3: 'Others',
+  4: 'First Time'
+};
+
+const EXTENSION_REASONS = {
+  1: 'Natural Calamity',
+  2: 'Law and Order Situation',
+  4: 'Transhipment',
+  5: 'Accident',
+  99: 'Others'
+};
+
+const CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Order Cancelled',
+  3: 'Data Entry Mistake',
+  4: 'Others'
+};
+
+// Regular vehicle numbers (MH12AB1234), temporary registrations (TRxxxx) and defence vehicles
+const VEHICLE_NO_REGEX = /^([A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}|TR[0-9A-Z]{7,13}|[0-9]{2}[A-Z][0-9]{6}[A-Z])$/;
+
+/**
+ * Normalise a vehicle number to the portal format (upper case, no spaces or hyphens)
+ * @param {string} vehicleNo - Vehicle number as entered
+ * @returns {string|undefined}
+ */
+const normalizeVehicleNo = (vehicleNo) => (vehicleNo ? vehicleNo.replace(/[\s-]/g, '').toUpperCase() : undefined);
+
+/**
+ * Number of days an e-way bill is valid for a distance
+ * @param {number} distance - Distance in km
+ * @param {string} vehicleType - 'Regular' or 'Over Dimensional Cargo (ODC)'
+ * @returns {number}
+ */
+const getValidityDays = (distance, vehicleType = 'Regular') => {
+  const kmPerDay = KM_PER_DAY[vehicleType] || KM_PER_DAY.Regular;
+  return Math.max(1, Math.ceil((Number(distance) || 0) / kmPerDay));
+};
+
+/**
+ * Midnight IST at the end of the day falling a number of days after a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} - Last millisecond of that IST day
+ */
+const endOfISTDay = (date, days) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const end = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() + days, 23, 59, 59, 999);
+  return new Date(end - IST_OFFSET_MINUTES * 60 * 1000);
+};
+
+/**
+ * Validity of an e-way bill: one day per 200 km (20 km for ODC), each day expiring at midnight following
+ * the date the validity starts from
+ * @param {number} distance - Distance in km
+ * @param {string} vehicleType - Vehicle type
+ * @param {Date} from - Date the validity runs from (Part-B entry or current expiry for extensions)
+ * @returns {Date}
+ */
+const calculateValidUpto = (distance, vehicleType, from = new Date()) => endOfISTDay(from, getValidityDays(distance, vehicleType));
+
+/**
+ * Whether the transport details (Part-B) are complete for the mode of transport
+ * @param {Object} details - { transMode, vehicleNo, transDocNo }
+ * @returns {boolean}
+ */
+const isPartBComplete = ({ transMode, vehicleNo, transDocNo }) => (
+  transMode === 'Road' ? Boolean(vehicleNo) : Boolean(transDocNo)
+);
+
+/**
+ * Window within which the validity of an e-way bill may be extended
+ * @param {Date} validUpto - Current validity
+ * @returns {Object} - { from, to }
+ */
+const getExtensionWindow = (validUpto) => ({
+  from: new Date(validUpto.getTime() - EXTENSION_WINDOW_HOURS * 60 * 60 * 1000),
+  to: new Date(validUpto.getTime() + EXTENSION_WINDOW_HOURS * 60 * 60 * 1000)
+});
+
+/**
+ * Last moment an e-way bill may be cancelled
+ * @param {Date} generatedDate - Generation date
+ * @returns {Date}
+ */
+const getCancellationDeadline = (generatedDate) => new Date(generatedDate.getTime() + CANCELLATION_WINDOW_HOURS * 60 * 60 * 1000);
+
+/**
+ * Whether an e-way bill is generated and not past its validity; bills still awaiting Part-B count as active
+ * @param {Object} eWayBill - E-way bill document
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+const isEWayBillActive = (eWayBill, now = new Date()) => (
+  eWayBill.status === 'generated' && (!eWayBill.validUpto || eWayBill.validUpto >= now)
+);
+
+/**
+ * Print layout of an e-way bill, split into Part-A (consignment) and Part-B (transport) as on the portal print
+ * @param {Object} eWayBill - E-way bill document
+ * @returns {Object}
+ */
+const buildEWayBillPrint = (eWayBill) => ({
+  ewbNo: eWayBill.ewbNo,
+  status: eWayBill.status,
+  generatedDate: eWayBill.generatedDate,
+  validUpto: eWayBill.validUpto || null,
+  generatedBy: eWayBill.fromGstin,
+  partA: {
+    supplierGstin: eWayBill.fromGstin,
+    supplierName: eWayBill.fromTrdName,
+    placeOfDispatch: `${eWayBill.dispatchFromPlace || eWayBill.fromPlace} - ${eWayBill.dispatchFromPincode || eWayBill.fromPincode}`,
+    recipientGstin: eWayBill.toGstin || 'URP',
+    recipientName: eWayBill.toTrdName,
+    placeOfDelivery: `${eWayBill.shipToPlace || eWayBill.toPlace} - ${eWayBill.shipToPincode || eWayBill.toPincode}`,
+    documentType: eWayBill.docType,
+    documentNo: eWayBill.docNo,
+    documentDate: eWayBill.docDate,
+    transactionType: eWayBill.transactionType,
+    valueOfGoods: eWayBill.totalInvoiceValue,
+    hsnCode: eWayBill.mainHsnCode || (eWayBill.itemList[0] && eWayBill.itemList[0].hsnCode),
+    reasonForTransportation: eWayBill.subType,
+    transporter: eWayBill.transporterId ? `${eWayBill.transporterId} - ${eWayBill.transporterName || ''}`.trim() : null,
+    distance: eWayBill.transDistance
+  },
+  partB: {
+    mode: eWayBill.transMode,
+    vehicleNo: eWayBill.vehicleNo || null,
+    transDocNo: eWayBill.transDocNo || null,
+    transDocDate: eWayBill.transDocDate || null,
+    currentPlace: eWayBill.currentLocation || eWayBill.fromPlace
+  }
+});
+
+/**
+ * Print layout of a consolidated e-way bill (trip sheet) with one line per member e-way bill
+ * @param {Object} consolidated - Consolidated e-way bill document
+ * @param {Array} eWayBills - Member e-way bill documents
+ * @returns {Object}
+ */
+const buildConsolidatedEWayBillPrint = (consolidated, eWayBills) => ({
+  cewbNo: consolidated.cewbNo,
+  generatedDate: consolidated.generatedDate,
+  fromPlace: consolidated.fromPlace,
+  fromStateCode: consolidated.fromStateCode,
+  transMode: consolidated.transMode,
+  vehicleNo: consolidated.vehicleNo || null,
+  transDocNo: consolidated.transDocNo || null,
+  transDocDate: consolidated.transDocDate || null,
+  totalEWayBills: eWayBills.length,
+  totalValue: eWayBills.reduce((sum, eWayBill) => sum + (eWayBill.totalInvoiceValue || 0), 0),
+  eWayBills: eWayBills.map(eWayBill => ({
+    ewbNo: eWayBill.ewbNo,
+    status: eWayBill.status,
+    documentNo: eWayBill.docNo,
+    documentDate: eWayBill.docDate,
+    supplierGstin: eWayBill.fromGstin,
+    recipientGstin: eWayBill.toGstin || 'URP',
+    placeOfDelivery: eWayBill.shipToPlace || eWayBill.toPlace,
+    valueOfGoods: eWayBill.totalInvoiceValue,
+    validUpto: eWayBill.validUpto || null
+  }))
+});
+
+module.exports = {
+  KM_PER_DAY,
+  EXTENSION_WINDOW_HOURS,
+  CANCELLATION_WINDOW_HOURS,
+  PART_B_REASONS,
+  EXTENSION_REASONS,
+  CANCEL_REASONS,
+  VEHICLE_NO_REGEX,
+  normalizeVehicleNo,
+  getValidityDays,
+  endOfISTDay,
+  calculateValidUpto,
+  isPartBComplete,
+  getExtensionWindow,
+  getCancellationDeadline,
+  isEWayBillActive,
+  buildEWayBillPrint,
+  buildConsolidatedEWayBillPrint
+};
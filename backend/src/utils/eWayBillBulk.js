@@ -0,0 +1,254 @@
+// Bulk e-way bill upload: the portal's bulk-generation JSON and the one-row-per-item Excel template,
+// both mapped to EWayBill fields
+
+const { readSpreadsheet, writeSpreadsheet, parseNumber, parseDate } = require('./spreadsheet');
+const { normaliseStateCode } = require('./placeOfSupply');
+
+// Code tables of the bulk-generation JSON
+const SUPPLY_TYPES = { O: 'Outward', I: 'Inward' };
+const SUB_SUPPLY_TYPES = {
+  1: 'Supply',
+  2: 'Import',
+  3: 'Export',
+  4: 'Job Work',
+  5: 'For Own Use',
+  6: 'Job Work',
+  7: 'Sales Return',
+  8: 'Others',
+  9: 'Others',
+  10: 'Others',
+  11: 'Others',
+  12: 'Others'
+};
+const DOC_TYPES = {
+  INV: 'Tax Invoice',
+  BIL: 'Bill of Supply',
+  CHL: 'Delivery Challan',
+  CNT: 'Credit Note',
+  BOE: 'Others',
+  OTH: 'Others'
+};
+const TRANSACTION_TYPES = {
+  1: 'Regular',
+  2: 'Bill To - Ship To',
+  3: 'Bill From - Dispatch From',
+  4: 'Combination of 2 and 3'
+};
+const TRANS_MODES = { 1: 'Road', 2: 'Rail', 3: 'Air', 4: 'Ship' };
+const VEHICLE_TYPES = { R: 'Regular', O: 'Over Dimensional Cargo (ODC)' };
+
+// Excel template columns (one row per item; bill columns repeat on every item row)
+const TEMPLATE_BILL_COLUMNS = [
+  ['supply_type', 'supplyType'],
+  ['sub_type', 'subType'],
+  ['doc_type', 'docType'],
+  ['doc_no', 'docNo'],
+  ['doc_date', 'docDate'],
+  ['transaction_type', 'transactionType'],
+  ['from_gstin', 'fromGstin'],
+  ['from_trade_name', 'fromTrdName'],
+  ['from_address_1', 'fromAddr1'],
+  ['from_address_2', 'fromAddr2'],
+  ['from_place', 'fromPlace'],
+  ['from_pincode', 'fromPincode'],
+  ['from_state_code', 'fromStateCode'],
+  ['to_gstin', 'toGstin'],
+  ['to_trade_name', 'toTrdName'],
+  ['to_address_1', 'toAddr1'],
+  ['to_address_2', 'toAddr2'],
+  ['to_place', 'toPlace'],
+  ['to_pincode', 'toPincode'],
+  ['to_state_code', 'toStateCode'],
+  ['other_value', 'otherValue'],
+  ['trans_mode', 'transMode'],
+  ['distance_km', 'transDistance'],
+  ['transporter_id', 'transporterId'],
+  ['transporter_name', 'transporterName'],
+  ['trans_doc_no', 'transDocNo'],
+  ['trans_doc_date', 'transDocDate'],
+  ['vehicle_no', 'vehicleNo'],
+  ['vehicle_type', 'vehicleType']
+];
+const TEMPLATE_ITEM_COLUMNS = [
+  ['product_name', 'productName'],
+  ['product_description', 'productDesc'],
+  ['hsn_code', 'hsnCode'],
+  ['quantity', 'quantity'],
+  ['unit', 'qtyUnit'],
+  ['taxable_amount', 'taxableAmount'],
+  ['gst_rate', 'igstRate'],
+  ['cess_rate', 'cessRate'],
+  ['cess_non_advol', 'cessAdvol']
+];
+
+const COLUMN_ALIASES = [...TEMPLATE_BILL_COLUMNS, ...TEMPLATE_ITEM_COLUMNS].reduce(
+  (aliases, [column, field]) => ({ ...aliases, [column]: field }),
+  { document_no: 'docNo', document_date: 'docDate', hsn: 'hsnCode', distance: 'transDistance', uqc: 'qtyUnit' }
+);
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Resolve a value given as a code of the bulk JSON or as the EWayBill enum text
+const fromCodeOrText = (value, codes) => {
+  const raw = text(value);
+  if (!raw) return undefined;
+  const coded = codes[raw.toUpperCase()];
+  if (coded) return coded;
+  return Object.values(codes).find(option => option.toLowerCase() === raw.toLowerCase());
+};
+
+/**
+ * Map one bill of the bulk-generation JSON to EWayBill fields
+ * @param {Object} bill - Entry of billLists
+ * @returns {Object} - { data, errors }
+ */
+const mapBulkJsonBill = (bill) => {
+  const errors = [];
+  const coded = (field, value, codes, label) => {
+    const mapped = fromCodeOrText(value, codes);
+    if (value !== undefined && value !== '' && !mapped) {
+      errors.push({ field, message: `Invalid ${label} ${value}`, severity: 'error' });
+    }
+    return mapped;
+  };
+
+  const transType = coded('transType', bill.transType || 1, TRANSACTION_TYPES, 'transaction type');
+  const fromStateCode = normaliseStateCode(bill.fromStateCode) || undefined;
+  const toStateCode = normaliseStateCode(bill.toStateCode) || undefined;
+  const actualFromStateCode = normaliseStateCode(bill.actualFromStateCode);
+  const actualToStateCode = normaliseStateCode(bill.actualToStateCode);
+
+  const data = {
+    supplyType: coded('supplyType', bill.supplyType, SUPPLY_TYPES, 'supply type'),
+    subType: coded('subSupplyType', bill.subSupplyType, SUB_SUPPLY_TYPES, 'sub supply type'),
+    docType: coded('docType', bill.docType, DOC_TYPES, 'document type'),
+    docNo: text(bill.docNo),
+    docDate: parseDate(bill.docDate) || undefined,
+    transactionType: transType,
+    fromGstin: text(bill.fromGstin).toUpperCase(),
+    fromTrdName: text(bill.fromTrdName),
+    fromAddr1: text(bill.fromAddr1),
+    fromAddr2: text(bill.fromAddr2) || undefined,
+    fromPlace: text(bill.fromPlace) || undefined,
+    fromPincode: text(bill.fromPincode),
+    fromStateCode,
+    dispatchFromStateCode: actualFromStateCode && actualFromStateCode !== fromStateCode ? actualFromStateCode : undefined,
+    toGstin: ['', 'URP'].includes(text(bill.toGstin).toUpperCase()) ? undefined : text(bill.toGstin).toUpperCase(),
+    toTrdName: text(bill.toTrdName),
+    toAddr1: text(bill.toAddr1),
+    toAddr2: text(bill.toAddr2) || undefined,
+    toPlace: text(bill.toPlace) || undefined,
+    toPincode: text(bill.toPincode),
+    toStateCode,
+    shipToStateCode: actualToStateCode && actualToStateCode !== toStateCode ? actualToStateCode : undefined,
+    otherValue: parseNumber(bill.OthValue) || 0,
+    transMode: coded('transMode', bill.transMode, TRANS_MODES, 'transport mode') || 'Road',
+    transDistance: parseNumber(bill.transDistance) || undefined,
+    transporterId: text(bill.transporterId) || undefined,
+    transporterName: text(bill.transporterName) || undefined,
+    transDocNo: text(bill.transDocNo) || undefined,
+    transDocDate: parseDate(bill.transDocDate) || undefined,
+    vehicleNo: text(bill.vehicleNo) || undefined,
+    vehicleType: coded('vehicleType', bill.vehicleType, VEHICLE_TYPES, 'vehicle type'),
+    mainHsnCode: text(bill.mainHsnCode) || undefined,
+    itemList: (Array.isArray(bill.itemList) ? bill.itemList : []).map(item => ({
+      productName: text(item.productName),
+      productDesc: text(item.productDesc) || undefined,
+      hsnCode: text(item.hsnCode),
+      quantity: parseNumber(item.quantity),
+      qtyUnit: text(item.qtyUnit),
+      taxableAmount: parseNumber(item.taxableAmount),
+      cgstRate: parseNumber(item.cgstRate) || 0,
+      sgstRate: parseNumber(item.sgstRate) || 0,
+      igstRate: parseNumber(item.igstRate) || 0,
+      cessRate: parseNumber(item.cessRate) || 0,
+      cessAdvol: parseNumber(item.cessNonAdvol) || 0
+    }))
+  };
+
+  if (bill.docDate && !data.docDate) {
+    errors.push({ field: 'docDate', message: `Invalid document date ${bill.docDate}`, severity: 'error' });
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Read the bulk-generation JSON ({ version, billLists: [...] })
+ * @param {Buffer|Object} input - File contents or parsed JSON
+ * @returns {Array} - Bills as { ref, docNo, data, errors }
+ */
+const readBulkJson = (input) => {
+  const json = Buffer.isBuffer(input) ? JSON.parse(input.toString('utf8')) : input;
+  if (!json || !Array.isArray(json.billLists)) {
+    throw new Error('Bulk E-Way Bill JSON must contain a billLists array');
+  }
+
+  return json.billLists.map((bill, index) => {
+    const { data, errors } = mapBulkJsonBill(bill || {});
+    return { ref: `billLists[${index}]`, docNo: data.docNo, data, errors };
+  });
+};
+
+/**
+ * Read the Excel template, grouping item rows into bills by supplier GSTIN, document type and number
+ * @param {Buffer} buffer - CSV or Excel file
+ * @returns {Promise<Array>} - Bills as { ref, docNo, data, errors }
+ */
+const readBulkExcel = async (buffer) => {
+  const rows = await readSpreadsheet(buffer, { aliases: COLUMN_ALIASES });
+  const bills = new Map();
+
+  rows.forEach(row => {
+    const key = `${text(row.fromGstin).toUpperCase()}|${text(row.docType).toUpperCase()}|${text(row.docNo)}`;
+    if (!bills.has(key)) {
+      const bill = { itemList: [] };
+      TEMPLATE_BILL_COLUMNS.forEach(([, field]) => { bill[field] = row[field]; });
+      bills.set(key, { rows: [], bill });
+    }
+    const entry = bills.get(key);
+    entry.rows.push(row._row);
+    const item = {};
+    TEMPLATE_ITEM_COLUMNS.forEach(([, field]) => { item[field] = row[field]; });
+    entry.bill.itemList.push(item);
+  });
+
+  return [...bills.values()].map(({ rows: rowNumbers, bill }) => {
+    const { data, errors } = mapBulkJsonBill({
+      ...bill,
+      subSupplyType: bill.subType,
+      transType: bill.transactionType,
+      OthValue: bill.otherValue,
+      itemList: bill.itemList.map(item => ({ ...item, cessNonAdvol: item.cessAdvol }))
+    });
+    const ref = rowNumbers.length > 1 ? `Rows ${rowNumbers[0]}-${rowNumbers[rowNumbers.length - 1]}` : `Row ${rowNumbers[0]}`;
+    return { ref, docNo: data.docNo, data, errors };
+  });
+};
+
+/**
+ * Blank Excel template with an example bill
+ * @returns {Promise<Buffer>} - XLSX file
+ */
+const buildBulkTemplate = () => {
+  const columns = [...TEMPLATE_BILL_COLUMNS, ...TEMPLATE_ITEM_COLUMNS].map(([column]) => column);
+  const example = [
+    'Outward', 'Supply', 'Tax Invoice', 'INV/001', '01/04/2026', 'Regular',
+    '27AAPFU0939F1ZV', 'Supplier Pvt Ltd', 'Plot 1, MIDC', '', 'Pune', '411001', '27',
+    '29AAACB2894G1ZJ', 'Buyer Ltd', '12 MG Road', '', 'Bengaluru', '560001', '29',
+    0, 'Road', 850, '', '', '', '', 'MH12AB1234', 'Regular',
+    'Steel pipes', '', '7306', 100, 'NOS', 50000, 18, 0, 0
+  ];
+  return writeSpreadsheet({ 'E-Way Bills': [columns, example] });
+};
+
+module.exports = {
+  SUB_SUPPLY_TYPES,
+  DOC_TYPES,
+  TRANSACTION_TYPES,
+  TRANS_MODES,
+  mapBulkJsonBill,
+  readBulkJson,
+  readBulkExcel,
+  buildBulkTemplate
+};
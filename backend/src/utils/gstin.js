@@ -0,0 +1,175 @@
+// Offline GSTIN validation (format and mod-36 check digit) and decoding
+
+const { STATE_CODES } = require('./placeOfSupply');
+
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Formats by registration type. Normal and TCS registrations embed a PAN, TDS registrations a TAN.
+const REGISTRATION_TYPES = {
+  normal: { label: 'Normal taxpayer', pattern: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, identifier: 'pan' },
+  tds: { label: 'Tax deductor (TDS)', pattern: /^[0-9]{2}[A-Z]{4}[0-9]{5}[A-Z][1-9A-Z]D[0-9A-Z]$/, identifier: 'tan' },
+  tcs: { label: 'E-commerce operator (TCS)', pattern: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]C[0-9A-Z]$/, identifier: 'pan' },
+  nrtp: { label: 'Non-resident taxable person', pattern: /^[0-9]{4}[A-Z]{3}[0-9]{5}NR[0-9A-Z]$/ },
+  uin: { label: 'UN body / embassy (UIN)', pattern: /^[0-9]{4}[A-Z]{3}[0-9]{5}UN[0-9A-Z]$/ }
+};
+
+const PAN_REGEX = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+const normaliseGSTIN = (gstin) => (typeof gstin === 'string' ? gstin.trim().toUpperCase() : '');
+
+/**
+ * Calculate the mod-36 check digit for the first 14 characters of a GSTIN
+ * @param {string} base - First 14 characters
+ * @returns {string|null} - Check character or null if the input has invalid characters
+ */
+const calculateCheckDigit = (base) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const value = CHARSET.indexOf(base[i]);
+    if (value < 0) return null;
+    const product = value * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Work out the registration type from the GSTIN layout
+ * @param {string} gstin - Normalised GSTIN
+ * @returns {string|null} - Key of REGISTRATION_TYPES
+ */
+const getRegistrationType = (gstin) => Object.keys(REGISTRATION_TYPES)
+  .find(type => REGISTRATION_TYPES[type].pattern.test(gstin)) || null;
+
+/**
+ * Decode a GSTIN into its parts and validate it offline
+ * @param {string} gstin - GSTIN
+ * @returns {Object} - { gstin, valid, errors, stateCode, stateName, registrationType, pan, tan, entityNumber, checkDigit }
+ */
+const decodeGSTIN = (gstin) => {
+  const value = normaliseGSTIN(gstin);
+  const result = {
+    gstin: value,
+    valid: false,
+    errors: [],
+    stateCode: null,
+    stateName: null,
+    registrationType: null,
+    registrationTypeLabel: null,
+    pan: null,
+    tan: null,
+    entityNumber: null,
+    checkDigit: null
+  };
+
+  if (value.length !== 15) {
+    result.errors.push('GSTIN must be 15 characters long');
+    return result;
+  }
+
+  const registrationType = getRegistrationType(value);
+  if (!registrationType) {
+    result.errors.push('Invalid GSTIN format');
+    return result;
+  }
+
+  const type = REGISTRATION_TYPES[registrationType];
+  result.registrationType = registrationType;
+  result.registrationTypeLabel = type.label;
+  result.stateCode = value.substring(0, 2);
+  result.stateName = STATE_CODES[result.stateCode] ? STATE_CODES[result.stateCode].name : null;
+  result.checkDigit = value[14];
+
+  if (type.identifier) {
+    result[type.identifier] = value.substring(2, 12);
+    result.entityNumber = value[12];
+  }
+
+  if (!result.stateName) {
+    result.errors.push(`Unknown state code ${result.stateCode}`);
+  }
+
+  const expected = calculateCheckDigit(value.substring(0, 14));
+  if (expected !== result.checkDigit) {
+    result.errors.push('Invalid GSTIN check digit');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+};
+
+/**
+ * Check whether a GSTIN is valid offline
+ * @param {string} gstin - GSTIN
+ * @param {Array} types - Allowed registration types (all if omitted)
+ * @returns {boolean}
+ */
+const isValidGSTIN = (gstin, types) => {
+  const decoded = decodeGSTIN(gstin);
+  return decoded.valid && (!types || types.includes(decoded.registrationType));
+};
+
+/**
+ * express-validator custom validator; throws with the first decoding error
+ * @param {Array} types - Allowed registration types (all if omitted)
+ * @returns {Function}
+ */
+const gstinValidator = (types) => (value) => {
+  const decoded = decodeGSTIN(value);
+  if (!decoded.valid) {
+    throw new Error(decoded.errors[0]);
+  }
+  if (types && !types.includes(decoded.registrationType)) {
+    throw new Error(`${decoded.registrationTypeLabel} GSTIN is not allowed here`);
+  }
+  return true;
+};
+
+// Mongoose validator for GSTIN paths
+const gstinSchemaValidator = {
+  validator: (value) => isValidGSTIN(value),
+  message: (props) => `${props.value} is not a valid GSTIN`
+};
+
+/**
+ * Compare a GSTIN with a party's declared state and PAN
+ * @param {string} gstin - GSTIN
+ * @param {Object} declared - { stateCode, pan }
+ * @returns {Object} - Decoded GSTIN with a `mismatches` array
+ */
+const checkGSTINAgainstParty = (gstin, declared = {}) => {
+  const decoded = decodeGSTIN(gstin);
+  const mismatches = [];
+
+  if (decoded.valid) {
+    if (declared.stateCode && declared.stateCode !== decoded.stateCode) {
+      mismatches.push({
+        field: 'state',
+        declared: declared.stateCode,
+        gstin: decoded.stateCode,
+        message: `Declared state ${declared.stateCode} does not match GSTIN state ${decoded.stateCode} (${decoded.stateName})`
+      });
+    }
+    if (declared.pan && decoded.pan && declared.pan !== decoded.pan) {
+      mismatches.push({
+        field: 'pan',
+        declared: declared.pan,
+        gstin: decoded.pan,
+        message: `Declared PAN ${declared.pan} does not match PAN ${decoded.pan} in GSTIN`
+      });
+    }
+  }
+
+  return { ...decoded, mismatches };
+};
+
+module.exports = {
+  REGISTRATION_TYPES,
+  PAN_REGEX,
+  calculateCheckDigit,
+  decodeGSTIN,
+  isValidGSTIN,
+  gstinValidator,
+  gstinSchemaValidator,
+  checkGSTINAgainstParty
+};
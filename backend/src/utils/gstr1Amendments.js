@@ -0,0 +1,435 @@
+// Credit and debit notes linked to original invoices, and GSTR-1 amendment tables (B2BA, B2CLA, B2CSA, CDNRA)
+
+// Amendment table of each original table, and the portal field naming the original document
+const AMENDMENT_TABLES = {
+  b2b: 'b2ba',
+  b2cl: 'b2cla',
+  b2cs: 'b2csa',
+  cdnr: 'cdnra'
+};
+
+// Section 34(2): a credit note must be declared by the September return following the financial year of
+// the supply; Finance Act 2022 extended this to 30 November from 1 October 2022. The same limit applies to
+// amending details of a supply (section 37(3) and 39(9)). Entries apply to notes issued on or after `from`.
+// Either limit ends earlier once the annual return for that financial year is furnished.
+const AMENDMENT_TIME_LIMITS = [
+  { from: '2017-07-01', month: 9, day: 30 },
+  { from: '2022-10-01', month: 11, day: 30 }
+];
+
+const toObject = (value) => (value && value.toObject ? value.toObject() : value);
+
+const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Financial year of a date, e.g. '2024-25'
+const financialYearOf = (date) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Last date for a credit note or amendment against a supply (section 34(2))
+ * @param {Date|string} supplyDate - Date of the original invoice
+ * @param {Date|string} actionDate - Date of the credit note or amendment, selects the limit in force
+ * @param {Object} annualReturns - Filing dates of annual returns (GSTR-9) by financial year, e.g. { '2024-25': Date }
+ * @returns {Date}
+ */
+const getAmendmentDeadline = (supplyDate, actionDate = new Date(), annualReturns = {}) => {
+  const supply = new Date(supplyDate);
+  const fyEndYear = supply.getMonth() >= 3 ? supply.getFullYear() + 1 : supply.getFullYear();
+  const actionKey = toDateKey(actionDate);
+  const rule = AMENDMENT_TIME_LIMITS.filter(item => item.from <= actionKey).pop() || AMENDMENT_TIME_LIMITS[0];
+  const deadline = new Date(fyEndYear, rule.month - 1, rule.day, 23, 59, 59, 999);
+
+  const annualReturnDate = annualReturns[financialYearOf(supply)];
+  if (annualReturnDate) {
+    const furnished = new Date(annualReturnDate);
+    furnished.setHours(23, 59, 59, 999);
+    if (furnished < deadline) return furnished;
+  }
+  return deadline;
+};
+
+// Taxable value of an invoice or note; export invoices carry flat items
+const taxableValue = (doc = {}) => (doc.items || [])
+  .reduce((sum, item) => sum + (Number((item.itm_det || item).txval) || 0), 0);
+
+const invoiceKey = (inum, idt) => `${inum}|${financialYearOf(idt)}`;
+
+/**
+ * Index the invoices credit and debit notes may reference, with the notes issued against them
+ * @param {Array} returnsData - GSTR-1 tables of each return, oldest first; amendments revise earlier invoices
+ * @returns {Map} - `${inum}|${financialYear}` -> { inum, idt, txval, credited, debited }
+ */
+const indexInvoices = (returnsData = []) => {
+  const invoices = new Map();
+  const all = returnsData.map(item => toObject(item) || {});
+
+  all.forEach(data => {
+    [...(data.b2b || []), ...(data.b2cl || []), ...(data.exp || [])]
+      .flatMap(row => row.invoices || [])
+      .filter(inv => inv.inum && inv.idt)
+      .forEach(inv => invoices.set(invoiceKey(inv.inum, inv.idt), {
+        inum: inv.inum, idt: inv.idt, txval: taxableValue(inv), credited: 0, debited: 0
+      }));
+    [...(data.b2ba || []), ...(data.b2cla || [])]
+      .flatMap(row => row.invoices || [])
+      .filter(inv => inv.oinum && inv.oidt && invoices.has(invoiceKey(inv.oinum, inv.oidt)))
+      .forEach(inv => {
+        invoices.get(invoiceKey(inv.oinum, inv.oidt)).txval = taxableValue(inv);
+      });
+  });
+
+  all.forEach(data => {
+    [...(data.cdnr || []).flatMap(row => row.notes || []), ...(data.cdnur || [])]
+      .filter(note => note.inum && note.idt && invoices.has(invoiceKey(note.inum, note.idt)))
+      .forEach(note => {
+        const invoice = invoices.get(invoiceKey(note.inum, note.idt));
+        if (note.ntty === 'C') invoice.credited += taxableValue(note);
+        if (note.ntty === 'D') invoice.debited += taxableValue(note);
+      });
+  });
+  return invoices;
+};
+
+// Last day of a return period
+const periodEndDate = (period) => new Date(period.year, period.month, 0);
+
+/**
+ * Validate credit and debit notes against the original invoices they reference
+ * @param {Object} gstr1Data - GSTR-1 tables
+ * @param {Object} context - { annualReturns, filedReturns } with the GSTR-9 filing dates by financial year and
+ *   the GSTR-1 tables of the filed returns, oldest first; without filedReturns the invoices are not looked up
+ * @returns {Array} - Validation errors ({ field, message, severity })
+ */
+const validateNotes = (gstr1Data = {}, context = {}) => {
+  const data = toObject(gstr1Data) || {};
+  const errors = [];
+  const { annualReturns = {}, filedReturns } = context;
+  const invoices = filedReturns ? indexInvoices([...filedReturns, data]) : null;
+  const overCredited = new Set();
+
+  const check = (note, path) => {
+    if (!note.inum || !note.idt) {
+      if (note.ntty === 'C') {
+        errors.push({ field: path, message: `Credit note ${note.nt_num} is not linked to an original invoice; the section 34 time limit cannot be checked`, severity: 'warning' });
+      }
+      return;
+    }
+    const noteDate = new Date(note.nt_dt);
+    const invoiceDate = new Date(note.idt);
+    if (noteDate < invoiceDate) {
+      errors.push({ field: `${path}.nt_dt`, message: `Note ${note.nt_num} is dated before invoice ${note.inum}`, severity: 'error' });
+    }
+    if (note.ntty === 'C') {
+      const deadline = getAmendmentDeadline(invoiceDate, noteDate, annualReturns);
+      if (noteDate > deadline) {
+        errors.push({
+          field: `${path}.nt_dt`,
+          message: `Credit note ${note.nt_num} against invoice ${note.inum} is beyond the section 34 time limit of ${toDateKey(deadline)}`,
+          severity: 'error'
+        });
+      }
+    }
+
+    if (!invoices) return;
+    const key = invoiceKey(note.inum, note.idt);
+    const invoice = invoices.get(key);
+    if (!invoice) {
+      errors.push({ field: `${path}.inum`, message: `Invoice ${note.inum} of note ${note.nt_num} is not reported in this or an earlier filed GSTR-1`, severity: 'error' });
+    } else if (note.ntty === 'C' && !overCredited.has(key) && invoice.credited > invoice.txval + invoice.debited + 0.01) {
+      // Reported once per invoice, on the first of this return's notes against it
+      overCredited.add(key);
+      errors.push({
+        field: `${path}.items`,
+        message: `Credit notes against invoice ${note.inum} total ₹${invoice.credited.toFixed(2)}, more than its taxable value of ₹${(invoice.txval + invoice.debited).toFixed(2)}`,
+        severity: 'error'
+      });
+    }
+  };
+
+  (data.cdnr || []).forEach((row, i) => (row.notes || []).forEach((note, j) => check(note, `cdnr[${i}].notes[${j}]`)));
+  (data.cdnur || []).forEach((note, i) => check(note, `cdnur[${i}]`));
+  return errors;
+};
+
+/**
+ * Validate amendment rows: each must reference its original document, and be reported within the time limit
+ * @param {Object} gstr1Data - GSTR-1 tables
+ * @param {Object} period - Period of the return carrying the amendments
+ * @param {Object} context - { annualReturns } GSTR-9 filing dates by financial year
+ * @returns {Array} - Validation errors ({ field, message, severity })
+ */
+const validateAmendments = (gstr1Data = {}, period, context = {}) => {
+  const data = toObject(gstr1Data) || {};
+  const errors = [];
+  // A return whose period starts after the time limit can no longer carry the amendment
+  const reportedFrom = period ? new Date(period.year, period.month - 1, 1) : new Date();
+
+  const check = (row, path, number, originalDate) => {
+    if (!originalDate) {
+      errors.push({ field: path, message: `Amendment of ${number || 'document'} must reference the original document`, severity: 'error' });
+      return;
+    }
+    const deadline = getAmendmentDeadline(originalDate, reportedFrom, context.annualReturns);
+    if (reportedFrom > deadline) {
+      errors.push({ field: path, message: `Amendment of ${number} is beyond the time limit of ${toDateKey(deadline)}`, severity: 'error' });
+    }
+    if (!row.original) {
+      errors.push({ field: path, message: `Original details of ${number} are not linked; the differential tax cannot be computed`, severity: 'warning' });
+    }
+  };
+
+  (data.b2ba || []).forEach((row, i) => (row.invoices || []).forEach((inv, j) => check(inv, `b2ba[${i}].invoices[${j}]`, inv.oinum, inv.oidt)));
+  (data.b2cla || []).forEach((row, i) => (row.invoices || []).forEach((inv, j) => check(inv, `b2cla[${i}].invoices[${j}]`, inv.oinum, inv.oidt)));
+  (data.b2csa || []).forEach((row, i) => {
+    const month = row.omon && /^(0[1-9]|1[0-2])[0-9]{4}$/.test(row.omon)
+      ? periodEndDate({ month: parseInt(row.omon.slice(0, 2), 10), year: parseInt(row.omon.slice(2), 10) })
+      : null;
+    check(row, `b2csa[${i}]`, `B2CS ${row.omon || ''} ${row.pos || ''}`.trim(), month);
+  });
+  (data.cdnra || []).forEach((row, i) => (row.notes || []).forEach((note, j) => check(note, `cdnra[${i}].notes[${j}]`, note.ont_num, note.ont_dt)));
+  return errors;
+};
+
+/**
+ * Date of the original supply an amendment row refers to
+ * @param {string} table - b2ba, b2cla, b2csa or cdnra
+ * @param {Object} row - Amendment row (invoice, note or B2CS row)
+ * @returns {Date|null}
+ */
+const getOriginalDate = (table, row) => {
+  if (table === 'b2csa') {
+    if (!row.omon) return null;
+    return new Date(parseInt(row.omon.slice(2), 10), parseInt(row.omon.slice(0, 2), 10) - 1, 1);
+  }
+  const date = table === 'cdnra' ? row.ont_dt : row.oidt;
+  return date ? new Date(date) : null;
+};
+
+/**
+ * Walk the amendment rows of GSTR-1 data that carry their original details, as revised (+1) and previously
+ * reported (-1) documents shaped like the original table's rows, so totals take in only the differential.
+ * The previously reported document is the latest filed amendment when there is one, else the original.
+ * @param {Object} gstr1Data - GSTR-1 tables
+ * @param {Function} visit - (table, document, sign, context) with table one of b2b, b2cl, b2cs, cdnr and
+ *   context { ctin, pos, originalDate } from the amendment's parent row
+ */
+const forEachAmendment = (gstr1Data = {}, visit) => {
+  const data = toObject(gstr1Data) || {};
+
+  (data.b2ba || []).forEach(row => (row.invoices || []).forEach(inv => {
+    if (!inv.original) return;
+    const context = { ctin: row.ctin, originalDate: getOriginalDate('b2ba', inv) };
+    visit('b2b', inv, 1, context);
+    visit('b2b', inv.previous || inv.original, -1, context);
+  }));
+  (data.b2cla || []).forEach(row => (row.invoices || []).forEach(inv => {
+    if (!inv.original) return;
+    visit('b2cl', inv, 1, { pos: row.pos, originalDate: getOriginalDate('b2cla', inv) });
+    const previous = inv.previous || inv.original;
+    visit('b2cl', previous, -1, { pos: previous.pos || row.pos, originalDate: getOriginalDate('b2cla', inv) });
+  }));
+  (data.b2csa || []).forEach(row => {
+    if (!row.original) return;
+    const context = { originalDate: getOriginalDate('b2csa', row) };
+    visit('b2cs', row, 1, context);
+    visit('b2cs', row.previous || row.original, -1, context);
+  });
+  (data.cdnra || []).forEach(row => (row.notes || []).forEach(note => {
+    if (!note.original) return;
+    const context = { ctin: row.ctin, originalDate: getOriginalDate('cdnra', note) };
+    visit('cdnr', note, 1, context);
+    visit('cdnr', note.previous || note.original, -1, context);
+  }));
+};
+
+/**
+ * Returns whose documents the amendment rows of GSTR-1 data amend
+ * @param {Object} gstr1Data - GSTR-1 tables
+ * @returns {Array} - Distinct original return ids
+ */
+const getOriginalReturns = (gstr1Data = {}) => {
+  const data = toObject(gstr1Data) || {};
+  const rows = [
+    ...(data.b2ba || []).flatMap(row => row.invoices || []),
+    ...(data.b2cla || []).flatMap(row => row.invoices || []),
+    ...(data.b2csa || []),
+    ...(data.cdnra || []).flatMap(row => row.notes || [])
+  ];
+  const ids = new Map();
+  rows.filter(row => row.originalReturn).forEach(row => ids.set(String(row.originalReturn), row.originalReturn));
+  return [...ids.values()];
+};
+
+/**
+ * Number a document is known by in its table; B2CS rows by place of supply and rate
+ * @param {string} table - b2b, b2cl, b2cs or cdnr
+ * @param {Object} doc - Document as reported in the original table
+ * @returns {string}
+ */
+const documentLabel = (table, doc = {}) => {
+  if (table === 'b2cs') return `${doc.pos}/${doc.rt}`;
+  return table === 'cdnr' ? doc.nt_num : doc.inum;
+};
+
+/**
+ * Find a document in a return's GSTR-1 data
+ * @param {Object} gstr1Data - GSTR-1 tables of the original return
+ * @param {string} table - b2b, b2cl, b2cs or cdnr
+ * @param {Object} ref - { inum } for invoices, { nt_num } for notes, { pos, rt, sply_ty } for B2CS rows
+ * @returns {Object|null} - { parent, document } with parent the ctin/pos row
+ */
+const findDocument = (gstr1Data = {}, table, ref = {}) => {
+  const data = toObject(gstr1Data) || {};
+  if (table === 'b2cs') {
+    const document = (data.b2cs || []).find(row => row.pos === ref.pos && Number(row.rt) === Number(ref.rt) &&
+      (!ref.sply_ty || row.sply_ty === ref.sply_ty));
+    return document ? { parent: null, document } : null;
+  }
+
+  const childKey = table === 'cdnr' ? 'notes' : 'invoices';
+  const numberKey = table === 'cdnr' ? 'nt_num' : 'inum';
+  for (const parent of data[table] || []) {
+    const document = (parent[childKey] || []).find(doc => doc[numberKey] === ref[numberKey]);
+    if (document) return { parent, document };
+  }
+  return null;
+};
+
+/**
+ * Find the amendment of a document in a later return's GSTR-1 data
+ * @param {Object} gstr1Data - GSTR-1 tables of the return carrying the amendment
+ * @param {string} table - Original table: b2b, b2cl, b2cs or cdnr
+ * @param {*} originalReturn - Id of the return the document was first reported in
+ * @param {string} label - documentLabel of the document as first reported
+ * @returns {Object|null} - { parent, document } like findDocument, with the document as amended
+ */
+const findAmendment = (gstr1Data = {}, table, originalReturn, label) => {
+  const data = toObject(gstr1Data) || {};
+  const matches = (row) => String(row.originalReturn) === String(originalReturn) &&
+    row.original && documentLabel(table, row.original) === label;
+
+  if (table === 'b2cs') {
+    const document = (data.b2csa || []).find(matches);
+    return document ? { parent: null, document } : null;
+  }
+
+  const childKey = table === 'cdnr' ? 'notes' : 'invoices';
+  for (const parent of data[AMENDMENT_TABLES[table]] || []) {
+    const document = (parent[childKey] || []).find(matches);
+    if (document) return { parent, document };
+  }
+  return null;
+};
+
+// Amendment row fields that are not part of the document as reported
+const AMENDMENT_ONLY_FIELDS = ['_id', 'oinum', 'oidt', 'ont_num', 'ont_dt', 'omon', 'original', 'previous', 'originalReturn'];
+
+/**
+ * Build an amendment row for a filed document, keeping the original for the differential
+ * @param {string} table - Original table: b2b, b2cl, b2cs or cdnr
+ * @param {Object} found - { parent, document } as returned by findDocument
+ * @param {Object} revised - Revised document fields (items, val, pos, ... and the new number or date)
+ * @param {Object} options - { originalReturn, originalPeriod, latest } with latest the findAmendment result of
+ *   the document's latest filed amendment; unrevised fields and the differential then start from it
+ * @returns {Object} - { table, parentKey, row } where row goes under the parent's key in the amendment table
+ */
+const buildAmendment = (table, found, revised = {}, { originalReturn, originalPeriod, latest } = {}) => {
+  const original = { ...found.document };
+  delete original._id;
+
+  const { parent, document } = latest || found;
+  let previous;
+  if (latest) {
+    previous = { ...toObject(document) };
+    AMENDMENT_ONLY_FIELDS.forEach(field => delete previous[field]);
+    if (table === 'b2cl') previous.pos = parent.pos;
+  }
+
+  if (table === 'b2cs') {
+    return {
+      table: AMENDMENT_TABLES.b2cs,
+      parentKey: null,
+      row: {
+        omon: `${String(originalPeriod.month).padStart(2, '0')}${originalPeriod.year}`,
+        sply_ty: revised.sply_ty || document.sply_ty,
+        pos: revised.pos || document.pos,
+        typ: revised.typ || document.typ,
+        rt: revised.rt !== undefined ? revised.rt : document.rt,
+        txval: revised.txval !== undefined ? revised.txval : document.txval,
+        iamt: revised.iamt !== undefined ? revised.iamt : document.iamt,
+        camt: revised.camt !== undefined ? revised.camt : document.camt,
+        samt: revised.samt !== undefined ? revised.samt : document.samt,
+        csamt: revised.csamt !== undefined ? revised.csamt : document.csamt,
+        original,
+        previous,
+        originalReturn
+      }
+    };
+  }
+
+  if (table === 'cdnr') {
+    return {
+      table: AMENDMENT_TABLES.cdnr,
+      parentKey: { ctin: revised.ctin || parent.ctin },
+      row: {
+        ont_num: original.nt_num,
+        ont_dt: original.nt_dt,
+        ntty: revised.ntty || document.ntty,
+        nt_num: revised.nt_num || document.nt_num,
+        nt_dt: revised.nt_dt || document.nt_dt,
+        inum: revised.inum || document.inum,
+        idt: revised.idt || document.idt,
+        val: revised.val !== undefined ? revised.val : document.val,
+        pos: revised.pos || document.pos,
+        rchrg: revised.rchrg || document.rchrg,
+        inv_typ: revised.inv_typ || document.inv_typ,
+        items: revised.items || document.items,
+        original,
+        previous,
+        originalReturn
+      }
+    };
+  }
+
+  const row = {
+    oinum: original.inum,
+    oidt: original.idt,
+    inum: revised.inum || document.inum,
+    idt: revised.idt || document.idt,
+    val: revised.val !== undefined ? revised.val : document.val,
+    items: revised.items || document.items,
+    original: table === 'b2cl' ? { ...original, pos: found.parent.pos } : original,
+    previous,
+    originalReturn
+  };
+  if (table === 'b2b') {
+    row.pos = revised.pos || document.pos;
+    row.rchrg = revised.rchrg || document.rchrg;
+    row.inv_typ = revised.inv_typ || document.inv_typ;
+  }
+  return {
+    table: AMENDMENT_TABLES[table],
+    parentKey: table === 'b2b' ? { ctin: revised.ctin || parent.ctin } : { pos: revised.pos || parent.pos },
+    row
+  };
+};
+
+module.exports = {
+  AMENDMENT_TABLES,
+  getAmendmentDeadline,
+  getOriginalDate,
+  validateNotes,
+  validateAmendments,
+  forEachAmendment,
+  getOriginalReturns,
+  documentLabel,
+  findDocument,
+  findAmendment,
+  buildAmendment
+};
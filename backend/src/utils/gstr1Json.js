@@ -0,0 +1,744 @@
+// Serialisation of GSTR-1 data to and from the GSTN offline tool JSON format
+
+const { isValidGSTIN } = require('./gstin');
+const { UQC_CODES, hsnRows } = require('./gstr1Summaries');
+
+const PORTAL_DATE_REGEX = /^(0[1-9]|[12][0-9]|3[01])-(0[1-9]|1[0-2])-[0-9]{4}$/;
+const FP_REGEX = /^(0[1-9]|1[0-2])[0-9]{4}$/;
+const POS_REGEX = /^[0-9]{2}$/;
+
+const GSTR1_VERSION = 'GST3.1.6';
+const VALID_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+const INVOICE_TYPES = ['R', 'SEWP', 'SEWOP', 'DE', 'CBW'];
+
+// B2C inter-State invoices above this value are reported invoice-wise in B2CL.
+// Notification 12/2024-CT lowered the limit from ₹2.5 lakh to ₹1 lakh from 1 August 2024.
+const B2CL_THRESHOLD_REVISION_DATE = new Date(Date.UTC(2024, 7, 1));
+
+/**
+ * B2CL invoice value threshold applicable on an invoice date
+ * @param {Date|string} invoiceDate - Invoice date
+ * @returns {number} - Threshold in rupees
+ */
+const getB2CLThreshold = (invoiceDate) => {
+  const date = invoiceDate ? new Date(invoiceDate) : new Date();
+  return date >= B2CL_THRESHOLD_REVISION_DATE ? 100000 : 250000;
+};
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Format a date as dd-mm-yyyy
+ * @param {Date|string} date - Date to format
+ * @returns {string}
+ */
+const toPortalDate = (date) => {
+  const d = new Date(date);
+  const dd = String(d.getUTCDate()).padStart(2, '0');
+  const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
+  return `${dd}-${mm}-${d.getUTCFullYear()}`;
+};
+
+/**
+ * Parse a dd-mm-yyyy date
+ * @param {string} value - Portal date
+ * @returns {Date|null}
+ */
+const fromPortalDate = (value) => {
+  if (!value || !PORTAL_DATE_REGEX.test(value)) return null;
+  const [dd, mm, yyyy] = value.split('-').map(Number);
+  return new Date(Date.UTC(yyyy, mm - 1, dd));
+};
+
+/**
+ * Format a return period as the portal filing period (MMYYYY)
+ * @param {Object} period - { month, year }
+ * @returns {string}
+ */
+const toFilingPeriod = (period) => `${String(period.month).padStart(2, '0')}${period.year}`;
+
+/**
+ * Parse a portal filing period (MMYYYY)
+ * @param {string} fp - Filing period
+ * @returns {Object|null} - { month, year }
+ */
+const fromFilingPeriod = (fp) => {
+  if (!fp || !FP_REGEX.test(fp)) return null;
+  return { month: parseInt(fp.substring(0, 2), 10), year: parseInt(fp.substring(2), 10) };
+};
+
+// Item detail with only the amounts the table allows
+const itemDetailToPortal = (det = {}, fields) => {
+  const out = { txval: round(det.txval), rt: Number(det.rt) || 0 };
+  fields.forEach(field => {
+    out[field] = round(det[field]);
+  });
+  return out;
+};
+
+const itemsToPortal = (items = [], fields) => items.map((item, index) => ({
+  num: item.num || index + 1,
+  itm_det: itemDetailToPortal(item.itm_det, fields)
+}));
+
+const itemsFromPortal = (itms = []) => itms.map(item => ({
+  num: item.num,
+  itm_det: { ...item.itm_det }
+}));
+
+// Table serialisers keyed by the portal section name
+const TABLES = {
+  b2b: {
+    toPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      inv: (row.invoices || []).map(inv => ({
+        inum: inv.inum,
+        idt: toPortalDate(inv.idt),
+        val: round(inv.val),
+        pos: inv.pos,
+        rchrg: inv.rchrg || 'N',
+        inv_typ: inv.inv_typ || 'R',
+        itms: itemsToPortal(inv.items, ['iamt', 'camt', 'samt', 'csamt'])
+      }))
+    })),
+    fromPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      invoices: (row.inv || []).map(inv => ({
+        inum: inv.inum,
+        idt: fromPortalDate(inv.idt),
+        val: inv.val,
+        pos: inv.pos,
+        rchrg: inv.rchrg,
+        inv_typ: inv.inv_typ,
+        items: itemsFromPortal(inv.itms)
+      }))
+    }))
+  },
+  b2cl: {
+    toPortal: (rows) => rows.map(row => ({
+      pos: row.pos,
+      inv: (row.invoices || []).map(inv => ({
+        inum: inv.inum,
+        idt: toPortalDate(inv.idt),
+        val: round(inv.val),
+        itms: itemsToPortal(inv.items, ['iamt', 'csamt'])
+      }))
+    })),
+    fromPortal: (rows) => rows.map(row => ({
+      pos: row.pos,
+      invoices: (row.inv || []).map(inv => ({
+        inum: inv.inum,
+        idt: fromPortalDate(inv.idt),
+        val: inv.val,
+        items: itemsFromPortal(inv.itms)
+      }))
+    }))
+  },
+  b2cs: {
+    toPortal: (rows) => rows.map(row => {
+      const out = {
+        sply_ty: row.sply_ty,
+        rt: Number(row.rt) || 0,
+        typ: row.typ || 'OE',
+        pos: row.pos,
+        txval: round(row.txval)
+      };
+      if (row.sply_ty === 'INTER') {
+        out.iamt = round(row.iamt);
+      } else {
+        out.camt = round(row.camt);
+        out.samt = round(row.samt);
+      }
+      out.csamt = round(row.csamt);
+      return out;
+    }),
+    fromPortal: (rows) => rows.map(row => ({
+      sply_ty: row.sply_ty,
+      pos: row.pos,
+      typ: row.typ,
+      rt: row.rt,
+      txval: row.txval,
+      iamt: row.iamt || 0,
+      camt: row.camt || 0,
+      samt: row.samt || 0,
+      csamt: row.csamt || 0
+    }))
+  },
+  exp: {
+    toPortal: (rows) => rows.map(row => ({
+      exp_typ: row.exp_typ,
+      inv: (row.invoices || []).map(inv => {
+        const out = {
+          inum: inv.inum,
+          idt: toPortalDate(inv.idt),
+          val: round(inv.val),
+          itms: (inv.items || []).map(item => ({
+            txval: round(item.txval),
+            rt: Number(item.rt) || 0,
+            iamt: round(item.iamt),
+            csamt: round(item.csamt)
+          }))
+        };
+        if (inv.sbpcode) out.sbpcode = inv.sbpcode;
+        if (inv.sbnum) out.sbnum = inv.sbnum;
+        if (inv.sbdt) out.sbdt = toPortalDate(inv.sbdt);
+        return out;
+      })
+    })),
+    fromPortal: (rows) => rows.map(row => ({
+      exp_typ: row.exp_typ,
+      invoices: (row.inv || []).map(inv => ({
+        inum: inv.inum,
+        idt: fromPortalDate(inv.idt),
+        val: inv.val,
+        sbpcode: inv.sbpcode,
+        sbnum: inv.sbnum,
+        sbdt: fromPortalDate(inv.sbdt),
+        items: (inv.itms || []).map(item => ({ ...item }))
+      }))
+    }))
+  },
+  cdnr: {
+    toPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      nt: (row.notes || []).map(note => ({
+        ntty: note.ntty,
+        nt_num: note.nt_num,
+        nt_dt: toPortalDate(note.nt_dt),
+        val: round(note.val),
+        pos: note.pos,
+        rchrg: note.rchrg || 'N',
+        inv_typ: note.inv_typ || 'R',
+        itms: itemsToPortal(note.items, ['iamt', 'camt', 'samt', 'csamt'])
+      }))
+    })),
+    fromPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      notes: (row.nt || []).map(note => ({
+        ntty: note.ntty,
+        nt_num: note.nt_num,
+        nt_dt: fromPortalDate(note.nt_dt),
+        val: note.val,
+        pos: note.pos,
+        rchrg: note.rchrg,
+        inv_typ: note.inv_typ,
+        items: itemsFromPortal(note.itms)
+      }))
+    }))
+  },
+  cdnur: {
+    toPortal: (rows) => rows.map(row => {
+      const out = {
+        typ: row.typ,
+        ntty: row.ntty,
+        nt_num: row.nt_num,
+        nt_dt: toPortalDate(row.nt_dt),
+        val: round(row.val),
+        itms: itemsToPortal(row.items, ['iamt', 'csamt'])
+      };
+      if (row.typ === 'B2CL') out.pos = row.pos;
+      return out;
+    }),
+    fromPortal: (rows) => rows.map(row => ({
+      typ: row.typ,
+      ntty: row.ntty,
+      nt_num: row.nt_num,
+      nt_dt: fromPortalDate(row.nt_dt),
+      val: row.val,
+      pos: row.pos,
+      items: itemsFromPortal(row.itms)
+    }))
+  },
+  // Amendment tables name the original document; the original details kept for the differential stay internal
+  b2ba: {
+    toPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      inv: (row.invoices || []).map(inv => ({
+        oinum: inv.oinum,
+        oidt: toPortalDate(inv.oidt),
+        inum: inv.inum,
+        idt: toPortalDate(inv.idt),
+        val: round(inv.val),
+        pos: inv.pos,
+        rchrg: inv.rchrg || 'N',
+        inv_typ: inv.inv_typ || 'R',
+        itms: itemsToPortal(inv.items, ['iamt', 'camt', 'samt', 'csamt'])
+      }))
+    })),
+    fromPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      invoices: (row.inv || []).map(inv => ({
+        oinum: inv.oinum,
+        oidt: fromPortalDate(inv.oidt),
+        inum: inv.inum,
+        idt: fromPortalDate(inv.idt),
+        val: inv.val,
+        pos: inv.pos,
+        rchrg: inv.rchrg,
+        inv_typ: inv.inv_typ,
+        items: itemsFromPortal(inv.itms)
+      }))
+    }))
+  },
+  b2cla: {
+    toPortal: (rows) => rows.map(row => ({
+      pos: row.pos,
+      inv: (row.invoices || []).map(inv => ({
+        oinum: inv.oinum,
+        oidt: toPortalDate(inv.oidt),
+        inum: inv.inum,
+        idt: toPortalDate(inv.idt),
+        val: round(inv.val),
+        itms: itemsToPortal(inv.items, ['iamt', 'csamt'])
+      }))
+    })),
+    fromPortal: (rows) => rows.map(row => ({
+      pos: row.pos,
+      invoices: (row.inv || []).map(inv => ({
+        oinum: inv.oinum,
+        oidt: fromPortalDate(inv.oidt),
+        inum: inv.inum,
+        idt: fromPortalDate(inv.idt),
+        val: inv.val,
+        items: itemsFromPortal(inv.itms)
+      }))
+    }))
+  },
+  // B2CS amendments are grouped by original month, supply type, place of supply and type, with a row per rate
+  b2csa: {
+    toPortal: (rows) => {
+      const groups = new Map();
+      rows.forEach(row => {
+        const key = [row.omon, row.sply_ty, row.pos, row.typ || 'OE'].join('|');
+        if (!groups.has(key)) {
+          groups.set(key, { omon: row.omon, sply_ty: row.sply_ty, typ: row.typ || 'OE', pos: row.pos, itms: [] });
+        }
+        const item = { rt: Number(row.rt) || 0, txval: round(row.txval) };
+        if (row.sply_ty === 'INTER') {
+          item.iamt = round(row.iamt);
+        } else {
+          item.camt = round(row.camt);
+          item.samt = round(row.samt);
+        }
+        item.csamt = round(row.csamt);
+        groups.get(key).itms.push(item);
+      });
+      return [...groups.values()];
+    },
+    fromPortal: (rows) => rows.flatMap(row => (row.itms || []).map(item => ({
+      omon: row.omon,
+      sply_ty: row.sply_ty,
+      pos: row.pos,
+      typ: row.typ,
+      rt: item.rt,
+      txval: item.txval,
+      iamt: item.iamt || 0,
+      camt: item.camt || 0,
+      samt: item.samt || 0,
+      csamt: item.csamt || 0
+    })))
+  },
+  cdnra: {
+    toPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      nt: (row.notes || []).map(note => ({
+        ont_num: note.ont_num,
+        ont_dt: toPortalDate(note.ont_dt),
+        ntty: note.ntty,
+        nt_num: note.nt_num,
+        nt_dt: toPortalDate(note.nt_dt),
+        val: round(note.val),
+        pos: note.pos,
+        rchrg: note.rchrg || 'N',
+        inv_typ: note.inv_typ || 'R',
+        itms: itemsToPortal(note.items, ['iamt', 'camt', 'samt', 'csamt'])
+      }))
+    })),
+    fromPortal: (rows) => rows.map(row => ({
+      ctin: row.ctin,
+      notes: (row.nt || []).map(note => ({
+        ont_num: note.ont_num,
+        ont_dt: fromPortalDate(note.ont_dt),
+        ntty: note.ntty,
+        nt_num: note.nt_num,
+        nt_dt: fromPortalDate(note.nt_dt),
+        val: note.val,
+        pos: note.pos,
+        rchrg: note.rchrg,
+        inv_typ: note.inv_typ,
+        items: itemsFromPortal(note.itms)
+      }))
+    }))
+  }
+};
+
+const hsnRowToPortal = (row, index) => {
+  const out = {
+    num: row.num || index + 1,
+    hsn_sc: row.hsn_sc,
+    uqc: row.uqc,
+    qty: Number(row.qty) || 0,
+    rt: Number(row.rt) || 0,
+    txval: round(row.txval),
+    iamt: round(row.iamt),
+    camt: round(row.camt),
+    samt: round(row.samt),
+    csamt: round(row.csamt)
+  };
+  if (row.desc) out.desc = row.desc;
+  return out;
+};
+
+// Summary tables are objects holding their rows rather than arrays of rows; table 12 holds them in
+// data, or in hsn_b2b and hsn_b2c from April 2025
+const hsnToPortal = (hsn) => ['data', 'hsn_b2b', 'hsn_b2c']
+  .filter(table => hsn[table] && hsn[table].length > 0)
+  .reduce((out, table) => ({ ...out, [table]: hsn[table].map(hsnRowToPortal) }), {});
+
+const docIssueToPortal = (docIssue) => ({
+  doc_det: docIssue.doc_det.map(nature => ({
+    doc_num: nature.doc_num,
+    doc_typ: nature.doc_typ,
+    docs: (nature.docs || []).map((doc, index) => ({
+      num: doc.num || index + 1,
+      from: doc.from,
+      to: doc.to,
+      totnum: doc.totnum,
+      cancel: doc.cancel,
+      net_issue: doc.net_issue
+    }))
+  }))
+});
+
+const validateItems = (itms, path, errors) => {
+  if (!Array.isArray(itms) || itms.length === 0) {
+    errors.push({ field: `${path}.itms`, message: 'At least one item is required', severity: 'error' });
+    return;
+  }
+  itms.forEach((item, index) => {
+    const det = item.itm_det || {};
+    if (!VALID_RATES.includes(Number(det.rt))) {
+      errors.push({ field: `${path}.itms[${index}].itm_det.rt`, message: `Invalid rate ${det.rt}`, severity: 'error' });
+    }
+    if (typeof det.txval !== 'number' || Number.isNaN(det.txval)) {
+      errors.push({ field: `${path}.itms[${index}].itm_det.txval`, message: 'Taxable value must be a number', severity: 'error' });
+    }
+  });
+};
+
+const validateInvoiceHeader = (inv, path, errors) => {
+  if (!inv.inum || String(inv.inum).length > 16) {
+    errors.push({ field: `${path}.inum`, message: 'Invoice number is required and must not exceed 16 characters', severity: 'error' });
+  }
+  if (!PORTAL_DATE_REGEX.test(inv.idt || '')) {
+    errors.push({ field: `${path}.idt`, message: 'Invoice date must be in dd-mm-yyyy format', severity: 'error' });
+  }
+  if (typeof inv.val !== 'number' || inv.val < 0) {
+    errors.push({ field: `${path}.val`, message: 'Invoice value must be a non-negative number', severity: 'error' });
+  }
+};
+
+/**
+ * Validate a GSTR-1 JSON document against the offline tool schema rules
+ * @param {Object} json - GSTR-1 portal JSON
+ * @returns {Array} - Validation errors ({ field, message, severity })
+ */
+const validateGSTR1Json = (json) => {
+  const errors = [];
+
+  if (!json || typeof json !== 'object') {
+    return [{ field: 'root', message: 'GSTR-1 JSON must be an object', severity: 'error' }];
+  }
+  if (!isValidGSTIN(json.gstin)) {
+    errors.push({ field: 'gstin', message: 'Invalid GSTIN', severity: 'error' });
+  }
+  if (!FP_REGEX.test(json.fp || '')) {
+    errors.push({ field: 'fp', message: 'Filing period must be in MMYYYY format', severity: 'error' });
+  }
+  ['gt', 'cur_gt'].forEach(field => {
+    if (json[field] !== undefined && (typeof json[field] !== 'number' || json[field] < 0)) {
+      errors.push({ field, message: `${field} must be a non-negative number`, severity: 'error' });
+    }
+  });
+
+  (json.b2b || []).forEach((row, i) => {
+    if (!isValidGSTIN(row.ctin)) {
+      errors.push({ field: `b2b[${i}].ctin`, message: 'Invalid recipient GSTIN', severity: 'error' });
+    }
+    (row.inv || []).forEach((inv, j) => {
+      const path = `b2b[${i}].inv[${j}]`;
+      validateInvoiceHeader(inv, path, errors);
+      if (!POS_REGEX.test(inv.pos || '')) {
+        errors.push({ field: `${path}.pos`, message: 'Place of supply must be a two-digit state code', severity: 'error' });
+      }
+      if (!['Y', 'N'].includes(inv.rchrg)) {
+        errors.push({ field: `${path}.rchrg`, message: 'Reverse charge must be Y or N', severity: 'error' });
+      }
+      if (!INVOICE_TYPES.includes(inv.inv_typ)) {
+        errors.push({ field: `${path}.inv_typ`, message: `Invoice type must be one of ${INVOICE_TYPES.join(', ')}`, severity: 'error' });
+      }
+      validateItems(inv.itms, path, errors);
+    });
+  });
+
+  (json.b2cl || []).forEach((row, i) => {
+    if (!POS_REGEX.test(row.pos || '')) {
+      errors.push({ field: `b2cl[${i}].pos`, message: 'Place of supply must be a two-digit state code', severity: 'error' });
+    }
+    (row.inv || []).forEach((inv, j) => {
+      const path = `b2cl[${i}].inv[${j}]`;
+      validateInvoiceHeader(inv, path, errors);
+      const threshold = getB2CLThreshold(fromPortalDate(inv.idt));
+      if (typeof inv.val === 'number' && inv.val <= threshold) {
+        errors.push({ field: `${path}.val`, message: `B2CL invoice value must exceed ₹${threshold}`, severity: 'error' });
+      }
+      validateItems(inv.itms, path, errors);
+    });
+  });
+
+  (json.b2cs || []).forEach((row, i) => {
+    const path = `b2cs[${i}]`;
+    if (!['INTER', 'INTRA'].includes(row.sply_ty)) {
+      errors.push({ field: `${path}.sply_ty`, message: 'Supply type must be INTER or INTRA', severity: 'error' });
+    }
+    if (!['OE', 'E'].includes(row.typ)) {
+      errors.push({ field: `${path}.typ`, message: 'Type must be OE or E', severity: 'error' });
+    }
+    if (!POS_REGEX.test(row.pos || '')) {
+      errors.push({ field: `${path}.pos`, message: 'Place of supply must be a two-digit state code', severity: 'error' });
+    }
+    if (!VALID_RATES.includes(Number(row.rt))) {
+      errors.push({ field: `${path}.rt`, message: `Invalid rate ${row.rt}`, severity: 'error' });
+    }
+  });
+
+  (json.exp || []).forEach((row, i) => {
+    if (!['WPAY', 'WOPAY'].includes(row.exp_typ)) {
+      errors.push({ field: `exp[${i}].exp_typ`, message: 'Export type must be WPAY or WOPAY', severity: 'error' });
+    }
+    (row.inv || []).forEach((inv, j) => {
+      const path = `exp[${i}].inv[${j}]`;
+      validateInvoiceHeader(inv, path, errors);
+      if (inv.sbdt && !PORTAL_DATE_REGEX.test(inv.sbdt)) {
+        errors.push({ field: `${path}.sbdt`, message: 'Shipping bill date must be in dd-mm-yyyy format', severity: 'error' });
+      }
+      if (!Array.isArray(inv.itms) || inv.itms.length === 0) {
+        errors.push({ field: `${path}.itms`, message: 'At least one item is required', severity: 'error' });
+      } else {
+        inv.itms.forEach((item, k) => {
+          if (!VALID_RATES.includes(Number(item.rt))) {
+            errors.push({ field: `${path}.itms[${k}].rt`, message: `Invalid rate ${item.rt}`, severity: 'error' });
+          }
+        });
+      }
+    });
+  });
+
+  const validateNote = (note, path) => {
+    if (!['C', 'D'].includes(note.ntty)) {
+      errors.push({ field: `${path}.ntty`, message: 'Note type must be C or D', severity: 'error' });
+    }
+    if (!note.nt_num || String(note.nt_num).length > 16) {
+      errors.push({ field: `${path}.nt_num`, message: 'Note number is required and must not exceed 16 characters', severity: 'error' });
+    }
+    if (!PORTAL_DATE_REGEX.test(note.nt_dt || '')) {
+      errors.push({ field: `${path}.nt_dt`, message: 'Note date must be in dd-mm-yyyy format', severity: 'error' });
+    }
+    validateItems(note.itms, path, errors);
+  };
+
+  (json.cdnr || []).forEach((row, i) => {
+    if (!isValidGSTIN(row.ctin)) {
+      errors.push({ field: `cdnr[${i}].ctin`, message: 'Invalid recipient GSTIN', severity: 'error' });
+    }
+    (row.nt || []).forEach((note, j) => {
+      const path = `cdnr[${i}].nt[${j}]`;
+      validateNote(note, path);
+      if (!POS_REGEX.test(note.pos || '')) {
+        errors.push({ field: `${path}.pos`, message: 'Place of supply must be a two-digit state code', severity: 'error' });
+      }
+    });
+  });
+
+  (json.cdnur || []).forEach((note, i) => {
+    const path = `cdnur[${i}]`;
+    if (!['B2CL', 'EXPWP', 'EXPWOP'].includes(note.typ)) {
+      errors.push({ field: `${path}.typ`, message: 'Type must be B2CL, EXPWP or EXPWOP', severity: 'error' });
+    }
+    if (note.typ === 'B2CL' && !POS_REGEX.test(note.pos || '')) {
+      errors.push({ field: `${path}.pos`, message: 'Place of supply is required for B2CL notes', severity: 'error' });
+    }
+    validateNote(note, path);
+  });
+
+  // Amendments must name the original document as reported
+  const validateOriginal = (doc, path, numberKey, dateKey, label) => {
+    if (!doc[numberKey] || String(doc[numberKey]).length > 16) {
+      errors.push({ field: `${path}.${numberKey}`, message: `Original ${label} number is required`, severity: 'error' });
+    }
+    if (!PORTAL_DATE_REGEX.test(doc[dateKey] || '')) {
+      errors.push({ field: `${path}.${dateKey}`, message: `Original ${label} date must be in dd-mm-yyyy format`, severity: 'error' });
+    }
+  };
+
+  (json.b2ba || []).forEach((row, i) => {
+    if (!isValidGSTIN(row.ctin)) {
+      errors.push({ field: `b2ba[${i}].ctin`, message: 'Invalid recipient GSTIN', severity: 'error' });
+    }
+    (row.inv || []).forEach((inv, j) => {
+      const path = `b2ba[${i}].inv[${j}]`;
+      validateOriginal(inv, path, 'oinum', 'oidt', 'invoice');
+      validateInvoiceHeader(inv, path, errors);
+      if (!POS_REGEX.test(inv.pos || '')) {
+        errors.push({ field: `${path}.pos`, message: 'Place of supply must be a two-digit state code', severity: 'error' });
+      }
+      validateItems(inv.itms, path, errors);
+    });
+  });
+
+  (json.b2cla || []).forEach((row, i) => {
+    if (!POS_REGEX.test(row.pos || '')) {
+      errors.push({ field: `b2cla[${i}].pos`, message: 'Place of supply must be a two-digit state code', severity: 'error' });
+    }
+    (row.inv || []).forEach((inv, j) => {
+      const path = `b2cla[${i}].inv[${j}]`;
+      validateOriginal(inv, path, 'oinum', 'oidt', 'invoice');
+      validateInvoiceHeader(inv, path, errors);
+      validateItems(inv.itms, path, errors);
+    });
+  });
+
+  (json.b2csa || []).forEach((row, i) => {
+    const path = `b2csa[${i}]`;
+    if (!FP_REGEX.test(row.omon || '')) {
+      errors.push({ field: `${path}.omon`, message: 'Original month must be in MMYYYY format', severity: 'error' });
+    }
+    if (!['INTER', 'INTRA'].includes(row.sply_ty)) {
+      errors.push({ field: `${path}.sply_ty`, message: 'Supply type must be INTER or INTRA', severity: 'error' });
+    }
+    if (!POS_REGEX.test(row.pos || '')) {
+      errors.push({ field: `${path}.pos`, message: 'Place of supply must be a two-digit state code', severity: 'error' });
+    }
+    (row.itms || []).forEach((item, k) => {
+      if (!VALID_RATES.includes(Number(item.rt))) {
+        errors.push({ field: `${path}.itms[${k}].rt`, message: `Invalid rate ${item.rt}`, severity: 'error' });
+      }
+    });
+  });
+
+  (json.cdnra || []).forEach((row, i) => {
+    if (!isValidGSTIN(row.ctin)) {
+      errors.push({ field: `cdnra[${i}].ctin`, message: 'Invalid recipient GSTIN', severity: 'error' });
+    }
+    (row.nt || []).forEach((note, j) => {
+      const path = `cdnra[${i}].nt[${j}]`;
+      validateOriginal(note, path, 'ont_num', 'ont_dt', 'note');
+      validateNote(note, path);
+    });
+  });
+
+  hsnRows(json.hsn).forEach(({ table, index, row }) => {
+    const path = `hsn.${table}[${index}]`;
+    if (!/^[0-9]{2,8}$/.test(row.hsn_sc || '')) {
+      errors.push({ field: `${path}.hsn_sc`, message: 'HSN/SAC must be 2 to 8 digits', severity: 'error' });
+    }
+    if (!UQC_CODES.includes(row.uqc)) {
+      errors.push({ field: `${path}.uqc`, message: `Invalid UQC ${row.uqc}`, severity: 'error' });
+    }
+    if (!VALID_RATES.includes(Number(row.rt))) {
+      errors.push({ field: `${path}.rt`, message: `Invalid rate ${row.rt}`, severity: 'error' });
+    }
+  });
+
+  ((json.doc_issue && json.doc_issue.doc_det) || []).forEach((nature, i) => {
+    (nature.docs || []).forEach((doc, j) => {
+      const path = `doc_issue.doc_det[${i}].docs[${j}]`;
+      if (!doc.from || !doc.to) {
+        errors.push({ field: path, message: 'Series must have a from and to number', severity: 'error' });
+      }
+      if (doc.net_issue !== doc.totnum - doc.cancel) {
+        errors.push({ field: `${path}.net_issue`, message: 'Net issued must equal total less cancelled', severity: 'error' });
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Build the portal GSTR-1 JSON for a GSTR-1 return
+ * @param {Object} gstReturn - GSTReturn document
+ * @returns {Object} - GSTR-1 JSON ready for upload
+ */
+const toGSTR1Json = (gstReturn) => {
+  const data = gstReturn.gstr1Data || {};
+  const json = {
+    gstin: gstReturn.gstin,
+    fp: toFilingPeriod(gstReturn.period),
+    gt: round(data.gt),
+    cur_gt: round(data.cur_gt),
+    version: GSTR1_VERSION,
+    hash: 'hash'
+  };
+
+  Object.keys(TABLES).forEach(table => {
+    const rows = data[table] ? (data[table].toObject ? data[table].toObject() : data[table]) : [];
+    if (rows.length > 0) {
+      json[table] = TABLES[table].toPortal(rows);
+    }
+  });
+
+  if (hsnRows(data.hsn).length > 0) {
+    json.hsn = hsnToPortal(data.hsn);
+  }
+  if (data.doc_issue && data.doc_issue.doc_det && data.doc_issue.doc_det.length > 0) {
+    json.doc_issue = docIssueToPortal(data.doc_issue);
+  }
+
+  return json;
+};
+
+/**
+ * Map a portal GSTR-1 JSON into GSTReturn fields
+ * @param {Object} json - GSTR-1 portal JSON
+ * @returns {Object} - { gstin, returnType, period, gstr1Data }
+ */
+const fromGSTR1Json = (json) => {
+  const gstr1Data = {
+    gt: json.gt || 0,
+    cur_gt: json.cur_gt || 0
+  };
+
+  Object.keys(TABLES).forEach(table => {
+    gstr1Data[table] = TABLES[table].fromPortal(json[table] || []);
+  });
+  gstr1Data.hsn = ['data', 'hsn_b2b', 'hsn_b2c']
+    .filter(table => json.hsn && json.hsn[table])
+    .reduce((out, table) => ({ ...out, [table]: json.hsn[table].map(row => ({ ...row })) }), { data: [] });
+  gstr1Data.doc_issue = {
+    doc_det: ((json.doc_issue && json.doc_issue.doc_det) || []).map(nature => ({
+      ...nature,
+      docs: (nature.docs || []).map(doc => ({ ...doc }))
+    }))
+  };
+
+  return {
+    gstin: json.gstin,
+    returnType: 'GSTR1',
+    period: fromFilingPeriod(json.fp),
+    gstr1Data
+  };
+};
+
+module.exports = {
+  GSTR1_VERSION,
+  VALID_RATES,
+  getB2CLThreshold,
+  toPortalDate,
+  fromPortalDate,
+  toFilingPeriod,
+  fromFilingPeriod,
+  validateGSTR1Json,
+  toGSTR1Json,
+  fromGSTR1Json
+};
@@ -0,0 +1,309 @@
+// GSTR-1 table 12 (HSN-wise summary of outward supplies) and table 13 (documents issued)
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const roundQuantity = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+// Unit quantity codes accepted by the GST portal; NA is reported for services
+const UQC_CODES = [
+  'BAG', 'BAL', 'BDL', 'BKL', 'BOU', 'BOX', 'BTL', 'BUN', 'CAN', 'CBM', 'CCM', 'CMS', 'CTN', 'DOZ', 'DRM', 'GGK',
+  'GMS', 'GRS', 'GYD', 'KGS', 'KLR', 'KME', 'LTR', 'MLS', 'MLT', 'MTR', 'MTS', 'NOS', 'OTH', 'PAC', 'PCS', 'PRS',
+  'QTL', 'ROL', 'SET', 'SQF', 'SQM', 'SQY', 'TBS', 'TGM', 'THD', 'TON', 'TUB', 'UGS', 'UNT', 'YDS', 'NA'
+];
+
+// Units as commonly written in invoices, lower-case without punctuation, to their UQC
+const UQC_ALIASES = {
+  kg: 'KGS', kgs: 'KGS', kilo: 'KGS', kilogram: 'KGS', kilograms: 'KGS',
+  g: 'GMS', gm: 'GMS', gms: 'GMS', gram: 'GMS', grams: 'GMS',
+  l: 'LTR', lt: 'LTR', ltr: 'LTR', ltrs: 'LTR', litre: 'LTR', litres: 'LTR', liter: 'LTR', liters: 'LTR',
+  ml: 'MLT', millilitre: 'MLT', milliliter: 'MLT',
+  m: 'MTR', mtr: 'MTR', mtrs: 'MTR', metre: 'MTR', metres: 'MTR', meter: 'MTR', meters: 'MTR',
+  cm: 'CMS', centimetre: 'CMS', centimeter: 'CMS',
+  km: 'KME', kilometre: 'KME', kilometer: 'KME',
+  no: 'NOS', number: 'NOS', numbers: 'NOS',
+  pc: 'PCS', piece: 'PCS', pieces: 'PCS',
+  u: 'UNT', unit: 'UNT', units: 'UNT',
+  boxes: 'BOX', bags: 'BAG', bottle: 'BTL', bottles: 'BTL', carton: 'CTN', cartons: 'CTN',
+  dozen: 'DOZ', dozens: 'DOZ', pr: 'PRS', pair: 'PRS', pairs: 'PRS', sets: 'SET',
+  sqmtr: 'SQM', squaremetre: 'SQM', squaremeter: 'SQM', sqft: 'SQF', squarefeet: 'SQF', squarefoot: 'SQF',
+  sqyd: 'SQY', cubicmetre: 'CBM', cubicmeter: 'CBM',
+  tons: 'TON', tonne: 'TON', tonnes: 'TON', mt: 'MTS', metricton: 'MTS', quintal: 'QTL',
+  roll: 'ROL', rolls: 'ROL', pack: 'PAC', packet: 'PAC', packets: 'PAC',
+  drum: 'DRM', bundle: 'BDL', bale: 'BAL', tube: 'TUB', yard: 'YDS', yards: 'YDS', yd: 'YDS',
+  gross: 'GRS', thousand: 'THD', tablet: 'TBS', tablets: 'TBS'
+};
+
+// Minimum HSN digits by aggregate turnover of the preceding financial year. Notification 78/2020-CT
+// replaced the 0/2/4 digit slabs with 4 and 6 digits from 1 April 2021. Entries apply from `from`.
+const HSN_DIGIT_RULES = [
+  { from: '2017-07-01', slabs: [{ upTo: 15000000, digits: 0 }, { upTo: 50000000, digits: 2 }, { digits: 4 }] },
+  { from: '2021-04-01', slabs: [{ upTo: 50000000, digits: 4 }, { digits: 6 }] }
+];
+
+// From the April 2025 tax period table 12 is reported in separate B2B and B2C tabs; HSN digits are
+// optional in the B2C tab for a turnover up to the first slab (Notification 78/2020-CT)
+const HSN_SPLIT_FROM = { month: 4, year: 2025 };
+const HSN_TABLES = ['data', 'hsn_b2b', 'hsn_b2c'];
+
+// Table 13 document types by the documents the register carries
+const DOCUMENT_NATURES = {
+  INV: { doc_num: 1, doc_typ: 'Invoices for outward supply' },
+  DBN: { doc_num: 4, doc_typ: 'Debit Note' },
+  CRN: { doc_num: 5, doc_typ: 'Credit Note' }
+};
+
+const isService = (hsn) => String(hsn || '').startsWith('99');
+
+/**
+ * Map a unit as written on an invoice to its GST unit quantity code
+ * @param {string} unit - Unit (e.g. "Kg", "pcs", "NOS")
+ * @param {string} hsn - HSN or SAC of the line; services are reported with NA
+ * @returns {Object} - { uqc, mapped } with mapped false when the unit was not recognised and OTH is used
+ */
+const toUQC = (unit, hsn) => {
+  if (isService(hsn)) return { uqc: 'NA', mapped: true };
+  const text = String(unit || '').trim();
+  if (!text) return { uqc: 'OTH', mapped: false };
+  if (UQC_CODES.includes(text.toUpperCase())) return { uqc: text.toUpperCase(), mapped: true };
+  const alias = UQC_ALIASES[text.toLowerCase().replace(/[^a-z]/g, '')];
+  return alias ? { uqc: alias, mapped: true } : { uqc: 'OTH', mapped: false };
+};
+
+/**
+ * Minimum number of HSN digits to report for a turnover on a date
+ * @param {number} turnover - Aggregate turnover of the preceding financial year
+ * @param {Date|string} date - Start of the return period
+ * @returns {number}
+ */
+const getRequiredHSNDigits = (turnover, date = new Date()) => {
+  const d = new Date(date);
+  const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  const rule = HSN_DIGIT_RULES.filter(item => item.from <= key).pop() || HSN_DIGIT_RULES[0];
+  const slab = rule.slabs.find(item => item.upTo === undefined || (Number(turnover) || 0) <= item.upTo);
+  return slab.digits;
+};
+
+/**
+ * Whether table 12 of a period is split into B2B and B2C rows
+ * @param {Object} period - { month, year }
+ * @returns {boolean}
+ */
+const isHSNSplit = (period) => Boolean(period) &&
+  period.year * 12 + period.month >= HSN_SPLIT_FROM.year * 12 + HSN_SPLIT_FROM.month;
+
+/**
+ * Rows of table 12 with the tab they are reported in
+ * @param {Object} hsn - Table 12 as { data } or { hsn_b2b, hsn_b2c }
+ * @returns {Array} - [{ table, index, row }]
+ */
+const hsnRows = (hsn) => HSN_TABLES.flatMap(table =>
+  ((hsn && hsn[table]) || []).map((row, index) => ({ table, index, row })));
+
+// One row per HSN, UQC and rate; credit notes reduce their rows
+const summariseLines = (lines, unmapped) => {
+  const rows = new Map();
+
+  lines.forEach(line => {
+    const hsn = String(line.hsn || '').trim();
+    const { uqc, mapped } = toUQC(line.unit, hsn);
+    if (!mapped && line.unit) unmapped.add(line.unit);
+    const rt = Number(line.rate) || 0;
+    const key = `${hsn}|${uqc}|${rt}`;
+    const row = rows.get(key) || {
+      hsn_sc: hsn,
+      desc: line.description ? String(line.description).slice(0, 30) : undefined,
+      uqc,
+      qty: 0,
+      rt,
+      txval: 0,
+      iamt: 0,
+      camt: 0,
+      samt: 0,
+      csamt: 0
+    };
+    const sign = line.sign || 1;
+    if (uqc !== 'NA') row.qty += sign * (Number(line.quantity) || 0);
+    ['txval', 'iamt', 'camt', 'samt', 'csamt'].forEach(field => {
+      row[field] += sign * (Number(line[field]) || 0);
+    });
+    if (!row.desc && line.description) row.desc = String(line.description).slice(0, 30);
+    rows.set(key, row);
+  });
+
+  return Array.from(rows.values())
+    .sort((a, b) => a.hsn_sc.localeCompare(b.hsn_sc) || a.rt - b.rt)
+    .map((row, index) => ({
+      num: index + 1,
+      ...row,
+      qty: roundQuantity(row.qty),
+      txval: round(row.txval),
+      iamt: round(row.iamt),
+      camt: round(row.camt),
+      samt: round(row.samt),
+      csamt: round(row.csamt)
+    }));
+};
+
+/**
+ * Build table 12 from invoice line items; from April 2025 supplies to registered recipients are
+ * summarised in hsn_b2b and the rest in hsn_b2c
+ * @param {Array} lines - [{ hsn, description, unit, quantity, rate, txval, iamt, camt, samt, csamt, sign, recipientGstin }]
+ * @param {Object} options - { period } of the return
+ * @returns {Object} - { hsn: { data } or { hsn_b2b, hsn_b2c }, warnings }
+ */
+const buildHSNSummary = (lines = [], { period } = {}) => {
+  const unmapped = new Set();
+  const hsn = isHSNSplit(period)
+    ? {
+        hsn_b2b: summariseLines(lines.filter(line => line.recipientGstin), unmapped),
+        hsn_b2c: summariseLines(lines.filter(line => !line.recipientGstin), unmapped)
+      }
+    : { data: summariseLines(lines, unmapped) };
+
+  const warnings = unmapped.size > 0
+    ? [{ field: 'hsn', message: `Units ${[...unmapped].join(', ')} have no GST UQC and are reported as OTH`, severity: 'warning' }]
+    : [];
+  return { hsn, warnings };
+};
+
+/**
+ * Validate table 12 against the HSN digits required for the turnover. The minimum applies to every row
+ * before April 2025 and afterwards to B2B rows, and to B2C rows only above the first turnover slab.
+ * @param {Object} hsn - Table 12 as { data } or { hsn_b2b, hsn_b2c }
+ * @param {Object} options - { turnover, period } with turnover the preceding year's aggregate turnover (gt)
+ * @returns {Array} - Validation errors ({ field, message, severity })
+ */
+const validateHSNSummary = (hsn, { turnover, period } = {}) => {
+  const rows = hsnRows(hsn);
+  const errors = [];
+  if (rows.length === 0) return errors;
+
+  const periodStart = period ? new Date(period.year, period.month - 1, 1) : new Date();
+  if (turnover === undefined || turnover === null) {
+    errors.push({ field: 'gt', message: 'Preceding year turnover is not entered; HSN digits are checked against the lowest slab', severity: 'warning' });
+  }
+  if (period) {
+    const split = isHSNSplit(period);
+    const misplaced = rows.filter(item => (item.table === 'data') === split);
+    if (misplaced.length > 0) {
+      errors.push({
+        field: 'hsn',
+        message: split
+          ? 'From April 2025 HSN rows are reported in hsn_b2b and hsn_b2c instead of data'
+          : 'Before April 2025 HSN rows are reported in data, not split into hsn_b2b and hsn_b2c',
+        severity: 'error'
+      });
+    }
+  }
+  const required = getRequiredHSNDigits(turnover, periodStart);
+  const lowestSlab = getRequiredHSNDigits(0, periodStart);
+
+  rows.forEach(({ table, index, row }) => {
+    const path = `hsn.${table}[${index}]`;
+    const code = String(row.hsn_sc || '');
+    const minimum = table === 'hsn_b2c' && required === lowestSlab ? 2 : required;
+    if (code && !/^[0-9]{2,8}$/.test(code)) {
+      errors.push({ field: `${path}.hsn_sc`, message: `HSN ${code} must be 2 to 8 digits`, severity: 'error' });
+    } else if (code.length < minimum) {
+      errors.push({
+        field: `${path}.hsn_sc`,
+        message: `HSN ${code || '(blank)'} must have at least ${minimum} digits for the turnover`,
+        severity: 'error'
+      });
+    }
+    if (!UQC_CODES.includes(row.uqc)) {
+      errors.push({ field: `${path}.uqc`, message: `Invalid UQC ${row.uqc}`, severity: 'error' });
+    }
+  });
+  return errors;
+};
+
+// Split a document number into series prefix, running number and suffix ("INV/24-25/0012" -> "INV/24-25/", 12, "")
+const splitDocumentNumber = (number) => {
+  const match = String(number).match(/^(.*?)(\d+)(\D*)$/);
+  if (!match) return { prefix: String(number), running: null, width: 0, suffix: '' };
+  return { prefix: match[1], running: parseInt(match[2], 10), width: match[2].length, suffix: match[3] };
+};
+
+/**
+ * Detect number series among documents: a series shares its prefix and suffix around a running number
+ * @param {Array} documents - [{ number, cancelled }]
+ * @returns {Array} - [{ from, to, totnum, cancel, net_issue, missing }] with missing numbers inside the range
+ */
+const detectSeries = (documents = []) => {
+  const groups = new Map();
+  documents.forEach(doc => {
+    const parts = splitDocumentNumber(doc.number);
+    // Numbers without a running part stand alone
+    const key = parts.running === null ? `#${doc.number}` : `${parts.prefix}|${parts.suffix}`;
+    const group = groups.get(key) || [];
+    group.push({ ...doc, ...parts });
+    groups.set(key, group);
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const byNumber = new Map();
+    group.forEach(doc => {
+      const existing = byNumber.get(doc.running);
+      // A number issued and later cancelled counts once, as cancelled
+      byNumber.set(doc.running, existing ? { ...existing, cancelled: existing.cancelled || doc.cancelled } : doc);
+    });
+    const docs = Array.from(byNumber.values()).sort((a, b) => a.running - b.running);
+    const first = docs[0];
+    const last = docs[docs.length - 1];
+    if (first.running === null) {
+      return { from: first.number, to: first.number, totnum: 1, cancel: first.cancelled ? 1 : 0, net_issue: first.cancelled ? 0 : 1, missing: [] };
+    }
+
+    const format = (running) => `${first.prefix}${String(running).padStart(first.width, '0')}${first.suffix}`;
+    const issued = new Set(docs.map(doc => doc.running));
+    const missing = [];
+    for (let running = first.running; running <= last.running; running += 1) {
+      if (!issued.has(running)) missing.push(format(running));
+    }
+    const totnum = last.running - first.running + 1;
+    // Numbers skipped inside the range were not issued and are reported as cancelled
+    const cancel = docs.filter(doc => doc.cancelled).length + missing.length;
+    return { from: first.number, to: last.number, totnum, cancel, net_issue: totnum - cancel, missing };
+  }).sort((a, b) => String(a.from).localeCompare(String(b.from)));
+};
+
+/**
+ * Build table 13 from the documents issued in the period, cancelled ones included
+ * @param {Array} documents - [{ number, documentType: INV, CRN or DBN, cancelled }]
+ * @returns {Object} - { doc_issue: { doc_det }, warnings }
+ */
+const buildDocumentsIssued = (documents = []) => {
+  const warnings = [];
+  const docDet = Object.keys(DOCUMENT_NATURES)
+    .map(type => {
+      const series = detectSeries(documents.filter(doc => (doc.documentType || 'INV') === type));
+      series.filter(item => item.missing.length > 0).forEach(item => {
+        warnings.push({
+          field: 'doc_issue',
+          message: `Numbers ${item.missing.join(', ')} are missing between ${item.from} and ${item.to} and reported as cancelled`,
+          severity: 'warning'
+        });
+      });
+      return {
+        ...DOCUMENT_NATURES[type],
+        docs: series.map(({ missing, ...item }, index) => ({ num: index + 1, ...item }))
+      };
+    })
+    .filter(nature => nature.docs.length > 0)
+    .sort((a, b) => a.doc_num - b.doc_num);
+
+  return { doc_issue: { doc_det: docDet }, warnings };
+};
+
+module.exports = {
+  UQC_CODES,
+  toUQC,
+  getRequiredHSNDigits,
+  isHSNSplit,
+  hsnRows,
+  buildHSNSummary,
+  validateHSNSummary,
+  detectSeries,
+  buildDocumentsIssued
+};
@@ -0,0 +1,405 @@
+// Derives GSTR-3B tables from the period's GSTR-1 and reconciled ITC
+
+const { forEachAmendment } = require('./gstr1Amendments');
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const emptyAmounts = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addDetail = (target, det = {}, sign = 1) => {
+  target.txval += sign * (det.txval || 0);
+  target.iamt += sign * (det.iamt || 0);
+  target.camt += sign * (det.camt || 0);
+  target.samt += sign * (det.samt || 0);
+  target.csamt += sign * (det.csamt || 0);
+};
+
+const roundAmounts = (amounts) => Object.keys(amounts).reduce((out, key) => ({ ...out, [key]: round(amounts[key]) }), {});
+
+const toObject = (value) => (value && value.toObject ? value.toObject() : value);
+
+/**
+ * Compute table 3.1 and 3.2 from GSTR-1 data
+ * @param {Object} gstr1Data - GSTR-1 tables
+ * @param {Object} recipientCategories - Map of recipient GSTIN to 'composition' or 'uin'
+ * @returns {Object} - { sup_details, inter_sup }
+ */
+const computeOutwardSupplies = (gstr1Data = {}, recipientCategories = {}) => {
+  const taxable = emptyAmounts();
+  const zeroRated = emptyAmounts();
+  const nilExempt = emptyAmounts();
+  const interState = { unreg: new Map(), comp: new Map(), uin: new Map() };
+
+  const addInterState = (bucket, pos, det, sign = 1) => {
+    if (!(det.iamt > 0) && !(det.txval > 0)) return;
+    const entry = interState[bucket].get(pos) || { pos, txval: 0, iamt: 0 };
+    entry.txval += sign * (det.txval || 0);
+    entry.iamt += sign * (det.iamt || 0);
+    interState[bucket].set(pos, entry);
+  };
+
+  // Zero-rated items of a taxable table are nil-rated supplies for table 3.1(c)
+  const addOutward = (det, sign = 1) => {
+    if (Number(det.rt) === 0) {
+      addDetail(nilExempt, { txval: det.txval }, sign);
+    } else {
+      addDetail(taxable, det, sign);
+    }
+  };
+
+  const addB2BInvoice = (ctin, inv, sign = 1) => {
+    // Supplies on which the recipient pays tax under reverse charge are not the supplier's liability
+    if (inv.rchrg === 'Y') return;
+    const category = recipientCategories[ctin];
+    (inv.items || []).forEach(item => {
+      const det = item.itm_det || {};
+      if (['SEWP', 'SEWOP'].includes(inv.inv_typ)) {
+        addDetail(zeroRated, det, sign);
+        return;
+      }
+      addOutward(det, sign);
+      if (category && det.iamt > 0) {
+        addInterState(category === 'uin' ? 'uin' : 'comp', inv.pos, det, sign);
+      }
+    });
+  };
+
+  const addB2CLInvoice = (pos, inv, sign = 1) => {
+    (inv.items || []).forEach(item => {
+      addOutward(item.itm_det || {}, sign);
+      addInterState('unreg', pos, item.itm_det || {}, sign);
+    });
+  };
+
+  const addB2CSRow = (row, sign = 1) => {
+    addOutward(row, sign);
+    if (row.sply_ty === 'INTER') {
+      addInterState('unreg', row.pos, row, sign);
+    }
+  };
+
+  // Credit notes reduce and debit notes increase the outward supplies
+  const addRegisteredNote = (ctin, note, sign = 1) => {
+    addB2BInvoice(ctin, note, note.ntty === 'C' ? -sign : sign);
+  };
+
+  (gstr1Data.b2b || []).forEach(row => {
+    (row.invoices || []).forEach(inv => addB2BInvoice(row.ctin, inv));
+  });
+
+  (gstr1Data.b2cl || []).forEach(row => {
+    (row.invoices || []).forEach(inv => addB2CLInvoice(row.pos, inv));
+  });
+
+  (gstr1Data.b2cs || []).forEach(row => addB2CSRow(row));
+
+  (gstr1Data.exp || []).forEach(row => {
+    (row.invoices || []).forEach(inv => {
+      (inv.items || []).forEach(item => addDetail(zeroRated, item));
+    });
+  });
+
+  (gstr1Data.cdnr || []).forEach(row => {
+    (row.notes || []).forEach(note => addRegisteredNote(row.ctin, note));
+  });
+
+  // Amendments report the difference between the revised and the original document in this period
+  forEachAmendment(gstr1Data, (table, doc, sign, context) => {
+    if (table === 'b2b') addB2BInvoice(context.ctin, doc, sign);
+    if (table === 'b2cl') addB2CLInvoice(context.pos, doc, sign);
+    if (table === 'b2cs') addB2CSRow(doc, sign);
+    if (table === 'cdnr') addRegisteredNote(context.ctin, doc, sign);
+  });
+
+  (gstr1Data.cdnur || []).forEach(note => {
+    const sign = note.ntty === 'C' ? -1 : 1;
+    (note.items || []).forEach(item => {
+      const det = item.itm_det || {};
+      if (note.typ === 'B2CL') {
+        addOutward(det, sign);
+        addInterState('unreg', note.pos, det, sign);
+      } else {
+        addDetail(zeroRated, det, sign);
+      }
+    });
+  });
+
+  const interStateRows = (bucket) => Array.from(interState[bucket].values())
+    .map(entry => ({ pos: entry.pos, txval: round(entry.txval), iamt: round(entry.iamt) }))
+    .filter(entry => entry.txval !== 0 || entry.iamt !== 0);
+
+  const zero = roundAmounts(zeroRated);
+
+  return {
+    sup_details: {
+      osup_det: roundAmounts(taxable),
+      osup_zero: { txval: zero.txval, iamt: zero.iamt, csamt: zero.csamt },
+      osup_nil_exmp: { txval: round(nilExempt.txval) },
+      osup_nongst: { txval: round(gstr1Data.nongst || 0) }
+    },
+    inter_sup: {
+      unreg_details: interStateRows('unreg'),
+      comp_details: interStateRows('comp'),
+      uin_details: interStateRows('uin')
+    }
+  };
+};
+
+/**
+ * Compute table 3.1(d) and table 4 from a reconciliation and reversal inputs
+ * @param {Object} reconciliation - ITCReconciliation document (optional)
+ * @param {Object} reversals - { rule42_43: {iamt,camt,samt,csamt}, others: {...} } for table 4(B), reclaimed for 4(A)(5)
+ * @returns {Object} - { isup_rev, itc_elg }
+ */
+const computeITC = (reconciliation, reversals = {}) => {
+  const inwardReverseCharge = emptyAmounts();
+  const reverseChargeITC = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const ineligible = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const otherITC = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+
+  if (reconciliation) {
+    reconciliation.results.forEach(result => {
+      const sign = result.documentType === 'CRN' ? -1 : 1;
+      const matched = ['matched', 'partially_matched'].includes(result.status);
+
+      if (result.reverseCharge && (matched || result.status === 'missing_in_2b')) {
+        const doc = result.books;
+        addDetail(inwardReverseCharge, {
+          txval: doc.taxableValue, iamt: doc.igst, camt: doc.cgst, samt: doc.sgst, csamt: doc.cess
+        }, sign);
+        reverseChargeITC.iamt += sign * doc.igst;
+        reverseChargeITC.camt += sign * doc.cgst;
+        reverseChargeITC.samt += sign * doc.sgst;
+        reverseChargeITC.csamt += sign * doc.cess;
+        return;
+      }
+
+      if (matched && result.itcAvailable === false) {
+        ineligible.iamt += sign * result.portal.igst;
+        ineligible.camt += sign * result.portal.cgst;
+        ineligible.samt += sign * result.portal.sgst;
+        ineligible.csamt += sign * result.portal.cess;
+      }
+    });
+
+    const claimable = reconciliation.claimableITC || {};
+    otherITC.iamt = claimable.igst || 0;
+    otherITC.camt = claimable.cgst || 0;
+    otherITC.samt = claimable.sgst || 0;
+    otherITC.csamt = claimable.cess || 0;
+
+    // Reverse charge ITC is reported in 4(A)(3), so take it out of 4(A)(5)
+    reconciliation.results
+      .filter(result => result.reverseCharge && ['matched', 'partially_matched'].includes(result.status) && result.itcAvailable !== false)
+      .forEach(result => {
+        const sign = result.documentType === 'CRN' ? -1 : 1;
+        otherITC.iamt -= sign * Math.min(result.books.igst, result.portal.igst);
+        otherITC.camt -= sign * Math.min(result.books.cgst, result.portal.cgst);
+        otherITC.samt -= sign * Math.min(result.books.sgst, result.portal.sgst);
+        otherITC.csamt -= sign * Math.min(result.books.cess, result.portal.cess);
+      });
+  }
+
+  // ITC reclaimed on paying suppliers after 180 days (rule 37) is availed again in 4(A)(5)
+  const reclaimed = reversals.reclaimed || {};
+  ['iamt', 'camt', 'samt', 'csamt'].forEach(head => {
+    otherITC[head] += reclaimed[head] || 0;
+  });
+
+  const heads = (amounts = {}) => ({
+    iamt: round(amounts.iamt),
+    camt: round(amounts.camt),
+    samt: round(amounts.samt),
+    csamt: round(amounts.csamt)
+  });
+
+  const itcAvl = [
+    { ty: 'IMPG', ...heads(reversals.importGoods) },
+    { ty: 'IMPS', ...heads(reversals.importServices) },
+    { ty: 'ISRC', ...heads(reverseChargeITC) },
+    { ty: 'ISD', ...heads(reversals.isd) },
+    { ty: 'OTH', ...heads(otherITC) }
+  ];
+  const itcRev = [
+    { ty: 'RUL', ...heads(reversals.rule42_43) },
+    { ty: 'OTH', ...heads(reversals.others) }
+  ];
+
+  const net = ['iamt', 'camt', 'samt', 'csamt'].reduce((out, head) => ({
+    ...out,
+    [head]: round(
+      itcAvl.reduce((sum, row) => sum + row[head], 0) - itcRev.reduce((sum, row) => sum + row[head], 0)
+    )
+  }), {});
+
+  return {
+    isup_rev: roundAmounts(inwardReverseCharge),
+    itc_elg: {
+      itc_avl: itcAvl,
+      itc_rev: itcRev,
+      itc_net: net,
+      itc_inelg: [
+        { ty: 'RUL', ...heads(reversals.ineligible17_5) },
+        { ty: 'OTH', ...heads(ineligible) }
+      ]
+    }
+  };
+};
+
+/**
+ * Prepare GSTR-3B data
+ * @param {Object} params - { gstr1Data, reconciliation, reversals, recipientCategories }
+ * @returns {Object} - gstr3bData
+ */
+const prepareGSTR3BData = ({ gstr1Data, reconciliation, reversals, recipientCategories } = {}) => {
+  const outward = computeOutwardSupplies(toObject(gstr1Data) || {}, recipientCategories);
+  const itc = computeITC(reconciliation, reversals);
+
+  return {
+    sup_details: {
+      ...outward.sup_details,
+      isup_rev: itc.isup_rev
+    },
+    inter_sup: outward.inter_sup,
+    itc_elg: itc.itc_elg,
+    inward_sup: {
+      isup_details: [
+        { ty: 'GST', inter: 0, intra: 0 },
+        { ty: 'NONGST', inter: 0, intra: 0 }
+      ]
+    }
+  };
+};
+
+// Flatten a 3B structure into "path -> value" pairs; array rows are keyed by ty or pos
+const flatten = (value, prefix = '', out = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((row, index) => {
+      const key = row && (row.ty || row.pos) ? (row.ty || row.pos) : index;
+      flatten(row, `${prefix}[${key}]`, out);
+    });
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.keys(value).forEach(key => {
+      if (key === '_id' || key === 'ty' || key === 'pos') return;
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else if (typeof value === 'number') {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Compare user-entered GSTR-3B figures with the computed ones
+ * @param {Object} computed - Computed gstr3bData
+ * @param {Object} actual - Current gstr3bData
+ * @returns {Array} - Variances ({ field, computed, reported, variance })
+ */
+const calculateGSTR3BVariance = (computed, actual) => {
+  const computedValues = flatten(toObject(computed) || {});
+  const actualValues = flatten(toObject(actual) || {});
+  const fields = new Set([...Object.keys(computedValues), ...Object.keys(actualValues)]);
+
+  return Array.from(fields)
+    .map(field => {
+      const computedValue = round(computedValues[field]);
+      const reported = round(actualValues[field]);
+      return { field, computed: computedValue, reported, variance: round(reported - computedValue) };
+    })
+    .filter(entry => entry.variance !== 0);
+};
+
+/**
+ * Apply user overrides to GSTR-3B data
+ * @param {Object} gstr3bData - Current gstr3bData
+ * @param {Object} overrides - Map of variance-view field paths (e.g. "itc_elg.itc_avl[OTH].iamt") to values
+ * @returns {Object} - Updated gstr3bData
+ */
+const applyGSTR3BOverrides = (gstr3bData, overrides = {}) => {
+  const data = JSON.parse(JSON.stringify(toObject(gstr3bData) || {}));
+
+  Object.keys(overrides).forEach(field => {
+    const value = Number(overrides[field]);
+    if (Number.isNaN(value)) {
+      throw new Error(`Override for ${field} must be a number`);
+    }
+
+    const segments = field.split('.');
+    let target = data;
+    segments.forEach((segment, index) => {
+      const match = segment.match(/^([a-z_]+)(?:\[([A-Z0-9]+)\])?$/);
+      if (!match) {
+        throw new Error(`Invalid GSTR-3B field ${field}`);
+      }
+      const [, name, key] = match;
+      const isLast = index === segments.length - 1;
+
+      if (isLast) {
+        if (key !== undefined || (target[name] !== undefined && typeof target[name] !== 'number')) {
+          throw new Error(`Invalid GSTR-3B field ${field}`);
+        }
+        target[name] = value;
+        return;
+      }
+
+      if (key !== undefined) {
+        if (!Array.isArray(target[name])) {
+          throw new Error(`Invalid GSTR-3B field ${field}`);
+        }
+        let row = target[name].find(item => item.ty === key || item.pos === key);
+        if (!row) {
+          // Place-of-supply rows in table 3.2 can be added; typed rows are fixed
+          if (!/^[0-9]{2}$/.test(key)) {
+            throw new Error(`Invalid GSTR-3B field ${field}`);
+          }
+          row = { pos: key, txval: 0, iamt: 0 };
+          target[name].push(row);
+        }
+        target = row;
+      } else {
+        if (!target[name] || typeof target[name] !== 'object') {
+          throw new Error(`Invalid GSTR-3B field ${field}`);
+        }
+        target = target[name];
+      }
+    });
+  });
+
+  // Net ITC follows table 4(A) and 4(B) unless it was overridden itself
+  const itc = data.itc_elg;
+  if (itc && Array.isArray(itc.itc_avl) && Array.isArray(itc.itc_rev)
+    && !Object.keys(overrides).some(field => field.startsWith('itc_elg.itc_net'))) {
+    itc.itc_net = ['iamt', 'camt', 'samt', 'csamt'].reduce((out, head) => ({
+      ...out,
+      [head]: round(
+        itc.itc_avl.reduce((sum, row) => sum + (row[head] || 0), 0) - itc.itc_rev.reduce((sum, row) => sum + (row[head] || 0), 0)
+      )
+    }), {});
+  }
+
+  return data;
+};
+
+/**
+ * Tax payable from GSTR-3B table 3.1 (outward and reverse charge liability)
+ * @param {Object} gstr3bData - GSTR-3B data
+ * @returns {Object} - { igst, cgst, sgst, cess }
+ */
+const calculateGSTR3BLiability = (gstr3bData) => {
+  const sup = (gstr3bData && gstr3bData.sup_details) || {};
+  const parts = [sup.osup_det, sup.osup_zero, sup.isup_rev].filter(Boolean);
+  return {
+    igst: round(parts.reduce((sum, part) => sum + (part.iamt || 0), 0)),
+    cgst: round(parts.reduce((sum, part) => sum + (part.camt || 0), 0)),
+    sgst: round(parts.reduce((sum, part) => sum + (part.samt || 0), 0)),
+    cess: round(parts.reduce((sum, part) => sum + (part.csamt || 0), 0))
+  };
+};
+
+module.exports = {
+  computeOutwardSupplies,
+  prepareGSTR3BData,
+  calculateGSTR3BVariance,
+  applyGSTR3BOverrides,
+  calculateGSTR3BLiability
+};
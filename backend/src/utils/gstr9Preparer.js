@@ -0,0 +1,828 @@
+// Aggregates a financial year's GSTR-1, GSTR-3B and ITC reconciliations into the GSTR-9 annual return
+
+const { computeOutwardSupplies } = require('./gstr3bPreparer');
+const { forEachAmendment } = require('./gstr1Amendments');
+const { hsnRows } = require('./gstr1Summaries');
+
+const HEADS = ['iamt', 'camt', 'samt', 'csamt'];
+
+// Differences between GSTR-1 and GSTR-3B up to this amount per head are rounding
+const DIFFERENCE_TOLERANCE = 1;
+
+// ITC and amendments of a financial year can be reported in the next year up to this month's return.
+// Finance Act 2022 moved the cut-off from the September return to 30 November from FY 2022-23.
+const NEXT_YEAR_CUTOFFS = [
+  { from: '2017-04-01', month: 9 },
+  { from: '2022-04-01', month: 11 }
+];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const emptyAmounts = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const emptyTax = () => ({ iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addAmounts = (target, det = {}, sign = 1) => {
+  Object.keys(target).forEach(key => {
+    target[key] += sign * (det[key] || 0);
+  });
+  return target;
+};
+
+const roundAmounts = (amounts) => Object.keys(amounts).reduce((out, key) => ({ ...out, [key]: round(amounts[key]) }), {});
+
+// { igst, cgst, sgst, cess } heads of ledgers and registers to the return's { iamt, camt, samt, csamt }
+const fromLedgerHeads = (amounts = {}) => ({
+  iamt: amounts.igst || 0,
+  camt: amounts.cgst || 0,
+  samt: amounts.sgst || 0,
+  csamt: amounts.cess || 0
+});
+
+const toObject = (value) => (value && value.toObject ? value.toObject() : value);
+
+const startYearOf = (financialYear) => parseInt(String(financialYear).slice(0, 4), 10);
+
+const periodKey = (period) => `${period.year}-${String(period.month).padStart(2, '0')}`;
+
+/**
+ * Last month of the next financial year whose returns can carry this year's ITC and amendments
+ * @param {string} financialYear - e.g. '2024-25'
+ * @returns {Object} - { month, year }
+ */
+const getNextYearCutoff = (financialYear) => {
+  const startYear = startYearOf(financialYear);
+  const fyStart = `${startYear}-04-01`;
+  const rule = NEXT_YEAR_CUTOFFS.filter(item => item.from <= fyStart).pop() || NEXT_YEAR_CUTOFFS[0];
+  return { month: rule.month, year: startYear + 1 };
+};
+
+/**
+ * Check whether a date falls in a financial year
+ * @param {Date|string} date - Date to check
+ * @param {string} financialYear - e.g. '2024-25'
+ * @returns {boolean}
+ */
+const isInFinancialYear = (date, financialYear) => {
+  if (!date) return false;
+  const d = new Date(date);
+  const startYear = startYearOf(financialYear);
+  return d >= new Date(startYear, 3, 1) && d < new Date(startYear + 1, 3, 1);
+};
+
+/**
+ * Net change made by amendments to documents of a financial year, one differential per amended document
+ * @param {Array} gstr1Returns - GSTR-1 returns carrying the amendment tables
+ * @param {string} financialYear - Year of the original documents
+ * @returns {Object} - { taxable: { pos, neg }, taxFree: { pos, neg } } with neg as positive amounts
+ */
+const computeAmendmentDifferentials = (gstr1Returns = [], financialYear) => {
+  const result = {
+    taxable: { pos: emptyAmounts(), neg: emptyAmounts() },
+    taxFree: { pos: emptyAmounts(), neg: emptyAmounts() }
+  };
+
+  gstr1Returns.forEach(ret => {
+    let diff = null;
+    forEachAmendment(ret.gstr1Data, (table, doc, sign, context) => {
+      if (!isInFinancialYear(context.originalDate, financialYear)) return;
+      // Each revised document (+1) is visited just before its original (-1)
+      if (sign > 0) diff = { taxable: emptyAmounts(), taxFree: emptyAmounts() };
+      const docSign = table === 'cdnr' && doc.ntty === 'C' ? -sign : sign;
+      // Supplies on which the supplier pays no tax belong to table 5, as in computeSupplyTables
+      const taxFree = ['b2b', 'cdnr'].includes(table) && (doc.rchrg === 'Y' || doc.inv_typ === 'SEWOP');
+      const details = table === 'b2cs' ? [doc] : (doc.items || []).map(item => item.itm_det || {});
+      details.forEach(det => addAmounts(taxFree || Number(det.rt) === 0 ? diff.taxFree : diff.taxable, det, docSign));
+
+      if (sign < 0) {
+        ['taxable', 'taxFree'].forEach(key => {
+          const net = Object.values(diff[key]).reduce((total, value) => total + value, 0);
+          if (net >= 0) {
+            addAmounts(result[key].pos, diff[key]);
+          } else {
+            addAmounts(result[key].neg, diff[key], -1);
+          }
+        });
+      }
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Tables 4 and 5: outward and inward supplies declared in the year's GSTR-1 and GSTR-3B
+ * @param {Array} gstr1Returns - The year's GSTR-1 returns
+ * @param {Array} gstr3bReturns - The year's GSTR-3B returns
+ * @param {string} financialYear - e.g. '2024-25'
+ * @returns {Object} - { table4, table5 }
+ */
+const computeSupplyTables = (gstr1Returns = [], gstr3bReturns = [], financialYear) => {
+  const t4 = {
+    b2c: emptyAmounts(), b2b: emptyAmounts(), exp: emptyAmounts(), sez: emptyAmounts(),
+    deemed: emptyAmounts(), at: emptyAmounts(), rchrg: emptyAmounts(),
+    cr_nt: emptyAmounts(), dr_nt: emptyAmounts(), amd_pos: emptyAmounts(), amd_neg: emptyAmounts()
+  };
+  const t5 = {
+    zero_rtd: emptyAmounts(), sez: emptyAmounts(), rchrg: emptyAmounts(), exmt: emptyAmounts(),
+    nil: emptyAmounts(), non_gst: emptyAmounts(),
+    cr_nt: emptyAmounts(), dr_nt: emptyAmounts(), amd_pos: emptyAmounts(), amd_neg: emptyAmounts()
+  };
+
+  // Zero-rated items of a taxable table are nil-rated supplies, as in GSTR-3B table 3.1(c)
+  const addTaxable = (bucket, det) => {
+    if (Number(det.rt) === 0) {
+      t5.nil.txval += det.txval || 0;
+    } else {
+      addAmounts(bucket, det);
+    }
+  };
+
+  // Notes against supplies on which the supplier pays no tax go to table 5, the rest to table 4
+  const addNote = (note, det, taxFree) => {
+    const table = taxFree ? t5 : t4;
+    addAmounts(note.ntty === 'C' ? table.cr_nt : table.dr_nt, det);
+  };
+
+  gstr1Returns.forEach(ret => {
+    const data = toObject(ret.gstr1Data) || {};
+
+    (data.b2b || []).forEach(row => {
+      (row.invoices || []).forEach(inv => {
+        (inv.items || []).forEach(item => {
+          const det = item.itm_det || {};
+          if (inv.rchrg === 'Y') {
+            addAmounts(t5.rchrg, det);
+          } else if (inv.inv_typ === 'SEWP') {
+            addAmounts(t4.sez, det);
+          } else if (inv.inv_typ === 'SEWOP') {
+            addAmounts(t5.sez, { txval: det.txval });
+          } else if (inv.inv_typ === 'DE') {
+            addAmounts(t4.deemed, det);
+          } else {
+            addTaxable(t4.b2b, det);
+          }
+        });
+      });
+    });
+
+    (data.b2cl || []).forEach(row => {
+      (row.invoices || []).forEach(inv => {
+        (inv.items || []).forEach(item => addTaxable(t4.b2c, item.itm_det || {}));
+      });
+    });
+    (data.b2cs || []).forEach(row => addTaxable(t4.b2c, row));
+
+    (data.exp || []).forEach(row => {
+      (row.invoices || []).forEach(inv => {
+        (inv.items || []).forEach(item => {
+          if (row.exp_typ === 'WOPAY') {
+            addAmounts(t5.zero_rtd, { txval: item.txval });
+          } else {
+            addAmounts(t4.exp, item);
+          }
+        });
+      });
+    });
+
+    (data.cdnr || []).forEach(row => {
+      (row.notes || []).forEach(note => {
+        (note.items || []).forEach(item => {
+          addNote(note, item.itm_det || {}, note.rchrg === 'Y' || note.inv_typ === 'SEWOP');
+        });
+      });
+    });
+    (data.cdnur || []).forEach(note => {
+      (note.items || []).forEach(item => addNote(note, item.itm_det || {}, note.typ === 'EXPWOP'));
+    });
+  });
+
+  // 4K/4L and 5J/5K: amendments made during the year to the year's own documents
+  const amendments = computeAmendmentDifferentials(gstr1Returns, financialYear);
+  addAmounts(t4.amd_pos, amendments.taxable.pos);
+  addAmounts(t4.amd_neg, amendments.taxable.neg);
+  addAmounts(t5.amd_pos, amendments.taxFree.pos);
+  addAmounts(t5.amd_neg, amendments.taxFree.neg);
+
+  // Inward supplies under reverse charge (4G) and exempt and non-GST supplies come from GSTR-3B
+  let nilExempt = 0;
+  gstr3bReturns.forEach(ret => {
+    const sup = (ret.gstr3bData && ret.gstr3bData.sup_details) || {};
+    addAmounts(t4.rchrg, sup.isup_rev || {});
+    nilExempt += (sup.osup_nil_exmp && sup.osup_nil_exmp.txval) || 0;
+    t5.non_gst.txval += (sup.osup_nongst && sup.osup_nongst.txval) || 0;
+  });
+  t5.exmt.txval = Math.max(0, nilExempt - t5.nil.txval);
+
+  const sum = (rows, signs = []) => rows.reduce((total, row, index) => addAmounts(total, row, signs[index] || 1), emptyAmounts());
+
+  const table4 = {};
+  Object.keys(t4).forEach(key => { table4[key] = roundAmounts(t4[key]); });
+  table4.sub_totalAG = roundAmounts(sum([t4.b2c, t4.b2b, t4.exp, t4.sez, t4.deemed, t4.at, t4.rchrg]));
+  table4.sub_totalIL = roundAmounts(sum([t4.cr_nt, t4.dr_nt, t4.amd_pos, t4.amd_neg], [-1, 1, 1, -1]));
+  table4.sup_adv = roundAmounts(sum([table4.sub_totalAG, table4.sub_totalIL]));
+
+  const table5 = {};
+  Object.keys(t5).forEach(key => { table5[key] = { txval: round(t5[key].txval) }; });
+  table5.sub_totalAF = { txval: round(sum([t5.zero_rtd, t5.sez, t5.rchrg, t5.exmt, t5.nil, t5.non_gst]).txval) };
+  table5.sub_totalHK = { txval: round(sum([t5.cr_nt, t5.dr_nt, t5.amd_pos, t5.amd_neg], [-1, 1, 1, -1]).txval) };
+  table5.tover_nt_pd = { txval: round(table5.sub_totalAF.txval + table5.sub_totalHK.txval) };
+
+  // 5N: turnover including advances, less inward supplies under reverse charge
+  const totalTurnover = addAmounts(addAmounts(emptyAmounts(), table4.sup_adv), table4.rchrg, -1);
+  totalTurnover.txval += table5.tover_nt_pd.txval;
+  table5.total_tover = roundAmounts(totalTurnover);
+
+  return { table4, table5 };
+};
+
+/**
+ * Table 6: ITC availed in the year's GSTR-3B table 4(A)
+ * @param {Array} gstr3bReturns - The year's GSTR-3B returns
+ * @returns {Object} - table6
+ */
+const computeITCAvailed = (gstr3bReturns = []) => {
+  const byType = { IMPG: emptyTax(), IMPS: emptyTax(), ISRC: emptyTax(), ISD: emptyTax(), OTH: emptyTax() };
+  const availed = emptyTax();
+  const reclaimed = emptyTax();
+
+  gstr3bReturns.forEach(ret => {
+    const itc = (ret.gstr3bData && ret.gstr3bData.itc_elg) || {};
+    (itc.itc_avl || []).forEach(row => {
+      addAmounts(availed, row);
+      if (byType[row.ty]) addAmounts(byType[row.ty], row);
+    });
+    // Rule 37 reclaims sit in 4(A)(5) but are reported as reclaimed ITC in 6H
+    const paymentRule = (ret.gstr3bSource && ret.gstr3bSource.paymentRule) || {};
+    addAmounts(reclaimed, fromLedgerHeads(paymentRule.reclaim));
+  });
+
+  const nonReverseCharge = addAmounts(addAmounts(emptyTax(), byType.OTH), reclaimed, -1);
+  const subTotal = [nonReverseCharge, byType.ISRC, byType.IMPG, byType.IMPS, byType.ISD, reclaimed]
+    .reduce((total, row) => addAmounts(total, row), emptyTax());
+
+  // GSTR-3B does not split ITC into inputs, capital goods and input services; it is reported as inputs
+  return {
+    itc_3b: roundAmounts(availed),
+    supp_non_rchrg: [
+      { itc_typ: 'ip', ...roundAmounts(nonReverseCharge) },
+      { itc_typ: 'cg', ...emptyTax() },
+      { itc_typ: 'is', ...emptyTax() }
+    ],
+    supp_rchrg_unreg: [
+      { itc_typ: 'ip', ...emptyTax() },
+      { itc_typ: 'cg', ...emptyTax() },
+      { itc_typ: 'is', ...emptyTax() }
+    ],
+    supp_rchrg_reg: [
+      { itc_typ: 'ip', ...roundAmounts(byType.ISRC) },
+      { itc_typ: 'cg', ...emptyTax() },
+      { itc_typ: 'is', ...emptyTax() }
+    ],
+    iog: [
+      { itc_typ: 'ip', iamt: round(byType.IMPG.iamt), csamt: round(byType.IMPG.csamt) },
+      { itc_typ: 'cg', iamt: 0, csamt: 0 }
+    ],
+    ios: { iamt: round(byType.IMPS.iamt), csamt: round(byType.IMPS.csamt) },
+    isd: roundAmounts(byType.ISD),
+    itc_clmd: roundAmounts(reclaimed),
+    sub_totalBH: roundAmounts(subTotal),
+    difference: roundAmounts(addAmounts(addAmounts(emptyTax(), availed), subTotal, -1)),
+    tran1: { camt: 0, samt: 0 },
+    tran2: { camt: 0, samt: 0 },
+    other: emptyTax(),
+    sub_totalKM: emptyTax(),
+    total_itc_availed: roundAmounts(subTotal)
+  };
+};
+
+/**
+ * Table 7: ITC reversed in the year's GSTR-3B table 4(B), split by the rule behind each reversal
+ * @param {Array} gstr3bReturns - The year's GSTR-3B returns
+ * @param {Object} table6 - Table 6 of the same year
+ * @returns {Object} - { table7, warnings }
+ */
+const computeITCReversed = (gstr3bReturns = [], table6) => {
+  const rule37 = emptyTax();
+  const rule42 = emptyTax();
+  const rule43 = emptyTax();
+  const sec17 = emptyTax();
+  const other = emptyTax();
+  const warnings = [];
+  const unsplit = [];
+
+  gstr3bReturns.forEach(ret => {
+    const itc = (ret.gstr3bData && ret.gstr3bData.itc_elg) || {};
+    const reversed = (itc.itc_rev || []).reduce((total, row) => addAmounts(total, row), emptyTax());
+    const paymentRule = (ret.gstr3bSource && ret.gstr3bSource.paymentRule) || {};
+    const month = addAmounts(emptyTax(), fromLedgerHeads(paymentRule.reversal));
+    addAmounts(rule37, month);
+
+    const workings = ret.itcReversal && ret.itcReversal.computedAt ? toObject(ret.itcReversal) : null;
+    if (workings) {
+      const r42 = workings.rule42 || {};
+      const r43 = workings.rule43 || {};
+      const monthRule42 = [r42.T1, r42.T2, r42.D1, r42.D2].reduce((total, heads) => addAmounts(total, fromLedgerHeads(heads)), emptyTax());
+      const monthRule43 = [r43.exclusive, r43.Te, r43.Th].reduce((total, heads) => addAmounts(total, fromLedgerHeads(heads)), emptyTax());
+      const monthSec17 = fromLedgerHeads(workings.blocked);
+      addAmounts(rule42, monthRule42);
+      addAmounts(rule43, monthRule43);
+      addAmounts(sec17, monthSec17);
+      [monthRule42, monthRule43, monthSec17].forEach(heads => addAmounts(month, heads));
+    } else {
+      // Without eligibility workings the rule reversal (4(B)(1)) cannot be split between rules 42, 43 and 17(5)
+      const rul = (itc.itc_rev || []).filter(row => row.ty === 'RUL').reduce((total, row) => addAmounts(total, row), emptyTax());
+      if (HEADS.some(head => rul[head] !== 0)) {
+        unsplit.push(periodKey(ret.period));
+        addAmounts(rule42, rul);
+        addAmounts(month, rul);
+      }
+    }
+
+    // Whatever GSTR-3B reversed beyond the known rules, including manual changes, is an other reversal
+    addAmounts(other, addAmounts(reversed, month, -1));
+  });
+
+  if (unsplit.length > 0) {
+    warnings.push({
+      table: '7',
+      severity: 'warning',
+      message: `ITC eligibility workings are missing for ${unsplit.join(', ')}; rule reversals of those months are shown under rule 42 and should be split between rules 42, 43 and section 17(5)`
+    });
+  }
+  if (HEADS.some(head => other[head] < -DIFFERENCE_TOLERANCE)) {
+    warnings.push({
+      table: '7H',
+      severity: 'warning',
+      message: 'GSTR-3B reversed less ITC than the rule 37, 42 and 43 workings; other reversals are negative'
+    });
+  }
+
+  const total = [rule37, rule42, rule43, sec17, other].reduce((sum, row) => addAmounts(sum, row), emptyTax());
+  return {
+    table7: {
+      rule37: roundAmounts(rule37),
+      rule39: emptyTax(),
+      rule42: roundAmounts(rule42),
+      rule43: roundAmounts(rule43),
+      sec17: roundAmounts(sec17),
+      revsl_tran1: { camt: 0, samt: 0 },
+      revsl_tran2: { camt: 0, samt: 0 },
+      other: [{ desc: 'Other reversals in GSTR-3B', ...roundAmounts(other) }],
+      tot_itc_revd: roundAmounts(total),
+      net_itc_aval: roundAmounts(addAmounts(addAmounts(emptyTax(), table6.total_itc_availed), total, -1))
+    },
+    warnings
+  };
+};
+
+// Tax on a reconciliation document snapshot, negative for credit notes
+const documentTax = (result, side) => {
+  const doc = result[side] || {};
+  const sign = result.documentType === 'CRN' ? -1 : 1;
+  return {
+    iamt: sign * (doc.igst || 0),
+    camt: sign * (doc.cgst || 0),
+    samt: sign * (doc.sgst || 0),
+    csamt: sign * (doc.cess || 0)
+  };
+};
+
+/**
+ * ITC of the financial year's invoices availed in the next year (table 13), from the next year's reconciliations
+ * @param {Array} reconciliations - Reconciliations of the next year up to the cut-off month
+ * @param {string} financialYear - The year being reported, e.g. '2024-25'
+ * @returns {Object} - { iamt, camt, samt, csamt }
+ */
+const computeNextYearITC = (reconciliations = [], financialYear) => {
+  const availed = emptyTax();
+  reconciliations.forEach(reconciliation => {
+    (reconciliation.results || []).forEach(result => {
+      if (!['matched', 'partially_matched'].includes(result.status)) return;
+      if (result.reverseCharge || result.itcAvailable === false) return;
+      if (!result.books || !isInFinancialYear(result.books.invoiceDate, financialYear)) return;
+      addAmounts(availed, documentTax(result, 'portal'));
+    });
+  });
+  return roundAmounts(availed);
+};
+
+/**
+ * Table 8: ITC as per GSTR-2B against ITC availed, and ITC lapsed
+ * @param {Array} reconciliations - The year's ITC reconciliations
+ * @param {Object} table6 - Table 6 of the same year
+ * @param {Object} nextYearITC - Table 13 (8C)
+ * @param {Object} imports - { igst, cess } IGST paid on imports of goods, from bills of entry
+ * @returns {Object} - table8
+ */
+const computeITCComparison = (reconciliations = [], table6, nextYearITC = emptyTax(), imports) => {
+  const perPortal = emptyTax();
+  const notAvailed = emptyTax();
+  const ineligible = emptyTax();
+
+  reconciliations.forEach(reconciliation => {
+    (reconciliation.results || []).forEach(result => {
+      if (!result.portal || result.status === 'duplicate' || result.status === 'missing_in_2b') return;
+      if (result.reverseCharge) return;
+      const tax = documentTax(result, 'portal');
+      addAmounts(perPortal, tax);
+      if (result.itcAvailable === false) {
+        addAmounts(ineligible, tax);
+      } else if (result.status === 'missing_in_books') {
+        addAmounts(notAvailed, tax);
+      }
+    });
+  });
+
+  const nonReverseCharge = table6.supp_non_rchrg.reduce((sum, row) => addAmounts(sum, row), emptyTax());
+  const availed = addAmounts(addAmounts(emptyTax(), nonReverseCharge), table6.itc_clmd);
+  const difference = addAmounts(addAmounts(addAmounts(emptyTax(), perPortal), availed, -1), nextYearITC, -1);
+
+  const importsAvailed = table6.iog.reduce((sum, row) => ({ iamt: sum.iamt + (row.iamt || 0), csamt: sum.csamt + (row.csamt || 0) }), { iamt: 0, csamt: 0 });
+  const importsPaid = imports ? { iamt: imports.igst || 0, csamt: imports.cess || 0 } : importsAvailed;
+  const importsDifference = { iamt: round(importsPaid.iamt - importsAvailed.iamt), csamt: round(importsPaid.csamt - importsAvailed.csamt) };
+  const importsNotAvailed = { iamt: Math.max(0, importsDifference.iamt), csamt: Math.max(0, importsDifference.csamt) };
+
+  const lapsed = addAmounts(addAmounts(emptyTax(), notAvailed), ineligible);
+  lapsed.iamt += importsNotAvailed.iamt;
+  lapsed.csamt += importsNotAvailed.csamt;
+
+  return {
+    itc_2a: roundAmounts(perPortal),
+    itc_tot: roundAmounts(availed),
+    itc_inwd_supp: roundAmounts(nextYearITC),
+    differenceABC: roundAmounts(difference),
+    itc_nt_availd: roundAmounts(notAvailed),
+    itc_nt_eleg: roundAmounts(ineligible),
+    iog_taxpaid: { iamt: round(importsPaid.iamt), csamt: round(importsPaid.csamt) },
+    iog_itc_availd: { iamt: round(importsAvailed.iamt), csamt: round(importsAvailed.csamt) },
+    differenceGH: importsDifference,
+    iog_itc_ntavaild: importsNotAvailed,
+    tot_itc_lapsed: roundAmounts(lapsed)
+  };
+};
+
+/**
+ * Tables 9 and 19: tax, interest and late fee payable in the year's GSTR-3B and how they were paid
+ * @param {Array} gstr3bReturns - The year's GSTR-3B returns
+ * @returns {Object} - { table9, table19, warnings }
+ */
+const computeTaxPaid = (gstr3bReturns = []) => {
+  const row = (itcHeads) => itcHeads.reduce((out, key) => ({ ...out, [key]: 0 }), { txpyble: 0, txpaid_cash: 0 });
+  const table9 = {
+    iamt: row(['tax_paid_itc_iamt', 'tax_paid_itc_camt', 'tax_paid_itc_samt']),
+    camt: row(['tax_paid_itc_iamt', 'tax_paid_itc_camt']),
+    samt: row(['tax_paid_itc_iamt', 'tax_paid_itc_samt']),
+    csamt: row(['tax_paid_itc_csamt']),
+    intr: row([]),
+    fee: row([])
+  };
+  const table19 = {
+    fee_payable: { camt: 0, samt: 0 },
+    fee_paid: { camt: 0, samt: 0 }
+  };
+  const unpaid = [];
+  const unrecorded = [];
+
+  gstr3bReturns.forEach(ret => {
+    const payable = fromLedgerHeads(ret.totalTaxAmount);
+    HEADS.forEach(head => { table9[head].txpyble += payable[head]; });
+
+    const interest = ret.interest || {};
+    const lateFee = ret.lateFee || {};
+    table9.intr.txpyble += (interest.igst || 0) + (interest.cgst || 0) + (interest.sgst || 0) + (interest.cess || 0);
+    table9.fee.txpyble += (lateFee.cgst || 0) + (lateFee.sgst || 0);
+    table19.fee_payable.camt += lateFee.cgst || 0;
+    table19.fee_payable.samt += lateFee.sgst || 0;
+
+    const setOff = ret.setOff || {};
+    if (!setOff.completedAt) {
+      unpaid.push(periodKey(ret.period));
+      return;
+    }
+    const itc = setOff.paidThroughItc || {};
+    table9.iamt.tax_paid_itc_iamt += itc.i_pdi || 0;
+    table9.iamt.tax_paid_itc_camt += itc.i_pdc || 0;
+    table9.iamt.tax_paid_itc_samt += itc.i_pds || 0;
+    table9.camt.tax_paid_itc_iamt += itc.c_pdi || 0;
+    table9.camt.tax_paid_itc_camt += itc.c_pdc || 0;
+    table9.samt.tax_paid_itc_iamt += itc.s_pdi || 0;
+    table9.samt.tax_paid_itc_samt += itc.s_pds || 0;
+    table9.csamt.tax_paid_itc_csamt += itc.cs_pdcs || 0;
+
+    // Cash paid is split into tax, interest and late fee by the set-off's table 6.1; without it
+    // only the tax heads can be filled from the cash paid
+    const table61 = Array.isArray(setOff.table61) ? setOff.table61 : null;
+    if (!table61) {
+      unrecorded.push(periodKey(ret.period));
+      const cash = fromLedgerHeads(setOff.cashPaid);
+      HEADS.forEach(head => { table9[head].txpaid_cash += cash[head]; });
+      return;
+    }
+    const paid = (field) => fromLedgerHeads(table61.reduce((out, line) => ({ ...out, [line.head]: line[field] || 0 }), {}));
+    const taxCash = paid('taxPaidInCash');
+    const interestCash = paid('interestPaidInCash');
+    const feeCash = paid('lateFeePaidInCash');
+    HEADS.forEach(head => { table9[head].txpaid_cash += taxCash[head]; });
+    table9.intr.txpaid_cash += HEADS.reduce((sum, head) => sum + interestCash[head], 0);
+    table9.fee.txpaid_cash += feeCash.camt + feeCash.samt;
+    table19.fee_paid.camt += feeCash.camt;
+    table19.fee_paid.samt += feeCash.samt;
+  });
+
+  Object.keys(table9).forEach(key => { table9[key] = roundAmounts(table9[key]); });
+  Object.keys(table19).forEach(key => { table19[key] = roundAmounts(table19[key]); });
+
+  const warnings = [];
+  if (unpaid.length > 0) {
+    warnings.push({
+      table: '9',
+      severity: 'warning',
+      message: `Liability has not been set off for ${unpaid.join(', ')}; tax paid for those months is shown as nil`
+    });
+  }
+  if (unrecorded.length > 0) {
+    warnings.push({
+      table: '9',
+      severity: 'warning',
+      message: `Set-off of ${unrecorded.join(', ')} has no table 6.1 record; all cash paid for those months is shown against tax and interest and late fee paid as nil`
+    });
+  }
+
+  return { table9, table19, warnings };
+};
+
+// Rows of a table entered by the user, rounded to the table's heads
+const amountsInput = (input = {}, keys = ['txval', ...HEADS]) => keys.reduce((out, key) => ({ ...out, [key]: round(input[key]) }), {});
+
+/**
+ * Tables 10 and 11: the year's supplies amended, or noted against, in the next year's GSTR-1s up to the cut-off
+ * @param {Array} nextYearGSTR1Returns - Next year's GSTR-1 returns up to the cut-off month
+ * @param {string} financialYear - e.g. '2024-25'
+ * @returns {Object} - { added, reduced }
+ */
+const computeNextYearAmendments = (nextYearGSTR1Returns = [], financialYear) => {
+  const amendments = computeAmendmentDifferentials(nextYearGSTR1Returns, financialYear);
+  const added = addAmounts(addAmounts(emptyAmounts(), amendments.taxable.pos), amendments.taxFree.pos);
+  const reduced = addAmounts(addAmounts(emptyAmounts(), amendments.taxable.neg), amendments.taxFree.neg);
+
+  // Debit notes add to and credit notes reduce the year's supplies when issued against its invoices
+  const addNote = (note) => {
+    if (!isInFinancialYear(note.idt, financialYear)) return;
+    (note.items || []).forEach(item => addAmounts(note.ntty === 'C' ? reduced : added, item.itm_det || {}));
+  };
+  nextYearGSTR1Returns.forEach(ret => {
+    const data = toObject(ret.gstr1Data) || {};
+    (data.cdnr || []).forEach(row => (row.notes || []).forEach(addNote));
+    (data.cdnur || []).forEach(addNote);
+  });
+
+  return { added: roundAmounts(added), reduced: roundAmounts(reduced) };
+};
+
+/**
+ * Tables 10 to 14: the year's transactions reported in the next year's returns
+ * @param {Object} nextYear - { amendmentsAdded, amendmentsReduced, itcReversed, itcAvailed, differentialTax }
+ * @param {Object} nextYearITC - ITC of the year's invoices found in the next year's reconciliations
+ * @param {Object} nextYearAmendments - { added, reduced } found in the next year's GSTR-1s
+ * @returns {Object} - { table10, table11, table12, table13, table14 }
+ */
+const computeNextYearTables = (nextYear = {}, nextYearITC = emptyTax(), nextYearAmendments = {}) => {
+  const table10 = amountsInput(nextYear.amendmentsAdded || nextYearAmendments.added);
+  const table11 = amountsInput(nextYear.amendmentsReduced || nextYearAmendments.reduced);
+  const table14 = HEADS.reduce((out, head) => ({
+    ...out,
+    [head]: {
+      txpyble: round(nextYear.differentialTax && nextYear.differentialTax[head] && nextYear.differentialTax[head].txpyble),
+      txpaid: round(nextYear.differentialTax && nextYear.differentialTax[head] && nextYear.differentialTax[head].txpaid)
+    }
+  }), {});
+  const differentialInterest = (nextYear.differentialTax && nextYear.differentialTax.intr) || {};
+  table14.intr = { txpyble: round(differentialInterest.txpyble), txpaid: round(differentialInterest.txpaid) };
+
+  // Table 10/11 tax is the differential tax payable, unless the user reported it separately
+  if (!nextYear.differentialTax) {
+    HEADS.forEach(head => {
+      table14[head].txpyble = round(table10[head] - table11[head]);
+    });
+  }
+
+  return {
+    table10,
+    table11,
+    table12: amountsInput(nextYear.itcReversed, HEADS),
+    table13: nextYear.itcAvailed ? amountsInput(nextYear.itcAvailed, HEADS) : roundAmounts(nextYearITC),
+    table14
+  };
+};
+
+/**
+ * Tables 17 and 18: HSN-wise summary of outward and inward supplies, one row per HSN, UQC and rate
+ * @param {Array} rows - [{ hsn_sc, desc, uqc, qty, rt, txval, iamt, camt, samt, csamt, isconcesstional }]
+ * @returns {Object} - { items }
+ */
+const summariseHSN = (rows = []) => {
+  const items = new Map();
+  rows.forEach(row => {
+    const hsn = String(row.hsn_sc || '').trim();
+    if (!hsn) return;
+    const uqc = String(row.uqc || 'NA').toUpperCase();
+    const rt = Number(row.rt) || 0;
+    const key = `${hsn}|${uqc}|${rt}`;
+    const item = items.get(key) || {
+      hsn_sc: hsn,
+      desc: row.desc || '',
+      uqc,
+      isconcesstional: row.isconcesstional === 'Y' ? 'Y' : 'N',
+      qty: 0,
+      rt,
+      amounts: emptyAmounts()
+    };
+    item.qty += Number(row.qty) || 0;
+    addAmounts(item.amounts, row);
+    items.set(key, item);
+  });
+
+  return {
+    items: Array.from(items.values())
+      .map(({ amounts, ...item }) => ({ ...item, qty: round(item.qty), ...roundAmounts(amounts) }))
+      .sort((a, b) => a.hsn_sc.localeCompare(b.hsn_sc) || a.rt - b.rt)
+  };
+};
+
+/**
+ * Compare each month's GSTR-1 with its GSTR-3B; differences above rounding must be explained in the annual return
+ * @param {Array} gstr1Returns - The year's GSTR-1 returns
+ * @param {Array} gstr3bReturns - The year's GSTR-3B returns
+ * @returns {Object} - { months, annual, explanationRequired }
+ */
+const compareGSTR1WithGSTR3B = (gstr1Returns = [], gstr3bReturns = []) => {
+  const gstr1ByPeriod = new Map(gstr1Returns.map(ret => [periodKey(ret.period), ret]));
+  const gstr3bByPeriod = new Map(gstr3bReturns.map(ret => [periodKey(ret.period), ret]));
+  const keys = Array.from(new Set([...gstr1ByPeriod.keys(), ...gstr3bByPeriod.keys()])).sort();
+
+  // Outward liability declared: taxable (3.1(a)) and zero-rated (3.1(b)) supplies
+  const liability = (supDetails = {}) => {
+    const total = emptyAmounts();
+    addAmounts(total, supDetails.osup_det || {});
+    addAmounts(total, supDetails.osup_zero || {});
+    return total;
+  };
+
+  const annual = { gstr1: emptyAmounts(), gstr3b: emptyAmounts() };
+  const months = keys.map(key => {
+    const gstr1 = gstr1ByPeriod.get(key);
+    const gstr3b = gstr3bByPeriod.get(key);
+    const fromGSTR1 = gstr1
+      ? liability(computeOutwardSupplies(toObject(gstr1.gstr1Data) || {}).sup_details)
+      : emptyAmounts();
+    const fromGSTR3B = gstr3b ? liability(gstr3b.gstr3bData && gstr3b.gstr3bData.sup_details) : emptyAmounts();
+    addAmounts(annual.gstr1, fromGSTR1);
+    addAmounts(annual.gstr3b, fromGSTR3B);
+
+    const difference = roundAmounts(addAmounts(addAmounts(emptyAmounts(), fromGSTR1), fromGSTR3B, -1));
+    const heads = Object.keys(difference).filter(head => Math.abs(difference[head]) > DIFFERENCE_TOLERANCE);
+    const [year, month] = key.split('-').map(Number);
+
+    let reason = null;
+    if (!gstr1) reason = 'GSTR-3B filed without a GSTR-1 for the month';
+    else if (!gstr3b) reason = 'GSTR-1 filed without a GSTR-3B for the month';
+    else if (heads.length > 0) reason = difference.iamt + difference.camt + difference.samt + difference.csamt > 0
+      ? 'Tax declared in GSTR-1 exceeds tax paid in GSTR-3B'
+      : 'Tax paid in GSTR-3B exceeds tax declared in GSTR-1';
+
+    return {
+      period: { month, year },
+      gstr1: roundAmounts(fromGSTR1),
+      gstr3b: roundAmounts(fromGSTR3B),
+      difference,
+      heads,
+      explain: reason !== null,
+      reason
+    };
+  });
+
+  const annualDifference = roundAmounts(addAmounts(addAmounts(emptyAmounts(), annual.gstr1), annual.gstr3b, -1));
+  return {
+    months,
+    annual: {
+      gstr1: roundAmounts(annual.gstr1),
+      gstr3b: roundAmounts(annual.gstr3b),
+      difference: annualDifference
+    },
+    explanationRequired: months.some(month => month.explain) ||
+      Object.values(annualDifference).some(value => Math.abs(value) > DIFFERENCE_TOLERANCE)
+  };
+};
+
+/**
+ * Prepare GSTR-9 tables 4 to 18 for a financial year
+ * @param {Object} params - { financialYear, gstr1Returns, gstr3bReturns, reconciliations, nextYearReconciliations,
+ *   nextYearGSTR1Returns, nextYear, imports, hsnOutward, hsnInward, demands, suppliesReceived }
+ * @returns {Object} - { gstr9Data, differences, warnings }
+ */
+const prepareGSTR9Data = ({
+  financialYear,
+  gstr1Returns = [],
+  gstr3bReturns = [],
+  reconciliations = [],
+  nextYearReconciliations = [],
+  nextYearGSTR1Returns = [],
+  nextYear = {},
+  imports,
+  hsnOutward = [],
+  hsnInward = [],
+  demands = {},
+  suppliesReceived = {}
+} = {}) => {
+  const warnings = [];
+  const { table4, table5 } = computeSupplyTables(gstr1Returns, gstr3bReturns, financialYear);
+  const table6 = computeITCAvailed(gstr3bReturns);
+  const reversed = computeITCReversed(gstr3bReturns, table6);
+  const nextYearITC = nextYear.itcAvailed
+    ? amountsInput(nextYear.itcAvailed, HEADS)
+    : computeNextYearITC(nextYearReconciliations, financialYear);
+  const table8 = computeITCComparison(reconciliations, table6, nextYearITC, imports);
+  const taxPaid = computeTaxPaid(gstr3bReturns);
+  const nextYearTables = computeNextYearTables(nextYear, nextYearITC, computeNextYearAmendments(nextYearGSTR1Returns, financialYear));
+  const differences = compareGSTR1WithGSTR3B(gstr1Returns, gstr3bReturns);
+  // Table 17 is built from the HSN summaries of the year's GSTR-1s unless entered
+  const outwardHSN = hsnOutward.length > 0
+    ? hsnOutward
+    : gstr1Returns.flatMap(ret => hsnRows((toObject(ret.gstr1Data) || {}).hsn).map(item => item.row));
+
+  warnings.push(...reversed.warnings, ...taxPaid.warnings);
+  if (HEADS.some(head => Math.abs(table8.differenceABC[head]) > DIFFERENCE_TOLERANCE)) {
+    warnings.push({
+      table: '8D',
+      severity: 'warning',
+      message: 'ITC as per GSTR-2B differs from ITC availed; positive amounts lapse unless availed, negative amounts may need to be paid back'
+    });
+  }
+  if (differences.explanationRequired) {
+    warnings.push({
+      table: '4',
+      severity: 'warning',
+      message: 'Outward liability in GSTR-1 differs from GSTR-3B; explain the differences before filing and pay any short payment through DRC-03'
+    });
+  }
+  if (outwardHSN.length === 0 && table4.sup_adv.txval > 0) {
+    warnings.push({ table: '17', severity: 'warning', message: 'HSN summary of outward supplies is empty' });
+  }
+
+  return {
+    gstr9Data: {
+      fy: financialYear,
+      table4,
+      table5,
+      table6,
+      table7: reversed.table7,
+      table8,
+      table9: taxPaid.table9,
+      ...nextYearTables,
+      table15: {
+        rfd_clmd: amountsInput(demands.refundClaimed, HEADS),
+        rfd_sanc: amountsInput(demands.refundSanctioned, HEADS),
+        rfd_rejt: amountsInput(demands.refundRejected, HEADS),
+        rfd_pend: amountsInput(demands.refundPending, HEADS),
+        tax_dmnd: amountsInput(demands.demanded, HEADS),
+        tax_paid: amountsInput(demands.paid, HEADS),
+        dmnd_pend: amountsInput(demands.pending, HEADS)
+      },
+      table16: {
+        comp_supp: amountsInput(suppliesReceived.fromComposition),
+        deemed_supp: amountsInput(suppliesReceived.deemed),
+        not_returned: amountsInput(suppliesReceived.notReturned)
+      },
+      table17: summariseHSN(outwardHSN),
+      table18: summariseHSN(hsnInward),
+      table19: taxPaid.table19
+    },
+    differences,
+    warnings
+  };
+};
+
+/**
+ * Serialise a prepared GSTR-9 to the portal JSON format
+ * @param {Object} gstReturn - GSTR-9 return with gstr9Data
+ * @returns {Object} - Portal JSON
+ */
+const toGSTR9Json = (gstReturn) => {
+  const data = toObject(gstReturn.gstr9Data) || {};
+  const startYear = startYearOf(data.fy);
+  const json = { gstin: gstReturn.gstin, fp: `03${startYear + 1}` };
+  Object.keys(data)
+    .filter(key => key.startsWith('table'))
+    .forEach(key => { json[key] = data[key]; });
+  return json;
+};
+
+module.exports = {
+  getNextYearCutoff,
+  isInFinancialYear,
+  compareGSTR1WithGSTR3B,
+  summariseHSN,
+  prepareGSTR9Data,
+  toGSTR9Json
+};
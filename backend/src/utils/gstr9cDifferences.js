@@ -0,0 +1,53 @@
+// GSTR-9C part A: unreconciled differences and the reasons given for them (tables 6, 8, 10, 13 and 15)
+
+// Unreconciled differences up to this amount are rounding
+const DIFFERENCE_TOLERANCE = 1;
+
+// Tables capturing the reasons for the difference each reconciliation leaves
+const REASON_TABLES = {
+  6: { difference: 'table5.unreconciled', description: 'Unreconciled turnover (5R)' },
+  8: { difference: 'table7.unreconciled', description: 'Unreconciled taxable turnover (7G)' },
+  10: { difference: 'table9.unreconciled', description: 'Unreconciled payment of amount (9R)' },
+  13: { difference: 'table12.unreconciled', description: 'Unreconciled ITC (12F)' },
+  15: { difference: 'table14.unreconciled', description: 'Unreconciled ITC on expenses (14T)' }
+};
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toObject = (value) => (value && value.toObject ? value.toObject() : value);
+
+const differenceOf = (gstr9cData, path) => path.split('.').reduce((node, key) => (node ? node[key] : undefined), gstr9cData) || 0;
+
+/**
+ * Check that each unreconciled difference is explained by reasons adding up to it
+ * @param {Object} gstr9cData - Part A tables
+ * @param {Array} reasons - [{ table, reason, amount }]
+ * @returns {Array} - [{ table, difference, explained, message }] for differences not fully explained
+ */
+const findUnexplainedDifferences = (gstr9cData = {}, reasons = []) => {
+  const data = toObject(gstr9cData) || {};
+  return Object.keys(REASON_TABLES).reduce((unexplained, table) => {
+    const { difference: path, description } = REASON_TABLES[table];
+    const difference = round(differenceOf(data, path));
+    if (Math.abs(difference) <= DIFFERENCE_TOLERANCE) return unexplained;
+
+    const explained = round(reasons
+      .filter(item => String(item.table) === String(table))
+      .reduce((sum, item) => sum + (Number(item.amount) || 0), 0));
+    if (Math.abs(difference - explained) > DIFFERENCE_TOLERANCE) {
+      unexplained.push({
+        table: Number(table),
+        difference,
+        explained,
+        message: `${description} of ₹${difference} is explained to ₹${explained} in table ${table}`
+      });
+    }
+    return unexplained;
+  }, []);
+};
+
+module.exports = {
+  DIFFERENCE_TOLERANCE,
+  REASON_TABLES,
+  findUnexplainedDifferences
+};
@@ -0,0 +1,268 @@
+// GSTR-9C part A: reconciles audited financial statements with the GSTR-9 annual return
+
+const { readSpreadsheet, parseNumber } = require('./spreadsheet');
+const { DIFFERENCE_TOLERANCE } = require('./gstr9cDifferences');
+
+const HEADS = ['iamt', 'camt', 'samt', 'csamt'];
+
+// Trial balance and P&L rows name the GSTR-9C line they feed, by table reference or by name
+const ITEMS = {
+  '5A': 'turnover',
+  '5B': 'unbilled_revenue_opening',
+  '5C': 'advances_closing',
+  '5D': 'deemed_supply',
+  '5E': 'credit_notes_after_year',
+  '5F': 'trade_discounts',
+  '5H': 'unbilled_revenue_closing',
+  '5I': 'advances_opening',
+  '5J': 'credit_notes_not_permissible',
+  '5K': 'sez_to_dta',
+  '5L': 'composition_turnover',
+  '5M': 'section15_adjustments',
+  '5N': 'forex_adjustments',
+  '5O': 'other_adjustments',
+  '7B': 'exempt_turnover',
+  '7C': 'zero_rated_without_tax',
+  '7D': 'reverse_charge_turnover',
+  '9': 'output_tax',
+  '9K': 'interest',
+  '9L': 'late_fee',
+  '9M': 'penalty',
+  '9N': 'other_payments',
+  '12A': 'itc_books',
+  '12B': 'itc_earlier_years',
+  '12C': 'itc_next_years',
+  '14': 'expense'
+};
+
+const ITEM_ALIASES = {
+  revenue_from_operations: 'turnover',
+  sales: 'turnover',
+  gross_turnover: 'turnover',
+  unbilled_revenue_at_beginning: 'unbilled_revenue_opening',
+  unbilled_revenue_at_end: 'unbilled_revenue_closing',
+  advances_at_end: 'advances_closing',
+  advances_at_beginning: 'advances_opening',
+  exempt_supplies: 'exempt_turnover',
+  nil_rated_and_exempt: 'exempt_turnover',
+  exports_without_payment: 'zero_rated_without_tax',
+  itc_availed: 'itc_books',
+  input_tax_credit: 'itc_books'
+};
+
+// Row columns as found in accounting exports
+const COLUMN_ALIASES = {
+  code: 'item',
+  head: 'item',
+  line: 'item',
+  table: 'item',
+  gstr_9c: 'item',
+  particulars: 'description',
+  ledger: 'description',
+  account: 'description',
+  value: 'amount',
+  balance: 'amount',
+  closing_balance: 'amount',
+  gst_rate: 'rate',
+  tax_rate: 'rate',
+  txval: 'taxable_value',
+  reverse_charge: 'rchrg',
+  itc: 'itc_amount'
+};
+
+// Table 5 lines added to (+) or taken from (-) the audited turnover; 5M to 5O carry their own sign
+const TURNOVER_ADJUSTMENTS = [
+  { line: '5B', item: 'unbilled_revenue_opening', sign: 1 },
+  { line: '5C', item: 'advances_closing', sign: 1 },
+  { line: '5D', item: 'deemed_supply', sign: 1 },
+  { line: '5E', item: 'credit_notes_after_year', sign: 1 },
+  { line: '5F', item: 'trade_discounts', sign: 1 },
+  { line: '5H', item: 'unbilled_revenue_closing', sign: -1 },
+  { line: '5I', item: 'advances_opening', sign: -1 },
+  { line: '5J', item: 'credit_notes_not_permissible', sign: -1 },
+  { line: '5K', item: 'sez_to_dta', sign: -1 },
+  { line: '5L', item: 'composition_turnover', sign: -1 },
+  { line: '5M', item: 'section15_adjustments', sign: 1 },
+  { line: '5N', item: 'forex_adjustments', sign: 1 },
+  { line: '5O', item: 'other_adjustments', sign: 1 }
+];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const emptyTax = () => ({ iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const normaliseItem = (value) => {
+  const text = String(value || '').trim();
+  const upper = text.toUpperCase().replace(/^TABLE\s*/, '');
+  if (ITEMS[upper]) return ITEMS[upper];
+  const name = text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (Object.values(ITEMS).includes(name)) return name;
+  return ITEM_ALIASES[name] || null;
+};
+
+/**
+ * Read audited financial figures from a trial balance or P&L CSV/Excel file. Each row names the
+ * GSTR-9C line it feeds in an item column (e.g. "5A", "turnover", "12A"); output tax rows (item 9)
+ * carry rate, rchrg, taxable_value and tax heads, expense rows (item 14) carry itc_amount.
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} - { financials, unmapped }
+ */
+const readFinancials = async (buffer) => {
+  const rows = await readSpreadsheet(buffer, { aliases: COLUMN_ALIASES });
+  const financials = { outputTax: [], expenses: [] };
+  const unmapped = [];
+
+  rows.forEach(row => {
+    const item = normaliseItem(row.item);
+    if (!item) {
+      unmapped.push({ row: row._row, item: row.item, description: row.description });
+      return;
+    }
+
+    if (item === 'output_tax') {
+      financials.outputTax.push({
+        rt: parseNumber(row.rate) || 0,
+        rchrg: String(row.rchrg || '').toUpperCase().startsWith('Y') ? 'Y' : 'N',
+        txval: parseNumber(row.taxable_value) || 0,
+        iamt: parseNumber(row.igst) || 0,
+        camt: parseNumber(row.cgst) || 0,
+        samt: parseNumber(row.sgst) || 0,
+        csamt: parseNumber(row.cess) || 0
+      });
+      return;
+    }
+
+    if (item === 'expense') {
+      financials.expenses.push({
+        desc: row.description || '',
+        txval: parseNumber(row.amount) || 0,
+        itc: parseNumber(row.itc_amount) || 0
+      });
+      return;
+    }
+
+    // Ledgers mapped to the same line, e.g. several sales accounts, add up
+    financials[item] = round((financials[item] || 0) + (parseNumber(row.amount) || 0));
+  });
+
+  return { financials, unmapped };
+};
+
+/**
+ * Build GSTR-9C part A (tables 5, 7, 9, 11, 12, 14 and 16) from audited figures and the GSTR-9
+ * @param {Object} financials - Figures as returned by readFinancials
+ * @param {Object} gstr9Data - Prepared GSTR-9 tables
+ * @returns {Object} - gstr9cData
+ */
+const buildGSTR9C = (financials = {}, gstr9Data = {}) => {
+  const value = (item) => round(financials[item]);
+  const t4 = gstr9Data.table4 || {};
+  const t5 = gstr9Data.table5 || {};
+  const t7 = gstr9Data.table7 || {};
+  const t9 = gstr9Data.table9 || {};
+  const t10 = gstr9Data.table10 || {};
+  const t11 = gstr9Data.table11 || {};
+
+  // Table 5: turnover
+  const adjustments = TURNOVER_ADJUSTMENTS.map(adjustment => ({
+    line: adjustment.line,
+    amount: round(adjustment.sign * value(adjustment.item))
+  }));
+  const adjustedTurnover = round(value('turnover') + adjustments.reduce((sum, row) => sum + row.amount, 0));
+  const annualTurnover = round(t5.total_tover && t5.total_tover.txval);
+  const table5 = {
+    audited: value('turnover'),
+    adjustments,
+    adjusted: adjustedTurnover,
+    annualReturn: annualTurnover,
+    unreconciled: round(annualTurnover - adjustedTurnover)
+  };
+
+  // Table 7: taxable turnover, 4N less inward supplies under reverse charge, with next-year amendments
+  const taxableAdjusted = round(adjustedTurnover - value('exempt_turnover') - value('zero_rated_without_tax') - value('reverse_charge_turnover'));
+  const taxableAnnual = round(
+    ((t4.sup_adv && t4.sup_adv.txval) || 0) - ((t4.rchrg && t4.rchrg.txval) || 0) + (t10.txval || 0) - (t11.txval || 0)
+  );
+  const table7 = {
+    adjusted: adjustedTurnover,
+    exempt: value('exempt_turnover'),
+    zeroRated: value('zero_rated_without_tax'),
+    reverseCharge: value('reverse_charge_turnover'),
+    taxable: taxableAdjusted,
+    annualReturn: taxableAnnual,
+    unreconciled: round(taxableAnnual - taxableAdjusted)
+  };
+
+  // Table 9: rate-wise liability as per books against tax paid in the annual return
+  const rates = new Map();
+  (financials.outputTax || []).forEach(row => {
+    const key = `${row.rt}|${row.rchrg}`;
+    const entry = rates.get(key) || { rt: row.rt, rchrg: row.rchrg, txval: 0, ...emptyTax() };
+    entry.txval += row.txval;
+    HEADS.forEach(head => { entry[head] += row[head]; });
+    rates.set(key, entry);
+  });
+  const rateWise = Array.from(rates.values())
+    .map(entry => ({ ...entry, txval: round(entry.txval), ...HEADS.reduce((out, head) => ({ ...out, [head]: round(entry[head]) }), {}) }))
+    .sort((a, b) => a.rt - b.rt || a.rchrg.localeCompare(b.rchrg));
+
+  const payable = emptyTax();
+  rateWise.forEach(row => HEADS.forEach(head => { payable[head] += row[head]; }));
+  const charges = value('interest') + value('late_fee') + value('penalty') + value('other_payments');
+
+  const paid = emptyTax();
+  HEADS.forEach(head => {
+    const row = t9[head] || {};
+    paid[head] = Object.keys(row).filter(key => key !== 'txpyble').reduce((sum, key) => sum + (row[key] || 0), 0);
+  });
+  const paidCharges = ((t9.intr && t9.intr.txpaid_cash) || 0) + ((t9.fee && t9.fee.txpaid_cash) || 0);
+  const unreconciledTax = HEADS.reduce((out, head) => ({ ...out, [head]: round(payable[head] - paid[head]) }), {});
+
+  const table9 = {
+    rateWise,
+    interest: value('interest'),
+    lateFee: value('late_fee'),
+    penalty: value('penalty'),
+    others: value('other_payments'),
+    payable: { ...HEADS.reduce((out, head) => ({ ...out, [head]: round(payable[head]) }), {}), charges: round(charges) },
+    paid: { ...HEADS.reduce((out, head) => ({ ...out, [head]: round(paid[head]) }), {}), charges: round(paidCharges) },
+    unreconciledHeads: { ...unreconciledTax, charges: round(charges - paidCharges) }
+  };
+  table9.unreconciled = round(HEADS.reduce((sum, head) => sum + unreconciledTax[head], 0) + table9.unreconciledHeads.charges);
+
+  // Table 11: tax payable on the books but not paid, to be paid through DRC-03
+  const table11 = HEADS.reduce((out, head) => ({ ...out, [head]: Math.max(0, unreconciledTax[head]) }), {});
+
+  // Table 12: net ITC as per books against 7J of the annual return
+  const itcBooks = round(value('itc_books') + value('itc_earlier_years') - value('itc_next_years'));
+  const netITC = t7.net_itc_aval || {};
+  const itcAnnual = round(HEADS.reduce((sum, head) => sum + (netITC[head] || 0), 0));
+  const table12 = {
+    books: value('itc_books'),
+    earlierYears: value('itc_earlier_years'),
+    nextYears: value('itc_next_years'),
+    availed: itcBooks,
+    annualReturn: itcAnnual,
+    unreconciled: round(itcAnnual - itcBooks)
+  };
+
+  // Table 14: ITC on expenses as per books, optional
+  const expenses = (financials.expenses || []).map(row => ({ desc: row.desc, txval: round(row.txval), itc: round(row.itc) }));
+  const expenseITC = round(expenses.reduce((sum, row) => sum + row.itc, 0));
+  const table14 = {
+    expenses,
+    total: expenseITC,
+    unreconciled: expenses.length > 0 ? round(itcAnnual - expenseITC) : 0
+  };
+
+  // Table 16: ITC claimed in the annual return beyond the books is payable back, in the heads it was claimed
+  const excessShare = table12.unreconciled > DIFFERENCE_TOLERANCE && itcAnnual > 0 ? table12.unreconciled / itcAnnual : 0;
+  const table16 = HEADS.reduce((out, head) => ({ ...out, [head]: round((netITC[head] || 0) * excessShare) }), {});
+
+  return { table5, table7, table9, table11, table12, table14, table16 };
+};
+
+module.exports = {
+  readFinancials,
+  buildGSTR9C
+};
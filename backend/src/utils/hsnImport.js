@@ -0,0 +1,333 @@
+// CBIC HSN/SAC tariff import: parses the master file, derives the chapter -> heading -> subheading
+// hierarchy and plans a merge against the existing codes
+
+const { readSpreadsheetSheets, parseNumber } = require('./spreadsheet');
+
+// Column names used across CBIC HSN and SAC downloads mapped to fields
+const COLUMN_ALIASES = {
+  hsn_cd: 'code',
+  hsn_code: 'code',
+  hsn: 'code',
+  sac_cd: 'code',
+  sac_code: 'code',
+  sac: 'code',
+  code: 'code',
+  hsn_description: 'description',
+  sac_description: 'description',
+  description: 'description',
+  description_of_goods: 'description',
+  description_of_services: 'description',
+  rate: 'rate',
+  gst_rate: 'rate',
+  igst: 'rate',
+  igst_rate: 'rate',
+  cess: 'cess',
+  cess_rate: 'cess',
+  compensation_cess: 'compensationCess',
+  unit: 'unit',
+  uqc: 'unit'
+};
+
+// Fields owned by the tariff; everything else on an HSN code (usage, compliance flags, rate history) is kept
+const TARIFF_FIELDS = [
+  'description',
+  'chapter',
+  'chapterDescription',
+  'heading',
+  'headingDescription',
+  'subHeading',
+  'subHeadingDescription',
+  'category',
+  'unit',
+  'parentCode',
+  'childCodes'
+];
+
+const RATE_FIELDS = ['igst', 'cgst', 'sgst', 'cess', 'compensationCess'];
+
+/**
+ * Normalise a tariff code. Numeric cells lose the leading zero of chapters 01-09, which is restored
+ * for HSN codes (SAC codes all start with 99 and may have odd lengths).
+ * @param {*} value - Cell value
+ * @returns {string|null}
+ */
+const normaliseCode = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  let code = String(value).replace(/[\s.]/g, '');
+  if (!/^[0-9]+$/.test(code)) return null;
+  if (code.length % 2 === 1 && !code.startsWith('99')) {
+    code = `0${code}`;
+  }
+  return code.length >= 2 && code.length <= 8 ? code : null;
+};
+
+const parseRate = (value) => parseNumber(typeof value === 'string' ? value.replace('%', '') : value);
+
+/**
+ * Parse a CBIC HSN/SAC master file (CSV or Excel; HSN and SAC may be separate sheets)
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} - { entries, errors } where entries are keyed by code
+ */
+const parseHSNMaster = async (buffer) => {
+  const sheets = await readSpreadsheetSheets(buffer, { aliases: COLUMN_ALIASES });
+  const entries = {};
+  const errors = [];
+
+  Object.keys(sheets).forEach(sheetName => {
+    sheets[sheetName].forEach(row => {
+      if (row.code === undefined && row.description === undefined) return;
+
+      const code = normaliseCode(row.code);
+      if (!code) {
+        errors.push({ sheet: sheetName, row: row._row, message: `Invalid HSN/SAC code ${row.code}` });
+        return;
+      }
+      const description = row.description ? String(row.description).trim() : '';
+      if (!description) {
+        errors.push({ sheet: sheetName, row: row._row, code, message: 'Description is required' });
+        return;
+      }
+      if (entries[code]) {
+        errors.push({ sheet: sheetName, row: row._row, code, message: `Duplicate code ${code} (first seen in ${entries[code].sheet} row ${entries[code].row})` });
+        return;
+      }
+
+      const entry = {
+        code,
+        description,
+        category: /sac/i.test(sheetName) || code.startsWith('99') ? 'Services' : 'Goods',
+        sheet: sheetName,
+        row: row._row
+      };
+      if (row.unit) entry.unit = String(row.unit).trim().toUpperCase();
+
+      const rate = parseRate(row.rate);
+      if (row.rate !== undefined && row.rate !== '' && (rate === null || rate < 0 || rate > 50)) {
+        errors.push({ sheet: sheetName, row: row._row, code, message: `Invalid GST rate ${row.rate}` });
+        return;
+      }
+      if (rate !== null) {
+        entry.gstRates = {
+          igst: rate,
+          cgst: rate / 2,
+          sgst: rate / 2,
+          cess: parseRate(row.cess) || 0,
+          compensationCess: parseRate(row.compensationCess) || 0
+        };
+      }
+
+      entries[code] = entry;
+    });
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Build HSN code documents for every heading-level (4 digits and longer) entry
+ * @param {Object} entries - Parsed entries keyed by code
+ * @param {Object} existing - Existing codes keyed by code, used for descriptions and parents missing from the file
+ * @returns {Object} - Tariff fields keyed by code
+ */
+const buildHierarchy = (entries, existing = {}) => {
+  const describe = (code) => {
+    if (entries[code]) return entries[code].description;
+    if (existing[code]) return existing[code].description;
+    return null;
+  };
+  const knownChapters = {};
+  Object.values(existing).forEach(doc => {
+    if (doc.chapter && doc.chapterDescription && !knownChapters[doc.chapter]) {
+      knownChapters[doc.chapter] = doc.chapterDescription;
+    }
+  });
+  const chapterDescription = (chapter) => {
+    if (entries[chapter]) return entries[chapter].description;
+    return knownChapters[chapter] || `Chapter ${chapter}`;
+  };
+
+  const codes = {};
+  Object.values(entries)
+    .filter(entry => entry.code.length >= 4)
+    .forEach(entry => {
+      const { code } = entry;
+      const chapter = code.substring(0, 2);
+      const heading = code.substring(0, 4);
+      const doc = {
+        code,
+        description: entry.description,
+        chapter,
+        chapterDescription: chapterDescription(chapter),
+        heading,
+        headingDescription: describe(heading) || entry.description,
+        subHeading: code.length >= 6 ? code.substring(0, 6) : undefined,
+        subHeadingDescription: code.length >= 6 ? describe(code.substring(0, 6)) || entry.description : undefined,
+        category: entry.category,
+        unit: entry.unit || (existing[code] && existing[code].unit) || (entry.category === 'Services' ? 'OTH' : 'UNT'),
+        parentCode: undefined,
+        childCodes: []
+      };
+      if (entry.gstRates) doc.gstRates = entry.gstRates;
+
+      // Nearest ancestor at heading level or below
+      for (let length = code.length - 1; length >= 4; length--) {
+        const ancestor = code.substring(0, length);
+        if (entries[ancestor] || existing[ancestor]) {
+          doc.parentCode = ancestor;
+          break;
+        }
+      }
+
+      codes[code] = doc;
+    });
+
+  Object.values(codes).forEach(doc => {
+    if (doc.parentCode && codes[doc.parentCode]) {
+      codes[doc.parentCode].childCodes.push(doc.code);
+    }
+  });
+  Object.values(codes).forEach(doc => doc.childCodes.sort());
+
+  return codes;
+};
+
+/**
+ * Key HSN code documents by code
+ * @param {Array} docs - HSN codes
+ * @returns {Object}
+ */
+const indexByCode = (docs) => {
+  const map = {};
+  docs.forEach(doc => {
+    map[doc.code] = doc;
+  });
+  return map;
+};
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  return (a === undefined || a === null || a === '' ? null : a) === (b === undefined || b === null || b === '' ? null : b);
+};
+
+/**
+ * Plan the merge of imported codes into the existing master
+ * @param {Object} codes - Output of buildHierarchy
+ * @param {Array} existingDocs - Existing HSN codes (code, tariff fields, gstRates, rateHistory, isActive)
+ * @param {Object} options - { deactivateMissing } removes codes of the imported categories that are not in the file
+ * @returns {Object} - { operations, diff } with bulkWrite operations and the added/changed/removed report
+ */
+const planHSNImport = (codes, existingDocs, options = {}) => {
+  const { deactivateMissing = true } = options;
+  const existing = indexByCode(existingDocs);
+  const operations = [];
+  const diff = { added: [], changed: [], removed: [], unchanged: 0, rateConflicts: [] };
+  const now = new Date();
+
+  Object.values(codes).forEach(doc => {
+    const current = existing[doc.code];
+    const $set = {};
+    TARIFF_FIELDS.forEach(field => {
+      if (doc[field] !== undefined) $set[field] = doc[field];
+    });
+    const $unset = {};
+    if (doc.subHeading === undefined) {
+      $unset.subHeading = '';
+      $unset.subHeadingDescription = '';
+    }
+    if (doc.parentCode === undefined) $unset.parentCode = '';
+
+    if (!current) {
+      diff.added.push({ code: doc.code, description: doc.description, category: doc.category });
+      operations.push({
+        updateOne: {
+          filter: { code: doc.code },
+          update: {
+            // Codes listed without a rate are marked unknown rather than given a zero rate
+            $set: doc.gstRates
+              ? { ...$set, gstRates: doc.gstRates, rateStatus: 'notified', lastUpdated: now }
+              : { ...$set, rateStatus: 'unknown', lastUpdated: now },
+            $setOnInsert: { usageCount: 0, isActive: true }
+          },
+          upsert: true
+        }
+      });
+      return;
+    }
+
+    const changes = TARIFF_FIELDS
+      .filter(field => !sameValue(current[field], doc[field]))
+      .map(field => ({ field, from: current[field], to: doc[field] }));
+
+    if (doc.gstRates) {
+      const currentRates = current.gstRates || {};
+      const rateChanges = RATE_FIELDS
+        .filter(field => !sameValue(currentRates[field] || 0, doc.gstRates[field] || 0))
+        .map(field => ({ field: `gstRates.${field}`, from: currentRates[field] || 0, to: doc.gstRates[field] }));
+
+      if (current.rateStatus === 'unknown') {
+        changes.push(...rateChanges, { field: 'rateStatus', from: 'unknown', to: 'notified' });
+        $set.gstRates = doc.gstRates;
+        $set.rateStatus = 'notified';
+      } else if (rateChanges.length > 0) {
+        if (current.rateHistory && current.rateHistory.length > 0) {
+          // Rates with a notification trail are only changed through published rate changes
+          diff.rateConflicts.push({
+            code: doc.code,
+            changes: rateChanges,
+            message: 'Rate differs from the notified rate history; publish a rate change instead'
+          });
+        } else {
+          changes.push(...rateChanges);
+          $set.gstRates = doc.gstRates;
+        }
+      }
+    }
+
+    if (current.isActive === false) {
+      changes.push({ field: 'isActive', from: false, to: true });
+      $set.isActive = true;
+    }
+
+    if (changes.length === 0) {
+      diff.unchanged += 1;
+      return;
+    }
+
+    diff.changed.push({ code: doc.code, description: doc.description, changes });
+    const update = { $set: { ...$set, lastUpdated: now } };
+    Object.keys($unset).forEach(field => {
+      if (current[field] !== undefined) {
+        update.$unset = { ...update.$unset, [field]: '' };
+      }
+    });
+    operations.push({ updateOne: { filter: { code: doc.code }, update } });
+  });
+
+  if (deactivateMissing) {
+    const categories = new Set(Object.values(codes).map(doc => doc.category));
+    existingDocs
+      .filter(doc => doc.isActive !== false && !codes[doc.code] && categories.has(doc.category || 'Goods'))
+      .forEach(doc => {
+        diff.removed.push({ code: doc.code, description: doc.description, category: doc.category, usageCount: doc.usageCount || 0 });
+        operations.push({
+          updateOne: {
+            filter: { code: doc.code },
+            update: { $set: { isActive: false, effectiveTo: now, lastUpdated: now } }
+          }
+        });
+      });
+  }
+
+  return { operations, diff };
+};
+
+module.exports = {
+  COLUMN_ALIASES,
+  normaliseCode,
+  parseHSNMaster,
+  buildHierarchy,
+  indexByCode,
+  planHSNImport
+};
@@ -0,0 +1,398 @@
+// ITC eligibility: blocked credit under section 17(5) of the CGST Act, reversal of common credit under
+// rules 42 (inputs and input services) and 43 (capital goods) and the rule 42(2) year-end true-up
+
+const { TAX_HEADS, emptyHeads, toHeads } = require('./setOff');
+const { calculateInterest } = require('./lateFee');
+
+// Purpose tags a purchase can carry; they decide 17(5) blocks and the exceptions to them
+const PURPOSES = {
+  business: 'General business use',
+  further_supply: 'Further supply of the same category of goods or services',
+  transport_of_passengers: 'Transportation of passengers',
+  transport_of_goods: 'Transportation of goods',
+  driving_training: 'Imparting training on driving, flying or navigating',
+  obligatory_for_employer: 'Provided to employees under a law in force',
+  plant_and_machinery: 'Plant and machinery',
+  construction_own_account: 'Construction of immovable property on own account',
+  employee_travel_concession: 'Leave or home travel concession to employees',
+  personal_consumption: 'Personal consumption',
+  gift_or_free_sample: 'Gifts or free samples',
+  lost_stolen_destroyed: 'Lost, stolen, destroyed or written off',
+  composition_tax: 'Tax paid under the composition scheme',
+  tax_paid_on_demand: 'Tax paid on a demand for fraud or suppression (sections 74, 129, 130)'
+};
+
+// How a purchase is used, which decides its rule 42/43 bucket
+const USAGES = ['taxable', 'exempt', 'non_business', 'common'];
+
+// Common credit attributed to non-business use under rules 42 (D2) and 43 (Th)
+const NON_BUSINESS_SHARE = 0.05;
+
+// Useful life of capital goods under rule 43
+const CAPITAL_GOODS_LIFE_MONTHS = 60;
+
+// Section 17(5) blocked credit by HSN/SAC prefix, unless used for one of the excepted purposes
+const BLOCKED_BY_HSN = [
+  {
+    category: 'motor_vehicle',
+    clause: '17(5)(a)',
+    description: 'Motor vehicles for transport of persons with seating capacity up to 13',
+    hsnPrefixes: ['8702', '8703', '8711'],
+    exceptions: ['further_supply', 'transport_of_passengers', 'driving_training', 'transport_of_goods'],
+    maxSeatingCapacity: 13
+  },
+  {
+    category: 'vessel_aircraft',
+    clause: '17(5)(aa)',
+    description: 'Vessels and aircraft',
+    hsnPrefixes: ['8802', '8901', '8903'],
+    exceptions: ['further_supply', 'transport_of_passengers', 'driving_training', 'transport_of_goods']
+  },
+  {
+    category: 'vehicle_insurance_repair',
+    clause: '17(5)(ab)',
+    description: 'General insurance, servicing, repair and maintenance of blocked vehicles, vessels and aircraft',
+    hsnPrefixes: ['997134', '998714', '998715'],
+    exceptions: ['further_supply', 'transport_of_passengers', 'driving_training', 'transport_of_goods']
+  },
+  {
+    category: 'food_and_beverages',
+    clause: '17(5)(b)(i)',
+    description: 'Food and beverages, outdoor catering, beauty treatment, health services and cosmetic surgery',
+    hsnPrefixes: ['9963', '9993', '999721', '999722'],
+    exceptions: ['further_supply', 'obligatory_for_employer']
+  },
+  {
+    category: 'club_membership',
+    clause: '17(5)(b)(ii)',
+    description: 'Membership of a club, health and fitness centre',
+    hsnPrefixes: ['9995', '999723'],
+    exceptions: ['obligatory_for_employer']
+  },
+  {
+    category: 'rent_a_cab_insurance',
+    clause: '17(5)(b)(iii)',
+    description: 'Rent-a-cab, life insurance and health insurance',
+    hsnPrefixes: ['996601', '997131', '997132', '997133'],
+    exceptions: ['further_supply', 'obligatory_for_employer']
+  },
+  {
+    category: 'works_contract',
+    clause: '17(5)(c)',
+    description: 'Works contract services for construction of immovable property',
+    hsnPrefixes: ['9954'],
+    purposes: ['construction_own_account'],
+    exceptions: []
+  }
+];
+
+// Section 17(5) blocked credit by purpose alone
+const BLOCKED_BY_PURPOSE = {
+  employee_travel_concession: { category: 'travel_concession', clause: '17(5)(b)(iv)' },
+  construction_own_account: { category: 'construction', clause: '17(5)(d)' },
+  composition_tax: { category: 'composition_tax', clause: '17(5)(e)' },
+  personal_consumption: { category: 'personal_consumption', clause: '17(5)(g)' },
+  gift_or_free_sample: { category: 'gift_or_free_sample', clause: '17(5)(h)' },
+  lost_stolen_destroyed: { category: 'lost_stolen_destroyed', clause: '17(5)(h)' },
+  tax_paid_on_demand: { category: 'tax_paid_on_demand', clause: '17(5)(i)' }
+};
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const addHeads = (target, amounts, factor = 1) => {
+  TAX_HEADS.forEach(head => {
+    target[head] = round(target[head] + factor * (amounts[head] || 0));
+  });
+  return target;
+};
+
+const sumHeads = (amounts) => round(TAX_HEADS.reduce((sum, head) => sum + (amounts[head] || 0), 0));
+
+const scaleHeads = (amounts, factor) => TAX_HEADS.reduce((out, head) => ({ ...out, [head]: round((amounts[head] || 0) * factor) }), {});
+
+// { igst, cgst, sgst, cess } to the GSTR-3B { iamt, camt, samt, csamt }
+const toReturnHeads = (amounts) => ({
+  iamt: round(amounts.igst),
+  camt: round(amounts.cgst),
+  samt: round(amounts.sgst),
+  csamt: round(amounts.cess)
+});
+
+/**
+ * Tax on a purchase by head, from the amounts given or from value and rate
+ * @param {Object} purchase - { igst, cgst, sgst, cess } or { amount, gstRate, interState }
+ * @returns {Object} - { igst, cgst, sgst, cess }
+ */
+const getPurchaseTax = (purchase) => {
+  if (TAX_HEADS.some(head => purchase[head] !== undefined)) {
+    return toHeads(purchase);
+  }
+  const tax = ((Number(purchase.amount) || 0) * (Number(purchase.gstRate) || 0)) / 100;
+  return purchase.interState
+    ? { igst: round(tax), cgst: 0, sgst: 0, cess: 0 }
+    : { igst: 0, cgst: round(tax / 2), sgst: round(tax / 2), cess: 0 };
+};
+
+/**
+ * Classify a purchase under section 17(5) from its HSN/SAC and purpose
+ * @param {Object} purchase - { hsnCode, purpose, seatingCapacity }
+ * @returns {Object|null} - { category, clause, description } when the credit is blocked
+ */
+const classifyBlockedCredit = ({ hsnCode, purpose = 'business', seatingCapacity } = {}) => {
+  const code = String(hsnCode || '').replace(/\s/g, '');
+
+  const rule = BLOCKED_BY_HSN.find(candidate => (
+    code && candidate.hsnPrefixes.some(prefix => code.startsWith(prefix)) &&
+    (!candidate.purposes || candidate.purposes.includes(purpose))
+  ));
+  if (rule && !rule.exceptions.includes(purpose)) {
+    const largeVehicle = rule.maxSeatingCapacity && Number(seatingCapacity) > rule.maxSeatingCapacity;
+    if (!largeVehicle) {
+      return { category: rule.category, clause: rule.clause, description: rule.description };
+    }
+  }
+
+  const byPurpose = BLOCKED_BY_PURPOSE[purpose];
+  if (byPurpose) {
+    return { ...byPurpose, description: PURPOSES[purpose] };
+  }
+  return null;
+};
+
+// Months of a capital good's useful life that fall on or before a tax period (1 for the month it is capitalised)
+const monthsInUse = (capitalisedOn, period) => {
+  const date = new Date(capitalisedOn);
+  return (period.year - date.getFullYear()) * 12 + (period.month - 1 - date.getMonth()) + 1;
+};
+
+/**
+ * Compute eligible ITC and the reversals for a tax period.
+ * Rule 42 splits input tax T into T1 (non-business), T2 (exempt), T3 (blocked under 17(5)), T4 (taxable)
+ * and common credit C2, of which D1 = (E/F) x C2 is attributed to exempt supplies and D2 = 5% of C2 to
+ * non-business use. Rule 43 spreads common capital goods credit over 60 months (Tm) and reverses
+ * Te = (E/F) x Tr, plus 5% of Tr for non-business use, every month of their useful life.
+ * @param {Object} params - { purchases, capitalGoods, turnover: { exempt, total }, period: { month, year }, nonBusinessUse }
+ * @returns {Object} - Purchase classification, rule 42 and 43 workings and GSTR-3B table 4(B)
+ */
+const computeITCEligibility = ({ purchases = [], capitalGoods = [], turnover = {}, period, nonBusinessUse = false } = {}) => {
+  const warnings = [];
+  const exemptTurnover = Number(turnover.exempt) || 0;
+  const totalTurnover = Number(turnover.total) || 0;
+  let ratio = 0;
+  if (totalTurnover > 0) {
+    ratio = Math.min(1, exemptTurnover / totalTurnover);
+  } else if (exemptTurnover > 0) {
+    warnings.push('Total turnover is zero; use the figures of the last tax period with turnover');
+  }
+  const nonBusinessShare = nonBusinessUse ? NON_BUSINESS_SHARE : 0;
+
+  const rule42 = { T: emptyHeads(), T1: emptyHeads(), T2: emptyHeads(), T3: emptyHeads(), T4: emptyHeads(), C2: emptyHeads() };
+  const rule43 = { exclusive: emptyHeads(), Tr: emptyHeads(), Te: emptyHeads(), Th: emptyHeads() };
+  const blocked = emptyHeads();
+  const pending = emptyHeads();
+  const register = [];
+
+  const breakdown = purchases.map(purchase => {
+    const tax = getPurchaseTax(purchase);
+    // Purchases from the earlier calculator carry only an eligibility category
+    const usage = purchase.usage || (purchase.category === 'partially_eligible' ? 'common' : 'taxable');
+    const blockedCredit = purchase.category === 'ineligible'
+      ? { category: 'marked_ineligible', clause: null, description: 'Marked ineligible' }
+      : classifyBlockedCredit(purchase);
+
+    let status = usage;
+    let ineligible = emptyHeads();
+
+    if (blockedCredit) {
+      status = 'blocked';
+      ineligible = tax;
+      addHeads(blocked, tax);
+    } else if (purchase.supplierTaxUnpaid) {
+      // Credit waits until the supplier pays the tax (section 16(2)(c), rule 37A) and is reclaimed then
+      status = 'pending';
+      ineligible = tax;
+      addHeads(pending, tax);
+    } else if (purchase.capitalGoods) {
+      if (['exempt', 'non_business'].includes(usage)) {
+        ineligible = tax;
+        addHeads(rule43.exclusive, tax);
+      } else if (usage === 'common') {
+        register.push({
+          description: purchase.description,
+          capitalisedOn: purchase.capitalisedOn || purchase.invoiceDate,
+          tax
+        });
+      }
+    } else {
+      addHeads(rule42.T, tax);
+      if (usage === 'non_business') {
+        ineligible = tax;
+        addHeads(rule42.T1, tax);
+      } else if (usage === 'exempt') {
+        ineligible = tax;
+        addHeads(rule42.T2, tax);
+      } else if (usage === 'common') {
+        ineligible = scaleHeads(tax, Math.min(1, ratio + nonBusinessShare));
+        addHeads(rule42.C2, tax);
+      } else {
+        addHeads(rule42.T4, tax);
+      }
+    }
+
+    if (blockedCredit && !purchase.capitalGoods) {
+      addHeads(rule42.T, tax);
+      addHeads(rule42.T3, tax);
+    }
+
+    return {
+      ...purchase,
+      tax,
+      gstAmount: sumHeads(tax),
+      classification: {
+        status,
+        usage,
+        ...(blockedCredit || {})
+      },
+      eligibleITC: round(sumHeads(tax) - sumHeads(ineligible)),
+      ineligibleITC: sumHeads(ineligible)
+    };
+  });
+
+  // Rule 42: common credit attributable to exempt supplies and non-business use
+  rule42.C1 = addHeads(addHeads(addHeads(addHeads(emptyHeads(), rule42.T), rule42.T1, -1), rule42.T2, -1), rule42.T3, -1);
+  rule42.D1 = scaleHeads(rule42.C2, ratio);
+  rule42.D2 = scaleHeads(rule42.C2, nonBusinessShare);
+  rule42.C3 = addHeads(addHeads(addHeads(emptyHeads(), rule42.C2), rule42.D1, -1), rule42.D2, -1);
+
+  // Rule 43: common capital goods still within their useful life, including those bought this period
+  const commonCapitalGoods = [
+    ...capitalGoods.filter(item => !item.usage || item.usage === 'common').map(item => ({
+      description: item.description,
+      capitalisedOn: item.capitalisedOn,
+      tax: getPurchaseTax(item)
+    })),
+    ...register
+  ];
+  rule43.register = commonCapitalGoods.map(item => {
+    const used = item.capitalisedOn && period ? monthsInUse(item.capitalisedOn, period) : 1;
+    const inLife = used >= 1 && used <= CAPITAL_GOODS_LIFE_MONTHS;
+    const Tm = scaleHeads(item.tax, 1 / CAPITAL_GOODS_LIFE_MONTHS);
+    if (inLife) addHeads(rule43.Tr, Tm);
+    return {
+      description: item.description,
+      capitalisedOn: item.capitalisedOn,
+      Tc: item.tax,
+      Tm,
+      monthOfLife: used,
+      remainingMonths: Math.max(0, CAPITAL_GOODS_LIFE_MONTHS - used)
+    };
+  });
+  if (commonCapitalGoods.some(item => !item.capitalisedOn)) {
+    warnings.push('Capital goods without a capitalisation date are treated as capitalised in this period');
+  }
+  rule43.Te = scaleHeads(rule43.Tr, ratio);
+  rule43.Th = scaleHeads(rule43.Tr, nonBusinessShare);
+
+  // Table 4(B)(1) carries the permanent reversals (rules 42, 43 and section 17(5)); 4(B)(2) those reclaimable later
+  const permanent = emptyHeads();
+  [rule42.T1, rule42.T2, blocked, rule42.D1, rule42.D2, rule43.exclusive, rule43.Te, rule43.Th].forEach(amounts => addHeads(permanent, amounts));
+
+  const totalITC = round(breakdown.reduce((sum, item) => sum + item.gstAmount, 0));
+  const monthlyReversal = sumHeads(rule43.Te) + sumHeads(rule43.Th);
+  const ineligibleITC = round(breakdown.reduce((sum, item) => sum + item.ineligibleITC, 0) + monthlyReversal);
+
+  return {
+    turnover: { exempt: exemptTurnover, total: totalTurnover, ratio: Math.round(ratio * 10000) / 10000 },
+    nonBusinessUse,
+    breakdown,
+    blocked,
+    pending,
+    rule42,
+    rule43,
+    table4B: {
+      rule42_43: toReturnHeads(permanent),
+      others: toReturnHeads(pending)
+    },
+    totalITC,
+    eligibleITC: round(totalITC - ineligibleITC),
+    ineligibleITC,
+    warnings
+  };
+};
+
+/**
+ * Rule 42(2) true-up: recompute D1 and D2 on the financial year's turnover and common credit and
+ * compare with what was reversed month by month. Any extra reversal carries interest under section
+ * 50(1) from 1 April; both are reported by the September return of the next financial year.
+ * @param {Array} periods - [{ period, turnover: { exempt, total }, nonBusinessUse, rule42: { C2, D1, D2 } }]
+ * @param {Object} options - { financialYear: '2024-25', asOf }
+ * @returns {Object} - Annual figures, additional reversal (4(B)(1)) or reclaim (4(A)(5)) and interest
+ */
+const computeAnnualTrueUp = (periods = [], { financialYear, asOf = new Date() } = {}) => {
+  const startYear = parseInt(String(financialYear).slice(0, 4), 10);
+  const common = emptyHeads();
+  const commonNonBusiness = emptyHeads();
+  const reversed = emptyHeads();
+  let exempt = 0;
+  let total = 0;
+
+  periods.forEach(item => {
+    const rule42 = item.rule42 || {};
+    addHeads(common, rule42.C2 || {});
+    if (item.nonBusinessUse) addHeads(commonNonBusiness, rule42.C2 || {});
+    addHeads(reversed, rule42.D1 || {});
+    addHeads(reversed, rule42.D2 || {});
+    exempt += Number(item.turnover && item.turnover.exempt) || 0;
+    total += Number(item.turnover && item.turnover.total) || 0;
+  });
+
+  const ratio = total > 0 ? Math.min(1, exempt / total) : 0;
+  const annual = {
+    D1: scaleHeads(common, ratio),
+    D2: scaleHeads(commonNonBusiness, NON_BUSINESS_SHARE)
+  };
+  const due = addHeads(addHeads(emptyHeads(), annual.D1), annual.D2);
+
+  const additionalReversal = emptyHeads();
+  const reclaim = emptyHeads();
+  TAX_HEADS.forEach(head => {
+    const difference = round(due[head] - reversed[head]);
+    if (difference > 0) additionalReversal[head] = difference;
+    if (difference < 0) reclaim[head] = -difference;
+  });
+
+  const interest = calculateInterest({
+    cashLiability: additionalReversal,
+    dueDate: new Date(startYear + 1, 2, 31),
+    paymentDate: asOf
+  });
+
+  return {
+    financialYear,
+    periods: periods.length,
+    turnover: { exempt: round(exempt), total: round(total), ratio: Math.round(ratio * 10000) / 10000 },
+    commonCredit: common,
+    annual,
+    reversedDuringYear: reversed,
+    additionalReversal,
+    reclaim,
+    interest,
+    reportBy: { month: 9, year: startYear + 1 },
+    table4: {
+      itc_rev_rul: toReturnHeads(additionalReversal),
+      itc_avl_oth: toReturnHeads(reclaim)
+    }
+  };
+};
+
+module.exports = {
+  PURPOSES,
+  USAGES,
+  NON_BUSINESS_SHARE,
+  CAPITAL_GOODS_LIFE_MONTHS,
+  BLOCKED_BY_HSN,
+  getPurchaseTax,
+  classifyBlockedCredit,
+  computeITCEligibility,
+  computeAnnualTrueUp
+};
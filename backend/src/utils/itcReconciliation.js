@@ -0,0 +1,428 @@
+// Matching engine for GSTR-2B against the purchase register
+
+const { readSpreadsheet, parseNumber, parseDate } = require('./spreadsheet');
+const { fromPortalDate, fromFilingPeriod } = require('./gstr1Json');
+const { isValidGSTIN } = require('./gstin');
+
+const DEFAULT_TOLERANCES = {
+  amount: 1, // Rupees per tax head and taxable value
+  dateDays: 3 // Days between invoice dates still treated as the same document
+};
+
+const MATCH_STATUSES = ['matched', 'partially_matched', 'missing_in_2b', 'missing_in_books', 'duplicate'];
+
+const RECOMMENDED_ACTIONS = {
+  matched: 'Claim ITC',
+  partially_matched: 'Verify the differences with the supplier and correct the books or ask for an amendment',
+  missing_in_2b: 'Follow up with the supplier to report the invoice in GSTR-1/IFF; defer the ITC claim under section 16(2)(aa)',
+  missing_in_books: 'Record the invoice in the books or confirm with the supplier that it was not issued to you',
+  duplicate: 'Remove the duplicate entry before claiming ITC'
+};
+
+const PURCHASE_REGISTER_ALIASES = {
+  gstin: 'supplier_gstin',
+  gstin_of_supplier: 'supplier_gstin',
+  vendor_gstin: 'supplier_gstin',
+  ctin: 'supplier_gstin',
+  vendor_name: 'supplier_name',
+  trade_name: 'supplier_name',
+  invoice_no: 'invoice_number',
+  inv_no: 'invoice_number',
+  bill_no: 'invoice_number',
+  document_number: 'invoice_number',
+  inv_date: 'invoice_date',
+  bill_date: 'invoice_date',
+  document_date: 'invoice_date',
+  doc_type: 'document_type',
+  txval: 'taxable_value',
+  taxable_amount: 'taxable_value',
+  igst_amount: 'igst',
+  cgst_amount: 'cgst',
+  sgst_amount: 'sgst',
+  sgst_utgst: 'sgst',
+  cess_amount: 'cess',
+  total_value: 'invoice_value',
+  rcm: 'reverse_charge'
+};
+
+// Prefixes commonly prepended to invoice numbers by accounting software
+const INVOICE_PREFIXES = /^(INVOICE|INV|BILL|TAXINV|TI|SI|GST)+/;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Normalise an invoice number for matching
+ * @param {string} invoiceNumber - Invoice number as recorded
+ * @returns {Object} - { strict, loose } keys; loose keeps only the digits without leading zeros
+ */
+const normaliseInvoiceNumber = (invoiceNumber) => {
+  const alphanumeric = String(invoiceNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const withoutPrefix = alphanumeric.replace(INVOICE_PREFIXES, '') || alphanumeric;
+  const strict = withoutPrefix.replace(/^0+(?=.)/, '');
+  const loose = alphanumeric.replace(/[^0-9]/g, '').replace(/^0+(?=.)/, '');
+  return { strict, loose };
+};
+
+const taxOf = (doc) => round(doc.igst + doc.cgst + doc.sgst + doc.cess);
+
+const daysBetween = (a, b) => Math.abs(Math.round((a - b) / (24 * 60 * 60 * 1000)));
+
+const emptyHeads = () => ({ taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 });
+
+const sumItems = (items = []) => items.reduce((sum, item) => ({
+  taxableValue: sum.taxableValue + (item.txval || 0),
+  igst: sum.igst + (item.igst || 0),
+  cgst: sum.cgst + (item.cgst || 0),
+  sgst: sum.sgst + (item.sgst || 0),
+  cess: sum.cess + (item.cess || 0)
+}), emptyHeads());
+
+/**
+ * Flatten a GSTR-2B JSON into document records
+ * @param {Object} json - GSTR-2B JSON as downloaded from the portal
+ * @returns {Object} - { gstin, period, documents }
+ */
+const parseGSTR2B = (json) => {
+  const data = json && json.data ? json.data : json;
+  if (!data || !data.docdata) {
+    throw new Error('File is not a GSTR-2B JSON');
+  }
+
+  const documents = [];
+  const { b2b = [], b2ba = [], cdnr = [], cdnra = [] } = data.docdata;
+
+  const addDocument = (supplier, doc, documentType, numberField, amended) => {
+    const heads = sumItems(doc.items);
+    documents.push({
+      source: 'portal',
+      supplierGstin: supplier.ctin,
+      supplierName: supplier.trdnm,
+      supplierFilingDate: fromPortalDate(supplier.supfildt),
+      invoiceNumber: doc[numberField],
+      invoiceDate: fromPortalDate(doc.dt),
+      documentType,
+      invoiceValue: doc.val,
+      ...heads,
+      pos: doc.pos,
+      reverseCharge: doc.rev === 'Y',
+      itcAvailable: doc.itcavl !== 'N',
+      itcUnavailableReason: doc.rsn,
+      amended
+    });
+  };
+
+  // Amendment sections carry the current version of a document and supersede the original
+  const amendedKeys = new Set();
+  b2ba.forEach(supplier => (supplier.inv || []).forEach(inv => {
+    amendedKeys.add(`${supplier.ctin}|INV|${inv.oinum}`);
+    addDocument(supplier, inv, 'INV', 'inum', true);
+  }));
+  cdnra.forEach(supplier => (supplier.nt || []).forEach(nt => {
+    const documentType = nt.typ === 'D' ? 'DBN' : 'CRN';
+    amendedKeys.add(`${supplier.ctin}|${documentType}|${nt.ontnum}`);
+    addDocument(supplier, nt, documentType, 'ntnum', true);
+  }));
+  b2b.forEach(supplier => (supplier.inv || []).forEach(inv => {
+    if (!amendedKeys.has(`${supplier.ctin}|INV|${inv.inum}`)) {
+      addDocument(supplier, inv, 'INV', 'inum', false);
+    }
+  }));
+  cdnr.forEach(supplier => (supplier.nt || []).forEach(nt => {
+    const documentType = nt.typ === 'D' ? 'DBN' : 'CRN';
+    if (!amendedKeys.has(`${supplier.ctin}|${documentType}|${nt.ntnum}`)) {
+      addDocument(supplier, nt, documentType, 'ntnum', false);
+    }
+  }));
+
+  return {
+    gstin: data.gstin,
+    period: fromFilingPeriod(data.rtnprd),
+    documents
+  };
+};
+
+// Add up the lines of multi-line invoices into one document per supplier, type, number and date; the
+// document keeps the row of its first line
+const groupDocuments = (lines) => {
+  const documents = new Map();
+  lines.forEach(line => {
+    const key = `${line.supplierGstin}|${line.documentType}|${normaliseInvoiceNumber(line.invoiceNumber).strict}|${line.invoiceDate.getTime()}`;
+    const document = documents.get(key);
+    if (!document) {
+      documents.set(key, { ...line });
+      return;
+    }
+    ['taxableValue', 'igst', 'cgst', 'sgst', 'cess'].forEach(field => {
+      document[field] = round(document[field] + line[field]);
+    });
+    if (document.invoiceValue === null) document.invoiceValue = line.invoiceValue;
+    document.supplierName = document.supplierName || line.supplierName;
+    document.reverseCharge = document.reverseCharge || line.reverseCharge;
+  });
+  return Array.from(documents.values());
+};
+
+/**
+ * Read a purchase register and return document records plus row errors
+ * @param {Buffer} buffer - CSV or Excel file contents
+ * @returns {Promise<Object>} - { documents, errors }
+ */
+const readPurchaseRegister = async (buffer) => {
+  const rows = await readSpreadsheet(buffer, { aliases: PURCHASE_REGISTER_ALIASES });
+  const lines = [];
+  const errors = [];
+
+  rows.forEach(row => {
+    const rowErrors = [];
+    const supplierGstin = String(row.supplier_gstin || '').trim().toUpperCase();
+    const invoiceDate = parseDate(row.invoice_date);
+    const taxableValue = parseNumber(row.taxable_value);
+    const typeText = String(row.document_type || 'INV').trim().toUpperCase();
+    let documentType = 'INV';
+    if (['CRN', 'CN', 'C', 'CREDIT NOTE'].includes(typeText)) documentType = 'CRN';
+    if (['DBN', 'DN', 'D', 'DEBIT NOTE'].includes(typeText)) documentType = 'DBN';
+
+    if (!isValidGSTIN(supplierGstin)) rowErrors.push({ field: 'supplier_gstin', message: 'Invalid supplier GSTIN' });
+    if (!row.invoice_number) rowErrors.push({ field: 'invoice_number', message: 'Invoice number is required' });
+    if (!invoiceDate) rowErrors.push({ field: 'invoice_date', message: 'Invoice date is missing or invalid' });
+    if (taxableValue === null) rowErrors.push({ field: 'taxable_value', message: 'Taxable value is required' });
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: row._row, invoiceNumber: row.invoice_number || null, errors: rowErrors });
+      return;
+    }
+
+    lines.push({
+      source: 'books',
+      row: row._row,
+      supplierGstin,
+      supplierName: row.supplier_name || null,
+      invoiceNumber: String(row.invoice_number),
+      invoiceDate,
+      documentType,
+      invoiceValue: parseNumber(row.invoice_value),
+      taxableValue,
+      igst: parseNumber(row.igst) || 0,
+      cgst: parseNumber(row.cgst) || 0,
+      sgst: parseNumber(row.sgst) || 0,
+      cess: parseNumber(row.cess) || 0,
+      reverseCharge: ['Y', 'YES', 'TRUE', '1'].includes(String(row.reverse_charge || '').trim().toUpperCase())
+    });
+  });
+
+  return { documents: groupDocuments(lines), errors };
+};
+
+// Field-by-field differences between a books and a portal record beyond tolerance
+const compareDocuments = (books, portal, tolerances) => {
+  const differences = [];
+  ['taxableValue', 'igst', 'cgst', 'sgst', 'cess'].forEach(field => {
+    const difference = round(books[field] - portal[field]);
+    if (Math.abs(difference) > tolerances.amount) {
+      differences.push({ field, books: round(books[field]), portal: round(portal[field]), difference });
+    }
+  });
+  if (books.invoiceDate && portal.invoiceDate && daysBetween(books.invoiceDate, portal.invoiceDate) > 0) {
+    differences.push({ field: 'invoiceDate', books: books.invoiceDate, portal: portal.invoiceDate });
+  }
+  if (normaliseInvoiceNumber(books.invoiceNumber).strict !== normaliseInvoiceNumber(portal.invoiceNumber).strict) {
+    differences.push({ field: 'invoiceNumber', books: books.invoiceNumber, portal: portal.invoiceNumber });
+  }
+  const booksIntegrated = books.igst > 0;
+  const portalIntegrated = portal.igst > 0;
+  if (booksIntegrated !== portalIntegrated && (books.igst + books.cgst > 0) && (portal.igst + portal.cgst > 0)) {
+    differences.push({ field: 'taxType', books: booksIntegrated ? 'IGST' : 'CGST+SGST', portal: portalIntegrated ? 'IGST' : 'CGST+SGST' });
+  }
+  return differences;
+};
+
+const documentSnapshot = (doc) => doc && {
+  invoiceNumber: doc.invoiceNumber,
+  invoiceDate: doc.invoiceDate,
+  documentType: doc.documentType,
+  invoiceValue: doc.invoiceValue,
+  taxableValue: round(doc.taxableValue),
+  igst: round(doc.igst),
+  cgst: round(doc.cgst),
+  sgst: round(doc.sgst),
+  cess: round(doc.cess),
+  row: doc.row
+};
+
+const buildResult = (status, books, portal, differences = []) => {
+  const supplier = books || portal;
+  const result = {
+    status,
+    supplierGstin: supplier.supplierGstin,
+    supplierName: (portal && portal.supplierName) || (books && books.supplierName) || null,
+    documentType: supplier.documentType,
+    books: documentSnapshot(books),
+    portal: documentSnapshot(portal),
+    differences,
+    itcAvailable: portal ? portal.itcAvailable : null,
+    itcUnavailableReason: portal ? portal.itcUnavailableReason : undefined,
+    reverseCharge: Boolean((portal && portal.reverseCharge) || (books && books.reverseCharge)),
+    action: RECOMMENDED_ACTIONS[status]
+  };
+  if (portal && !portal.itcAvailable) {
+    result.action = `ITC not available as per GSTR-2B${portal.itcUnavailableReason ? ` (${portal.itcUnavailableReason})` : ''}; do not claim`;
+  }
+  return result;
+};
+
+// Separate repeated documents (same supplier, type and number on different dates, once lines are grouped)
+// so only the first takes part in matching
+const extractDuplicates = (documents) => {
+  const seen = new Set();
+  const unique = [];
+  const duplicates = [];
+  documents.forEach(doc => {
+    const key = `${doc.supplierGstin}|${doc.documentType}|${normaliseInvoiceNumber(doc.invoiceNumber).strict}`;
+    if (seen.has(key)) {
+      duplicates.push(doc);
+    } else {
+      seen.add(key);
+      unique.push(doc);
+    }
+  });
+  return { unique, duplicates };
+};
+
+/**
+ * Reconcile purchase register documents against GSTR-2B documents
+ * @param {Array} booksDocuments - Documents from the purchase register
+ * @param {Array} portalDocuments - Documents from GSTR-2B
+ * @param {Object} options - Tolerances ({ amount, dateDays })
+ * @returns {Array} - Match results
+ */
+const reconcileDocuments = (booksDocuments, portalDocuments, options = {}) => {
+  const tolerances = { ...DEFAULT_TOLERANCES, ...options };
+  const results = [];
+
+  const books = extractDuplicates(booksDocuments);
+  const portal = extractDuplicates(portalDocuments);
+  books.duplicates.forEach(doc => results.push(buildResult('duplicate', doc, null)));
+  portal.duplicates.forEach(doc => results.push(buildResult('duplicate', null, doc)));
+
+  const unmatchedPortal = new Set(portal.unique);
+  const findPortal = (predicate) => {
+    for (const doc of unmatchedPortal) {
+      if (predicate(doc)) return doc;
+    }
+    return null;
+  };
+  const sameSupplierAndType = (a, b) => a.supplierGstin === b.supplierGstin && a.documentType === b.documentType;
+  const withinDateTolerance = (a, b) => !a.invoiceDate || !b.invoiceDate || daysBetween(a.invoiceDate, b.invoiceDate) <= tolerances.dateDays;
+  const withinAmountTolerance = (a, b) => Math.abs(a.taxableValue - b.taxableValue) <= tolerances.amount
+    && Math.abs(taxOf(a) - taxOf(b)) <= tolerances.amount;
+
+  books.unique.forEach(doc => {
+    const keys = normaliseInvoiceNumber(doc.invoiceNumber);
+
+    // Pass 1: normalised invoice number; pass 2: digits only within the date tolerance;
+    // pass 3: same amounts and date when the supplier has numbered the document differently
+    const match = findPortal(p => sameSupplierAndType(doc, p) && normaliseInvoiceNumber(p.invoiceNumber).strict === keys.strict)
+      || findPortal(p => sameSupplierAndType(doc, p) && keys.loose !== ''
+        && normaliseInvoiceNumber(p.invoiceNumber).loose === keys.loose && withinDateTolerance(doc, p))
+      || findPortal(p => sameSupplierAndType(doc, p) && withinDateTolerance(doc, p) && withinAmountTolerance(doc, p));
+
+    if (!match) {
+      results.push(buildResult('missing_in_2b', doc, null));
+      return;
+    }
+
+    unmatchedPortal.delete(match);
+    const differences = compareDocuments(doc, match, tolerances);
+    results.push(buildResult(differences.length === 0 ? 'matched' : 'partially_matched', doc, match, differences));
+  });
+
+  unmatchedPortal.forEach(doc => results.push(buildResult('missing_in_books', null, doc)));
+
+  return results;
+};
+
+/**
+ * Summarise results per supplier with the ITC at stake and follow-up actions
+ * @param {Array} results - Match results
+ * @returns {Array} - Supplier report sorted by the largest tax difference
+ */
+const buildSupplierReport = (results) => {
+  const suppliers = new Map();
+
+  results.forEach(result => {
+    const entry = suppliers.get(result.supplierGstin) || {
+      supplierGstin: result.supplierGstin,
+      supplierName: result.supplierName,
+      counts: MATCH_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {}),
+      booksTax: 0,
+      portalTax: 0,
+      taxDifference: 0,
+      itcAtRisk: 0,
+      actions: []
+    };
+    entry.supplierName = entry.supplierName || result.supplierName;
+    entry.counts[result.status] += 1;
+
+    const sign = result.documentType === 'CRN' ? -1 : 1;
+    if (result.status !== 'duplicate') {
+      if (result.books) entry.booksTax += sign * taxOf(result.books);
+      if (result.portal) entry.portalTax += sign * taxOf(result.portal);
+    }
+    if (result.status === 'missing_in_2b') {
+      entry.itcAtRisk += sign * taxOf(result.books);
+    }
+    if (result.status !== 'matched') {
+      entry.actions.push({
+        status: result.status,
+        invoiceNumber: (result.books || result.portal).invoiceNumber,
+        action: result.action
+      });
+    }
+    suppliers.set(result.supplierGstin, entry);
+  });
+
+  return Array.from(suppliers.values())
+    .map(entry => ({
+      ...entry,
+      booksTax: round(entry.booksTax),
+      portalTax: round(entry.portalTax),
+      taxDifference: round(entry.booksTax - entry.portalTax),
+      itcAtRisk: round(entry.itcAtRisk)
+    }))
+    .sort((a, b) => Math.abs(b.taxDifference) - Math.abs(a.taxDifference));
+};
+
+/**
+ * ITC that can be claimed from reconciled documents (lower of books and 2B per head)
+ * @param {Array} results - Match results
+ * @returns {Object} - { igst, cgst, sgst, cess }
+ */
+const calculateClaimableITC = (results) => {
+  const itc = { igst: 0, cgst: 0, sgst: 0, cess: 0 };
+  results
+    .filter(result => ['matched', 'partially_matched'].includes(result.status) && result.itcAvailable !== false)
+    .forEach(result => {
+      const sign = result.documentType === 'CRN' ? -1 : 1;
+      Object.keys(itc).forEach(head => {
+        // Lower of the two in absolute terms, so a credit note reduces ITC by no more than either side shows
+        const books = Math.abs(result.books[head]);
+        const portal = Math.abs(result.portal[head]);
+        itc[head] += sign * Math.min(books, portal);
+      });
+    });
+  Object.keys(itc).forEach(head => {
+    itc[head] = round(itc[head]);
+  });
+  return itc;
+};
+
+module.exports = {
+  DEFAULT_TOLERANCES,
+  MATCH_STATUSES,
+  normaliseInvoiceNumber,
+  parseGSTR2B,
+  readPurchaseRegister,
+  reconcileDocuments,
+  buildSupplierReport,
+  calculateClaimableITC
+};
@@ -0,0 +1,196 @@
+// Late fee under section 47 and interest under section 50 of the CGST Act
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTEREST_RATES = {
+  delayedPayment: 18, // Section 50(1)
+  excessITC: 24 // Section 50(3), ITC wrongly availed and utilised
+};
+
+// Section 47 default: ₹100 per day per Act, capped at ₹5,000 per Act
+const DEFAULT_SCHEDULE = { perDay: 100, nilPerDay: 100, cap: 5000, nilCap: 5000 };
+
+/**
+ * Late fee schedules per return type, in CGST (the SGST/UTGST fee is the same amount).
+ * Each entry applies to tax periods starting on or after `from`; the last matching entry wins.
+ * Caps are either a fixed amount or turnover slabs ({ upTo, cap } / { upTo, capPercent } of state turnover).
+ */
+const LATE_FEE_SCHEDULES = {
+  GSTR3B: [
+    { from: '2017-07-01', to: '2017-09-30', notification: '28/2017-CT, 50/2017-CT', waived: true },
+    { from: '2017-10-01', notification: '64/2017-CT', perDay: 25, nilPerDay: 10, cap: 5000, nilCap: 5000 },
+    { from: '2020-07-01', notification: '57/2020-CT', perDay: 25, nilPerDay: 10, cap: 5000, nilCap: 250 },
+    {
+      from: '2021-06-01',
+      notification: '19/2021-CT',
+      perDay: 25,
+      nilPerDay: 10,
+      nilCap: 250,
+      slabs: [
+        { upTo: 15000000, cap: 1000 },
+        { upTo: 50000000, cap: 2500 },
+        { upTo: Infinity, cap: 5000 }
+      ]
+    }
+  ],
+  GSTR1: [
+    { from: '2017-07-01', notification: '4/2018-CT', perDay: 25, nilPerDay: 10, cap: 5000, nilCap: 5000 },
+    {
+      from: '2021-06-01',
+      notification: '20/2021-CT',
+      perDay: 25,
+      nilPerDay: 10,
+      nilCap: 250,
+      slabs: [
+        { upTo: 15000000, cap: 1000 },
+        { upTo: 50000000, cap: 2500 },
+        { upTo: Infinity, cap: 5000 }
+      ]
+    }
+  ],
+  GSTR4: [
+    { from: '2017-07-01', notification: 'Section 47', ...DEFAULT_SCHEDULE },
+    { from: '2021-04-01', notification: '21/2021-CT', perDay: 25, nilPerDay: 25, cap: 1000, nilCap: 250 }
+  ],
+  GSTR5: [
+    { from: '2017-07-01', notification: 'Section 47', ...DEFAULT_SCHEDULE }
+  ],
+  GSTR6: [
+    { from: '2017-07-01', notification: 'Section 47', ...DEFAULT_SCHEDULE }
+  ],
+  GSTR7: [
+    { from: '2017-07-01', notification: 'Section 47', ...DEFAULT_SCHEDULE },
+    { from: '2021-06-01', notification: '22/2021-CT', perDay: 25, nilPerDay: 25, cap: 1000, nilCap: 1000 }
+  ],
+  GSTR8: [
+    { from: '2017-07-01', notification: 'Section 47', ...DEFAULT_SCHEDULE }
+  ],
+  GSTR9: [
+    { from: '2017-07-01', notification: 'Section 47(2)', perDay: 100, nilPerDay: 100, capPercent: 0.25 },
+    {
+      from: '2022-04-01',
+      notification: '7/2023-CT',
+      perDay: 100,
+      nilPerDay: 100,
+      slabs: [
+        { upTo: 50000000, perDay: 25, capPercent: 0.02 },
+        { upTo: 200000000, perDay: 50, capPercent: 0.02 },
+        { upTo: Infinity, perDay: 100, capPercent: 0.25 }
+      ]
+    }
+  ]
+};
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+/**
+ * Whole days between the due date and the filing or payment date
+ * @param {Date} dueDate - Due date
+ * @param {Date} actualDate - Filing or payment date (defaults to now)
+ * @returns {Number} - Days of delay (0 if on time)
+ */
+const daysLate = (dueDate, actualDate = new Date()) => {
+  if (!dueDate) return 0;
+  const due = toDate(dueDate);
+  const actual = toDate(actualDate);
+  const dueDay = Date.UTC(due.getFullYear(), due.getMonth(), due.getDate());
+  const actualDay = Date.UTC(actual.getFullYear(), actual.getMonth(), actual.getDate());
+  return Math.max(0, Math.round((actualDay - dueDay) / DAY_MS));
+};
+
+/**
+ * Pick the late fee schedule for a return type and tax period
+ * @param {String} returnType - GSTR1, GSTR3B, ...
+ * @param {Object} period - { month, year }; annual returns use April of the financial year
+ * @returns {Object|null} - Schedule entry
+ */
+const getLateFeeSchedule = (returnType, period) => {
+  const schedules = LATE_FEE_SCHEDULES[returnType];
+  if (!schedules) return null;
+
+  const periodStart = new Date(Date.UTC(period.year, period.month - 1, 1));
+  return schedules.reduce((selected, schedule) => {
+    const from = new Date(`${schedule.from}T00:00:00Z`);
+    const to = schedule.to ? new Date(`${schedule.to}T00:00:00Z`) : null;
+    if (periodStart >= from && (!to || periodStart <= to)) {
+      return schedule;
+    }
+    return selected;
+  }, null);
+};
+
+/**
+ * Calculate the section 47 late fee
+ * @param {Object} params - { returnType, period, dueDate, filingDate, isNil, aggregateTurnover, stateTurnover }
+ * @returns {Object} - { daysLate, perDay, cap, cgst, sgst, total, notification, waived }
+ */
+const calculateLateFee = ({ returnType, period, dueDate, filingDate = new Date(), isNil = false, aggregateTurnover, stateTurnover }) => {
+  const days = daysLate(dueDate, filingDate);
+  const schedule = getLateFeeSchedule(returnType, period);
+  const result = { daysLate: days, perDay: 0, cap: 0, cgst: 0, sgst: 0, total: 0, notification: schedule ? schedule.notification : null, waived: false };
+
+  if (!schedule || days === 0) return result;
+
+  if (schedule.waived) {
+    result.waived = true;
+    return result;
+  }
+
+  let perDay = isNil ? schedule.nilPerDay : schedule.perDay;
+  let cap = isNil && schedule.nilCap !== undefined ? schedule.nilCap : schedule.cap;
+  let capPercent = schedule.capPercent;
+
+  if (schedule.slabs && !(isNil && schedule.nilCap !== undefined)) {
+    // Without a known turnover the highest slab applies
+    const turnover = aggregateTurnover !== undefined && aggregateTurnover !== null ? aggregateTurnover : Infinity;
+    const slab = schedule.slabs.find(item => turnover <= item.upTo);
+    perDay = slab.perDay !== undefined ? slab.perDay : perDay;
+    cap = slab.cap;
+    capPercent = slab.capPercent;
+  }
+
+  if (capPercent !== undefined) {
+    const base = stateTurnover !== undefined && stateTurnover !== null ? stateTurnover : aggregateTurnover;
+    cap = base !== undefined && base !== null ? round(base * capPercent / 100) : Infinity;
+  }
+
+  const perAct = Math.min(perDay * days, cap);
+  result.perDay = perDay;
+  result.cap = cap;
+  result.cgst = round(perAct);
+  result.sgst = round(perAct);
+  result.total = round(perAct * 2);
+  return result;
+};
+
+/**
+ * Calculate section 50 interest per tax head
+ * @param {Object} params - { cashLiability, excessITC, dueDate, paymentDate } (amounts as { igst, cgst, sgst, cess });
+ * excessITC is ITC wrongly availed and utilised, charged at 24% over the same days as the delayed cash
+ * @returns {Object} - { daysLate, igst, cgst, sgst, cess, total }
+ */
+const calculateInterest = ({ cashLiability = {}, excessITC = {}, dueDate, paymentDate = new Date() }) => {
+  const days = daysLate(dueDate, paymentDate);
+  const result = { daysLate: days, igst: 0, cgst: 0, sgst: 0, cess: 0, total: 0 };
+
+  if (days === 0) return result;
+
+  ['igst', 'cgst', 'sgst', 'cess'].forEach(head => {
+    const delayed = Math.max(0, cashLiability[head] || 0) * INTEREST_RATES.delayedPayment / 100;
+    const excess = Math.max(0, excessITC[head] || 0) * INTEREST_RATES.excessITC / 100;
+    result[head] = round((delayed + excess) * days / 365);
+  });
+  result.total = round(result.igst + result.cgst + result.sgst + result.cess);
+  return result;
+};
+
+module.exports = {
+  INTEREST_RATES,
+  LATE_FEE_SCHEDULES,
+  daysLate,
+  getLateFeeSchedule,
+  calculateLateFee,
+  calculateInterest
+};
@@ -0,0 +1,137 @@
+// 180-day payment rule: second proviso to section 16(2) of the CGST Act and rule 37 of the CGST Rules.
+// ITC on an invoice not paid within 180 days is reversed with interest and reclaimed once paid.
+
+const { TAX_HEADS, emptyHeads, toHeads } = require('./setOff');
+const { calculateInterest } = require('./lateFee');
+
+const PAYMENT_PERIOD_DAYS = 180;
+
+// Invoices this close to the 180th day are flagged as approaching
+const APPROACHING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const scaleHeads = (amounts, factor) => TAX_HEADS.reduce((out, head) => ({ ...out, [head]: round((amounts[head] || 0) * factor) }), {});
+
+const periodOf = (date) => ({ month: date.getMonth() + 1, year: date.getFullYear() });
+
+/**
+ * Last day for paying the supplier without reversing ITC
+ * @param {Date} invoiceDate - Invoice date
+ * @returns {Date}
+ */
+const getPaymentDeadline = (invoiceDate) => new Date(new Date(invoiceDate).getTime() + PAYMENT_PERIOD_DAYS * DAY_MS);
+
+/**
+ * Amount paid to the supplier up to a date
+ * @param {Array} payments - [{ date, amount }]
+ * @param {Date} upTo - Cut-off date (inclusive)
+ * @returns {number}
+ */
+const getAmountPaid = (payments = [], upTo = new Date()) => round(
+  payments
+    .filter(payment => new Date(payment.date) <= upTo)
+    .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0)
+);
+
+/**
+ * Whether the 180-day rule applies: ITC must have been availed on a tax invoice or debit note.
+ * Reverse charge supplies are excluded, as the recipient pays the tax itself.
+ * @param {Object} invoice - { documentType, reverseCharge, itcAvailed }
+ * @returns {boolean}
+ */
+const isPaymentRuleApplicable = (invoice) => (
+  invoice.documentType !== 'CRN' && !invoice.reverseCharge && invoice.itcAvailed !== false
+);
+
+/**
+ * Assess an invoice against the 180-day rule.
+ * The ITC reversed is proportionate to the value (including tax) unpaid on the 180th day and carries
+ * interest under section 50 from the date ITC was availed; it goes in table 4(B)(2) of the GSTR-3B for
+ * the period in which the 180 days end. Payments made later are reclaimed proportionately in table 4(A)(5).
+ * @param {Object} invoice - { invoiceDate, invoiceValue, tax, payments, itcAvailedOn, rule37 }
+ * @param {Date} asOf - Assessment date
+ * @returns {Object} - { status, deadline, daysOutstanding, reversal (when computed or refreshed), newReclaim }
+ */
+const assessPaymentRule = (invoice, asOf = new Date()) => {
+  const deadline = getPaymentDeadline(invoice.invoiceDate);
+  const daysOutstanding = Math.max(0, Math.floor((asOf - new Date(invoice.invoiceDate)) / DAY_MS));
+  const existing = invoice.rule37 || {};
+
+  if (!isPaymentRuleApplicable(invoice)) {
+    return { status: 'not_applicable', deadline, daysOutstanding };
+  }
+
+  const invoiceValue = Number(invoice.invoiceValue) || 0;
+  const tax = toHeads(invoice.tax);
+  const paidInTime = getAmountPaid(invoice.payments, deadline);
+  const paid = getAmountPaid(invoice.payments, asOf);
+  const hasReversal = existing.reversal && existing.reversal.computedAt;
+
+  if (!hasReversal) {
+    if (paidInTime >= invoiceValue - 0.5) {
+      return { status: 'paid_in_time', deadline, daysOutstanding };
+    }
+    if (asOf <= deadline) {
+      const daysLeft = Math.ceil((deadline - asOf) / DAY_MS);
+      return { status: daysLeft <= APPROACHING_DAYS ? 'approaching' : 'within_limit', deadline, daysOutstanding, daysLeft };
+    }
+  }
+
+  // Crossed the 180th day: reverse ITC on the part unpaid then, refreshing interest until it is reported
+  let reversal = existing.reversal;
+  let updatedReversal = null;
+  if (!hasReversal || !existing.reversal.gstReturn) {
+    const unpaidValue = hasReversal ? existing.reversal.unpaidValue : round(invoiceValue - paidInTime);
+    const amount = scaleHeads(tax, invoiceValue > 0 ? unpaidValue / invoiceValue : 0);
+    const interest = calculateInterest({
+      cashLiability: amount,
+      dueDate: new Date(invoice.itcAvailedOn || invoice.invoiceDate),
+      paymentDate: asOf
+    });
+    reversal = {
+      unpaidValue,
+      amount,
+      interest: { igst: interest.igst, cgst: interest.cgst, sgst: interest.sgst, cess: interest.cess },
+      period: hasReversal ? existing.reversal.period : periodOf(deadline),
+      computedAt: hasReversal ? existing.reversal.computedAt : asOf
+    };
+    updatedReversal = reversal;
+  }
+
+  // Reclaim what has been paid since, less what was reclaimed before
+  const paidLate = round(Math.min(reversal.unpaidValue, paid - paidInTime));
+  const reclaimed = (existing.reclaims || []).reduce((sum, reclaim) => ({
+    value: sum.value + (reclaim.paidValue || 0),
+    amount: TAX_HEADS.reduce((heads, head) => ({ ...heads, [head]: heads[head] + ((reclaim.amount && reclaim.amount[head]) || 0) }), sum.amount)
+  }), { value: 0, amount: emptyHeads() });
+
+  let newReclaim = null;
+  const paidValue = round(paidLate - reclaimed.value);
+  if (paidValue > 0.5) {
+    const target = scaleHeads(reversal.amount, reversal.unpaidValue > 0 ? paidLate / reversal.unpaidValue : 0);
+    newReclaim = {
+      paidValue,
+      amount: TAX_HEADS.reduce((heads, head) => ({ ...heads, [head]: round(target[head] - reclaimed.amount[head]) }), {}),
+      period: periodOf(asOf),
+      computedAt: asOf
+    };
+  }
+
+  const fullyPaid = paid >= invoiceValue - 0.5;
+  let status = reversal.gstReturn ? 'reversed' : 'reversal_due';
+  if (fullyPaid) status = 'reclaimed';
+
+  return { status, deadline, daysOutstanding, reversal: updatedReversal, newReclaim };
+};
+
+module.exports = {
+  PAYMENT_PERIOD_DAYS,
+  APPROACHING_DAYS,
+  getPaymentDeadline,
+  getAmountPaid,
+  isPaymentRuleApplicable,
+  assessPaymentRule
+};
@@ -0,0 +1,181 @@
+// Pincode master: India Post directory parsing, state resolution and the approximate road distance
+// the e-way bill portal accepts between two pincodes
+
+const { readSpreadsheet, parseNumber } = require('./spreadsheet');
+const { STATE_CODES, normaliseStateCode } = require('./placeOfSupply');
+
+const PINCODE_REGEX = /^[1-9][0-9]{5}$/;
+
+// Straight-line distance is scaled up to approximate the road distance
+const ROAD_DISTANCE_FACTOR = 1.25;
+
+// The portal accepts a declared distance up to 10% above its own; within one pincode up to 100 km,
+// and never more than 4000 km
+const DISTANCE_TOLERANCE = 0.1;
+const SAME_PINCODE_MAX_DISTANCE = 100;
+const MAX_DISTANCE = 4000;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Column names in the India Post all-India pincode directory mapped to fields
+const COLUMN_ALIASES = {
+  pincode: 'pincode',
+  pin_code: 'pincode',
+  officename: 'officeName',
+  office_name: 'officeName',
+  officetype: 'officeType',
+  office_type: 'officeType',
+  delivery: 'delivery',
+  deliverystatus: 'delivery',
+  district: 'district',
+  districtname: 'district',
+  statename: 'state',
+  state_name: 'state',
+  state: 'state',
+  latitude: 'latitude',
+  longitude: 'longitude'
+};
+
+// Older and alternative state names used in the directory
+const STATE_NAME_ALIASES = {
+  orissa: '21',
+  pondicherry: '34',
+  uttaranchal: '05',
+  nctofdelhi: '07',
+  dadraandnagarhaveli: '26',
+  damananddiu: '26',
+  andamanandnicobar: '35'
+};
+
+const normaliseStateName = (name) => String(name)
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/^the\s+/, '')
+  .replace(/[^a-z]/g, '');
+
+/**
+ * Resolve a state given as a GST state code or a state name
+ * @param {string|number} state - State code or name
+ * @returns {string|null} - Two-digit state code or null
+ */
+const resolveStateCode = (state) => {
+  if (state === undefined || state === null || state === '') return null;
+  const code = normaliseStateCode(state);
+  if (code && STATE_CODES[code]) return code;
+  const name = normaliseStateName(state);
+  return Object.keys(STATE_CODES).find(key => normaliseStateName(STATE_CODES[key].name) === name) ||
+    STATE_NAME_ALIASES[name] ||
+    null;
+};
+
+/**
+ * Normalise a pincode cell (numeric cells, stray spaces)
+ * @param {*} value - Cell value
+ * @returns {string|null}
+ */
+const normalisePincode = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const pincode = String(value).replace(/\s/g, '');
+  return PINCODE_REGEX.test(pincode) ? pincode : null;
+};
+
+/**
+ * Parse the India Post pincode directory (one row per post office) into one entry per pincode.
+ * The head or sub office names the place; coordinates are averaged over the offices that have them.
+ * @param {Buffer} buffer - CSV or Excel file
+ * @returns {Promise<Object>} - { entries, errors }
+ */
+const parsePincodeDirectory = async (buffer) => {
+  const rows = await readSpreadsheet(buffer, { aliases: COLUMN_ALIASES });
+  const byPincode = new Map();
+  const errors = [];
+  const officeRank = (type) => ['H.O', 'S.O'].indexOf(String(type).toUpperCase()) + 1 || 3;
+
+  rows.forEach(row => {
+    const pincode = normalisePincode(row.pincode);
+    if (!pincode) {
+      errors.push({ row: row._row, message: `Invalid pincode ${row.pincode}` });
+      return;
+    }
+    const stateCode = resolveStateCode(row.state);
+    if (!stateCode) {
+      errors.push({ row: row._row, message: `Unknown state ${row.state}` });
+      return;
+    }
+
+    const entry = byPincode.get(pincode) || { pincode, stateCode, offices: [], latitudes: [], longitudes: [] };
+    entry.offices.push({ name: row.officeName, district: row.district, rank: officeRank(row.officeType) });
+    const latitude = parseNumber(row.latitude);
+    const longitude = parseNumber(row.longitude);
+    if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      entry.latitudes.push(latitude);
+      entry.longitudes.push(longitude);
+    }
+    byPincode.set(pincode, entry);
+  });
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const entries = [...byPincode.values()].map(({ pincode, stateCode, offices, latitudes, longitudes }) => {
+    const [main] = [...offices].sort((a, b) => a.rank - b.rank);
+    return {
+      pincode,
+      place: String(main.name || '').replace(/\s+[BSH]\.?O\.?$/i, ''),
+      district: main.district,
+      stateCode,
+      stateName: STATE_CODES[stateCode].name,
+      location: latitudes.length > 0 ? { latitude: average(latitudes), longitude: average(longitudes) } : undefined
+    };
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Distance in km
+ */
+const haversineDistance = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Approximate road distance between two pincode master records and the most the portal would accept
+ * @param {Object} from - Origin pincode record
+ * @param {Object} to - Destination pincode record
+ * @returns {Object|null} - { distance, maxAllowed, samePincode } or null when coordinates are missing
+ */
+const suggestRoadDistance = (from, to) => {
+  if (from.pincode === to.pincode) {
+    return { distance: null, maxAllowed: SAME_PINCODE_MAX_DISTANCE, samePincode: true };
+  }
+  if (!from.location || !to.location || from.location.latitude === undefined || to.location.latitude === undefined) {
+    return null;
+  }
+
+  const distance = Math.max(1, Math.ceil(haversineDistance(from.location, to.location) * ROAD_DISTANCE_FACTOR));
+  return {
+    distance,
+    maxAllowed: Math.min(MAX_DISTANCE, Math.floor(distance * (1 + DISTANCE_TOLERANCE))),
+    samePincode: false
+  };
+};
+
+module.exports = {
+  PINCODE_REGEX,
+  ROAD_DISTANCE_FACTOR,
+  DISTANCE_TOLERANCE,
+  SAME_PINCODE_MAX_DISTANCE,
+  MAX_DISTANCE,
+  resolveStateCode,
+  normalisePincode,
+  parsePincodeDirectory,
+  haversineDistance,
+  suggestRoadDistance
+};
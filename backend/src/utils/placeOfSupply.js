@@ -0,0 +1,364 @@
+// Place of supply rules under sections 10 to 13 of the IGST Act, 2017
+
+// GST state codes. Union territories without a legislature levy UTGST instead of SGST.
+const STATE_CODES = {
+  '01': { name: 'Jammu and Kashmir', isUT: false },
+  '02': { name: 'Himachal Pradesh', isUT: false },
+  '03': { name: 'Punjab', isUT: false },
+  '04': { name: 'Chandigarh', isUT: true },
+  '05': { name: 'Uttarakhand', isUT: false },
+  '06': { name: 'Haryana', isUT: false },
+  '07': { name: 'Delhi', isUT: false },
+  '08': { name: 'Rajasthan', isUT: false },
+  '09': { name: 'Uttar Pradesh', isUT: false },
+  '10': { name: 'Bihar', isUT: false },
+  '11': { name: 'Sikkim', isUT: false },
+  '12': { name: 'Arunachal Pradesh', isUT: false },
+  '13': { name: 'Nagaland', isUT: false },
+  '14': { name: 'Manipur', isUT: false },
+  '15': { name: 'Mizoram', isUT: false },
+  '16': { name: 'Tripura', isUT: false },
+  '17': { name: 'Meghalaya', isUT: false },
+  '18': { name: 'Assam', isUT: false },
+  '19': { name: 'West Bengal', isUT: false },
+  '20': { name: 'Jharkhand', isUT: false },
+  '21': { name: 'Odisha', isUT: false },
+  '22': { name: 'Chhattisgarh', isUT: false },
+  '23': { name: 'Madhya Pradesh', isUT: false },
+  '24': { name: 'Gujarat', isUT: false },
+  '26': { name: 'Dadra and Nagar Haveli and Daman and Diu', isUT: true },
+  '27': { name: 'Maharashtra', isUT: false },
+  '29': { name: 'Karnataka', isUT: false },
+  '30': { name: 'Goa', isUT: false },
+  '31': { name: 'Lakshadweep', isUT: true },
+  '32': { name: 'Kerala', isUT: false },
+  '33': { name: 'Tamil Nadu', isUT: false },
+  '34': { name: 'Puducherry', isUT: false },
+  '35': { name: 'Andaman and Nicobar Islands', isUT: true },
+  '36': { name: 'Telangana', isUT: false },
+  '37': { name: 'Andhra Pradesh', isUT: false },
+  '38': { name: 'Ladakh', isUT: true },
+  '97': { name: 'Other Territory', isUT: true }
+};
+
+// Place of supply code used for supplies to a place outside India
+const OUTSIDE_INDIA = '96';
+
+const SUPPLY_TYPES = ['goods', 'services'];
+
+// Service categories with a specific place of supply rule under section 12 (domestic)
+// and section 13 (cross-border). Anything else falls under the default rule.
+const SERVICE_CATEGORIES = [
+  'general',
+  'immovable_property',
+  'restaurant',
+  'personal_grooming',
+  'training',
+  'event_admission',
+  'event_organisation',
+  'goods_transport',
+  'passenger_transport',
+  'on_board_conveyance',
+  'telecom',
+  'banking',
+  'insurance',
+  'advertising_government',
+  'performance_on_goods',
+  'intermediary',
+  'oidar'
+];
+
+/**
+ * Normalise a state code ("7", 7, "07") to the two-digit form
+ * @param {string|number} code - State code
+ * @returns {string|null} - Two-digit state code or null
+ */
+const normaliseStateCode = (code) => {
+  if (code === undefined || code === null || code === '') return null;
+  const normalised = String(code).trim().padStart(2, '0');
+  return /^[0-9]{2}$/.test(normalised) ? normalised : null;
+};
+
+/**
+ * Extract the state code from the first two digits of a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {string|null} - Two-digit state code or null
+ */
+const stateCodeFromGstin = (gstin) => {
+  if (!gstin || typeof gstin !== 'string' || gstin.length < 2) return null;
+  return normaliseStateCode(gstin.substring(0, 2));
+};
+
+/**
+ * Check whether a state code is a union territory that levies UTGST
+ * @param {string} stateCode - Two-digit state code
+ * @returns {boolean}
+ */
+const isUnionTerritory = (stateCode) => {
+  const state = STATE_CODES[normaliseStateCode(stateCode)];
+  return Boolean(state && state.isUT);
+};
+
+// Section 10 - goods supplied within India
+const goodsPlaceOfSupply = (ctx) => {
+  if (ctx.billToShipTo) {
+    return { pos: ctx.recipientState, section: '10(1)(b)', reason: 'Goods delivered to a third person on the direction of the recipient' };
+  }
+  if (ctx.onBoardConveyance) {
+    return { pos: ctx.loadingState, section: '10(1)(e)', reason: 'Goods supplied on board a conveyance' };
+  }
+  if (ctx.installationState) {
+    return { pos: ctx.installationState, section: '10(1)(d)', reason: 'Goods installed or assembled at site' };
+  }
+  if (ctx.noMovement) {
+    return { pos: ctx.deliveryState || ctx.recipientState, section: '10(1)(c)', reason: 'No movement of goods; location of goods at delivery' };
+  }
+  return { pos: ctx.deliveryState || ctx.recipientState, section: '10(1)(a)', reason: 'Location where movement of goods terminates' };
+};
+
+// Section 12 - services where both supplier and recipient are in India
+const domesticServicePlaceOfSupply = (ctx) => {
+  const registeredOrSupplier = (fallbackState, fallbackReason) => (
+    ctx.recipientRegistered
+      ? { pos: ctx.recipientState, reason: 'Location of the registered recipient' }
+      : { pos: fallbackState, reason: fallbackReason }
+  );
+  const recipientOrSupplier = () => (
+    ctx.recipientState
+      ? { pos: ctx.recipientState, reason: 'Address of the recipient on record' }
+      : { pos: ctx.supplierState, reason: 'Location of the supplier' }
+  );
+
+  let rule;
+  switch (ctx.serviceCategory) {
+    case 'immovable_property':
+      rule = { pos: ctx.propertyState, section: '12(3)', reason: 'Location of the immovable property' };
+      break;
+    case 'restaurant':
+    case 'personal_grooming':
+      rule = { pos: ctx.performanceState || ctx.supplierState, section: '12(4)', reason: 'Location where the services are performed' };
+      break;
+    case 'training':
+      rule = { ...registeredOrSupplier(ctx.performanceState || ctx.supplierState, 'Location where the services are performed'), section: '12(5)' };
+      break;
+    case 'event_admission':
+      rule = { pos: ctx.eventState, section: '12(6)', reason: 'Place where the event is held' };
+      break;
+    case 'event_organisation':
+      rule = { ...registeredOrSupplier(ctx.eventState, 'Place where the event is held'), section: '12(7)' };
+      break;
+    case 'goods_transport':
+      rule = { ...registeredOrSupplier(ctx.handoverState, 'Location where goods are handed over for transportation'), section: '12(8)' };
+      break;
+    case 'passenger_transport':
+      rule = { ...registeredOrSupplier(ctx.embarkationState, 'Place where the passenger embarks'), section: '12(9)' };
+      break;
+    case 'on_board_conveyance':
+      rule = { pos: ctx.loadingState, section: '12(10)', reason: 'First scheduled point of departure of the conveyance' };
+      break;
+    case 'telecom':
+      rule = { pos: ctx.recipientState || ctx.installationState, section: '12(11)', reason: 'Location of the telecom connection or billing address' };
+      break;
+    case 'banking':
+      rule = { ...recipientOrSupplier(), section: '12(12)' };
+      break;
+    case 'insurance':
+      rule = { ...registeredOrSupplier(ctx.recipientState || ctx.supplierState, 'Address of the recipient on record'), section: '12(13)' };
+      break;
+    case 'advertising_government':
+      rule = { pos: ctx.recipientState, section: '12(14)', reason: 'States where the advertisement is broadcast or displayed' };
+      break;
+    default:
+      rule = ctx.recipientRegistered
+        ? { pos: ctx.recipientState, section: '12(2)(a)', reason: 'Location of the registered recipient' }
+        : { ...recipientOrSupplier(), section: '12(2)(b)' };
+  }
+  return rule;
+};
+
+// Section 13 - services where the supplier or the recipient is outside India
+const crossBorderServicePlaceOfSupply = (ctx) => {
+  switch (ctx.serviceCategory) {
+    case 'performance_on_goods':
+    case 'restaurant':
+    case 'personal_grooming':
+    case 'training':
+      return { pos: ctx.performanceState || OUTSIDE_INDIA, section: '13(3)', reason: 'Location where the services are actually performed' };
+    case 'immovable_property':
+      return { pos: ctx.propertyState || OUTSIDE_INDIA, section: '13(4)', reason: 'Location of the immovable property' };
+    case 'event_admission':
+    case 'event_organisation':
+      return { pos: ctx.eventState || OUTSIDE_INDIA, section: '13(5)', reason: 'Place where the event is held' };
+    case 'banking':
+    case 'intermediary':
+      return { pos: ctx.supplierState || OUTSIDE_INDIA, section: '13(8)', reason: 'Location of the supplier' };
+    case 'goods_transport':
+      return { pos: OUTSIDE_INDIA, section: '13(9)', reason: 'Destination of the goods' };
+    case 'passenger_transport':
+      return { pos: ctx.embarkationState || OUTSIDE_INDIA, section: '13(10)', reason: 'Place where the passenger embarks' };
+    default:
+      return { pos: ctx.recipientState || OUTSIDE_INDIA, section: '13(2)', reason: 'Location of the recipient' };
+  }
+};
+
+/**
+ * Determine the place of supply and whether the supply is inter-State or intra-State
+ * @param {Object} params - Supply details
+ * @param {string} params.supplierState - Supplier state code (or derived from supplierGstin)
+ * @param {string} params.supplierGstin - Supplier GSTIN
+ * @param {string} params.recipientState - Recipient state code (or derived from recipientGstin)
+ * @param {string} params.recipientGstin - Recipient GSTIN; its presence marks the recipient as registered
+ * @param {string} params.supplyType - 'goods' or 'services'
+ * @param {string} params.serviceCategory - One of SERVICE_CATEGORIES, for services
+ * @param {boolean} params.isExport - Export of goods or services
+ * @param {boolean} params.isImport - Import of goods or services
+ * @param {boolean} params.isSEZ - Supply to or by an SEZ unit or developer
+ * @returns {Object} - { placeOfSupply, supplyNature, taxType, zeroRated, section, reason }
+ */
+const determinePlaceOfSupply = (params = {}) => {
+  const supplyType = params.supplyType || 'goods';
+  if (!SUPPLY_TYPES.includes(supplyType)) {
+    throw new Error(`Invalid supply type: ${supplyType}`);
+  }
+
+  const ctx = {
+    ...params,
+    serviceCategory: params.serviceCategory || 'general',
+    supplierState: normaliseStateCode(params.supplierState) || stateCodeFromGstin(params.supplierGstin),
+    recipientState: normaliseStateCode(params.recipientState) || stateCodeFromGstin(params.recipientGstin),
+    recipientRegistered: Boolean(params.recipientGstin),
+    deliveryState: normaliseStateCode(params.deliveryState),
+    installationState: normaliseStateCode(params.installationState),
+    loadingState: normaliseStateCode(params.loadingState),
+    performanceState: normaliseStateCode(params.performanceState),
+    propertyState: normaliseStateCode(params.propertyState),
+    eventState: normaliseStateCode(params.eventState),
+    handoverState: normaliseStateCode(params.handoverState),
+    embarkationState: normaliseStateCode(params.embarkationState)
+  };
+
+  if (!ctx.supplierState && !params.isImport) {
+    throw new Error('Supplier state or GSTIN is required to determine place of supply');
+  }
+
+  let rule;
+  if (params.isExport) {
+    rule = supplyType === 'goods'
+      ? { pos: OUTSIDE_INDIA, section: '11(a)', reason: 'Goods exported outside India' }
+      : crossBorderServicePlaceOfSupply({ ...ctx, recipientState: null });
+  } else if (params.isImport) {
+    rule = supplyType === 'goods'
+      ? { pos: ctx.recipientState, section: '11(b)', reason: 'Location of the importer' }
+      : crossBorderServicePlaceOfSupply(ctx);
+  } else if (supplyType === 'goods') {
+    rule = goodsPlaceOfSupply(ctx);
+  } else {
+    rule = domesticServicePlaceOfSupply(ctx);
+  }
+
+  if (!rule.pos) {
+    throw new Error(`Insufficient details to determine place of supply under section ${rule.section}`);
+  }
+
+  // Section 7 treats exports, imports and supplies to or by an SEZ as inter-State
+  const forcedInterState = Boolean(params.isExport || params.isImport || params.isSEZ);
+  const interState = forcedInterState || rule.pos === OUTSIDE_INDIA || rule.pos !== ctx.supplierState;
+
+  let taxType = 'IGST';
+  if (!interState) {
+    taxType = isUnionTerritory(rule.pos) ? 'CGST_UTGST' : 'CGST_SGST';
+  }
+
+  return {
+    placeOfSupply: rule.pos,
+    placeOfSupplyName: rule.pos === OUTSIDE_INDIA ? 'Outside India' : (STATE_CODES[rule.pos] || {}).name || null,
+    supplierState: ctx.supplierState,
+    supplyNature: interState ? 'inter' : 'intra',
+    taxType,
+    zeroRated: Boolean(params.isExport || (params.isSEZ && !params.isImport)),
+    section: rule.section,
+    reason: rule.reason
+  };
+};
+
+/**
+ * Determine the place of supply, assuming an intra-State supply (inter-State for exports, imports and SEZ
+ * supplies) only when neither party's state is known. Any other gap in the details is an error, so a
+ * known supplier or recipient is never quietly taxed as intra-State.
+ * @param {Object} params - As for determinePlaceOfSupply
+ * @returns {Object} - Result of determinePlaceOfSupply, or an assumed determination with assumed: true
+ * @throws {Error} - When the supply type is invalid or the details given are not enough to determine it
+ */
+const resolvePlaceOfSupply = (params = {}) => {
+  const supplierState = normaliseStateCode(params.supplierState) || stateCodeFromGstin(params.supplierGstin);
+  const recipientState = normaliseStateCode(params.recipientState) || stateCodeFromGstin(params.recipientGstin);
+  if (supplierState || recipientState) {
+    return determinePlaceOfSupply(params);
+  }
+
+  const supplyType = params.supplyType || 'goods';
+  if (!SUPPLY_TYPES.includes(supplyType)) {
+    throw new Error(`Invalid supply type: ${supplyType}`);
+  }
+
+  const interState = Boolean(params.isExport || params.isImport || params.isSEZ);
+  return {
+    placeOfSupply: null,
+    placeOfSupplyName: null,
+    supplierState: null,
+    supplyNature: interState ? 'inter' : 'intra',
+    taxType: interState ? 'IGST' : 'CGST_SGST',
+    zeroRated: Boolean(params.isExport || (params.isSEZ && !params.isImport)),
+    section: null,
+    reason: `${interState ? 'Inter' : 'Intra'}-State supply assumed: supplier and recipient states are not given`,
+    assumed: true
+  };
+};
+
+/**
+ * Split a GST rate into its components for a place of supply determination
+ * @param {number} gstRate - Total GST rate
+ * @param {Object} determination - Result of determinePlaceOfSupply
+ * @returns {Object} - { igst, cgst, sgst, utgst } rates
+ */
+const splitRate = (gstRate, determination) => {
+  const rate = Number(gstRate) || 0;
+  if (determination.taxType === 'IGST') {
+    return { igst: rate, cgst: 0, sgst: 0, utgst: 0 };
+  }
+  const half = rate / 2;
+  return determination.taxType === 'CGST_UTGST'
+    ? { igst: 0, cgst: half, sgst: 0, utgst: half }
+    : { igst: 0, cgst: half, sgst: half, utgst: 0 };
+};
+
+/**
+ * Split a tax amount into IGST or CGST + SGST/UTGST
+ * @param {number} taxAmount - Total GST amount (excluding cess)
+ * @param {Object} determination - Result of determinePlaceOfSupply
+ * @returns {Object} - { igst, cgst, sgst, utgst } amounts
+ */
+const splitTax = (taxAmount, determination) => {
+  const amount = Number(taxAmount) || 0;
+  if (determination.taxType === 'IGST') {
+    return { igst: amount, cgst: 0, sgst: 0, utgst: 0 };
+  }
+  const half = amount / 2;
+  return determination.taxType === 'CGST_UTGST'
+    ? { igst: 0, cgst: half, sgst: 0, utgst: half }
+    : { igst: 0, cgst: half, sgst: half, utgst: 0 };
+};
+
+module.exports = {
+  STATE_CODES,
+  OUTSIDE_INDIA,
+  SUPPLY_TYPES,
+  SERVICE_CATEGORIES,
+  normaliseStateCode,
+  stateCodeFromGstin,
+  isUnionTerritory,
+  determinePlaceOfSupply,
+  resolvePlaceOfSupply,
+  splitRate,
+  splitTax
+};
@@ -0,0 +1,422 @@
+// Builds GSTR-1 tables from an invoice-level sales register
+
+const { readSpreadsheet, parseNumber, parseDate } = require('./spreadsheet');
+const { normaliseStateCode, stateCodeFromGstin, OUTSIDE_INDIA } = require('./placeOfSupply');
+const { getB2CLThreshold, VALID_RATES } = require('./gstr1Json');
+const { isValidGSTIN } = require('./gstin');
+const { buildHSNSummary, buildDocumentsIssued } = require('./gstr1Summaries');
+
+// Common column names in accounting exports mapped to register fields
+const COLUMN_ALIASES = {
+  invoice_no: 'invoice_number',
+  inv_no: 'invoice_number',
+  document_number: 'invoice_number',
+  note_number: 'invoice_number',
+  inv_date: 'invoice_date',
+  document_date: 'invoice_date',
+  date: 'invoice_date',
+  original_invoice_no: 'original_invoice_number',
+  against_invoice_no: 'original_invoice_number',
+  against_invoice_number: 'original_invoice_number',
+  original_invoice_dt: 'original_invoice_date',
+  against_invoice_date: 'original_invoice_date',
+  doc_type: 'document_type',
+  type: 'document_type',
+  gstin: 'recipient_gstin',
+  gstin_uin_of_recipient: 'recipient_gstin',
+  customer_gstin: 'recipient_gstin',
+  customer_name: 'recipient_name',
+  pos: 'place_of_supply',
+  state_code: 'place_of_supply',
+  total_invoice_value: 'invoice_value',
+  value: 'invoice_value',
+  txval: 'taxable_value',
+  taxable_amount: 'taxable_value',
+  gst_rate: 'rate',
+  tax_rate: 'rate',
+  igst_amount: 'igst',
+  cgst_amount: 'cgst',
+  sgst_amount: 'sgst',
+  utgst: 'sgst',
+  sgst_utgst: 'sgst',
+  cess_amount: 'cess',
+  rcm: 'reverse_charge',
+  shipping_bill_no: 'shipping_bill_number',
+  sez: 'is_sez',
+  hsn: 'hsn_code',
+  hsn_sac: 'hsn_code',
+  hsn_sac_code: 'hsn_code',
+  sac: 'hsn_code',
+  item_description: 'description',
+  product_name: 'description',
+  qty: 'quantity',
+  uqc: 'unit',
+  uom: 'unit',
+  is_cancelled: 'cancelled',
+  invoice_status: 'cancelled'
+};
+
+const INVOICE_TYPES = ['INV', 'CRN', 'DBN'];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normaliseDocumentType = (value) => {
+  const text = String(value || 'INV').trim().toUpperCase();
+  if (['CRN', 'CN', 'C', 'CREDIT NOTE', 'CREDIT_NOTE'].includes(text)) return 'CRN';
+  if (['DBN', 'DN', 'D', 'DEBIT NOTE', 'DEBIT_NOTE'].includes(text)) return 'DBN';
+  if (['INV', 'INVOICE', 'TAX INVOICE', 'I'].includes(text)) return 'INV';
+  return text;
+};
+
+const isYes = (value) => ['Y', 'YES', 'TRUE', '1'].includes(String(value || '').trim().toUpperCase());
+
+const isCancelled = (value) => isYes(value) || /^CANCEL/.test(String(value || '').trim().toUpperCase());
+
+/**
+ * Parse a register row into a line item, collecting field errors
+ * @param {Object} row - Spreadsheet row
+ * @param {string} supplierState - Supplier state code
+ * @returns {Object} - { line, errors }, or { cancelled, errors } for a cancelled document
+ */
+const parseLine = (row, supplierState) => {
+  const errors = [];
+  const invoiceNumber = String(row.invoice_number || '').trim();
+  const invoiceDate = parseDate(row.invoice_date);
+  const documentType = normaliseDocumentType(row.document_type);
+
+  // Cancelled documents only count towards the documents issued
+  if (isCancelled(row.cancelled)) {
+    if (!invoiceNumber) errors.push({ field: 'invoice_number', message: 'Invoice number is required' });
+    if (!INVOICE_TYPES.includes(documentType)) errors.push({ field: 'document_type', message: `Document type must be one of ${INVOICE_TYPES.join(', ')}` });
+    return errors.length > 0 ? { errors } : { cancelled: { number: invoiceNumber, documentType, cancelled: true }, errors };
+  }
+
+  const hsnCode = String(row.hsn_code || '').trim();
+  const recipientGstin = String(row.recipient_gstin || '').trim().toUpperCase();
+  const exportType = String(row.export_type || '').trim().toUpperCase();
+  const taxableValue = parseNumber(row.taxable_value);
+  const rate = parseNumber(row.rate);
+  let pos = normaliseStateCode(row.place_of_supply) || stateCodeFromGstin(recipientGstin);
+
+  if (!invoiceNumber) errors.push({ field: 'invoice_number', message: 'Invoice number is required' });
+  if (invoiceNumber.length > 16) errors.push({ field: 'invoice_number', message: 'Invoice number must not exceed 16 characters' });
+  if (!invoiceDate) errors.push({ field: 'invoice_date', message: 'Invoice date is missing or invalid' });
+  if (!INVOICE_TYPES.includes(documentType)) errors.push({ field: 'document_type', message: `Document type must be one of ${INVOICE_TYPES.join(', ')}` });
+  if (recipientGstin && !isValidGSTIN(recipientGstin)) errors.push({ field: 'recipient_gstin', message: 'Invalid recipient GSTIN' });
+  if (taxableValue === null || taxableValue < 0) errors.push({ field: 'taxable_value', message: 'Taxable value must be a non-negative number' });
+  if (rate === null || !VALID_RATES.includes(rate)) errors.push({ field: 'rate', message: `Rate must be one of ${VALID_RATES.join(', ')}` });
+  if (hsnCode && !/^[0-9]{2,8}$/.test(hsnCode)) errors.push({ field: 'hsn_code', message: 'HSN/SAC must be 2 to 8 digits' });
+
+  const isExport = ['WPAY', 'WOPAY'].includes(exportType) || pos === OUTSIDE_INDIA;
+  if (isExport) {
+    pos = OUTSIDE_INDIA;
+  } else if (!pos) {
+    errors.push({ field: 'place_of_supply', message: 'Place of supply could not be determined' });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const interState = isExport || isYes(row.is_sez) || pos !== supplierState;
+  const computedTax = (taxableValue * rate) / 100;
+  const igst = parseNumber(row.igst);
+  const cgst = parseNumber(row.cgst);
+  const sgst = parseNumber(row.sgst);
+
+  const line = {
+    row: row._row,
+    invoiceNumber,
+    invoiceDate,
+    documentType,
+    recipientGstin: recipientGstin || null,
+    pos,
+    interState,
+    isExport,
+    exportType: exportType === 'WPAY' ? 'WPAY' : 'WOPAY',
+    isSEZ: isYes(row.is_sez),
+    reverseCharge: isYes(row.reverse_charge) ? 'Y' : 'N',
+    invoiceValue: parseNumber(row.invoice_value),
+    // Credit and debit notes name the invoice they are issued against
+    originalInvoiceNumber: String(row.original_invoice_number || '').trim() || undefined,
+    originalInvoiceDate: parseDate(row.original_invoice_date) || undefined,
+    portCode: row.port_code || undefined,
+    shippingBillNumber: row.shipping_bill_number || undefined,
+    shippingBillDate: parseDate(row.shipping_bill_date) || undefined,
+    hsn: hsnCode || undefined,
+    description: row.description || undefined,
+    quantity: parseNumber(row.quantity) || 0,
+    unit: row.unit || undefined,
+    rate,
+    txval: taxableValue,
+    iamt: interState ? (igst !== null ? igst : computedTax) : 0,
+    camt: interState ? 0 : (cgst !== null ? cgst : computedTax / 2),
+    samt: interState ? 0 : (sgst !== null ? sgst : computedTax / 2),
+    csamt: parseNumber(row.cess) || 0
+  };
+
+  if (line.exportType === 'WOPAY' && isExport && igst === null) {
+    line.iamt = 0;
+  }
+
+  return { line, errors };
+};
+
+/**
+ * Group register lines into documents (one document per number and type)
+ * @param {Array} lines - Parsed lines
+ * @returns {Array} - Documents with their lines
+ */
+const groupDocuments = (lines) => {
+  const documents = new Map();
+  lines.forEach(line => {
+    const key = `${line.documentType}|${line.invoiceNumber}`;
+    if (!documents.has(key)) {
+      documents.set(key, { ...line, rows: [], lines: [] });
+    }
+    const document = documents.get(key);
+    document.rows.push(line.row);
+    document.lines.push(line);
+  });
+
+  return Array.from(documents.values()).map(document => {
+    const computedValue = document.lines.reduce(
+      (sum, line) => sum + line.txval + line.iamt + line.camt + line.samt + line.csamt, 0
+    );
+    return { ...document, invoiceValue: document.invoiceValue !== null ? document.invoiceValue : round(computedValue) };
+  });
+};
+
+// Merge lines at the same rate into one item per rate, as GSTR-1 reports rate-wise
+const rateWiseItems = (lines, withNum = true) => {
+  const byRate = new Map();
+  lines.forEach(line => {
+    const item = byRate.get(line.rate) || { rt: line.rate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    item.txval += line.txval;
+    item.iamt += line.iamt;
+    item.camt += line.camt;
+    item.samt += line.samt;
+    item.csamt += line.csamt;
+    byRate.set(line.rate, item);
+  });
+
+  return Array.from(byRate.values()).map((item, index) => {
+    const det = {
+      rt: item.rt,
+      txval: round(item.txval),
+      iamt: round(item.iamt),
+      camt: round(item.camt),
+      samt: round(item.samt),
+      csamt: round(item.csamt)
+    };
+    return withNum ? { num: index + 1, itm_det: det } : det;
+  });
+};
+
+/**
+ * Classify a document into its GSTR-1 table
+ * @param {Object} document - Grouped document
+ * @returns {string} - b2b, b2cl, b2cs, exp, cdnr or cdnur
+ */
+const classifyDocument = (document) => {
+  const isNote = document.documentType !== 'INV';
+  const largeInterState = document.interState && document.invoiceValue > getB2CLThreshold(document.invoiceDate);
+
+  if (isNote) {
+    if (document.recipientGstin) return 'cdnr';
+    if (document.isExport || largeInterState) return 'cdnur';
+    return 'b2cs';
+  }
+  if (document.isExport) return 'exp';
+  if (document.recipientGstin) return 'b2b';
+  if (largeInterState) return 'b2cl';
+  return 'b2cs';
+};
+
+/**
+ * Build GSTR-1 tables from register rows
+ * @param {Array} rows - Spreadsheet rows
+ * @param {string} gstin - Supplier GSTIN of the return
+ * @param {Object} period - { month, year } of the return
+ * @returns {Object} - { gstr1Data, report }
+ */
+const buildGSTR1FromRegister = (rows, gstin, period) => {
+  const supplierState = stateCodeFromGstin(gstin);
+  const rowErrors = [];
+  const lines = [];
+  const cancelled = [];
+
+  rows.forEach(row => {
+    const { line, cancelled: cancelledDocument, errors } = parseLine(row, supplierState);
+    if (errors.length > 0) {
+      rowErrors.push({ row: row._row, invoiceNumber: row.invoice_number || null, errors });
+    } else if (cancelledDocument) {
+      cancelled.push(cancelledDocument);
+    } else {
+      lines.push(line);
+    }
+  });
+
+  const gstr1Data = { b2b: [], b2cl: [], b2cs: [], exp: [], cdnr: [], cdnur: [] };
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  const exp = new Map();
+  const cdnr = new Map();
+  const summary = { b2b: 0, b2cl: 0, b2cs: 0, exp: 0, cdnr: 0, cdnur: 0 };
+
+  const documents = groupDocuments(lines);
+  documents.forEach(document => {
+    const table = classifyDocument(document);
+    summary[table] += 1;
+
+    switch (table) {
+      case 'b2b': {
+        const row = b2b.get(document.recipientGstin) || { ctin: document.recipientGstin, invoices: [] };
+        let invoiceType = 'R';
+        if (document.isSEZ) invoiceType = document.lines.some(line => line.iamt > 0) ? 'SEWP' : 'SEWOP';
+        row.invoices.push({
+          inum: document.invoiceNumber,
+          idt: document.invoiceDate,
+          val: round(document.invoiceValue),
+          pos: document.pos,
+          rchrg: document.reverseCharge,
+          inv_typ: invoiceType,
+          items: rateWiseItems(document.lines)
+        });
+        b2b.set(document.recipientGstin, row);
+        break;
+      }
+      case 'b2cl': {
+        const row = b2cl.get(document.pos) || { pos: document.pos, invoices: [] };
+        row.invoices.push({
+          inum: document.invoiceNumber,
+          idt: document.invoiceDate,
+          val: round(document.invoiceValue),
+          items: rateWiseItems(document.lines)
+        });
+        b2cl.set(document.pos, row);
+        break;
+      }
+      case 'exp': {
+        const row = exp.get(document.exportType) || { exp_typ: document.exportType, invoices: [] };
+        row.invoices.push({
+          inum: document.invoiceNumber,
+          idt: document.invoiceDate,
+          val: round(document.invoiceValue),
+          sbpcode: document.portCode,
+          sbnum: document.shippingBillNumber,
+          sbdt: document.shippingBillDate,
+          items: rateWiseItems(document.lines, false).map(({ rt, txval, iamt, csamt }) => ({ rt, txval, iamt, csamt }))
+        });
+        exp.set(document.exportType, row);
+        break;
+      }
+      case 'cdnr': {
+        const row = cdnr.get(document.recipientGstin) || { ctin: document.recipientGstin, notes: [] };
+        row.notes.push({
+          ntty: document.documentType === 'CRN' ? 'C' : 'D',
+          nt_num: document.invoiceNumber,
+          nt_dt: document.invoiceDate,
+          inum: document.originalInvoiceNumber,
+          idt: document.originalInvoiceDate,
+          val: round(document.invoiceValue),
+          pos: document.pos,
+          rchrg: document.reverseCharge,
+          inv_typ: 'R',
+          items: rateWiseItems(document.lines)
+        });
+        cdnr.set(document.recipientGstin, row);
+        break;
+      }
+      case 'cdnur': {
+        let typ = 'B2CL';
+        if (document.isExport) typ = document.exportType === 'WPAY' ? 'EXPWP' : 'EXPWOP';
+        gstr1Data.cdnur.push({
+          typ,
+          ntty: document.documentType === 'CRN' ? 'C' : 'D',
+          nt_num: document.invoiceNumber,
+          nt_dt: document.invoiceDate,
+          inum: document.originalInvoiceNumber,
+          idt: document.originalInvoiceDate,
+          val: round(document.invoiceValue),
+          pos: typ === 'B2CL' ? document.pos : undefined,
+          items: rateWiseItems(document.lines)
+        });
+        break;
+      }
+      default: {
+        // B2CS is reported net of credit notes, aggregated by place of supply and rate
+        const sign = document.documentType === 'CRN' ? -1 : 1;
+        document.lines.forEach(line => {
+          const key = `${line.pos}|${line.rate}`;
+          const row = b2cs.get(key) || {
+            sply_ty: line.interState ? 'INTER' : 'INTRA',
+            pos: line.pos,
+            typ: 'OE',
+            rt: line.rate,
+            txval: 0,
+            iamt: 0,
+            camt: 0,
+            samt: 0,
+            csamt: 0
+          };
+          row.txval += sign * line.txval;
+          row.iamt += sign * line.iamt;
+          row.camt += sign * line.camt;
+          row.samt += sign * line.samt;
+          row.csamt += sign * line.csamt;
+          b2cs.set(key, row);
+        });
+      }
+    }
+  });
+
+  gstr1Data.b2b = Array.from(b2b.values());
+  gstr1Data.b2cl = Array.from(b2cl.values());
+  gstr1Data.exp = Array.from(exp.values());
+  gstr1Data.cdnr = Array.from(cdnr.values());
+  gstr1Data.b2cs = Array.from(b2cs.values()).map(row => ({
+    ...row,
+    txval: round(row.txval),
+    iamt: round(row.iamt),
+    camt: round(row.camt),
+    samt: round(row.samt),
+    csamt: round(row.csamt)
+  }));
+
+  // Table 12 is net of credit notes; table 13 counts every document number used, cancelled ones included
+  const hsnSummary = buildHSNSummary(lines.map(line => ({ ...line, sign: line.documentType === 'CRN' ? -1 : 1 })), { period });
+  const documentsIssued = buildDocumentsIssued([
+    ...documents.map(document => ({ number: document.invoiceNumber, documentType: document.documentType, cancelled: false })),
+    ...cancelled
+  ]);
+  gstr1Data.hsn = hsnSummary.hsn;
+  gstr1Data.doc_issue = documentsIssued.doc_issue;
+
+  return {
+    gstr1Data,
+    report: {
+      totalRows: rows.length,
+      classifiedRows: lines.length,
+      cancelledDocuments: cancelled.length,
+      failedRows: rowErrors.length,
+      documents: summary,
+      errors: rowErrors,
+      warnings: [...hsnSummary.warnings, ...documentsIssued.warnings]
+    }
+  };
+};
+
+/**
+ * Read a CSV or Excel sales register
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Array>} - Rows with register field names
+ */
+const readSalesRegister = (buffer) => readSpreadsheet(buffer, { aliases: COLUMN_ALIASES });
+
+module.exports = {
+  readSalesRegister,
+  classifyDocument,
+  buildGSTR1FromRegister
+};
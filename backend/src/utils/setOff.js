@@ -0,0 +1,100 @@
+// Set-off of GST liability against the electronic credit and cash ledgers under section 49 of the
+// CGST Act and rule 88A of the CGST Rules
+
+const TAX_HEADS = ['igst', 'cgst', 'sgst', 'cess'];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const emptyHeads = () => ({ igst: 0, cgst: 0, sgst: 0, cess: 0 });
+
+const toHeads = (amounts = {}) => TAX_HEADS.reduce((out, head) => ({ ...out, [head]: round(amounts[head]) }), {});
+
+/**
+ * Utilise ITC against tax liability in the order the law requires:
+ *  1. IGST credit against IGST, then the rest against CGST and SGST/UTGST (rule 88A allows any order, so
+ *     it first covers what CGST and SGST credit and cash cannot);
+ *  2. CGST credit against CGST, then IGST; never SGST;
+ *  3. SGST credit against SGST, then IGST once CGST credit is exhausted; never CGST;
+ *  4. Cess credit only against cess.
+ * Interest and late fee are always paid in cash.
+ * @param {Object} params - { liability, interest, lateFee, credit, cash } each as { igst, cgst, sgst, cess }
+ * @returns {Object} - ITC utilisation (GSTR-3B pditc keys), table 6.1 rows, cash required and shortfall
+ */
+const computeSetOff = ({ liability = {}, interest = {}, lateFee = {}, credit = {}, cash = {} } = {}) => {
+  const due = toHeads(liability);
+  const available = toHeads(credit);
+  const interestDue = toHeads(interest);
+  const fee = { igst: 0, cgst: round(lateFee.cgst), sgst: round(lateFee.sgst), cess: 0 };
+  const cashAvailable = toHeads(cash);
+  const gap = (head) => due[head] - available[head] - Math.max(0, cashAvailable[head] - interestDue[head] - fee[head]);
+  const used = { i_pdi: 0, i_pdc: 0, i_pds: 0, c_pdi: 0, c_pdc: 0, s_pdi: 0, s_pds: 0, cs_pdcs: 0 };
+
+  const utilise = (key, from, to, limit = Infinity) => {
+    const amount = round(Math.max(0, Math.min(available[from], due[to], limit)));
+    available[from] = round(available[from] - amount);
+    due[to] = round(due[to] - amount);
+    used[key] = round(used[key] + amount);
+  };
+
+  // IGST credit: IGST first, then the CGST/SGST their own credit and cash will not cover, then any CGST/SGST left
+  utilise('i_pdi', 'igst', 'igst');
+  utilise('c_pdi', 'igst', 'cgst', gap('cgst'));
+  utilise('s_pdi', 'igst', 'sgst', gap('sgst'));
+  utilise('c_pdi', 'igst', 'cgst');
+  utilise('s_pdi', 'igst', 'sgst');
+
+  // CGST and SGST credit: own head first, then IGST (CGST before SGST)
+  utilise('c_pdc', 'cgst', 'cgst');
+  utilise('s_pds', 'sgst', 'sgst');
+  utilise('i_pdc', 'cgst', 'igst');
+  utilise('i_pds', 'sgst', 'igst');
+
+  utilise('cs_pdcs', 'cess', 'cess');
+
+  const cashRequired = emptyHeads();
+  const cashShortfall = emptyHeads();
+  TAX_HEADS.forEach(head => {
+    cashRequired[head] = round(due[head] + interestDue[head] + fee[head]);
+    cashShortfall[head] = round(Math.max(0, cashRequired[head] - cashAvailable[head]));
+  });
+
+  const itcByLiability = {
+    igst: { igst: used.i_pdi, cgst: used.i_pdc, sgst: used.i_pds, cess: 0 },
+    cgst: { igst: used.c_pdi, cgst: used.c_pdc, sgst: 0, cess: 0 },
+    sgst: { igst: used.s_pdi, cgst: 0, sgst: used.s_pds, cess: 0 },
+    cess: { igst: 0, cgst: 0, sgst: 0, cess: used.cs_pdcs }
+  };
+
+  // GSTR-3B table 6.1 (payment of tax), one row per tax head
+  const table61 = TAX_HEADS.map(head => ({
+    head,
+    taxPayable: round(liability[head]),
+    paidThroughItc: itcByLiability[head],
+    taxPaidInCash: due[head],
+    interestPaidInCash: interestDue[head],
+    lateFeePaidInCash: fee[head]
+  }));
+
+  return {
+    paidThroughItc: used,
+    table61,
+    creditUtilised: {
+      igst: round(used.i_pdi + used.c_pdi + used.s_pdi),
+      cgst: round(used.i_pdc + used.c_pdc),
+      sgst: round(used.i_pds + used.s_pds),
+      cess: used.cs_pdcs
+    },
+    creditBalance: available,
+    cashRequired,
+    cashAvailable,
+    cashShortfall,
+    totalCashShortfall: round(TAX_HEADS.reduce((sum, head) => sum + cashShortfall[head], 0))
+  };
+};
+
+module.exports = {
+  TAX_HEADS,
+  emptyHeads,
+  toHeads,
+  computeSetOff
+};
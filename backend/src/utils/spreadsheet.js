@@ -0,0 +1,217 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Normalise a column header ("Invoice No." -> "invoice_no")
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+const normaliseHeader = (header) => String(header)
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+// XLSX files are zip archives and Excel 97-2003 files OLE compound documents; anything else is read as CSV
+const isWorkbook = (buffer) => buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+const isLegacyWorkbook = (buffer) => buffer.length > 3 && buffer[0] === 0xd0 && buffer[1] === 0xcf && buffer[2] === 0x11 && buffer[3] === 0xe0;
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+ * @param {string} text - CSV contents
+ * @returns {Array} - Rows as arrays of strings
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Plain value of an Excel cell: formulas give their result, rich text and hyperlinks their text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.text !== undefined) return cellValue(value.text);
+  return '';
+};
+
+/**
+ * Read the sheets of a CSV or XLSX file as rows of cell values
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Array>} - [{ name, rows: [{ number, values }] }] with 1-based row numbers
+ */
+const readSheets = async (buffer) => {
+  if (isLegacyWorkbook(buffer)) {
+    throw new Error('Excel 97-2003 (.xls) files are not supported; save the file as .xlsx or CSV');
+  }
+  if (!isWorkbook(buffer)) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return [{ name: 'Sheet1', rows: parseCSV(text).map((values, index) => ({ number: index + 1, values })) }];
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook.worksheets.map(worksheet => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, number) => {
+      const values = [];
+      for (let column = 1; column <= row.cellCount; column += 1) {
+        values.push(cellValue(row.getCell(column).value));
+      }
+      rows.push({ number, values });
+    });
+    return { name: worksheet.name, rows };
+  });
+};
+
+/**
+ * Read the rows of a CSV or Excel file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { sheet, aliases } where aliases maps normalised headers to field names
+ * @returns {Promise<Array>} - Rows keyed by normalised header, each with its 1-based spreadsheet row number in `_row`
+ */
+const readSpreadsheet = async (buffer, options = {}) => {
+  const { sheet, aliases = {} } = options;
+  const sheets = await readSheets(buffer);
+  const found = (sheet && sheets.find(item => item.name === sheet)) || sheets[0];
+  if (!found) return [];
+
+  return readSheetRows(found.rows, aliases);
+};
+
+/**
+ * Read the rows of every sheet in a workbook
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { aliases }
+ * @returns {Promise<Object>} - Rows per sheet name, as returned by readSpreadsheet
+ */
+const readSpreadsheetSheets = async (buffer, options = {}) => {
+  const { aliases = {} } = options;
+  const sheets = await readSheets(buffer);
+
+  return sheets.reduce((out, item) => ({
+    ...out,
+    [item.name]: readSheetRows(item.rows, aliases)
+  }), {});
+};
+
+// Rows keyed by the header row's columns; blank rows are skipped
+const readSheetRows = (rows, aliases) => {
+  const headerIndex = rows.findIndex(row => row.values.some(value => String(value).trim() !== ''));
+  if (headerIndex === -1) return [];
+  const headers = rows[headerIndex].values.map(value => String(value).trim());
+
+  return rows.slice(headerIndex + 1)
+    .filter(row => row.values.some(value => String(value).trim() !== ''))
+    .map(row => {
+      const normalised = { _row: row.number };
+      headers.forEach((key, column) => {
+        if (!key) return;
+        const header = normaliseHeader(key);
+        const value = row.values[column] === undefined ? '' : row.values[column];
+        normalised[aliases[header] || header] = typeof value === 'string' ? value.trim() : value;
+      });
+      return normalised;
+    });
+};
+
+/**
+ * Parse a numeric cell, tolerating thousands separators and currency symbols
+ * @param {*} value - Cell value
+ * @returns {number|null}
+ */
+const parseNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).replace(/[₹,\s]/g, '');
+  if (cleaned === '') return null;
+  const number = Number(cleaned);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Parse a date cell (Date, Excel serial, dd-mm-yyyy, dd/mm/yyyy or yyyy-mm-dd) as a UTC date
+ * @param {*} value - Cell value
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    // Excel dates are read as midnight UTC of the calendar date
+    return Number.isNaN(value.getTime()) ? null : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  if (typeof value === 'number') {
+    // Excel serial date: days since 30 December 1899
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^([0-9]{1,2})[-/.]([0-9]{1,2})[-/.]([0-9]{4})$/);
+  if (match) {
+    const date = new Date(Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])));
+    return date.getUTCDate() === Number(match[1]) ? date : null;
+  }
+  match = text.match(/^([0-9]{4})-([0-9]{1,2})-([0-9]{1,2})/);
+  if (match) {
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCDate() === Number(match[3]) ? date : null;
+  }
+  return null;
+};
+
+/**
+ * Write rows to an Excel workbook
+ * @param {Object} sheets - Rows (arrays of cell values, header row first) per sheet name
+ * @returns {Promise<Buffer>} - XLSX file
+ */
+const writeSpreadsheet = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  Object.keys(sheets).forEach(sheetName => {
+    workbook.addWorksheet(sheetName).addRows(sheets[sheetName]);
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  normaliseHeader,
+  readSpreadsheet,
+  readSpreadsheetSheets,
+  writeSpreadsheet,
+  parseNumber,
+  parseDate
+};
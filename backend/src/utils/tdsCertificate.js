@@ -0,0 +1,117 @@
+// GSTR-7A: certificate of tax deducted at source issued to each deductee once the GSTR-7 is filed
+
+const PDFDocument = require('pdfkit');
+const { STATE_CODES } = require('./placeOfSupply');
+const { formatPeriod } = require('./tdsTcs');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const formatAmount = (value) => (Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+
+/**
+ * Build the GSTR-7A certificate for a deductee from a filed GSTR-7
+ * @param {Object} gstReturn - Filed GSTR-7 ({ gstin, period, acknowledgmentNumber, filingDate })
+ * @param {Object} row - GSTR-7 table 3 row ({ gstin_ded, amt_ded, iamt, camt, samt })
+ * @param {Object} options - { serial, deductorName, deductions: [{ contractNumber, contractDate, contractValue, deducteeName, paymentDate, invoiceNumber, amountPaid, tax }] }
+ * @returns {Object} - Certificate details
+ */
+const buildGSTR7ACertificate = (gstReturn, row, { serial, deductorName, deductions = [] }) => {
+  const deductorState = STATE_CODES[gstReturn.gstin.substring(0, 2)];
+
+  return {
+    certificateNumber: `${gstReturn.gstin}/${formatPeriod(gstReturn.period)}/${String(serial).padStart(4, '0')}`,
+    issuedOn: gstReturn.filingDate,
+    gstr7: {
+      acknowledgmentNumber: gstReturn.acknowledgmentNumber,
+      filingDate: gstReturn.filingDate
+    },
+    deductor: {
+      gstin: gstReturn.gstin,
+      name: deductorName || '',
+      state: deductorState ? deductorState.name : ''
+    },
+    deductee: {
+      gstin: row.gstin_ded,
+      name: deductions.length > 0 ? deductions[0].deducteeName : ''
+    },
+    taxPeriod: `${MONTHS[gstReturn.period.month - 1]} ${gstReturn.period.year}`,
+    amountPaid: row.amt_ded,
+    tax: { igst: row.iamt || 0, cgst: row.camt || 0, sgst: row.samt || 0 },
+    totalTax: Math.round(((row.iamt || 0) + (row.camt || 0) + (row.samt || 0)) * 100) / 100,
+    payments: deductions.map(deduction => ({
+      contractNumber: deduction.contractNumber,
+      contractDate: deduction.contractDate,
+      contractValue: deduction.contractValue,
+      invoiceNumber: deduction.invoiceNumber,
+      paymentDate: deduction.paymentDate,
+      amountPaid: deduction.amountPaid,
+      tax: deduction.tax
+    }))
+  };
+};
+
+/**
+ * Render a GSTR-7A certificate as a PDF
+ * @param {Object} certificate - Result of buildGSTR7ACertificate
+ * @returns {Promise<Buffer>}
+ */
+const renderGSTR7APdf = (certificate) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const field = (label, value) => doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value || '-');
+
+  doc.font('Helvetica-Bold').fontSize(14).text('Form GSTR-7A', { align: 'center' });
+  doc.fontSize(10).font('Helvetica').text('[See rule 66(3)]', { align: 'center' });
+  doc.fontSize(12).font('Helvetica-Bold').text('Tax Deduction at Source Certificate', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(10);
+  field('Certificate No.', certificate.certificateNumber);
+  field('Date of issue', formatDate(certificate.issuedOn));
+  doc.moveDown(0.5);
+  field('1. GSTIN of deductor', certificate.deductor.gstin);
+  field('2. Legal name of deductor', certificate.deductor.name);
+  field('3(a). GSTIN of deductee', certificate.deductee.gstin);
+  field('3(b). Legal name of deductee', certificate.deductee.name);
+  field('4. Tax period in which tax deducted and accounted for in GSTR-7', certificate.taxPeriod);
+  field('   GSTR-7 acknowledgment', `${certificate.gstr7.acknowledgmentNumber || '-'} dated ${formatDate(certificate.gstr7.filingDate)}`);
+  doc.moveDown();
+
+  // The standard PDF fonts have no rupee sign
+  doc.font('Helvetica-Bold').text('5. Details of supplies and tax deducted (amount in Rs.)');
+  doc.moveDown(0.5);
+  field('Amount paid to deductee on which tax is deducted', formatAmount(certificate.amountPaid));
+  field('Integrated tax', formatAmount(certificate.tax.igst));
+  field('Central tax', formatAmount(certificate.tax.cgst));
+  field('State/UT tax', formatAmount(certificate.tax.sgst));
+  field('Total tax deducted', formatAmount(certificate.totalTax));
+  doc.moveDown();
+
+  if (certificate.payments.length > 0) {
+    doc.font('Helvetica-Bold').text('Payments');
+    doc.font('Helvetica');
+    certificate.payments.forEach((payment, index) => {
+      doc.text(
+        `${index + 1}. Contract ${payment.contractNumber} dated ${formatDate(payment.contractDate)} ` +
+        `(value ${formatAmount(payment.contractValue)}), invoice ${payment.invoiceNumber || '-'}, ` +
+        `paid ${formatDate(payment.paymentDate)}: ${formatAmount(payment.amountPaid)}; ` +
+        `IGST ${formatAmount(payment.tax.igst)}, CGST ${formatAmount(payment.tax.cgst)}, SGST/UTGST ${formatAmount(payment.tax.sgst)}`
+      );
+    });
+  }
+
+  doc.moveDown(2);
+  doc.fontSize(8).text('This certificate is generated from the GSTR-7 filed by the deductor. The deductee may claim the tax deducted in the electronic cash ledger.');
+  doc.end();
+});
+
+module.exports = {
+  buildGSTR7ACertificate,
+  renderGSTR7APdf
+};
@@ -0,0 +1,172 @@
+// Tax deducted at source under section 51 and tax collected at source under section 52 of the CGST Act,
+// with the GSTR-7 and GSTR-8 tables they are reported in
+
+const { stateCodeFromGstin, normaliseStateCode } = require('./placeOfSupply');
+
+// Section 51: 2% of the value paid, excluding tax (1% CGST + 1% SGST/UTGST, or 2% IGST)
+const TDS_RATE = 2;
+
+// TDS applies only where the total value of supply under a contract, excluding tax, exceeds this
+const TDS_CONTRACT_THRESHOLD = 250000;
+
+// Section 52: rate on the net value of taxable supplies; each entry applies from its date (notification 15/2024-CT)
+const TCS_RATES = [
+  { from: '2018-10-01', rate: 1 },
+  { from: '2024-07-10', rate: 0.5 }
+];
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const emptyTax = () => ({ igst: 0, cgst: 0, sgst: 0 });
+
+// Interstate supplies attract IGST; intra-state supplies CGST and SGST/UTGST in equal halves
+const splitAmount = (amount, supplyType) => (supplyType === 'inter'
+  ? { igst: round(amount), cgst: 0, sgst: 0 }
+  : { igst: 0, cgst: round(amount / 2), sgst: round(amount / 2) });
+
+const formatPeriod = (period) => `${String(period.month).padStart(2, '0')}${period.year}`;
+
+/**
+ * TCS rate in force on a date
+ * @param {Date} date - Date of the supply
+ * @returns {number} - Rate in percent
+ */
+const getTCSRate = (date = new Date()) => {
+  const applicable = TCS_RATES.filter(entry => new Date(entry.from) <= new Date(date));
+  return applicable.length > 0 ? applicable[applicable.length - 1].rate : 0;
+};
+
+/**
+ * Compute TDS under section 51 on a payment to a supplier.
+ * No tax is deducted where the contract value does not exceed ₹2.5 lakh, where the supplier is
+ * unregistered, or where the supplier and the place of supply are both in a state other than
+ * the deductor's (the proviso to section 51(1)).
+ * @param {Object} params - { deductorGstin, deducteeGstin, supplierRegistered, placeOfSupply, contractValue, amountPaid (excluding tax) }
+ * @returns {Object} - { applicable, reason, supplyType, rate, tax: { igst, cgst, sgst }, totalTax }
+ */
+const computeTDS = ({ deductorGstin, deducteeGstin, supplierRegistered = true, placeOfSupply, contractValue, amountPaid }) => {
+  const deductorState = stateCodeFromGstin(deductorGstin);
+  const pos = normaliseStateCode(placeOfSupply) || deductorState;
+  const supplierState = stateCodeFromGstin(deducteeGstin) || pos;
+  const supplyType = supplierState !== pos ? 'inter' : 'intra';
+  const notApplicable = (reason) => ({ applicable: false, reason, supplyType, rate: 0, tax: emptyTax(), totalTax: 0 });
+
+  if (!supplierRegistered) {
+    return notApplicable('Supplier is not registered');
+  }
+  if ((Number(contractValue) || 0) <= TDS_CONTRACT_THRESHOLD) {
+    return notApplicable(`Contract value does not exceed ₹${TDS_CONTRACT_THRESHOLD}`);
+  }
+  if (deductorState && supplierState === pos && pos !== deductorState) {
+    return notApplicable('Supplier and place of supply are in a state other than the deductor\'s');
+  }
+
+  const tax = splitAmount((Number(amountPaid) || 0) * TDS_RATE / 100, supplyType);
+  return {
+    applicable: true,
+    supplyType,
+    rate: TDS_RATE,
+    tax,
+    totalTax: round(tax.igst + tax.cgst + tax.sgst)
+  };
+};
+
+/**
+ * Compute TCS under section 52 on supplies made by a supplier through an e-commerce operator.
+ * Tax is collected on the net value: gross taxable supplies less supplies returned in the period.
+ * @param {Object} params - { supplierGstin, placeOfSupply, grossValue, returnedValue, date }
+ * @returns {Object} - { netValue, supplyType, rate, tax: { igst, cgst, sgst }, totalTax }
+ */
+const computeTCS = ({ supplierGstin, placeOfSupply, grossValue, returnedValue = 0, date }) => {
+  const pos = normaliseStateCode(placeOfSupply) || stateCodeFromGstin(supplierGstin);
+  const supplierState = stateCodeFromGstin(supplierGstin) || pos;
+  const supplyType = supplierState !== pos ? 'inter' : 'intra';
+  const netValue = round((Number(grossValue) || 0) - (Number(returnedValue) || 0));
+  const rate = getTCSRate(date);
+
+  // Returns exceeding the supplies of the period leave nothing to collect
+  const tax = splitAmount(Math.max(0, netValue) * rate / 100, supplyType);
+  return {
+    netValue,
+    supplyType,
+    rate,
+    tax,
+    totalTax: round(tax.igst + tax.cgst + tax.sgst)
+  };
+};
+
+/**
+ * Build GSTR-7 table 3 (TDS details, one row per deductee) and table 5 (TDS payable)
+ * @param {Array} deductions - [{ deducteeGstin, amountPaid, tax: { igst, cgst, sgst } }]
+ * @param {Object} options - { gstin, period }
+ * @returns {Object} - { gstin, fp, tds: [{ gstin_ded, amt_ded, iamt, camt, samt }], totals }
+ */
+const buildGSTR7 = (deductions, { gstin, period }) => {
+  const rows = new Map();
+  deductions.forEach(deduction => {
+    const row = rows.get(deduction.deducteeGstin) || { gstin_ded: deduction.deducteeGstin, amt_ded: 0, iamt: 0, camt: 0, samt: 0 };
+    row.amt_ded = round(row.amt_ded + (deduction.amountPaid || 0));
+    row.iamt = round(row.iamt + (deduction.tax.igst || 0));
+    row.camt = round(row.camt + (deduction.tax.cgst || 0));
+    row.samt = round(row.samt + (deduction.tax.sgst || 0));
+    rows.set(deduction.deducteeGstin, row);
+  });
+
+  const tds = [...rows.values()];
+  return {
+    gstin,
+    fp: formatPeriod(period),
+    tds,
+    totals: {
+      taxableValue: round(tds.reduce((sum, row) => sum + row.amt_ded, 0)),
+      igst: round(tds.reduce((sum, row) => sum + row.iamt, 0)),
+      cgst: round(tds.reduce((sum, row) => sum + row.camt, 0)),
+      sgst: round(tds.reduce((sum, row) => sum + row.samt, 0))
+    }
+  };
+};
+
+/**
+ * Build GSTR-8 table 3 (supplies made through the operator, one row per supplier) and table 5 (TCS payable)
+ * @param {Array} collections - [{ supplierGstin, grossValue, returnedValue, netValue, tax: { igst, cgst, sgst } }]
+ * @param {Object} options - { gstin, period }
+ * @returns {Object} - { gstin, fp, tcs: [{ stin, supR, retsupR, amt, iamt, camt, samt }], totals }
+ */
+const buildGSTR8 = (collections, { gstin, period }) => {
+  const rows = new Map();
+  collections.forEach(collection => {
+    const row = rows.get(collection.supplierGstin) || { stin: collection.supplierGstin, supR: 0, retsupR: 0, amt: 0, iamt: 0, camt: 0, samt: 0 };
+    row.supR = round(row.supR + (collection.grossValue || 0));
+    row.retsupR = round(row.retsupR + (collection.returnedValue || 0));
+    row.amt = round(row.amt + (collection.netValue || 0));
+    row.iamt = round(row.iamt + (collection.tax.igst || 0));
+    row.camt = round(row.camt + (collection.tax.cgst || 0));
+    row.samt = round(row.samt + (collection.tax.sgst || 0));
+    rows.set(collection.supplierGstin, row);
+  });
+
+  const tcs = [...rows.values()];
+  return {
+    gstin,
+    fp: formatPeriod(period),
+    tcs,
+    totals: {
+      taxableValue: round(tcs.reduce((sum, row) => sum + row.amt, 0)),
+      igst: round(tcs.reduce((sum, row) => sum + row.iamt, 0)),
+      cgst: round(tcs.reduce((sum, row) => sum + row.camt, 0)),
+      sgst: round(tcs.reduce((sum, row) => sum + row.samt, 0))
+    }
+  };
+};
+
+module.exports = {
+  TDS_RATE,
+  TDS_CONTRACT_THRESHOLD,
+  TCS_RATES,
+  formatPeriod,
+  getTCSRate,
+  computeTDS,
+  computeTCS,
+  buildGSTR7,
+  buildGSTR8
+};
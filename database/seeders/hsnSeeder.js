@@ -1,5 +1,7 @@
+const fs = require('fs');
 const mongoose = require('mongoose');
 const HSNCode = require('../../backend/src/models/HSNCode');
+const { parseHSNMaster, buildHierarchy } = require('../../backend/src/utils/hsnImport');
 
 const hsnCodes = [
   {
@@ -198,14 +200,24 @@ const hsnCodes = [
   }
 ];
 
-const seedHSNCodes = async () => {
+// Load HSN codes from a CBIC HSN/SAC master file
+const loadMasterFile = async (file) => {
+  const { entries, errors } = await parseHSNMaster(fs.readFileSync(file));
+  errors.forEach(error => console.warn(`Skipped ${error.sheet} row ${error.row}: ${error.message}`));
+  return Object.values(buildHierarchy(entries));
+};
+
+// Seeds from the CBIC master when a file is given (or HSN_MASTER_FILE is set), otherwise from the sample codes
+const seedHSNCodes = async (file = process.env.HSN_MASTER_FILE) => {
   try {
+    const codes = file ? await loadMasterFile(file) : hsnCodes;
+
     // Clear existing HSN codes
     await HSNCode.deleteMany({});
     console.log('Cleared existing HSN codes');
 
     // Insert new HSN codes
-    const createdCodes = await HSNCode.insertMany(hsnCodes);
+    const createdCodes = await HSNCode.insertMany(codes);
     console.log(`Created ${createdCodes.length} HSN codes`);
 
     return createdCodes;
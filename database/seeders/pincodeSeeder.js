@@ -0,0 +1,391 @@
+const fs = require('fs');
+const Pincode = require('../../backend/src/models/Pincode');
+const { parsePincodeDirectory } = require('../../backend/src/utils/pincode');
+
+// Head post offices of state capitals and major trade centres
+const pincodes = [
+  {
+    pincode: '110001',
+    place: 'Connaught Place',
+    district: 'New Delhi',
+    stateCode: '07',
+    stateName: 'Delhi',
+    location: { latitude: 28.6328, longitude: 77.2197 }
+  },
+  {
+    pincode: '122001',
+    place: 'Gurgaon',
+    district: 'Gurugram',
+    stateCode: '06',
+    stateName: 'Haryana',
+    location: { latitude: 28.4595, longitude: 77.0266 }
+  },
+  {
+    pincode: '201301',
+    place: 'Noida',
+    district: 'Gautam Buddha Nagar',
+    stateCode: '09',
+    stateName: 'Uttar Pradesh',
+    location: { latitude: 28.5355, longitude: 77.391 }
+  },
+  {
+    pincode: '226001',
+    place: 'Lucknow GPO',
+    district: 'Lucknow',
+    stateCode: '09',
+    stateName: 'Uttar Pradesh',
+    location: { latitude: 26.8467, longitude: 80.9462 }
+  },
+  {
+    pincode: '248001',
+    place: 'Dehradun',
+    district: 'Dehradun',
+    stateCode: '05',
+    stateName: 'Uttarakhand',
+    location: { latitude: 30.3165, longitude: 78.0322 }
+  },
+  {
+    pincode: '160017',
+    place: 'Chandigarh Sector 17',
+    district: 'Chandigarh',
+    stateCode: '04',
+    stateName: 'Chandigarh',
+    location: { latitude: 30.7333, longitude: 76.7794 }
+  },
+  {
+    pincode: '141001',
+    place: 'Ludhiana',
+    district: 'Ludhiana',
+    stateCode: '03',
+    stateName: 'Punjab',
+    location: { latitude: 30.901, longitude: 75.8573 }
+  },
+  {
+    pincode: '171001',
+    place: 'Shimla GPO',
+    district: 'Shimla',
+    stateCode: '02',
+    stateName: 'Himachal Pradesh',
+    location: { latitude: 31.1048, longitude: 77.1734 }
+  },
+  {
+    pincode: '190001',
+    place: 'Srinagar GPO',
+    district: 'Srinagar',
+    stateCode: '01',
+    stateName: 'Jammu and Kashmir',
+    location: { latitude: 34.0837, longitude: 74.7973 }
+  },
+  {
+    pincode: '194101',
+    place: 'Leh',
+    district: 'Leh',
+    stateCode: '38',
+    stateName: 'Ladakh',
+    location: { latitude: 34.1526, longitude: 77.5771 }
+  },
+  {
+    pincode: '302001',
+    place: 'Jaipur GPO',
+    district: 'Jaipur',
+    stateCode: '08',
+    stateName: 'Rajasthan',
+    location: { latitude: 26.9124, longitude: 75.7873 }
+  },
+  {
+    pincode: '380001',
+    place: 'Ahmedabad GPO',
+    district: 'Ahmedabad',
+    stateCode: '24',
+    stateName: 'Gujarat',
+    location: { latitude: 23.0225, longitude: 72.5714 }
+  },
+  {
+    pincode: '395003',
+    place: 'Surat',
+    district: 'Surat',
+    stateCode: '24',
+    stateName: 'Gujarat',
+    location: { latitude: 21.1702, longitude: 72.8311 }
+  },
+  {
+    pincode: '396230',
+    place: 'Silvassa',
+    district: 'Dadra and Nagar Haveli',
+    stateCode: '26',
+    stateName: 'Dadra and Nagar Haveli and Daman and Diu',
+    location: { latitude: 20.2766, longitude: 73.0169 }
+  },
+  {
+    pincode: '400001',
+    place: 'Mumbai GPO',
+    district: 'Mumbai',
+    stateCode: '27',
+    stateName: 'Maharashtra',
+    location: { latitude: 18.9388, longitude: 72.8354 }
+  },
+  {
+    pincode: '411001',
+    place: 'Pune GPO',
+    district: 'Pune',
+    stateCode: '27',
+    stateName: 'Maharashtra',
+    location: { latitude: 18.5204, longitude: 73.8567 }
+  },
+  {
+    pincode: '440001',
+    place: 'Nagpur GPO',
+    district: 'Nagpur',
+    stateCode: '27',
+    stateName: 'Maharashtra',
+    location: { latitude: 21.1458, longitude: 79.0882 }
+  },
+  {
+    pincode: '403001',
+    place: 'Panaji',
+    district: 'North Goa',
+    stateCode: '30',
+    stateName: 'Goa',
+    location: { latitude: 15.4909, longitude: 73.8278 }
+  },
+  {
+    pincode: '452001',
+    place: 'Indore GPO',
+    district: 'Indore',
+    stateCode: '23',
+    stateName: 'Madhya Pradesh',
+    location: { latitude: 22.7196, longitude: 75.8577 }
+  },
+  {
+    pincode: '462001',
+    place: 'Bhopal GPO',
+    district: 'Bhopal',
+    stateCode: '23',
+    stateName: 'Madhya Pradesh',
+    location: { latitude: 23.2599, longitude: 77.4126 }
+  },
+  {
+    pincode: '492001',
+    place: 'Raipur GPO',
+    district: 'Raipur',
+    stateCode: '22',
+    stateName: 'Chhattisgarh',
+    location: { latitude: 21.2514, longitude: 81.6296 }
+  },
+  {
+    pincode: '500001',
+    place: 'Hyderabad GPO',
+    district: 'Hyderabad',
+    stateCode: '36',
+    stateName: 'Telangana',
+    location: { latitude: 17.385, longitude: 78.4867 }
+  },
+  {
+    pincode: '520001',
+    place: 'Vijayawada',
+    district: 'Krishna',
+    stateCode: '37',
+    stateName: 'Andhra Pradesh',
+    location: { latitude: 16.5062, longitude: 80.648 }
+  },
+  {
+    pincode: '530001',
+    place: 'Visakhapatnam',
+    district: 'Visakhapatnam',
+    stateCode: '37',
+    stateName: 'Andhra Pradesh',
+    location: { latitude: 17.6868, longitude: 83.2185 }
+  },
+  {
+    pincode: '560001',
+    place: 'Bengaluru GPO',
+    district: 'Bengaluru Urban',
+    stateCode: '29',
+    stateName: 'Karnataka',
+    location: { latitude: 12.9716, longitude: 77.5946 }
+  },
+  {
+    pincode: '600001',
+    place: 'Chennai GPO',
+    district: 'Chennai',
+    stateCode: '33',
+    stateName: 'Tamil Nadu',
+    location: { latitude: 13.0878, longitude: 80.2785 }
+  },
+  {
+    pincode: '641001',
+    place: 'Coimbatore',
+    district: 'Coimbatore',
+    stateCode: '33',
+    stateName: 'Tamil Nadu',
+    location: { latitude: 11.0168, longitude: 76.9558 }
+  },
+  {
+    pincode: '605001',
+    place: 'Puducherry',
+    district: 'Puducherry',
+    stateCode: '34',
+    stateName: 'Puducherry',
+    location: { latitude: 11.9416, longitude: 79.8083 }
+  },
+  {
+    pincode: '682011',
+    place: 'Ernakulam',
+    district: 'Ernakulam',
+    stateCode: '32',
+    stateName: 'Kerala',
+    location: { latitude: 9.9312, longitude: 76.2673 }
+  },
+  {
+    pincode: '695001',
+    place: 'Thiruvananthapuram GPO',
+    district: 'Thiruvananthapuram',
+    stateCode: '32',
+    stateName: 'Kerala',
+    location: { latitude: 8.5241, longitude: 76.9366 }
+  },
+  {
+    pincode: '682555',
+    place: 'Kavaratti',
+    district: 'Lakshadweep',
+    stateCode: '31',
+    stateName: 'Lakshadweep',
+    location: { latitude: 10.5669, longitude: 72.642 }
+  },
+  {
+    pincode: '700001',
+    place: 'Kolkata GPO',
+    district: 'Kolkata',
+    stateCode: '19',
+    stateName: 'West Bengal',
+    location: { latitude: 22.5726, longitude: 88.3639 }
+  },
+  {
+    pincode: '737101',
+    place: 'Gangtok',
+    district: 'Gangtok',
+    stateCode: '11',
+    stateName: 'Sikkim',
+    location: { latitude: 27.3389, longitude: 88.6065 }
+  },
+  {
+    pincode: '744101',
+    place: 'Port Blair',
+    district: 'South Andaman',
+    stateCode: '35',
+    stateName: 'Andaman and Nicobar Islands',
+    location: { latitude: 11.6234, longitude: 92.7265 }
+  },
+  {
+    pincode: '751001',
+    place: 'Bhubaneswar GPO',
+    district: 'Khordha',
+    stateCode: '21',
+    stateName: 'Odisha',
+    location: { latitude: 20.2961, longitude: 85.8245 }
+  },
+  {
+    pincode: '781001',
+    place: 'Guwahati GPO',
+    district: 'Kamrup Metropolitan',
+    stateCode: '18',
+    stateName: 'Assam',
+    location: { latitude: 26.1445, longitude: 91.7362 }
+  },
+  {
+    pincode: '791111',
+    place: 'Itanagar',
+    district: 'Papum Pare',
+    stateCode: '12',
+    stateName: 'Arunachal Pradesh',
+    location: { latitude: 27.0844, longitude: 93.6053 }
+  },
+  {
+    pincode: '793001',
+    place: 'Shillong GPO',
+    district: 'East Khasi Hills',
+    stateCode: '17',
+    stateName: 'Meghalaya',
+    location: { latitude: 25.5788, longitude: 91.8933 }
+  },
+  {
+    pincode: '795001',
+    place: 'Imphal',
+    district: 'Imphal West',
+    stateCode: '14',
+    stateName: 'Manipur',
+    location: { latitude: 24.817, longitude: 93.9368 }
+  },
+  {
+    pincode: '796001',
+    place: 'Aizawl',
+    district: 'Aizawl',
+    stateCode: '15',
+    stateName: 'Mizoram',
+    location: { latitude: 23.7271, longitude: 92.7176 }
+  },
+  {
+    pincode: '797001',
+    place: 'Kohima',
+    district: 'Kohima',
+    stateCode: '13',
+    stateName: 'Nagaland',
+    location: { latitude: 25.6751, longitude: 94.1086 }
+  },
+  {
+    pincode: '799001',
+    place: 'Agartala',
+    district: 'West Tripura',
+    stateCode: '16',
+    stateName: 'Tripura',
+    location: { latitude: 23.8315, longitude: 91.2868 }
+  },
+  {
+    pincode: '800001',
+    place: 'Patna GPO',
+    district: 'Patna',
+    stateCode: '10',
+    stateName: 'Bihar',
+    location: { latitude: 25.5941, longitude: 85.1376 }
+  },
+  {
+    pincode: '834001',
+    place: 'Ranchi GPO',
+    district: 'Ranchi',
+    stateCode: '20',
+    stateName: 'Jharkhand',
+    location: { latitude: 23.3441, longitude: 85.3096 }
+  }
+];
+
+// Load pincodes from the India Post all-India pincode directory
+const loadDirectoryFile = async (file) => {
+  const { entries, errors } = await parsePincodeDirectory(fs.readFileSync(file));
+  errors.forEach(error => console.warn(`Skipped row ${error.row}: ${error.message}`));
+  return entries;
+};
+
+// Seeds from the India Post directory when a file is given (or PINCODE_MASTER_FILE is set), otherwise from the sample pincodes
+const seedPincodes = async (file = process.env.PINCODE_MASTER_FILE) => {
+  try {
+    const records = file ? await loadDirectoryFile(file) : pincodes;
+
+    // Clear existing pincodes
+    await Pincode.deleteMany({});
+    console.log('Cleared existing pincodes');
+
+    // Insert new pincodes
+    const createdPincodes = await Pincode.insertMany(records);
+    console.log(`Created ${createdPincodes.length} pincodes`);
+
+    return createdPincodes;
+  } catch (error) {
+    console.error('Error seeding pincodes:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  seedPincodes,
+  pincodes
+};